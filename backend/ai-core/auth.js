@@ -0,0 +1,140 @@
+/**
+ * ASMF AI Agent - Request Authentication
+ * ======================================
+ * Identifies the caller of an API request from an HS256-signed JWT bearer
+ * token (JWT_SECRET), so memory namespaces come from who is calling rather
+ * than from fields in the request body
+ *
+ * Claims:
+ * - sub      User id (required)
+ * - tenant   Tenant id (optional, defaults to the default tenant)
+ * - project  Project id (optional)
+ * - admin    true for administrators, who may act on any namespace and
+ *            change engine-wide settings (optional)
+ * - exp/nbf  Expiry and not-before times in seconds (optional)
+ *
+ * Requests without a token are anonymous unless authentication is required;
+ * a token that doesn't verify is always rejected.
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const crypto = require('crypto');
+const { parseNamespace } = require('../asmf-engine/memory-namespace');
+
+/**
+ * A bearer token that is malformed, badly signed, expired or unverifiable
+ */
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+function decodeSegment(segment, name) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthenticationError(`Token ${name} is not valid JSON`);
+    }
+}
+
+/**
+ * Verify a JWT and return the caller { userId, tenantId, projectId,
+ * namespace, admin }
+ */
+function verifyToken(token, secret, now = Date.now()) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new AuthenticationError('Token is not a JWT');
+    }
+
+    const header = decodeSegment(parts[0], 'header');
+    if (!header || header.alg !== 'HS256') {
+        throw new AuthenticationError('Token must be signed with HS256');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw new AuthenticationError('Token signature does not match');
+    }
+
+    const claims = decodeSegment(parts[1], 'payload');
+    if (!claims || typeof claims !== 'object') {
+        throw new AuthenticationError('Token payload must be an object');
+    }
+    const seconds = now / 1000;
+    if (typeof claims.exp === 'number' && seconds >= claims.exp) {
+        throw new AuthenticationError('Token has expired');
+    }
+    if (typeof claims.nbf === 'number' && seconds < claims.nbf) {
+        throw new AuthenticationError('Token is not valid yet');
+    }
+
+    let descriptor;
+    try {
+        descriptor = parseNamespace({ tenantId: claims.tenant, userId: claims.sub, projectId: claims.project });
+    } catch (error) {
+        throw new AuthenticationError(`Token identity is invalid: ${error.message}`);
+    }
+
+    return {
+        userId: descriptor.userId,
+        tenantId: descriptor.tenantId,
+        projectId: descriptor.projectId,
+        namespace: descriptor.key,
+        admin: claims.admin === true
+    };
+}
+
+/**
+ * Sign claims as an HS256 JWT (for issuing tokens and for tests)
+ */
+function signToken(claims, secret) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+/**
+ * Express middleware setting req.identity to the verified caller, or null
+ * for anonymous requests. secret: the JWT signing secret; required: reject
+ * requests without a token
+ */
+function createAuthenticator({ secret, required = false } = {}) {
+    return (req, res, next) => {
+        const header = req.get('authorization');
+        const match = header ? /^Bearer\s+(\S+)$/i.exec(header) : null;
+
+        if (!match) {
+            if (header || required) {
+                return res.status(401).json({ success: false, error: 'A bearer token is required' });
+            }
+            req.identity = null;
+            return next();
+        }
+        if (!secret) {
+            return res.status(401).json({ success: false, error: 'Token authentication is not configured' });
+        }
+
+        try {
+            req.identity = verifyToken(match[1], secret);
+            next();
+        } catch (error) {
+            if (!(error instanceof AuthenticationError)) return next(error);
+            res.status(401).json({ success: false, error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    AuthenticationError,
+    verifyToken,
+    signToken,
+    createAuthenticator
+};
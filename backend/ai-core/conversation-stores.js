@@ -0,0 +1,444 @@
+/**
+ * ASMF AI Agent - Conversation Persistence Backends
+ * ================================================
+ * Pluggable storage providers for ConversationManager. Every provider
+ * implements the ConversationStore interface:
+ *
+ * - initialize()                           Prepare the backend
+ * - saveConversation(conversation)         Upsert a full conversation
+ * - loadConversation(conversationId)       Conversation or null
+ * - listConversations({ userId, limit })   Most recently active first
+ * - deleteConversation(conversationId)     Conversation and its fragments
+ * - saveFragment(fragment)                 Store trimmed messages
+ * - getFragments(conversationId, range)    Fragments overlapping { from, to }
+ * - close()                                Release resources
+ *
+ * A fragment is { conversationId, startSequence, endSequence, messages, storedAt },
+ * where sequences are the absolute message positions in the conversation.
+ *
+ * Providers:
+ * - JsonFileConversationStore - one JSON file per conversation on local disk
+ * - SqliteConversationStore - single SQLite database (requires better-sqlite3)
+ * - DriveConversationStore - adapter onto DriveStorage.saveConversation/getConversations
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Temp files of concurrent writes to one file must not collide
+let tempFileCounter = 0;
+
+/**
+ * Base class documenting the provider interface
+ */
+class ConversationStore {
+    async initialize() {}
+
+    async saveConversation(conversation) {
+        throw new Error(`${this.constructor.name} does not implement saveConversation`);
+    }
+
+    async loadConversation(conversationId) {
+        throw new Error(`${this.constructor.name} does not implement loadConversation`);
+    }
+
+    async listConversations(options = {}) {
+        throw new Error(`${this.constructor.name} does not implement listConversations`);
+    }
+
+    async deleteConversation(conversationId) {
+        throw new Error(`${this.constructor.name} does not implement deleteConversation`);
+    }
+
+    async saveFragment(fragment) {
+        throw new Error(`${this.constructor.name} does not implement saveFragment`);
+    }
+
+    async getFragments(conversationId, range = {}) {
+        throw new Error(`${this.constructor.name} does not implement getFragments`);
+    }
+
+    async close() {}
+
+    /**
+     * Check whether a fragment overlaps a { from, to } sequence range
+     */
+    fragmentInRange(fragment, range = {}) {
+        const from = range.from !== undefined ? range.from : -Infinity;
+        const to = range.to !== undefined ? range.to : Infinity;
+        return fragment.endSequence >= from && fragment.startSequence <= to;
+    }
+
+    /**
+     * Sort, filter and limit conversations for listConversations
+     */
+    selectConversations(conversations, options = {}) {
+        return conversations
+            .filter(conversation => !options.userId || conversation.userId === options.userId)
+            .sort((a, b) => new Date(b.lastActivity).getTime() - new Date(a.lastActivity).getTime())
+            .slice(0, options.limit || 100);
+    }
+}
+
+/**
+ * Local JSON files: <directory>/<id>.json and <directory>/fragments/<id>.json.
+ * Changes to a file are queued, so concurrent read-modify-writes (fragments
+ * appended while a conversation is saved) never overwrite each other.
+ */
+class JsonFileConversationStore extends ConversationStore {
+    constructor(options = {}) {
+        super();
+        this.directory = options.directory || './data/conversations';
+        this.fragmentsDirectory = path.join(this.directory, 'fragments');
+        this.fileQueues = new Map(); // file path -> promise of its last queued change
+    }
+
+    async initialize() {
+        await fs.mkdir(this.fragmentsDirectory, { recursive: true });
+        console.log(`💾 JSON conversation store ready at ${this.directory}`);
+    }
+
+    async saveConversation(conversation) {
+        const filePath = this.conversationPath(conversation.id);
+        await this.queueChange(filePath, () => this.writeJson(filePath, conversation));
+    }
+
+    async loadConversation(conversationId) {
+        return await this.readJson(this.conversationPath(conversationId));
+    }
+
+    async listConversations(options = {}) {
+        const files = await fs.readdir(this.directory);
+        const conversations = [];
+
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const conversation = await this.readJson(path.join(this.directory, file));
+            if (conversation) {
+                conversations.push(conversation);
+            }
+        }
+
+        return this.selectConversations(conversations, options);
+    }
+
+    async deleteConversation(conversationId) {
+        const conversationPath = this.conversationPath(conversationId);
+        const fragmentsPath = this.fragmentsPath(conversationId);
+        const removed = await this.queueChange(conversationPath, () => this.removeFile(conversationPath));
+        await this.queueChange(fragmentsPath, () => this.removeFile(fragmentsPath));
+        return removed;
+    }
+
+    async saveFragment(fragment) {
+        const filePath = this.fragmentsPath(fragment.conversationId);
+        await this.queueChange(filePath, async () => {
+            const fragments = (await this.readJson(filePath)) || [];
+            fragments.push(fragment);
+            await this.writeJson(filePath, fragments);
+        });
+    }
+
+    async getFragments(conversationId, range = {}) {
+        const fragments = (await this.readJson(this.fragmentsPath(conversationId))) || [];
+        return fragments
+            .filter(fragment => this.fragmentInRange(fragment, range))
+            .sort((a, b) => a.startSequence - b.startSequence);
+    }
+
+    conversationPath(conversationId) {
+        return path.join(this.directory, `${this.safeId(conversationId)}.json`);
+    }
+
+    fragmentsPath(conversationId) {
+        return path.join(this.fragmentsDirectory, `${this.safeId(conversationId)}.json`);
+    }
+
+    safeId(conversationId) {
+        if (!/^[A-Za-z0-9_-]+$/.test(String(conversationId))) {
+            throw new Error(`Invalid conversation id: ${conversationId}`);
+        }
+        return conversationId;
+    }
+
+    async readJson(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async writeJson(filePath, data) {
+        // Write then rename so a crash never leaves a half-written file
+        const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data));
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Run change() once the changes queued before it on filePath are done
+     */
+    queueChange(filePath, change) {
+        const previous = this.fileQueues.get(filePath) || Promise.resolve();
+        const queued = previous.catch(() => {}).then(change);
+        this.fileQueues.set(filePath, queued);
+
+        // Forget the queue once nothing is waiting on it
+        const release = () => {
+            if (this.fileQueues.get(filePath) === queued) {
+                this.fileQueues.delete(filePath);
+            }
+        };
+        queued.then(release, release);
+
+        return queued;
+    }
+
+    async removeFile(filePath) {
+        try {
+            await fs.unlink(filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+/**
+ * SQLite database via the optional better-sqlite3 dependency
+ */
+class SqliteConversationStore extends ConversationStore {
+    constructor(options = {}) {
+        super();
+        this.filename = options.filename || './data/conversations.db';
+        this.db = null;
+    }
+
+    async initialize() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite conversation store requires the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS conversations (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                last_activity TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations (user_id, last_activity);
+            CREATE TABLE IF NOT EXISTS fragments (
+                conversation_id TEXT NOT NULL,
+                start_sequence INTEGER,
+                end_sequence INTEGER,
+                stored_at TEXT,
+                messages TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_fragments_conversation ON fragments (conversation_id, start_sequence);
+        `);
+
+        console.log(`💾 SQLite conversation store ready at ${this.filename}`);
+    }
+
+    async saveConversation(conversation) {
+        this.db.prepare(`
+            INSERT INTO conversations (id, user_id, last_activity, data)
+            VALUES (@id, @userId, @lastActivity, @data)
+            ON CONFLICT(id) DO UPDATE SET
+                user_id = excluded.user_id,
+                last_activity = excluded.last_activity,
+                data = excluded.data
+        `).run({
+            id: conversation.id,
+            userId: conversation.userId || null,
+            lastActivity: conversation.lastActivity,
+            data: JSON.stringify(conversation)
+        });
+    }
+
+    async loadConversation(conversationId) {
+        const row = this.db.prepare('SELECT data FROM conversations WHERE id = ?').get(conversationId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listConversations(options = {}) {
+        const rows = options.userId
+            ? this.db.prepare('SELECT data FROM conversations WHERE user_id = ? ORDER BY last_activity DESC LIMIT ?')
+                .all(options.userId, options.limit || 100)
+            : this.db.prepare('SELECT data FROM conversations ORDER BY last_activity DESC LIMIT ?')
+                .all(options.limit || 100);
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async deleteConversation(conversationId) {
+        const result = this.db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId);
+        this.db.prepare('DELETE FROM fragments WHERE conversation_id = ?').run(conversationId);
+        return result.changes > 0;
+    }
+
+    async saveFragment(fragment) {
+        this.db.prepare(`
+            INSERT INTO fragments (conversation_id, start_sequence, end_sequence, stored_at, messages)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(
+            fragment.conversationId,
+            fragment.startSequence,
+            fragment.endSequence,
+            fragment.storedAt,
+            JSON.stringify(fragment.messages)
+        );
+    }
+
+    async getFragments(conversationId, range = {}) {
+        const rows = this.db.prepare(`
+            SELECT conversation_id, start_sequence, end_sequence, stored_at, messages
+            FROM fragments
+            WHERE conversation_id = ? AND end_sequence >= ? AND start_sequence <= ?
+            ORDER BY start_sequence
+        `).all(
+            conversationId,
+            range.from !== undefined ? range.from : Number.MIN_SAFE_INTEGER,
+            range.to !== undefined ? range.to : Number.MAX_SAFE_INTEGER
+        );
+
+        return rows.map(row => ({
+            conversationId: row.conversation_id,
+            startSequence: row.start_sequence,
+            endSequence: row.end_sequence,
+            storedAt: row.stored_at,
+            messages: JSON.parse(row.messages)
+        }));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Adapter onto DriveStorage's conversation folder. Conversations and
+ * fragments are saved as separate files tagged with the conversation id
+ * as their session id; lookups read every matching file, page by page.
+ */
+class DriveConversationStore extends ConversationStore {
+    constructor(driveStorage) {
+        super();
+        this.driveStorage = driveStorage;
+        this.latestFiles = new Map();
+    }
+
+    async initialize() {
+        if (!this.driveStorage || !this.driveStorage.isConnected()) {
+            throw new Error('Drive conversation store requires a connected DriveStorage');
+        }
+        console.log('☁️ Drive conversation store ready');
+    }
+
+    async saveConversation(conversation) {
+        const saved = await this.driveStorage.saveConversation({
+            kind: 'conversation',
+            sessionId: conversation.id,
+            conversation
+        });
+
+        // Drive keeps every upload; drop the superseded snapshot
+        const previousFileId = this.latestFiles.get(conversation.id);
+        this.latestFiles.set(conversation.id, saved.id);
+        if (previousFileId) {
+            try {
+                await this.driveStorage.deleteFile(previousFileId);
+            } catch (error) {
+                console.warn(`⚠️ Failed to delete superseded conversation file ${previousFileId}:`, error.message);
+            }
+        }
+    }
+
+    async loadConversation(conversationId) {
+        const files = await this.driveStorage.getConversations(conversationId, null);
+        const latest = files.find(file => file.data.kind === 'conversation');
+        if (!latest) return null;
+
+        this.latestFiles.set(conversationId, latest.id);
+        return latest.data.conversation;
+    }
+
+    async listConversations(options = {}) {
+        const files = await this.driveStorage.getConversations(null, null);
+        const conversations = new Map();
+
+        // Files arrive newest first; keep the first snapshot per conversation
+        for (const file of files) {
+            if (file.data.kind !== 'conversation') continue;
+            const conversation = file.data.conversation;
+            if (!conversations.has(conversation.id)) {
+                conversations.set(conversation.id, conversation);
+                this.latestFiles.set(conversation.id, file.id);
+            }
+        }
+
+        return this.selectConversations(Array.from(conversations.values()), options);
+    }
+
+    async deleteConversation(conversationId) {
+        const files = await this.driveStorage.getConversations(conversationId, null);
+        for (const file of files) {
+            await this.driveStorage.deleteFile(file.id);
+        }
+        this.latestFiles.delete(conversationId);
+        return files.length > 0;
+    }
+
+    async saveFragment(fragment) {
+        await this.driveStorage.saveConversation({
+            kind: 'fragment',
+            sessionId: fragment.conversationId,
+            fragment
+        });
+    }
+
+    async getFragments(conversationId, range = {}) {
+        const files = await this.driveStorage.getConversations(conversationId, null);
+        return files
+            .filter(file => file.data.kind === 'fragment')
+            .map(file => file.data.fragment)
+            .filter(fragment => this.fragmentInRange(fragment, range))
+            .sort((a, b) => a.startSequence - b.startSequence);
+    }
+}
+
+/**
+ * Create a store by type name: 'json', 'sqlite' or 'drive'
+ */
+function createConversationStore(type, options = {}) {
+    switch (type) {
+        case 'json':
+            return new JsonFileConversationStore(options);
+        case 'sqlite':
+            return new SqliteConversationStore(options);
+        case 'drive':
+            return new DriveConversationStore(options.driveStorage);
+        default:
+            throw new Error(`Unknown conversation store type: ${type}`);
+    }
+}
+
+module.exports = {
+    ConversationStore,
+    JsonFileConversationStore,
+    SqliteConversationStore,
+    DriveConversationStore,
+    createConversationStore
+};
@@ -8,7 +8,9 @@
  * - Multi-session conversation handling
  * - Context-aware response generation  
  * - Conversation history management
+ * - Pluggable persistence (see conversation-stores.js)
  * - Memory integration
+ * - Proactive mentions of upcoming recurring events (memory predictions)
  * - Error handling and recovery
  * 
  * Author: MiniMax Agent
@@ -17,7 +19,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { createHash } = require('crypto');
+const { parseNamespace, DEFAULT_NAMESPACE, DEFAULT_TENANT } = require('../asmf-engine/memory-namespace');
 
 class ConversationManager {
     constructor(config = {}) {
@@ -25,10 +27,14 @@ class ConversationManager {
         this.config = {
             maxConversationLength: config.maxConversationLength || 50,
             contextWindowSize: config.contextWindowSize || 10,
-            persistenceEnabled: config.persistenceEnabled || true,
+            persistenceEnabled: config.persistenceEnabled !== false,
+            historyLoadLimit: config.historyLoadLimit || 100,
             autoSave: config.autoSave !== false,
             memoryIntegration: config.memoryIntegration !== false,
             responseTimeout: config.responseTimeout || 30000,
+            // Mention upcoming predicted events due within the window (ms)
+            proactivePredictions: config.proactivePredictions !== false,
+            predictionMentionWindow: config.predictionMentionWindow || 86400000,
             ...config
         };
 
@@ -36,6 +42,7 @@ class ConversationManager {
         this.activeConversations = new Map();
         this.conversationHistory = new Map();
         this.memoryManager = config.memoryManager || null;
+        this.conversationStore = config.conversationStore || null;
         this.contextProcessor = config.contextProcessor || null;
 
         // Response generation
@@ -53,7 +60,7 @@ class ConversationManager {
         };
 
         // Initialize system
-        this.initializeSystem();
+        this.ready = this.initializeSystem();
     }
 
     /**
@@ -70,6 +77,9 @@ class ConversationManager {
 
             // Load conversation history if persistence enabled
             if (this.config.persistenceEnabled) {
+                if (this.conversationStore) {
+                    await this.conversationStore.initialize();
+                }
                 await this.loadConversationHistory();
             }
 
@@ -133,8 +143,6 @@ class ConversationManager {
      * Create a new conversation session
      */
     async createConversation(userId, context = {}) {
-        const startTime = Date.now();
-        
         try {
             const conversationId = uuidv4();
             
@@ -199,8 +207,6 @@ class ConversationManager {
      * Add message to conversation
      */
     async addMessage(conversationId, message, messageType = 'user') {
-        const startTime = Date.now();
-        
         try {
             // Get conversation
             const conversation = this.activeConversations.get(conversationId);
@@ -211,6 +217,7 @@ class ConversationManager {
             // Create message object
             const messageObj = {
                 id: uuidv4(),
+                sequence: conversation.metadata.totalMessages, // Absolute position, survives trimming
                 type: messageType, // 'user', 'assistant', 'system'
                 content: message,
                 timestamp: new Date().toISOString(),
@@ -296,6 +303,14 @@ class ConversationManager {
                 response = await this.generateDefaultResponse(context);
             }
 
+            // Mention an upcoming recurring event, once per conversation
+            const mention = response.success !== false
+                ? this.selectPredictionMention(conversation, context.predictions)
+                : null;
+            if (mention) {
+                response = { ...response, content: `${response.content} ${mention.message}` };
+            }
+
             // Create assistant message
             const responseMessage = await this.addMessage(
                 conversationId, 
@@ -319,7 +334,13 @@ class ConversationManager {
                     responseTime,
                     confidence: response.confidence || 0.5,
                     topics: response.topics || [],
-                    suggestions: response.suggestions || []
+                    suggestions: response.suggestions || [],
+                    predictions: mention ? [{
+                        id: mention.id,
+                        message: mention.message,
+                        nextOccurrence: mention.nextOccurrence,
+                        status: mention.status
+                    }] : []
                 }
             };
 
@@ -360,13 +381,19 @@ class ConversationManager {
             conversationPatterns: await this.analyzeConversationPatterns(conversation)
         };
 
-        // Integrate memory context if available
-        if (this.memoryManager && this.config.memoryIntegration) {
+        // Integrate memory context if available; a retrieval the caller
+        // already made for this turn (options.memory) is used as is, so
+        // memories aren't reinforced and logged twice
+        if (options.memory !== undefined) {
+            context.memoryContext = options.memory;
+        } else if (this.memoryManager && this.config.memoryIntegration) {
             try {
                 const memoryQuery = {
                     type: 'contextual',
                     query: recentMessages.map(m => m.content).join(' '),
-                    limit: 5
+                    limit: 5,
+                    namespace: this.getMemoryNamespace(conversation),
+                    options: { rankingProfile: options.rankingProfile }
                 };
                 const memoryResults = await this.memoryManager.retrieveMemory(memoryQuery);
                 context.memoryContext = memoryResults;
@@ -375,9 +402,46 @@ class ConversationManager {
             }
         }
 
+        // Upcoming recurring events the reply may mention
+        if (this.memoryManager && this.config.memoryIntegration && this.config.proactivePredictions &&
+            typeof this.memoryManager.getPredictions === 'function') {
+            try {
+                const upcoming = await this.memoryManager.getPredictions({
+                    namespace: this.getMemoryNamespace(conversation),
+                    horizon: this.config.predictionMentionWindow
+                });
+                context.predictions = upcoming.success ? upcoming.predictions : [];
+            } catch (error) {
+                console.warn('⚠️ Failed to load memory predictions:', error.message);
+            }
+        }
+
         return context;
     }
 
+    /**
+     * The upcoming prediction to mention in a reply: one not mentioned in
+     * this conversation yet, those about what was just discussed first,
+     * then the soonest. Marks it as mentioned.
+     */
+    selectPredictionMention(conversation, predictions = []) {
+        const mentioned = new Set(conversation.metadata.mentionedPredictions || []);
+        const candidates = (predictions || []).filter(prediction =>
+            prediction.status !== 'dismissed' && !mentioned.has(prediction.id));
+        if (candidates.length === 0) return null;
+
+        const recentText = conversation.messages
+            .slice(-this.config.contextWindowSize)
+            .map(message => String(message.content || '').toLowerCase())
+            .join(' ');
+        const overlap = prediction => prediction.concepts.filter(concept => recentText.includes(concept)).length;
+        candidates.sort((a, b) => overlap(b) - overlap(a) || a.nextOccurrence - b.nextOccurrence);
+
+        const [mention] = candidates;
+        conversation.metadata.mentionedPredictions = [...mentioned, mention.id];
+        return mention;
+    }
+
     /**
      * Generate default response when no AI is available
      */
@@ -461,11 +525,16 @@ class ConversationManager {
         try {
             let conversation = this.activeConversations.get(conversationId);
             
-            // Load from history if not in active memory
-            if (!conversation && this.config.persistenceEnabled) {
-                conversation = await this.loadConversation(conversationId);
+            // Reactivate from history or storage if not in active memory
+            if (!conversation) {
+                conversation = this.conversationHistory.get(conversationId) || null;
+                if (!conversation && this.config.persistenceEnabled) {
+                    conversation = await this.loadConversation(conversationId);
+                }
                 if (conversation) {
+                    this.conversationHistory.delete(conversationId);
                     this.activeConversations.set(conversationId, conversation);
+                    this.metrics.activeConversations++;
                 }
             }
 
@@ -476,6 +545,14 @@ class ConversationManager {
             // Apply filters and options
             let messages = conversation.messages;
             
+            // Prepend messages trimmed into stored fragments
+            if (options.includeArchived) {
+                const archived = await this.getConversationFragments(conversationId);
+                if (archived.success) {
+                    messages = [...archived.messages, ...messages];
+                }
+            }
+            
             if (options.messageType) {
                 messages = messages.filter(m => m.type === options.messageType);
             }
@@ -533,6 +610,7 @@ class ConversationManager {
             for (const conversation of allConversations) {
                 // Apply filters
                 if (filters.userId && conversation.userId !== filters.userId) continue;
+                if (!this.inNamespace(conversation, filters.namespace)) continue;
                 if (filters.dateFrom && conversation.createdAt < filters.dateFrom) continue;
                 if (filters.dateTo && conversation.createdAt > filters.dateTo) continue;
                 if (filters.status && conversation.metadata.status !== filters.status) continue;
@@ -576,6 +654,54 @@ class ConversationManager {
         }
     }
 
+    /**
+     * List conversations (active + history), most recent first
+     */
+    async listConversations(filters = {}) {
+        try {
+            let conversations = [
+                ...this.activeConversations.values(),
+                ...await this.getHistoricalConversations()
+            ];
+
+            // Apply filters
+            if (filters.userId) {
+                conversations = conversations.filter(c => c.userId === filters.userId);
+            }
+            if (filters.namespace) {
+                conversations = conversations.filter(c => this.inNamespace(c, filters.namespace));
+            }
+            if (filters.status) {
+                conversations = conversations.filter(c => c.metadata.status === filters.status);
+            }
+
+            conversations.sort((a, b) =>
+                new Date(b.lastActivity).getTime() - new Date(a.lastActivity).getTime()
+            );
+
+            return {
+                success: true,
+                conversations: conversations.slice(0, filters.limit || 20).map(conversation => ({
+                    id: conversation.id,
+                    title: conversation.title,
+                    userId: conversation.userId,
+                    createdAt: conversation.createdAt,
+                    lastActivity: conversation.lastActivity,
+                    messageCount: conversation.messages.length,
+                    status: conversation.metadata.status
+                })),
+                totalFound: conversations.length
+            };
+
+        } catch (error) {
+            console.error('❌ Failed to list conversations:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Analyze conversation patterns
      */
@@ -681,6 +807,45 @@ class ConversationManager {
         }
     }
 
+    /**
+     * Erase conversations (by id, a list of ids, or every conversation of
+     * a user of a tenant, the default tenant if not given) from memory and
+     * the conversation store (fragments included)
+     */
+    async forgetConversations({ conversationId = null, conversationIds = [], userId = null, tenantId = DEFAULT_TENANT } = {}) {
+        const ids = new Set(conversationIds);
+        if (conversationId) {
+            ids.add(conversationId);
+        }
+        if (userId) {
+            // The same user id in another tenant is another user
+            const ofUser = conversation => conversation.userId === userId && this.getTenant(conversation) === tenantId;
+            for (const conversation of [...this.activeConversations.values(), ...this.conversationHistory.values()]) {
+                if (ofUser(conversation)) ids.add(conversation.id);
+            }
+            if (this.conversationStore) {
+                const stored = await this.conversationStore.listConversations({ userId, limit: Number.MAX_SAFE_INTEGER });
+                stored.filter(ofUser).forEach(conversation => ids.add(conversation.id));
+            }
+        }
+
+        const deleted = [];
+        for (const id of ids) {
+            let found = this.conversationHistory.delete(id);
+            if (this.activeConversations.delete(id)) {
+                this.metrics.activeConversations--;
+                found = true;
+            }
+            if (this.conversationStore && await this.conversationStore.deleteConversation(id)) {
+                found = true;
+            }
+            if (found) deleted.push(id);
+        }
+
+        console.log(`🗑️ Forgot ${deleted.length} conversations`);
+        return deleted;
+    }
+
     /**
      * Get conversation statistics
      */
@@ -756,8 +921,10 @@ class ConversationManager {
             await this.memoryManager.storeMemory({
                 type: 'conversation_message',
                 content: message.content,
+                namespace: this.getMemoryNamespace(conversation),
                 metadata: {
                     conversationId: conversation.id,
+                    userId: conversation.userId,
                     messageId: message.id,
                     messageType: message.type,
                     timestamp: message.timestamp
@@ -810,7 +977,7 @@ class ConversationManager {
         try {
             const savePromises = [];
             
-            for (const [conversationId, conversation] of this.activeConversations) {
+            for (const conversationId of this.activeConversations.keys()) {
                 savePromises.push(this.saveConversation(conversationId));
             }
 
@@ -826,34 +993,107 @@ class ConversationManager {
      * Save individual conversation
      */
     async saveConversation(conversationId) {
-        // Implementation depends on storage backend
-        // This is a placeholder for the actual save logic
-        console.log(`💾 Saving conversation ${conversationId}`);
+        if (!this.conversationStore) return;
+
+        const conversation = this.activeConversations.get(conversationId) ||
+            this.conversationHistory.get(conversationId);
+        if (!conversation) return;
+
+        try {
+            await this.conversationStore.saveConversation(conversation);
+        } catch (error) {
+            console.warn(`⚠️ Failed to save conversation ${conversationId}:`, error.message);
+        }
     }
 
     /**
      * Load conversation from storage
      */
     async loadConversation(conversationId) {
-        // Implementation depends on storage backend
-        // This is a placeholder for the actual load logic
-        return null;
+        if (!this.conversationStore) return null;
+
+        try {
+            return await this.conversationStore.loadConversation(conversationId);
+        } catch (error) {
+            console.warn(`⚠️ Failed to load conversation ${conversationId}:`, error.message);
+            return null;
+        }
     }
 
     /**
      * Load conversation history
      */
     async loadConversationHistory() {
-        // Implementation depends on storage backend
+        if (!this.conversationStore) return;
+
         console.log('📚 Loading conversation history...');
+        const conversations = await this.conversationStore.listConversations({
+            limit: this.config.historyLoadLimit
+        });
+
+        for (const conversation of conversations) {
+            if (!this.activeConversations.has(conversation.id)) {
+                this.conversationHistory.set(conversation.id, conversation);
+            }
+        }
+
+        console.log(`📚 Loaded ${conversations.length} conversations from storage`);
     }
 
     /**
      * Store conversation fragment
      */
     async storeConversationFragment(conversationId, messages) {
-        // Implementation for storing trimmed messages
-        console.log(`🗂️ Storing conversation fragment for ${conversationId}`);
+        if (!this.conversationStore || messages.length === 0) return;
+
+        const fragment = {
+            conversationId,
+            startSequence: messages[0].sequence,
+            endSequence: messages[messages.length - 1].sequence,
+            messages,
+            storedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.conversationStore.saveFragment(fragment);
+            console.log(`🗂️ Stored messages ${fragment.startSequence}-${fragment.endSequence} of conversation ${conversationId}`);
+        } catch (error) {
+            console.warn(`⚠️ Failed to store conversation fragment for ${conversationId}:`, error.message);
+        }
+    }
+
+    /**
+     * Get trimmed messages for a conversation, optionally by sequence range
+     */
+    async getConversationFragments(conversationId, range = {}) {
+        try {
+            if (!this.conversationStore) {
+                return { success: true, conversationId, messages: [], fragmentCount: 0 };
+            }
+
+            const fragments = await this.conversationStore.getFragments(conversationId, range);
+            const from = range.from !== undefined ? range.from : -Infinity;
+            const to = range.to !== undefined ? range.to : Infinity;
+
+            const messages = fragments
+                .flatMap(fragment => fragment.messages)
+                .filter(message => message.sequence >= from && message.sequence <= to)
+                .sort((a, b) => a.sequence - b.sequence);
+
+            return {
+                success: true,
+                conversationId,
+                messages,
+                fragmentCount: fragments.length
+            };
+
+        } catch (error) {
+            console.error('❌ Failed to get conversation fragments:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
     }
 
     /**
@@ -1128,6 +1368,31 @@ class ConversationManager {
         return Array.from(languages);
     }
 
+    /**
+     * Memory namespace a conversation reads and writes (set via the
+     * 'namespace' creation context); undefined means the default namespace
+     */
+    getMemoryNamespace(conversation) {
+        return (conversation.context && conversation.context.namespace) || undefined;
+    }
+
+    /**
+     * Tenant of a conversation's namespace; the default and shared
+     * namespaces count as the default tenant's
+     */
+    getTenant(conversation) {
+        const namespace = this.getMemoryNamespace(conversation);
+        return (namespace && parseNamespace(namespace).tenantId) || DEFAULT_TENANT;
+    }
+
+    /**
+     * Whether a conversation uses a namespace ('default' for the default
+     * one); any namespace matches when none is given
+     */
+    inNamespace(conversation, namespace) {
+        return !namespace || (this.getMemoryNamespace(conversation) || DEFAULT_NAMESPACE) === namespace;
+    }
+
     updateConversationFromMemory(conversation, memoryData) {
         // Update conversation based on memory updates
         if (memoryData.context) {
@@ -1145,9 +1410,12 @@ class ConversationManager {
                 await this.memoryManager.storeMemory({
                     type: 'knowledge_extraction',
                     content: message.content,
+                    namespace: this.getMemoryNamespace(conversation),
                     metadata: {
                         source: 'conversation',
                         conversationId: conversation.id,
+                        userId: conversation.userId,
+                        messageId: message.id,
                         timestamp: message.timestamp
                     }
                 });
@@ -1192,6 +1460,10 @@ class ConversationManager {
             await this.saveAllConversations();
         }
 
+        if (this.conversationStore) {
+            await this.conversationStore.close();
+        }
+
         console.log('✅ Conversation Manager shutdown complete');
     }
 }
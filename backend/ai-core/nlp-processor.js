@@ -207,7 +207,7 @@ class NLPProcessor extends EventEmitter {
         uk: /\b(?:Київ|Харків|Одеса|США|Франція|Китай)\b/ug
       },
       date: {
-        en: /\b(?:\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}|\d{4}[\/\-\.]\d{1,2}[\/\-\.]\d{1,2})\b/g,
+        en: /\b(?:\d{1,2}[/\-.]\d{1,2}[/\-.]\d{2,4}|\d{4}[/\-.]\d{1,2}[/\-.]\d{1,2})\b/g,
         ru: /\b(?:\d{1,2}\.\d{1,2}\.\d{2,4}|\d{4}\.\d{1,2}\.\d{1,2})\b/ug,
         uk: /\b(?:\d{1,2}\.\d{1,2}\.\d{2,4}|\d{4}\.\d{1,2}\.\d{1,2})\b/ug
       },
@@ -217,7 +217,7 @@ class NLPProcessor extends EventEmitter {
         uk: /\b\d{1,2}:\d{2}\b/ug
       },
       money: {
-        en: /\b(?:\$|€|£)\s*\d+(?:[,\.]\d{3})*(?:\.\d{2})?\b/gi,
+        en: /\b(?:\$|€|£)\s*\d+(?:[,.]\d{3})*(?:\.\d{2})?\b/gi,
         ru: /\b\d+(?:[,\s]\d{3})*(?:\.\d{2})?\s*(?:руб|долл|евро)\b/ugi,
         uk: /\b\d+(?:[,\s]\d{3})*(?:\.\d{2})?\s*(?:грн|дол|євро)\b/ugi
       },
@@ -419,7 +419,7 @@ class NLPProcessor extends EventEmitter {
     
     // Score based on language-specific words
     for (const word of words) {
-      for (const [lang, langWords] of this.models.get('languageDetector').patterns.entries()) {
+      for (const [lang, langWords] of Object.entries(this.models.get('languageDetector').patterns)) {
         if (langWords.includes(word)) {
           scores[lang] += this.models.get('languageDetector').weights[lang];
         }
@@ -439,7 +439,7 @@ class NLPProcessor extends EventEmitter {
     
     return {
       language: detectedLang,
-      confidence: Math.min(maxScore / words.length, 1.0),
+      confidence: words.length > 0 ? Math.min(maxScore / words.length, 1.0) : 0,
       scores
     };
   }
@@ -804,7 +804,6 @@ class NLPProcessor extends EventEmitter {
     // Sequential coherence (words appearing in similar contexts)
     for (let i = 1; i < words.length - 1; i++) {
       const prevWord = words[i - 1].text;
-      const currentWord = words[i].text;
       const nextWord = words[i + 1].text;
       
       // Simple semantic relationship detection
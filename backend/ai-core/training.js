@@ -3,8 +3,6 @@ const path = require('path');
 const natural = require('natural');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
-const multer = require('multer');
-const crypto = require('crypto');
 
 class TrainingProcessor {
   constructor() {
@@ -90,6 +88,7 @@ class TrainingProcessor {
       const { category = 'general', autoProcess = true, sessionId = 'default' } = options;
       
       console.log(`📚 Processing file: ${file.originalname}`);
+      const startTime = Date.now();
       
       const fileInfo = {
         name: file.originalname,
@@ -123,11 +122,14 @@ class TrainingProcessor {
           throw new Error(`Unsupported file format: ${extension}`);
       }
 
-      // Clean and preprocess content
-      const cleanedContent = this.preprocessContent(content);
+      // Clean and preprocess content; pages (form-feed separated, as PDFs
+      // are extracted) are cleaned one by one so offsets map back to a page
+      const pages = content.split('\f').map(page => this.preprocessContent(page));
+      const cleanedContent = pages.join('\n\n');
+      const pageStarts = extension === '.pdf' || pages.length > 1 ? this.getPageStarts(pages) : null;
       
       // Extract knowledge
-      const knowledge = await this.extractKnowledge(cleanedContent, fileInfo);
+      const knowledge = await this.extractKnowledge(cleanedContent, fileInfo, pageStarts);
       
       // Extract entities
       const entities = await this.extractEntities(cleanedContent);
@@ -157,7 +159,7 @@ class TrainingProcessor {
         sentiment,
         summary,
         conversationAnalysis,
-        processingTime: Date.now() - fileInfo.timestamp.getTime(),
+        processingTime: Date.now() - startTime,
         autoProcessed: autoProcess
       };
 
@@ -177,8 +179,21 @@ class TrainingProcessor {
 
   async extractPDFText(buffer) {
     try {
-      const data = await pdfParse(buffer);
-      return data.text;
+      // Same text layout as pdf-parse's default renderer, collected per page
+      const pages = [];
+      await pdfParse(buffer, {
+        pagerender: pageData => pageData.getTextContent().then(textContent => {
+          let lastY;
+          let text = '';
+          for (const item of textContent.items) {
+            text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+            lastY = item.transform[5];
+          }
+          pages.push(text);
+          return text;
+        })
+      });
+      return pages.join('\f');
     } catch (error) {
       console.error('PDF extraction failed:', error);
       throw new Error('Failed to extract text from PDF');
@@ -203,17 +218,32 @@ class TrainingProcessor {
       .trim();
   }
 
-  async extractKnowledge(content, fileInfo) {
+  async extractKnowledge(content, fileInfo, pageStarts = null) {
     const knowledge = [];
     
     try {
       // Split content into sentences
       const sentences = this.splitIntoSentences(content);
+      let cursor = 0;
       
       for (const sentence of sentences) {
         const trimmed = sentence.trim();
+        const sentenceStart = content.indexOf(trimmed, cursor);
+        if (sentenceStart >= 0) cursor = sentenceStart + trimmed.length;
         if (trimmed.length < 10) continue; // Skip very short sentences
 
+        // Where an extracted span sits in the cleaned content (and on which page)
+        const locate = text => {
+          const offset = trimmed.indexOf(text);
+          if (sentenceStart < 0) return { start: null, end: null, page: null };
+          const start = sentenceStart + Math.max(offset, 0);
+          return {
+            start,
+            end: offset >= 0 ? start + text.length : sentenceStart + trimmed.length,
+            page: pageStarts ? this.getPageNumber(pageStarts, start) : null
+          };
+        };
+
         // Extract definitions
         const definitions = this.extractDefinitions(trimmed);
         knowledge.push(...definitions.map(def => ({
@@ -221,6 +251,8 @@ class TrainingProcessor {
           content: def,
           confidence: 0.8,
           source: fileInfo.name,
+          extractor: 'training.definition',
+          ...locate(def),
           timestamp: new Date().toISOString()
         })));
 
@@ -231,6 +263,8 @@ class TrainingProcessor {
           content: fact,
           confidence: 0.7,
           source: fileInfo.name,
+          extractor: 'training.fact',
+          ...locate(fact),
           timestamp: new Date().toISOString()
         })));
 
@@ -241,6 +275,8 @@ class TrainingProcessor {
           content: insight,
           confidence: 0.6,
           source: fileInfo.name,
+          extractor: 'training.insight',
+          ...locate(insight),
           timestamp: new Date().toISOString()
         })));
       }
@@ -542,6 +578,24 @@ class TrainingProcessor {
   }
 
   // Utility methods
+  getPageStarts(pages) {
+    const starts = [];
+    let offset = 0;
+    for (const page of pages) {
+      starts.push(offset);
+      offset += page.length + 2; // pages are joined with a blank line
+    }
+    return starts;
+  }
+
+  getPageNumber(pageStarts, offset) {
+    let page = 1;
+    while (page < pageStarts.length && pageStarts[page] <= offset) {
+      page++;
+    }
+    return page;
+  }
+
   splitIntoSentences(content) {
     return content
       .split(/[.!?]+/)
@@ -754,8 +808,8 @@ class TrainingProcessor {
       }
     });
 
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n
-```\n';
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += '<trainingData>\n';
     
     xml += `  <metadata>\n`;
     xml += `    <timestamp>${escapeXml(data.timestamp)}</timestamp>\n`;
@@ -775,8 +829,7 @@ class TrainingProcessor {
     }
     xml += `  </knowledge>\n`;
     
-    xml += ````
-`;
+    xml += '</trainingData>\n';
     return xml;
   }
 }
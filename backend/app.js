@@ -0,0 +1,1467 @@
+/**
+ * ASMF AI Agent - Express Server
+ * Wires the ASMF memory engine, conversation manager, NLP processor,
+ * training processor and (optional) Google Drive storage into a REST API
+ *
+ * Endpoints:
+ * - POST /chat                  Main conversation endpoint
+ * - GET  /memory/status         Current memory layer status
+ * - GET  /memory/search         Memory search ("last Tuesday" etc. in q set a time window;
+ *                               explain=true for score breakdowns; compressed hits carry
+ *                               their archived originals unless rehydrate=false; warm and
+ *                               cold tiers are searched on too few matches unless tiers=false)
+ * - GET  /memory/ranking/profiles  Ranking profiles (custom, learned, active)
+ * - POST /memory/ranking/feedback  Feedback on a retrieved result
+ * - POST /memory/ranking/learn     Learn profile weights from the feedback log
+ * - GET  /memory/namespaces     Memory namespaces (tenant/user/project)
+ * - POST /memory/forget         Erase memories (GDPR erasure requests)
+ * - GET  /memory/snapshots      Versioned snapshots (POST to create, diff, restore)
+ * - GET  /memory/encryption     Encryption at rest status (POST .../rotate rotates keys)
+ * - GET  /memory/timelines     Timelines (.../:key/events pages events, .../:key/summary summarizes)
+ * - GET  /memory/digests/:period  Day/week/month digest ("what happened this week")
+ * - GET  /memory/predictions   Upcoming recurring events (POST .../:id/confirm or .../:id/dismiss)
+ * - GET  /memory/conversations  Conversation history
+ * - POST /training/upload       Upload files for training
+ * - GET  /agent/info            Agent capabilities and info
+ * - GET  /health                System health check
+ *
+ * Callers identify themselves with a JWT bearer token (see ai-core/auth.js);
+ * /chat and /memory act on the caller's memory namespace, anonymous
+ * requests on the default one. Engine-wide changes need an administrator
+ * token.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const multer = require('multer');
+
+const ASMFEngine = require('./asmf-engine/memory-core');
+const { parseNamespace, DEFAULT_NAMESPACE, SHARED_NAMESPACE } = require('./asmf-engine/memory-namespace');
+const ConversationManager = require('./ai-core/conversation');
+const { createAuthenticator } = require('./ai-core/auth');
+const { createConversationStore } = require('./ai-core/conversation-stores');
+const { NLPProcessor } = require('./ai-core/nlp-processor');
+const { TrainingProcessor } = require('./ai-core/training');
+const { DriveStorage } = require('./google-drive/storage');
+const packageInfo = require('./package.json');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envFlag = (name, fallback) => {
+  if (process.env[name] === undefined) return fallback;
+  return process.env[name] === 'true';
+};
+
+const config = {
+  port: envInt('PORT', 3000),
+  allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(origin => origin.trim()),
+  helmetEnabled: envFlag('HELMET_ENABLED', true),
+  corsEnabled: envFlag('CORS_ENABLED', true),
+  jwtSecret: process.env.JWT_SECRET,
+  authRequired: envFlag('AUTH_REQUIRED', false),
+  memoryEnabled: envFlag('MEMORY_ENABLED', true),
+  defaultPersonality: process.env.DEFAULT_PERSONALITY || 'friendly',
+  maxResponseLength: envInt('MAX_RESPONSE_LENGTH', 500),
+  maxFileSizeMB: envInt('MAX_FILE_SIZE_MB', 10),
+  allowedFileTypes: (process.env.ALLOWED_FILE_TYPES || 'pdf,txt,docx,md,csv')
+    .split(',')
+    .map(type => `.${type.trim().toLowerCase()}`),
+  driveEnabled: envFlag('DRIVE_BACKUP_ENABLED', true) && !envFlag('MOCK_GOOGLE_DRIVE', false),
+  coldStorage: process.env.COLD_STORAGE || 'disk',
+  conversationStore: process.env.CONVERSATION_STORE || 'json',
+  conversationDataPath: process.env.CONVERSATION_DATA_PATH || './data/conversations',
+  proactivePredictions: envFlag('PROACTIVE_PREDICTIONS', true),
+  predictionMentionWindow: envInt('PREDICTION_MENTION_HOURS', 24) * 3600000,
+  engine: {
+    dataPath: process.env.MEMORY_DATA_PATH,
+    contextMaxSize: envInt('CONTEXT_LAYER_LIMIT', 100),
+    semanticMaxConcepts: envInt('SEMANTIC_LAYER_LIMIT', 10000),
+    temporalMaxEvents: envInt('TEMPORAL_LAYER_LIMIT', 50000),
+    temporalCompressionWindow: envInt('TEMPORAL_COMPRESSION_WINDOW_DAYS', 7) * 86400000,
+    temporalCompressionSimilarity: envFloat('TEMPORAL_COMPRESSION_SIMILARITY', 0.2),
+    tieredStorage: envFlag('TIERED_STORAGE_ENABLED', true),
+    warmTierMaxEvents: envInt('WARM_TIER_MAX_EVENTS', 100000),
+    tierMinResults: envInt('TIER_MIN_RESULTS', 5),
+    warmTierBudget: envInt('WARM_TIER_BUDGET_MS', 50),
+    coldTierBudget: envInt('COLD_TIER_BUDGET_MS', 250),
+    backupEnabled: envFlag('AUTO_BACKUP_ENABLED', true),
+    backupInterval: envInt('BACKUP_INTERVAL_HOURS', 1) * 3600000,
+    backupRetention: envInt('BACKUP_RETENTION_COUNT', 24),
+    backupRetentionDays: envInt('BACKUP_RETENTION_DAYS', 30),
+    snapshotInterval: envInt('SNAPSHOT_INTERVAL_HOURS', 0) * 3600000,
+    maxAutomaticSnapshots: envInt('SNAPSHOT_RETENTION', 20),
+    walEnabled: envFlag('WAL_ENABLED', true),
+    walFlushInterval: envInt('WAL_FLUSH_INTERVAL_MS', 25),
+    walCheckpointRecords: envInt('WAL_CHECKPOINT_RECORDS', 5000),
+    walCheckpointInterval: envInt('WAL_CHECKPOINT_MINUTES', 5) * 60000,
+    encryptionEnabled: envFlag('ENCRYPTION_ENABLED', false),
+    encryptionKey: process.env.ENCRYPTION_KEY,
+    previousEncryptionKeys: (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    encryptionKeyFile: process.env.ENCRYPTION_KEY_FILE,
+    sentimentAnalysis: envFlag('SENTIMENT_ANALYSIS_ENABLED', true),
+    entityRecognition: envFlag('ENTITY_EXTRACTION_ENABLED', true),
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || 'hashing',
+    embeddingEndpoint: process.env.EMBEDDING_ENDPOINT,
+    embeddingModel: process.env.EMBEDDING_MODEL,
+    embeddingApiKey: process.env.EMBEDDING_API_KEY,
+    embeddingDimensions: envInt('EMBEDDING_DIMENSIONS', undefined),
+    ontologyPath: process.env.ONTOLOGY_PATH,
+    maxConceptsPerInput: envInt('MAX_CONCEPTS_PER_INPUT', 8),
+    importanceThreshold: envFloat('IMPORTANCE_THRESHOLD', 0.7),
+    rankingProfile: process.env.RANKING_PROFILE,
+    temporalQueriesEnabled: envFlag('TEMPORAL_QUERIES_ENABLED', true),
+    timezoneOffset: envInt('QUERY_TIMEZONE_OFFSET_MINUTES', undefined),
+    weekStartsOn: envInt('WEEK_STARTS_ON', undefined),
+    timelineSummarySentences: envInt('TIMELINE_SUMMARY_SENTENCES', 3),
+    digestCacheSize: envInt('DIGEST_CACHE_SIZE', 200),
+    predictionsEnabled: envFlag('PREDICTIONS_ENABLED', true),
+    predictionMinConfidence: envFloat('PREDICTION_MIN_CONFIDENCE', 0.85),
+    predictionHorizon: envInt('PREDICTION_HORIZON_DAYS', 7) * 86400000,
+    namespaceQuotas: {
+      maxMemories: envInt('NAMESPACE_CONTEXT_LIMIT', undefined),
+      maxConcepts: envInt('NAMESPACE_SEMANTIC_LIMIT', undefined),
+      maxEvents: envInt('NAMESPACE_TEMPORAL_LIMIT', undefined)
+    }
+  }
+};
+
+const PERSONALITIES = ['friendly', 'intelligent', 'teacher', 'creative', 'analytical']
+  .filter(personality => envFlag(`${personality.toUpperCase()}_MODE_ENABLED`, true));
+
+// Memory ranking profile of each personality (RANKING_PROFILE_<PERSONALITY>);
+// personalities without one use the engine's active profile
+const PERSONALITY_RANKING_PROFILES = Object.fromEntries(PERSONALITIES
+  .map(personality => [personality, process.env[`RANKING_PROFILE_${personality.toUpperCase()}`]])
+  .filter(([, profile]) => profile));
+
+const services = {
+  asmfEngine: null,
+  conversationManager: null,
+  nlpProcessor: null,
+  trainingProcessor: null,
+  driveStorage: null
+};
+
+let servicesReady = null;
+let server = null;
+
+/**
+ * Response generator backed by the NLP processor's intent analysis
+ */
+const nlpResponseGenerator = {
+  async generate(context) {
+    const { analysis } = context.responseOptions;
+    const nlpResponse = services.nlpProcessor.generateResponse(analysis, context);
+
+    return {
+      success: true,
+      content: nlpResponse.text.substring(0, config.maxResponseLength),
+      confidence: nlpResponse.confidence,
+      topics: [nlpResponse.intent].filter(Boolean),
+      suggestions: nlpResponse.suggestions
+    };
+  }
+};
+
+/**
+ * Construct and initialize all services
+ */
+async function initializeServices() {
+  console.log('🚀 Initializing ASMF AI Agent services...');
+
+  services.asmfEngine = new ASMFEngine(config.engine);
+  await services.asmfEngine.initialize();
+
+  services.nlpProcessor = new NLPProcessor();
+  await services.nlpProcessor.initialize();
+
+  services.trainingProcessor = new TrainingProcessor();
+  await services.trainingProcessor.initialize();
+
+  if (config.driveEnabled) {
+    const driveStorage = new DriveStorage();
+    try {
+      await driveStorage.initialize();
+      services.driveStorage = driveStorage;
+      services.asmfEngine.setBackupTarget(driveStorage);
+      if (config.coldStorage === 'drive') {
+        services.asmfEngine.setColdStorageTarget(driveStorage);
+      }
+    } catch (error) {
+      console.warn('⚠️ Continuing without Google Drive:', error.message);
+    }
+  }
+
+  services.conversationManager = new ConversationManager({
+    memoryManager: services.asmfEngine,
+    memoryIntegration: config.memoryEnabled,
+    conversationStore: createAppConversationStore(),
+    persistenceEnabled: config.conversationStore !== 'none',
+    responseGenerator: nlpResponseGenerator,
+    proactivePredictions: config.proactivePredictions,
+    predictionMentionWindow: config.predictionMentionWindow
+  });
+  await services.conversationManager.ready;
+
+  console.log('✅ ASMF AI Agent services ready');
+}
+
+/**
+ * Pick the conversation store from CONVERSATION_STORE (json, sqlite, drive, none)
+ */
+function createAppConversationStore() {
+  switch (config.conversationStore) {
+    case 'none':
+      return null;
+    case 'sqlite':
+      return createConversationStore('sqlite', {
+        filename: path.join(config.conversationDataPath, 'conversations.db')
+      });
+    case 'drive':
+      if (services.driveStorage) {
+        return createConversationStore('drive', { driveStorage: services.driveStorage });
+      }
+      console.warn('⚠️ Google Drive unavailable, storing conversations as local JSON');
+      return createConversationStore('json', { directory: config.conversationDataPath });
+    default:
+      return createConversationStore(config.conversationStore, { directory: config.conversationDataPath });
+  }
+}
+
+function ensureServices() {
+  if (!servicesReady) {
+    servicesReady = initializeServices();
+  }
+  return servicesReady;
+}
+
+/**
+ * Shut down all services, most dependent first
+ */
+async function shutdownServices() {
+  const steps = [
+    ['Conversation Manager', () => services.conversationManager && services.conversationManager.shutdown()],
+    ['NLP Processor', () => services.nlpProcessor && services.nlpProcessor.initialized && services.nlpProcessor.shutdown()],
+    ['ASMF Engine', () => services.asmfEngine && services.asmfEngine.initialized && services.asmfEngine.shutdown()],
+    ['Google Drive', () => services.driveStorage && services.driveStorage.cleanup()]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error(`❌ ${name} shutdown failed:`, error);
+    }
+  }
+}
+
+const app = express();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxFileSizeMB * 1024 * 1024 }
+});
+
+if (config.helmetEnabled) {
+  app.use(helmet());
+}
+if (config.corsEnabled) {
+  app.use(cors({ origin: config.allowedOrigins.includes('*') ? '*' : config.allowedOrigins }));
+}
+app.use(express.json({ limit: '1mb' }));
+
+/**
+ * Health check - answers even while services are starting or failed
+ */
+app.get('/health', (req, res) => {
+  const status = {
+    asmfEngine: Boolean(services.asmfEngine && services.asmfEngine.initialized),
+    nlpProcessor: Boolean(services.nlpProcessor && services.nlpProcessor.initialized),
+    conversationManager: Boolean(services.conversationManager),
+    trainingProcessor: Boolean(services.trainingProcessor),
+    googleDrive: Boolean(services.driveStorage && services.driveStorage.isConnected())
+  };
+  const coreReady = status.asmfEngine && status.nlpProcessor &&
+    status.conversationManager && status.trainingProcessor;
+
+  res.status(coreReady ? 200 : 503).json({
+    status: coreReady ? 'healthy' : 'degraded',
+    version: packageInfo.version,
+    uptime: process.uptime(),
+    services: status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Every other route needs initialized services
+app.use(async (req, res, next) => {
+  try {
+    await ensureServices();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// req.identity: the caller verified from the bearer token, or null
+app.use(createAuthenticator({ secret: config.jwtSecret, required: config.authRequired }));
+
+/**
+ * Main conversation endpoint
+ */
+app.post('/chat', async (req, res, next) => {
+  try {
+    const { message, personality = config.defaultPersonality, explain = false } = req.body || {};
+    const { rankingProfile = PERSONALITY_RANKING_PROFILES[personality] } = req.body || {};
+    let { conversationId } = req.body || {};
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ success: false, error: 'Field "message" is required' });
+    }
+    if (!PERSONALITIES.includes(personality)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown personality "${personality}". Available: ${PERSONALITIES.join(', ')}`
+      });
+    }
+
+    // Authenticated callers get their own memory namespace; anonymous chats use the default one
+    const userId = req.identity ? req.identity.userId : 'anonymous';
+    const namespace = req.identity ? req.identity.namespace : undefined;
+
+    const { asmfEngine, conversationManager, nlpProcessor } = services;
+
+    if (rankingProfile !== undefined) {
+      try {
+        asmfEngine.getRankingProfile(rankingProfile);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+
+    // Resume the caller's conversation or start a new one
+    const existing = conversationId ? await conversationManager.getConversation(conversationId) : null;
+    if (existing && existing.success) {
+      if ((existing.context.namespace || undefined) !== namespace) {
+        return res.status(403).json({ success: false, error: 'Conversation belongs to another caller' });
+      }
+    } else {
+      const created = await conversationManager.createConversation(userId, { personality, namespace });
+      if (!created.success) {
+        throw new Error(created.error);
+      }
+      conversationId = created.conversationId;
+    }
+
+    const analysis = await nlpProcessor.processText(message);
+
+    // Recall before adding the message, which the conversation manager
+    // stores in memory, so the new message doesn't match itself
+    const recall = config.memoryEnabled
+      ? await asmfEngine.retrieveMemory({ query: message, limit: 5, namespace, options: { explain: explain === true, rankingProfile } })
+      : null;
+
+    const userMessage = await conversationManager.addMessage(conversationId, message, 'user');
+    if (!userMessage.success) {
+      throw new Error(userMessage.error);
+    }
+
+    const reply = await conversationManager.generateResponse(conversationId, {
+      personality,
+      analysis,
+      memory: recall,
+      rankingProfile
+    });
+    if (!reply.success) {
+      throw new Error(reply.error || 'Response generation failed');
+    }
+
+    res.json({
+      success: true,
+      conversationId,
+      messageId: reply.messageId,
+      response: reply.response,
+      personality,
+      analysis: {
+        language: analysis.language ? analysis.language.language : null,
+        intent: analysis.intent ? analysis.intent.intent : null,
+        sentiment: analysis.sentiment ? analysis.sentiment.sentiment : null,
+        entities: analysis.entities || []
+      },
+      memory: recall ? {
+        namespace: recall.namespace,
+        retrievalId: recall.retrievalId,
+        rankingProfile: recall.rankingProfile,
+        confidence: recall.confidence,
+        recalled: recall.results.map(result => ({
+          id: result.id,
+          layer: result.layer,
+          namespace: result.namespace,
+          text: result.text || result.name,
+          relevanceScore: result.relevanceScore,
+          citations: result.citationIds,
+          explanation: result.explanation
+        })),
+        citations: recall.citations,
+        explain: recall.explain
+      } : null,
+      metadata: reply.metadata
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Memory routes act on the caller's namespace: authenticated callers their
+ * own, anonymous requests the default one. Administrators may name any
+ * namespace in ?namespace=tenant/user[/project] (or a JSON body "namespace"
+ * field); without one they act engine-wide where a route supports it and on
+ * the default namespace elsewhere.
+ */
+app.use('/memory', (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const spec = req.query.namespace !== undefined ? req.query.namespace : body.namespace;
+
+  let requested;
+  try {
+    requested = spec === undefined ? undefined : parseNamespace(spec).key;
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (req.identity && req.identity.admin) {
+    req.namespace = requested;
+    return next();
+  }
+
+  const own = req.identity ? req.identity.namespace : DEFAULT_NAMESPACE;
+  if (requested !== undefined && requested !== own) {
+    return res.status(403).json({ success: false, error: `Namespace "${requested}" belongs to another caller` });
+  }
+  req.namespace = own;
+  next();
+});
+
+/**
+ * Routes changing engine-wide settings or state: administrators only
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.identity || !req.identity.admin) {
+    return res.status(403).json({ success: false, error: 'Administrator access is required' });
+  }
+  next();
+};
+
+// Whether the caller may see or erase a conversation: administrators any,
+// other callers only those of their namespace (anonymous requests the
+// default one's); unknown ids reveal nothing
+async function callerOwnsConversation(req, conversationId) {
+  if (req.identity && req.identity.admin) return true;
+  const conversation = await services.conversationManager.getConversation(conversationId, { limit: 1 });
+  const namespace = req.identity ? req.identity.namespace : undefined;
+  return !conversation.success || (conversation.context.namespace || undefined) === namespace;
+}
+
+/**
+ * Current memory layer status
+ */
+app.get('/memory/status', async (req, res, next) => {
+  try {
+    const status = await services.asmfEngine.getMemoryStatus({ namespace: req.namespace });
+
+    res.json({
+      success: true,
+      context: status.layers.context.size,
+      semantic: status.layers.semantic.conceptCount,
+      temporal: status.layers.temporal.eventCount,
+      namespace: status.namespace.key,
+      googleDrive: Boolean(services.driveStorage && services.driveStorage.isConnected()),
+      status
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Search memory directly; explain=true adds score breakdowns, the parsed
+ * query, thresholds and cache details for debugging recall, profile= picks
+ * the ranking profile, snapshot= or asOf= searches a past snapshot
+ */
+app.get('/memory/search', async (req, res, next) => {
+  try {
+    const query = req.query.q;
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
+    }
+
+    const limit = Math.max(1, parseInt(req.query.limit, 10) || 10);
+    // Asker's time zone for "yesterday", "this morning"
+    const timezoneOffset = queryTimezoneOffset(req.query.tzOffset);
+    if (Number.isNaN(timezoneOffset)) {
+      return res.status(400).json({ success: false, error: TZ_OFFSET_ERROR });
+    }
+    try {
+      services.asmfEngine.getRankingProfile(req.query.profile);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    try {
+      const snapshot = await services.asmfEngine.resolveSnapshotOption(req.query);
+      if (snapshot) {
+        await services.asmfEngine.getSnapshotNamespace(snapshot, req.namespace);
+      }
+    } catch (error) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    const retrieval = await services.asmfEngine.retrieveMemory({
+      query,
+      limit,
+      namespace: req.namespace,
+      options: {
+        explain: req.query.explain === 'true',
+        reinforce: false,
+        rankingProfile: req.query.profile,
+        snapshot: req.query.snapshot,
+        asOf: req.query.asOf,
+        parseTemporal: req.query.temporal !== 'false',
+        rehydrate: req.query.rehydrate !== 'false',
+        tiers: req.query.tiers !== 'false',
+        timezoneOffset
+      }
+    });
+
+    res.json(retrieval);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Ranking profiles: list, define custom weights, switch the active profile
+ * and learn weights from logged feedback. Profiles are engine-wide, so
+ * changing them is for administrators.
+ */
+app.get('/memory/ranking/profiles', (req, res) => {
+  res.json({ success: true, ...services.asmfEngine.listRankingProfiles() });
+});
+
+app.put('/memory/ranking/profiles/:name', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.updateRankingProfile(req.params.name, req.body || {});
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/memory/ranking/active', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.setDefaultRankingProfile((req.body || {}).profile);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Feedback on a result of a /chat recall or /memory/search: body
+ * { retrievalId, resultId, relevant }
+ */
+app.post('/memory/ranking/feedback', async (req, res, next) => {
+  try {
+    const { retrievalId, resultId, relevant = true } = req.body || {};
+    if (!retrievalId || !resultId) {
+      return res.status(400).json({ success: false, error: 'Fields "retrievalId" and "resultId" are required' });
+    }
+    if (typeof relevant !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'Field "relevant" must be a boolean' });
+    }
+
+    const result = await services.asmfEngine.recordRankingFeedback({ retrievalId, resultId, relevant });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Learn a ranking profile from the feedback log: body { name, base,
+ * activate, minPairs, epochs } (feedback of ?namespace= only, if given)
+ */
+app.post('/memory/ranking/learn', requireAdmin, async (req, res, next) => {
+  try {
+    const { name, base, activate = false, minPairs, epochs } = req.body || {};
+    const result = await services.asmfEngine.learnRankingProfile({
+      name,
+      base,
+      activate: activate === true,
+      namespace: req.namespace,
+      minPairs,
+      epochs
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pin or unpin a working memory (pinned memories never fade)
+ */
+const setMemoryPin = pinned => async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.pinMemory(req.params.memoryId, pinned, { namespace: req.namespace });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.post('/memory/context/:memoryId/pin', setMemoryPin(true));
+app.delete('/memory/context/:memoryId/pin', setMemoryPin(false));
+
+/**
+ * Memory namespaces: listing and quotas (administrators), and the
+ * shared-knowledge opt-in of the caller's namespace
+ */
+app.get('/memory/namespaces', requireAdmin, async (req, res, next) => {
+  try {
+    res.json(await services.asmfEngine.listNamespaces());
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/memory/namespaces', async (req, res, next) => {
+  try {
+    const { quotas, sharedKnowledge } = req.body || {};
+    if (sharedKnowledge !== undefined && typeof sharedKnowledge !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'Field "sharedKnowledge" must be a boolean' });
+    }
+    if (quotas !== undefined && !(req.identity && req.identity.admin)) {
+      return res.status(403).json({ success: false, error: 'Only administrators can change quotas' });
+    }
+
+    const result = await services.asmfEngine.configureNamespace(req.namespace, { quotas, sharedKnowledge });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Back up a namespace to Google Drive, or restore it from there
+ */
+const requireDrive = (req, res, next) => {
+  if (!services.driveStorage || !services.driveStorage.isConnected()) {
+    return res.status(503).json({ success: false, error: 'Google Drive is not connected' });
+  }
+  next();
+};
+
+app.post('/memory/backup', requireDrive, async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.backupNamespace({ namespace: req.namespace });
+    if (!result.success) {
+      return res.status(502).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/memory/restore', requireDrive, async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.restoreNamespace({
+      namespace: req.namespace,
+      backupId: (req.body && req.body.backupId) || req.query.backupId
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Versioned snapshots of the whole engine: list, create ({ name,
+ * description }), diff two snapshots (to=current by default), restore and
+ * delete. :snapshot is a version (3 or v3) or a name. Creating and deleting
+ * snapshots is for administrators; other callers see and restore only
+ * their own namespace.
+ */
+app.get('/memory/snapshots', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.listSnapshots();
+    if (!(req.identity && req.identity.admin)) {
+      result.snapshots = result.snapshots.map(snapshot => ({
+        ...snapshot,
+        namespaces: snapshot.namespaces.filter(entry => entry.key === req.namespace)
+      }));
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/memory/snapshots', requireAdmin, async (req, res, next) => {
+  try {
+    const { name, description } = req.body || {};
+    const result = await services.asmfEngine.createSnapshot({ name, description });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/snapshots/diff', async (req, res, next) => {
+  try {
+    const { from, to = 'current' } = req.query;
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'Query parameter "from" is required' });
+    }
+
+    const result = await services.asmfEngine.diffSnapshots(from, to, {
+      namespace: req.namespace,
+      limit: Math.max(1, parseInt(req.query.limit, 10) || 100)
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/memory/snapshots/:snapshot/restore', async (req, res, next) => {
+  try {
+    // Anonymous requests share the default namespace: none of them may roll it back
+    if (!req.identity) {
+      return res.status(401).json({ success: false, error: 'A bearer token is required' });
+    }
+
+    const result = await services.asmfEngine.restoreSnapshot(req.params.snapshot, {
+      namespace: req.namespace,
+      backup: (req.body || {}).backup !== false
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/memory/snapshots/:snapshot', requireAdmin, async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.deleteSnapshot(req.params.snapshot);
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Encryption at rest: algorithm and key ids (never key material), and key
+ * rotation ({ generate }, administrators only) re-encrypting state, backups
+ * and snapshots
+ */
+app.get('/memory/encryption', (req, res) => {
+  res.json(services.asmfEngine.getEncryptionStatus());
+});
+
+app.post('/memory/encryption/rotate', requireAdmin, async (req, res, next) => {
+  try {
+    const { generate } = req.body || {};
+    const result = await services.asmfEngine.rotateEncryptionKeys({ generate });
+    if (!result.success) {
+      // Files that failed to re-encrypt are a server problem; the rest are bad requests
+      return res.status(result.files ? 500 : 400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Right to be forgotten: erase memories by fingerprint, conversation, source
+ * document or user ({ userId, tenantId }) from the caller's namespace,
+ * including backups and stored conversations. Callers can only erase
+ * themselves as a user; administrators erase across every namespace (or
+ * just ?namespace=), training files on Drive included.
+ */
+app.post('/memory/forget', async (req, res, next) => {
+  try {
+    const { fingerprint, conversationId, document, userId } = req.body || {};
+    let { tenantId } = req.body || {};
+    const { asmfEngine, conversationManager, driveStorage } = services;
+    const admin = Boolean(req.identity && req.identity.admin);
+
+    if (userId !== undefined && !admin) {
+      if (!req.identity || userId !== req.identity.userId ||
+        (tenantId !== undefined && tenantId !== req.identity.tenantId)) {
+        return res.status(403).json({ success: false, error: 'Only your own memories can be forgotten' });
+      }
+      tenantId = req.identity.tenantId;
+    }
+    if (conversationId && !await callerOwnsConversation(req, conversationId)) {
+      return res.status(403).json({ success: false, error: 'Conversation belongs to another caller' });
+    }
+
+    const report = await asmfEngine.forget({ fingerprint, conversationId, document, userId, tenantId }, { namespace: req.namespace });
+    if (!report.success) {
+      return res.status(400).json(report);
+    }
+
+    // Conversations the forgotten memories came from go too
+    report.conversationsDeleted = conversationId || userId || report.conversationIds.length > 0
+      ? await conversationManager.forgetConversations({
+        conversationId,
+        conversationIds: report.conversationIds,
+        userId,
+        tenantId: report.criteria.tenantId
+      })
+      : [];
+
+    // Training files feed the shared namespace
+    report.trainingFilesDeleted = [];
+    const coversShared = req.namespace === undefined || req.namespace === SHARED_NAMESPACE;
+    if (document && admin && coversShared && driveStorage && driveStorage.isConnected()) {
+      report.trainingFilesDeleted = await driveStorage.deleteFilesByOriginalName(document, 'training');
+    }
+
+    res.json(report);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Knowledge graph exploration over the semantic layer
+ */
+const queryInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Time zone of the asker in minutes east of UTC: undefined when not given, NaN when invalid
+const TZ_OFFSET_ERROR = 'tzOffset must be minutes east of UTC (-840 to 840)';
+const queryTimezoneOffset = value => {
+  if (value === undefined) return undefined;
+  const offset = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  return Math.abs(offset) <= 14 * 60 ? offset : NaN;
+};
+
+const sendGraphResult = (res, result) => {
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+  res.json(result);
+};
+
+app.get('/memory/graph/central', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getCentralConcepts({
+      namespace: req.namespace,
+      measure: req.query.measure,
+      limit: queryInt(req.query.limit, 20)
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/graph/clusters', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getConceptClusters({
+      namespace: req.namespace,
+      limit: queryInt(req.query.limit, 50),
+      includeConcepts: req.query.concepts !== 'false'
+    });
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/graph/path', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ success: false, error: 'Query parameters "from" and "to" are required' });
+    }
+
+    const result = await services.asmfEngine.findConceptPath(from, to, {
+      namespace: req.namespace,
+      weighted: req.query.weighted !== 'false',
+      maxHops: queryInt(req.query.maxHops, undefined)
+    });
+    sendGraphResult(res, result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/graph/concepts/:concept/neighbors', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getConceptNeighbors(req.params.concept, {
+      namespace: req.namespace,
+      limit: queryInt(req.query.limit, undefined),
+      minWeight: queryInt(req.query.minWeight, 0)
+    });
+    sendGraphResult(res, result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/graph/concepts/:concept/expand', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.expandConcept(req.params.concept, {
+      namespace: req.namespace,
+      hops: queryInt(req.query.hops, 2),
+      limit: queryInt(req.query.limit, 100),
+      minWeight: queryInt(req.query.minWeight, 0)
+    });
+    sendGraphResult(res, result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/graph/concepts/:concept/subgraph', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getConceptSubgraph(req.params.concept, {
+      namespace: req.namespace,
+      hops: queryInt(req.query.hops, 1),
+      maxNodes: queryInt(req.query.maxNodes, 50),
+      minWeight: queryInt(req.query.minWeight, 0)
+    });
+    sendGraphResult(res, result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Semantic graph interchange (GraphML, JSON-LD, N-Triples)
+ */
+app.get('/memory/graph/export', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.exportSemanticGraph({ format: req.query.format, namespace: req.namespace });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    if (req.query.download === 'true') {
+      res.attachment(`asmf-semantic-graph.${result.extension}`);
+    }
+    res.type(result.contentType);
+    res.send(result.data);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+const graphBody = express.text({
+  type: ['text/*', 'application/xml', 'application/*+xml', 'application/n-triples', 'application/ld+json'],
+  limit: `${config.maxFileSizeMB}mb`
+});
+
+app.post('/memory/graph/import', graphBody, async (req, res, next) => {
+  try {
+    const body = req.body;
+    if (!body || (typeof body === 'string' ? !body.trim() : Object.keys(body).length === 0)) {
+      return res.status(400).json({ success: false, error: 'Request body must contain a GraphML, JSON-LD or N-Triples graph' });
+    }
+
+    const result = await services.asmfEngine.importSemanticGraph(body, {
+      namespace: req.namespace,
+      format: req.query.format,
+      mode: req.query.mode
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Timelines (events grouped by metadata.timeline, or by day): list, page
+ * through events, extractive summaries; and day/week/month digests
+ * (GET /memory/digests/week is "what happened this week")
+ */
+app.get('/memory/timelines', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.listTimelines({
+      namespace: req.namespace,
+      type: req.query.type,
+      limit: Math.max(1, queryInt(req.query.limit, 50)),
+      offset: Math.max(0, queryInt(req.query.offset, 0))
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/timelines/:key/events', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getTimelineEvents(req.params.key, {
+      namespace: req.namespace,
+      limit: Math.max(1, queryInt(req.query.limit, 50)),
+      offset: Math.max(0, queryInt(req.query.offset, 0)),
+      order: req.query.order === 'desc' ? 'desc' : 'asc'
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/timelines/:key/summary', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.getTimelineSummary(req.params.key, {
+      namespace: req.namespace,
+      sentences: queryInt(req.query.sentences, undefined)
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/memory/digests/:period', async (req, res, next) => {
+  try {
+    const timezoneOffset = queryTimezoneOffset(req.query.tzOffset);
+    if (Number.isNaN(timezoneOffset)) {
+      return res.status(400).json({ success: false, error: TZ_OFFSET_ERROR });
+    }
+
+    const result = await services.asmfEngine.getDigest({
+      namespace: req.namespace,
+      period: req.params.period,
+      date: req.query.date,
+      offset: queryInt(req.query.offset, 0),
+      sentences: queryInt(req.query.sentences, undefined),
+      timezoneOffset
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Predictions: upcoming occurrences of recurring events (?days= ahead,
+ * includeDismissed=true), confirmed or dismissed by the user
+ */
+app.get('/memory/predictions', async (req, res, next) => {
+  try {
+    const timezoneOffset = queryTimezoneOffset(req.query.tzOffset);
+    if (Number.isNaN(timezoneOffset)) {
+      return res.status(400).json({ success: false, error: TZ_OFFSET_ERROR });
+    }
+
+    const days = queryInt(req.query.days, undefined);
+    const result = await services.asmfEngine.getPredictions({
+      namespace: req.namespace,
+      horizon: days !== undefined ? days * 86400000 : undefined,
+      limit: Math.max(1, queryInt(req.query.limit, 20)),
+      includeDismissed: req.query.includeDismissed === 'true',
+      timezoneOffset
+    });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/memory/predictions/:id/:action(confirm|dismiss)', async (req, res, next) => {
+  try {
+    const result = await services.asmfEngine.updatePrediction(req.params.id, req.params.action, {
+      namespace: req.namespace
+    });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Conversation history: one conversation, a search, or a listing
+ */
+app.get('/memory/conversations', async (req, res, next) => {
+  try {
+    const { conversationId, q, userId, status } = req.query;
+    const namespace = req.namespace;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { conversationManager } = services;
+
+    if (conversationId && !await callerOwnsConversation(req, conversationId)) {
+      return res.status(403).json({ success: false, error: 'Conversation belongs to another caller' });
+    }
+
+    let result;
+    if (conversationId && (req.query.from !== undefined || req.query.to !== undefined)) {
+      // Archived messages by sequence range
+      result = await conversationManager.getConversationFragments(conversationId, {
+        from: req.query.from !== undefined ? parseInt(req.query.from, 10) : undefined,
+        to: req.query.to !== undefined ? parseInt(req.query.to, 10) : undefined
+      });
+    } else if (conversationId) {
+      result = await conversationManager.getConversation(conversationId, {
+        limit,
+        includeArchived: req.query.archived === 'true'
+      });
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+    } else if (q) {
+      result = await conversationManager.searchConversations(q, { userId, namespace, status, limit });
+    } else {
+      result = await conversationManager.listConversations({ userId, namespace, status, limit });
+    }
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    res.json(result);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Upload a file for training
+ */
+app.post('/training/upload', upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded (expected field "file")' });
+    }
+
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    if (!config.allowedFileTypes.includes(extension)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported file type "${extension}". Allowed: ${config.allowedFileTypes.join(', ')}`
+      });
+    }
+
+    const { category = 'general', sessionId = 'default' } = req.body || {};
+    const { asmfEngine, trainingProcessor, driveStorage } = services;
+
+    // Training feeds the shared knowledge namespaces opt into, unless a namespace is given
+    let namespace = SHARED_NAMESPACE;
+    if (req.body && req.body.namespace) {
+      try {
+        namespace = parseNamespace(req.body.namespace).key;
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+
+    const result = await trainingProcessor.processFile(req.file, { category, sessionId });
+
+    // Feed the summary and extracted knowledge into memory
+    let memoriesCreated = 0;
+    if (config.memoryEnabled) {
+      const items = [
+        { content: result.summary, type: 'summary', extractor: 'training.summary' },
+        ...result.knowledge
+      ].filter(item => item.content && item.content.trim());
+
+      for (const item of items) {
+        await asmfEngine.processInformation(item.content, {
+          namespace,
+          source: 'training',
+          fileName: result.name,
+          category,
+          knowledgeType: item.type,
+          timeline: `training-${category}`,
+          provenance: {
+            extractor: item.extractor,
+            confidence: item.confidence,
+            page: item.page,
+            offsets: Number.isInteger(item.start) ? { start: item.start, end: item.end } : null
+          }
+        });
+        memoriesCreated++;
+      }
+    }
+
+    // Keep the original on Drive when connected
+    let driveFile = null;
+    if (driveStorage && driveStorage.isConnected()) {
+      try {
+        driveFile = await driveStorage.saveFile(req.file.buffer, req.file.originalname, {
+          category,
+          folder: 'training'
+        });
+      } catch (error) {
+        console.warn('⚠️ Failed to store training file on Drive:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      file: {
+        name: result.name,
+        size: result.size,
+        type: result.type,
+        category: result.category
+      },
+      summary: result.summary,
+      knowledgeItems: result.knowledge.length,
+      entities: result.entities.length,
+      relationships: result.relationships.length,
+      sentiment: result.sentiment,
+      processingTime: result.processingTime,
+      namespace,
+      memoriesCreated,
+      drive: driveFile
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Agent capabilities and info
+ */
+app.get('/agent/info', async (req, res, next) => {
+  try {
+    const systemInfo = await services.asmfEngine.getSystemInfo();
+
+    res.json({
+      success: true,
+      name: 'ASMF AI Agent',
+      version: packageInfo.version,
+      description: packageInfo.description,
+      personalities: PERSONALITIES,
+      defaultPersonality: config.defaultPersonality,
+      memory: {
+        enabled: config.memoryEnabled,
+        layers: systemInfo.memoryLayers,
+        features: systemInfo.features,
+        uptime: systemInfo.uptime
+      },
+      nlp: {
+        languages: services.nlpProcessor.config.supportLanguages,
+        statistics: services.nlpProcessor.getStatistics()
+      },
+      training: {
+        supportedFormats: config.allowedFileTypes,
+        maxFileSizeMB: config.maxFileSizeMB
+      },
+      integrations: {
+        googleDrive: Boolean(services.driveStorage && services.driveStorage.isConnected())
+      },
+      endpoints: [
+        { path: '/chat', method: 'POST' },
+        { path: '/memory/status', method: 'GET' },
+        { path: '/memory/search', method: 'GET' },
+        { path: '/memory/ranking/profiles', method: 'GET' },
+        { path: '/memory/ranking/profiles/:name', method: 'PUT' },
+        { path: '/memory/ranking/active', method: 'PUT' },
+        { path: '/memory/ranking/feedback', method: 'POST' },
+        { path: '/memory/ranking/learn', method: 'POST' },
+        { path: '/memory/conversations', method: 'GET' },
+        { path: '/memory/context/:memoryId/pin', method: 'POST' },
+        { path: '/memory/context/:memoryId/pin', method: 'DELETE' },
+        { path: '/memory/namespaces', method: 'GET' },
+        { path: '/memory/namespaces', method: 'PUT' },
+        { path: '/memory/backup', method: 'POST' },
+        { path: '/memory/restore', method: 'POST' },
+        { path: '/memory/forget', method: 'POST' },
+        { path: '/memory/snapshots', method: 'GET' },
+        { path: '/memory/snapshots', method: 'POST' },
+        { path: '/memory/snapshots/diff', method: 'GET' },
+        { path: '/memory/snapshots/:snapshot/restore', method: 'POST' },
+        { path: '/memory/snapshots/:snapshot', method: 'DELETE' },
+        { path: '/memory/encryption', method: 'GET' },
+        { path: '/memory/encryption/rotate', method: 'POST' },
+        { path: '/memory/graph/central', method: 'GET' },
+        { path: '/memory/graph/clusters', method: 'GET' },
+        { path: '/memory/graph/path', method: 'GET' },
+        { path: '/memory/graph/concepts/:concept/neighbors', method: 'GET' },
+        { path: '/memory/graph/concepts/:concept/expand', method: 'GET' },
+        { path: '/memory/graph/concepts/:concept/subgraph', method: 'GET' },
+        { path: '/memory/graph/export', method: 'GET' },
+        { path: '/memory/graph/import', method: 'POST' },
+        { path: '/memory/timelines', method: 'GET' },
+        { path: '/memory/timelines/:key/events', method: 'GET' },
+        { path: '/memory/timelines/:key/summary', method: 'GET' },
+        { path: '/memory/digests/:period', method: 'GET' },
+        { path: '/memory/predictions', method: 'GET' },
+        { path: '/memory/predictions/:id/confirm', method: 'POST' },
+        { path: '/memory/predictions/:id/dismiss', method: 'POST' },
+        { path: '/training/upload', method: 'POST' },
+        { path: '/agent/info', method: 'GET' },
+        { path: '/health', method: 'GET' }
+      ]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use((req, res) => {
+  res.status(404).json({ success: false, error: `Route ${req.method} ${req.path} not found` });
+});
+
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.error('❌ Request failed:', error);
+  res.status(500).json({ success: false, error: error.message });
+});
+
+/**
+ * Graceful shutdown on SIGTERM/SIGINT
+ */
+async function shutdown(signal) {
+  console.log(`🛑 Received ${signal}, shutting down...`);
+
+  if (server) {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await shutdownServices();
+
+  process.exit(0);
+}
+
+async function start() {
+  try {
+    await ensureServices();
+    server = app.listen(config.port, () => {
+      console.log(`🌐 ASMF AI Agent listening on port ${config.port}`);
+    });
+
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+  } catch (error) {
+    console.error('❌ Failed to start ASMF AI Agent:', error);
+    await shutdownServices();
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
+module.exports.services = services;
+module.exports.shutdownServices = shutdownServices;
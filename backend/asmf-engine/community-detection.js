@@ -0,0 +1,203 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Community Detection
+ * Louvain modularity optimization over the weighted concept graph
+ *
+ * - Local moving of nodes between communities, then aggregation of each
+ *   community into a single node, repeated until modularity stops improving
+ * - Optional initial partition so a re-run after small graph changes starts
+ *   from the previous communities and converges in a few sweeps
+ * - Deterministic: nodes are visited in insertion order
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+/**
+ * Partition an undirected weighted graph.
+ *
+ * adjacency: Map node -> Map neighbor -> weight (symmetric, no self loops needed)
+ * options.initial: Map node -> community key to start from
+ * options.resolution: > 1 favours smaller communities
+ *
+ * Returns { communities: Map node -> community index, modularity, levels }
+ */
+function louvain(adjacency, options = {}) {
+    const resolution = options.resolution || 1;
+    const maxLevels = options.maxLevels || 10;
+    const maxSweeps = options.maxSweeps || 20;
+    const minGain = options.minGain || 1e-7;
+
+    const nodes = Array.from(adjacency.keys());
+    const nodeIndex = new Map(nodes.map((node, index) => [node, index]));
+
+    // Level-0 graph with integer node ids
+    let graph = {
+        size: nodes.length,
+        edges: nodes.map(node => {
+            const links = new Map();
+            for (const [neighbor, weight] of adjacency.get(node)) {
+                if (nodeIndex.has(neighbor) && weight > 0) {
+                    links.set(nodeIndex.get(neighbor), weight);
+                }
+            }
+            return links;
+        })
+    };
+
+    // membership[i] = community of original node i at the current level
+    let membership = nodes.map((node, index) => index);
+    let initial = null;
+    if (options.initial) {
+        const keys = new Map();
+        initial = nodes.map((node, index) => {
+            const key = options.initial.get(node);
+            if (key === undefined || key === null) return index;
+            if (!keys.has(key)) keys.set(key, index);
+            return keys.get(key);
+        });
+    }
+
+    let levels = 0;
+    while (levels < maxLevels) {
+        const { community, moved } = moveNodes(graph, levels === 0 ? initial : null, resolution, maxSweeps, minGain);
+        levels++;
+
+        const { renumbered, count } = renumber(community);
+        membership = membership.map(node => renumbered[node]);
+
+        if (!moved && levels > 1) break;
+        if (count === graph.size) break;
+
+        graph = aggregate(graph, renumbered, count);
+    }
+
+    const communities = new Map(nodes.map((node, index) => [node, membership[index]]));
+    return {
+        communities,
+        modularity: modularity(adjacency, communities, resolution),
+        levels
+    };
+}
+
+/**
+ * Local moving phase; returns the community of each node and whether any node moved
+ */
+function moveNodes(graph, initial, resolution, maxSweeps, minGain) {
+    const community = initial ? initial.slice() : Array.from({ length: graph.size }, (value, index) => index);
+    const degrees = graph.edges.map((links, node) => {
+        let degree = 0;
+        for (const [neighbor, weight] of links) {
+            degree += neighbor === node ? 2 * weight : weight;
+        }
+        return degree;
+    });
+    const totalDegree = degrees.reduce((sum, degree) => sum + degree, 0);
+    if (totalDegree === 0) return { community, moved: false };
+
+    const totals = new Array(graph.size).fill(0);
+    degrees.forEach((degree, node) => {
+        totals[community[node]] += degree;
+    });
+
+    let moved = false;
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+        let improved = false;
+
+        for (let node = 0; node < graph.size; node++) {
+            const current = community[node];
+            const degree = degrees[node];
+
+            // Weight from this node into each neighbouring community
+            const linksTo = new Map();
+            for (const [neighbor, weight] of graph.edges[node]) {
+                if (neighbor === node) continue;
+                linksTo.set(community[neighbor], (linksTo.get(community[neighbor]) || 0) + weight);
+            }
+
+            totals[current] -= degree;
+
+            let best = current;
+            let bestGain = (linksTo.get(current) || 0) - resolution * totals[current] * degree / totalDegree;
+            for (const [candidate, weight] of linksTo) {
+                const gain = weight - resolution * totals[candidate] * degree / totalDegree;
+                if (gain > bestGain + minGain) {
+                    best = candidate;
+                    bestGain = gain;
+                }
+            }
+
+            totals[best] += degree;
+            if (best !== current) {
+                community[node] = best;
+                improved = true;
+                moved = true;
+            }
+        }
+
+        if (!improved) break;
+    }
+
+    return { community, moved };
+}
+
+function renumber(community) {
+    const mapping = new Map();
+    const renumbered = community.map(key => {
+        if (!mapping.has(key)) mapping.set(key, mapping.size);
+        return mapping.get(key);
+    });
+    return { renumbered, count: mapping.size };
+}
+
+/**
+ * Collapse each community into one node; internal weight becomes a self loop
+ */
+function aggregate(graph, community, count) {
+    const edges = Array.from({ length: count }, () => new Map());
+
+    graph.edges.forEach((links, node) => {
+        const from = community[node];
+        for (const [neighbor, weight] of links) {
+            const to = community[neighbor];
+            // Each undirected edge is seen from both ends; self loops only once
+            const contribution = neighbor === node ? weight : weight / 2;
+            edges[from].set(to, (edges[from].get(to) || 0) + contribution);
+            if (from !== to) {
+                edges[to].set(from, (edges[to].get(from) || 0) + contribution);
+            }
+        }
+    });
+
+    return { size: count, edges };
+}
+
+/**
+ * Newman modularity of a partition of the original graph
+ */
+function modularity(adjacency, communities, resolution = 1) {
+    let totalWeight = 0;
+    const internal = new Map();
+    const totals = new Map();
+
+    for (const [node, links] of adjacency) {
+        const community = communities.get(node);
+        for (const [neighbor, weight] of links) {
+            if (!communities.has(neighbor)) continue;
+            totalWeight += weight;
+            totals.set(community, (totals.get(community) || 0) + weight);
+            if (communities.get(neighbor) === community) {
+                internal.set(community, (internal.get(community) || 0) + weight);
+            }
+        }
+    }
+    if (totalWeight === 0) return 0;
+
+    let score = 0;
+    for (const [community, total] of totals) {
+        score += (internal.get(community) || 0) / totalWeight - resolution * Math.pow(total / totalWeight, 2);
+    }
+    return score;
+}
+
+module.exports = { louvain, modularity };
@@ -0,0 +1,446 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Concept Extraction
+ * Learns concepts from content instead of a fixed keyword table
+ *
+ * Pipeline:
+ * 1. Candidate phrases - noun-phrase chunking with natural's Brill POS tagger
+ *    for English text, stopword/punctuation splitting (RAKE) otherwise
+ * 2. Keyphrase scoring - RAKE word degree/frequency blended with TextRank
+ *    over the word co-occurrence graph
+ * 3. Ontology - optional JSON/YAML file of concepts with synonyms and
+ *    broader/narrower terms; synonyms map to the canonical concept and
+ *    broader terms are added alongside
+ *
+ * Ontology file format (YAML shown, JSON equivalent):
+ *   concepts:
+ *     machine learning:
+ *       synonyms: [ml, statistical learning]
+ *       broader: [artificial intelligence]
+ *       narrower: [deep learning]
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STOP_WORDS = new Set([
+    // English
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+    'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+    'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few',
+    'for', 'from', 'further', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+    'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+    'itself', 'just', 'let', 'like', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself',
+    'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours',
+    'ourselves', 'out', 'over', 'own', 'please', 'really', 'same', 'she', 'should', 'so', 'some',
+    'such', 'tell', 'than', 'thanks', 'that', 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+    'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to', 'too', 'under',
+    'until', 'up', 'use', 'used', 'using', 'very', 'want', 'was', 'we', 'were', 'what', 'when',
+    'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'yes', 'yet', 'you',
+    'your', 'yours', 'yourself', 'yourselves', 'new', 'old', 'good', 'great', 'many', 'lot', 'lots',
+    'way', 'something', 'anything', 'everything', 'nothing', 'someone', 'today', 'yesterday', 'tomorrow',
+    'last', 'next', 'first', 'better', 'best', 'worse', 'worst', 'big', 'small', 'little', 'different',
+    // German
+    'der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'einen', 'nicht', 'mit', 'von', 'zu', 'den',
+    'dem', 'des', 'auf', 'für', 'ich', 'sie', 'es', 'wir', 'ihr', 'auch', 'sich', 'wie', 'im',
+    'oder', 'aber', 'bei', 'nach', 'aus', 'war', 'wird', 'sind', 'habe', 'hat', 'noch', 'nur',
+    // Russian
+    'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она',
+    'так', 'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'только', 'ее', 'мне',
+    'было', 'вот', 'от', 'меня', 'еще', 'нет', 'о', 'из', 'ему', 'это', 'мы', 'для', 'мой', 'моя',
+    // Ukrainian
+    'і', 'й', 'та', 'що', 'це', 'як', 'але', 'від', 'до', 'про', 'мені', 'ми', 'ви', 'він',
+    'вона', 'воно', 'вони', 'так', 'ще', 'вже', 'був', 'була', 'було', 'цей', 'ця', 'мій'
+]);
+
+// Adjectives, nouns and gerund modifiers can form a noun phrase; it must end in a noun
+const PHRASE_TAGS = new Set(['JJ', 'JJR', 'JJS', 'NN', 'NNS', 'NNP', 'NNPS', 'VBG']);
+const NOUN_TAGS = new Set(['NN', 'NNS', 'NNP', 'NNPS']);
+
+/**
+ * Canonical form used for concept names and ontology labels
+ */
+function normalizeLabel(label) {
+    return String(label).toLowerCase().normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Concept synonyms and broader/narrower relations
+ */
+class ConceptOntology {
+    constructor() {
+        this.labels = new Map(); // label -> canonical concept
+        this.broader = new Map(); // concept -> Set of broader concepts
+        this.narrower = new Map(); // concept -> Set of narrower concepts
+        this.maxLabelWords = 1;
+    }
+
+    get size() {
+        return this.broader.size;
+    }
+
+    /**
+     * Load from a .json, .yaml or .yml file
+     */
+    static async load(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+
+        let data;
+        if (extension === '.yaml' || extension === '.yml') {
+            let yaml;
+            try {
+                yaml = require('js-yaml');
+            } catch (error) {
+                throw new Error('YAML ontologies require the optional "js-yaml" package');
+            }
+            data = yaml.load(content);
+        } else {
+            data = JSON.parse(content);
+        }
+
+        return ConceptOntology.fromObject(data);
+    }
+
+    /**
+     * Accepts { concepts: { name: {...} } }, { concepts: [{ name, ... }] } or a bare array
+     */
+    static fromObject(data) {
+        const ontology = new ConceptOntology();
+        const entries = Array.isArray(data) ? data : (data && data.concepts) || {};
+
+        const definitions = Array.isArray(entries)
+            ? entries
+            : Object.entries(entries).map(([name, definition]) => ({ name, ...(definition || {}) }));
+
+        for (const definition of definitions) {
+            const name = definition.name || definition.label;
+            if (!name) {
+                throw new Error('Ontology concept is missing a name');
+            }
+            ontology.addConcept(name, definition);
+        }
+
+        return ontology;
+    }
+
+    addConcept(name, definition = {}) {
+        const concept = normalizeLabel(name);
+        this.ensureConcept(concept);
+
+        for (const synonym of definition.synonyms || []) {
+            this.addLabel(synonym, concept);
+        }
+        for (const broader of definition.broader || []) {
+            this.relate(concept, normalizeLabel(broader));
+        }
+        for (const narrower of definition.narrower || []) {
+            this.relate(normalizeLabel(narrower), concept);
+        }
+    }
+
+    ensureConcept(concept) {
+        if (!this.broader.has(concept)) {
+            this.broader.set(concept, new Set());
+            this.narrower.set(concept, new Set());
+            this.addLabel(concept, concept);
+        }
+    }
+
+    addLabel(label, concept) {
+        const normalized = normalizeLabel(label);
+        this.labels.set(normalized, concept);
+        this.maxLabelWords = Math.max(this.maxLabelWords, normalized.split(' ').length);
+    }
+
+    relate(narrowerConcept, broaderConcept) {
+        this.ensureConcept(narrowerConcept);
+        this.ensureConcept(broaderConcept);
+        this.broader.get(narrowerConcept).add(broaderConcept);
+        this.narrower.get(broaderConcept).add(narrowerConcept);
+    }
+
+    canonical(label) {
+        return this.labels.get(normalizeLabel(label)) || null;
+    }
+
+    /**
+     * Canonical concepts whose labels occur in the lowercased word sequence
+     */
+    match(words) {
+        const found = new Set();
+
+        for (let start = 0; start < words.length; start++) {
+            for (let length = Math.min(this.maxLabelWords, words.length - start); length > 0; length--) {
+                const concept = this.labels.get(words.slice(start, start + length).join(' '));
+                if (concept) {
+                    found.add(concept);
+                    break;
+                }
+            }
+        }
+
+        return Array.from(found);
+    }
+
+    getBroader(concept) {
+        return Array.from(this.broader.get(concept) || []);
+    }
+
+    getNarrower(concept) {
+        return Array.from(this.narrower.get(concept) || []);
+    }
+}
+
+class ConceptExtractor {
+    constructor(config = {}) {
+        this.config = {
+            maxConcepts: config.maxConcepts || 8,
+            maxPhraseWords: config.maxPhraseWords || 3,
+            ontologyPath: config.ontologyPath || null,
+            includeBroader: config.includeBroader !== false,
+            useTagger: config.useTagger !== false,
+            knownConceptBoost: config.knownConceptBoost || 0.25
+        };
+
+        this.ontology = new ConceptOntology();
+        this.tagger = null;
+        this.inflector = null;
+    }
+
+    /**
+     * Load the POS tagger and ontology file (both optional)
+     */
+    async initialize() {
+        if (this.config.useTagger && !this.tagger) {
+            try {
+                const natural = require('natural');
+                this.tagger = new natural.BrillPOSTagger(
+                    new natural.Lexicon('EN', 'N', 'NNP'),
+                    new natural.RuleSet('EN')
+                );
+                this.inflector = new natural.NounInflector();
+            } catch (error) {
+                console.warn('⚠️ POS tagger unavailable, using stopword chunking:', error.message);
+            }
+        }
+
+        if (this.config.ontologyPath) {
+            await this.loadOntology(this.config.ontologyPath);
+        }
+    }
+
+    async loadOntology(filePath) {
+        this.ontology = await ConceptOntology.load(filePath);
+        this.config.ontologyPath = filePath;
+        console.log(`🗂️ Loaded ontology with ${this.ontology.size} concepts from ${filePath}`);
+        return this.ontology.size;
+    }
+
+    /**
+     * Extract ranked concept names from text.
+     * options.isKnown(name) lets already-learned concepts win ties against new phrases.
+     */
+    extract(text, options = {}) {
+        const sentences = this.splitSentences(String(text || ''));
+        const candidates = [];
+        const sequence = []; // content words in order, for TextRank
+
+        for (const sentence of sentences) {
+            const words = sentence.match(/[\p{L}\p{N}][\p{L}\p{N}'+#.-]*/gu) || [];
+            const cleaned = words.map(word => word.replace(/[.'-]+$/, ''));
+            const phrases = this.chunkPhrases(cleaned);
+
+            for (const phrase of phrases) {
+                candidates.push(phrase);
+                sequence.push(...phrase, null); // null breaks co-occurrence between phrases
+            }
+        }
+
+        const scores = this.scorePhrases(candidates, sequence);
+
+        // Ontology labels anywhere in the text always count
+        const lowerWords = (String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}][\p{L}\p{N}'+#.-]*/gu) || [])
+            .map(word => word.replace(/[.'-]+$/, ''));
+        for (const concept of this.ontology.match(lowerWords)) {
+            scores.set(concept, Math.max(scores.get(concept) || 0, 1) + 0.5);
+        }
+
+        const ranked = Array.from(scores.entries())
+            .map(([phrase, score]) => {
+                const concept = this.ontology.canonical(phrase) || phrase;
+                const boost = options.isKnown && options.isKnown(concept) ? this.config.knownConceptBoost : 0;
+                return [concept, score + boost];
+            })
+            .sort((a, b) => b[1] - a[1]);
+
+        const concepts = [];
+        for (const [concept] of ranked) {
+            if (!concepts.includes(concept)) {
+                concepts.push(concept);
+            }
+            if (concepts.length >= this.config.maxConcepts) break;
+        }
+
+        if (this.config.includeBroader) {
+            for (const concept of concepts.slice()) {
+                for (const broader of this.ontology.getBroader(concept)) {
+                    if (!concepts.includes(broader)) {
+                        concepts.push(broader);
+                    }
+                }
+            }
+        }
+
+        return concepts;
+    }
+
+    splitSentences(text) {
+        return text.split(/[.!?;:\n]+(?:\s|$)|[,()[\]{}"«»“”]/u)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0);
+    }
+
+    /**
+     * Split a sentence into candidate phrases (arrays of lowercased words)
+     */
+    chunkPhrases(words) {
+        if (words.length === 0) return [];
+
+        const tags = this.tagger && this.isTaggable(words)
+            ? this.tagger.tag(words).taggedWords.map(tagged => tagged.tag)
+            : null;
+
+        const phrases = [];
+        let current = [];
+
+        const flush = () => {
+            // Trim to a noun-final phrase when tags are available
+            if (tags) {
+                while (current.length > 0 && !NOUN_TAGS.has(current[current.length - 1].tag)) {
+                    current.pop();
+                }
+            }
+
+            // Long runs keep their head (last words)
+            const phrase = current.slice(-this.config.maxPhraseWords).map(entry => entry.word);
+            if (phrase.length > 0) {
+                // Ontology labels win over inflection handling ("neural nets" is a synonym)
+                const concept = this.ontology.canonical(phrase.join(' '));
+                if (concept) {
+                    phrases.push(concept.split(' '));
+                    current = [];
+                    return;
+                }
+                if (tags && current[current.length - 1].tag === 'NNS' && this.inflector) {
+                    phrase[phrase.length - 1] = this.inflector.singularize(phrase[phrase.length - 1]);
+                }
+                phrases.push(phrase);
+            }
+            current = [];
+        };
+
+        words.forEach((word, index) => {
+            const lower = word.toLowerCase();
+            const isContent = lower.length > 1 &&
+                !STOP_WORDS.has(lower) &&
+                !/^\d+$/.test(lower) &&
+                !lower.includes("'") &&
+                (!tags || PHRASE_TAGS.has(tags[index]));
+
+            if (isContent) {
+                current.push({ word: lower, tag: tags ? tags[index] : null });
+            } else {
+                flush();
+            }
+        });
+        flush();
+
+        return phrases;
+    }
+
+    /**
+     * The English tagger is only used for Latin-script text
+     */
+    isTaggable(words) {
+        return words.every(word => /^[A-Za-z0-9'+#.-]+$/.test(word));
+    }
+
+    /**
+     * Blend RAKE (degree/frequency) and TextRank word scores into phrase scores (0-1 each)
+     */
+    scorePhrases(phrases, sequence) {
+        const frequency = new Map();
+        const degree = new Map();
+
+        for (const phrase of phrases) {
+            for (const word of phrase) {
+                frequency.set(word, (frequency.get(word) || 0) + 1);
+                degree.set(word, (degree.get(word) || 0) + phrase.length);
+            }
+        }
+
+        const textRank = this.textRank(sequence);
+
+        const rakeScores = new Map();
+        const rankScores = new Map();
+        for (const phrase of phrases) {
+            const key = phrase.join(' ');
+            rakeScores.set(key, phrase.reduce((sum, word) => sum + degree.get(word) / frequency.get(word), 0));
+            rankScores.set(key, phrase.reduce((sum, word) => sum + (textRank.get(word) || 0), 0));
+        }
+
+        const maxRake = Math.max(0, ...rakeScores.values()) || 1;
+        const maxRank = Math.max(0, ...rankScores.values()) || 1;
+
+        const scores = new Map();
+        for (const [key, rakeScore] of rakeScores) {
+            scores.set(key, 0.5 * (rakeScore / maxRake) + 0.5 * (rankScores.get(key) / maxRank));
+        }
+        return scores;
+    }
+
+    /**
+     * PageRank over the co-occurrence graph of adjacent content words
+     */
+    textRank(sequence, iterations = 20, damping = 0.85) {
+        const neighbors = new Map();
+        const link = (a, b) => {
+            if (!neighbors.has(a)) neighbors.set(a, new Set());
+            neighbors.get(a).add(b);
+        };
+
+        for (let i = 0; i < sequence.length; i++) {
+            if (sequence[i] === null) continue;
+            link(sequence[i], sequence[i]); // isolated words still get a rank
+            for (let j = i + 1; j < Math.min(i + 3, sequence.length) && sequence[j] !== null; j++) {
+                if (sequence[j] !== sequence[i]) {
+                    link(sequence[i], sequence[j]);
+                    link(sequence[j], sequence[i]);
+                }
+            }
+        }
+
+        let ranks = new Map(Array.from(neighbors.keys(), word => [word, 1]));
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            const next = new Map();
+            for (const [word, links] of neighbors) {
+                let sum = 0;
+                for (const other of links) {
+                    if (other !== word) {
+                        sum += ranks.get(other) / Math.max(1, neighbors.get(other).size - 1);
+                    }
+                }
+                next.set(word, (1 - damping) + damping * sum);
+            }
+            ranks = next;
+        }
+
+        return ranks;
+    }
+}
+
+module.exports = { ConceptExtractor, ConceptOntology, normalizeLabel };
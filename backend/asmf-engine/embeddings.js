@@ -0,0 +1,381 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Embedding Providers
+ * Turns text into dense vectors for similarity search across memory layers
+ *
+ * Providers:
+ * - hashing: offline TF-IDF weighted hashing-trick vectorizer (words, light
+ *   stems, stem bigrams and character trigrams), learns document frequencies
+ *   as memories are stored. Frequencies are kept in a statistics object per
+ *   memory namespace, so one namespace's text never changes the weights of
+ *   another's vectors
+ * - http: locally hosted embedding model behind an OpenAI-compatible
+ *   (/v1/embeddings) or Ollama-style (/api/embed) endpoint
+ *
+ * Every provider returns L2-normalized vectors (or null when the text has no
+ * usable features) so cosine similarity reduces to a dot product.
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const http = require('http');
+const https = require('https');
+
+const VECTOR_PRECISION = 10000; // 4 decimals keeps persisted state compact
+
+/**
+ * Normalize a vector to unit length; null for empty/zero vectors
+ */
+function normalizeVector(vector) {
+    if (!vector || vector.length === 0) return null;
+
+    let norm = 0;
+    for (const value of vector) {
+        norm += value * value;
+    }
+    norm = Math.sqrt(norm);
+    if (norm === 0) return null;
+
+    return Array.from(vector, value => Math.round((value / norm) * VECTOR_PRECISION) / VECTOR_PRECISION);
+}
+
+/**
+ * Dot product of two equal-length vectors
+ */
+function dotProduct(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Cosine similarity, 0 when either vector is missing or dimensions differ
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Normalized mean of the given vectors, skipping missing ones
+ */
+function averageVectors(vectors) {
+    const present = vectors.filter(vector => vector && vector.length > 0);
+    if (present.length === 0) return null;
+
+    const dimensions = present[0].length;
+    const sum = new Array(dimensions).fill(0);
+    for (const vector of present) {
+        if (vector.length !== dimensions) continue;
+        for (let i = 0; i < dimensions; i++) {
+            sum[i] += vector[i];
+        }
+    }
+
+    return normalizeVector(sum);
+}
+
+/**
+ * Base provider - documents the interface
+ */
+class EmbeddingProvider {
+    constructor(config = {}) {
+        this.name = 'base';
+        this.dimensions = config.dimensions || null;
+    }
+
+    /**
+     * Embed text; statistics are the corpus statistics of the namespace the
+     * text belongs to (from createStatistics), ignored by stateless providers
+     */
+    async embed(text, statistics) {
+        throw new Error(`${this.constructor.name} does not implement embed`);
+    }
+
+    async embedBatch(texts, statistics) {
+        const vectors = [];
+        for (const text of texts) {
+            vectors.push(await this.embed(text, statistics));
+        }
+        return vectors;
+    }
+
+    /**
+     * Empty corpus statistics for a namespace (null when the provider has none)
+     */
+    createStatistics() {
+        return null;
+    }
+
+    /**
+     * Learn corpus statistics from a stored document (no-op by default)
+     */
+    observe(text, statistics) {}
+
+    exportState(statistics) {
+        return null;
+    }
+
+    /**
+     * Statistics from exportState output; empty ones when the state is
+     * missing or from another provider
+     */
+    importState(state) {
+        return this.createStatistics();
+    }
+}
+
+/**
+ * Offline TF-IDF hashing-trick vectorizer
+ */
+class HashingEmbeddingProvider extends EmbeddingProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'hashing';
+        this.dimensions = config.dimensions || 512;
+        this.emptyStatistics = this.createStatistics(); // uniform weights
+        this.stopWords = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+            'by', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'this', 'that', 'as', 'from'
+        ]);
+    }
+
+    async embed(text, statistics = this.emptyStatistics) {
+        const vector = new Array(this.dimensions).fill(0);
+
+        for (const [bucket, weight] of this.hashFeatures(text)) {
+            vector[bucket] += weight * this.inverseDocumentFrequency(bucket, statistics);
+        }
+
+        return normalizeVector(vector);
+    }
+
+    createStatistics() {
+        return { documentCount: 0, documentFrequencies: new Array(this.dimensions).fill(0) };
+    }
+
+    observe(text, statistics) {
+        if (!statistics) return;
+
+        const buckets = new Set();
+        for (const [bucket] of this.hashFeatures(text)) {
+            buckets.add(bucket);
+        }
+
+        for (const bucket of buckets) {
+            statistics.documentFrequencies[bucket]++;
+        }
+        statistics.documentCount++;
+    }
+
+    /**
+     * Map text to (bucket, signed weight) pairs
+     */
+    hashFeatures(text) {
+        const tokens = (String(text).toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1 && !this.stopWords.has(token));
+        const features = new Map();
+
+        const addFeature = (feature, weight) => {
+            const hash = this.hash(feature);
+            const bucket = hash % this.dimensions;
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            features.set(bucket, (features.get(bucket) || 0) + sign * weight);
+        };
+
+        const stems = tokens.map(token => this.stem(token));
+
+        tokens.forEach((token, index) => {
+            // Stems carry most of the signal, exact words break ties
+            addFeature(`s:${stems[index]}`, 1.0);
+            addFeature(`w:${token}`, 0.5);
+
+            // Character trigrams catch inflections the stemmer misses
+            const padded = `#${token}#`;
+            const trigramCount = padded.length - 2;
+            for (let i = 0; i < trigramCount; i++) {
+                addFeature(`c:${padded.slice(i, i + 3)}`, 0.3 / Math.sqrt(trigramCount));
+            }
+
+            // Bigrams keep some word order
+            if (index > 0) {
+                addFeature(`b:${stems[index - 1]}_${stems[index]}`, 0.5);
+            }
+        });
+
+        return features;
+    }
+
+    /**
+     * Crude suffix stripping (English inflections); other languages fall back to trigrams
+     */
+    stem(token) {
+        const stemmed = token.replace(/(ingly|edly|ing|ies|ied|es|ed|ly|e|s|y)$/, '');
+        return stemmed.length >= 3 ? stemmed : token;
+    }
+
+    inverseDocumentFrequency(bucket, statistics) {
+        return Math.log((1 + statistics.documentCount) / (1 + statistics.documentFrequencies[bucket])) + 1;
+    }
+
+    /**
+     * 32-bit FNV-1a hash
+     */
+    hash(feature) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    exportState(statistics) {
+        if (!statistics) return null;
+
+        return {
+            provider: this.name,
+            dimensions: this.dimensions,
+            documentCount: statistics.documentCount,
+            documentFrequencies: statistics.documentFrequencies
+        };
+    }
+
+    importState(state) {
+        if (!state || state.provider !== this.name || state.dimensions !== this.dimensions ||
+            !Array.isArray(state.documentFrequencies)) {
+            return this.createStatistics();
+        }
+
+        return {
+            documentCount: state.documentCount || 0,
+            documentFrequencies: state.documentFrequencies
+        };
+    }
+}
+
+/**
+ * Locally hosted embedding model over HTTP
+ */
+class HttpEmbeddingProvider extends EmbeddingProvider {
+    constructor(config = {}) {
+        super(config);
+        if (!config.endpoint) {
+            throw new Error('HTTP embedding provider requires an endpoint');
+        }
+
+        this.name = 'http';
+        this.endpoint = new URL(config.endpoint);
+        this.model = config.model || null;
+        this.apiKey = config.apiKey || null;
+        this.timeout = config.timeout || 10000;
+    }
+
+    async embed(text) {
+        const [vector] = await this.embedBatch([text]);
+        return vector;
+    }
+
+    async embedBatch(texts) {
+        const body = { input: texts };
+        if (this.model) {
+            body.model = this.model;
+        }
+
+        const response = await this.postJson(body);
+
+        // OpenAI-compatible: { data: [{ embedding }] }, Ollama: { embeddings: [[...]] }
+        const vectors = Array.isArray(response.data)
+            ? response.data.map(item => item.embedding)
+            : response.embeddings;
+
+        if (!Array.isArray(vectors) || vectors.length !== texts.length) {
+            throw new Error('Unexpected embedding response shape');
+        }
+
+        const normalized = vectors.map(vector => normalizeVector(vector));
+        if (!this.dimensions && normalized[0]) {
+            this.dimensions = normalized[0].length;
+        }
+
+        return normalized;
+    }
+
+    postJson(body) {
+        const payload = JSON.stringify(body);
+        const client = this.endpoint.protocol === 'https:' ? https : http;
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(this.endpoint, { method: 'POST', headers }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        reject(new Error(`Embedding endpoint returned ${response.statusCode}: ${text.substring(0, 200)}`));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(text));
+                    } catch (error) {
+                        reject(new Error('Embedding endpoint returned invalid JSON'));
+                    }
+                });
+            });
+
+            request.setTimeout(this.timeout, () => {
+                request.destroy(new Error(`Embedding request timed out after ${this.timeout}ms`));
+            });
+            request.on('error', reject);
+            request.end(payload);
+        });
+    }
+}
+
+/**
+ * Create a provider from engine configuration; null disables embeddings
+ */
+function createEmbeddingProvider(config = {}) {
+    switch (config.provider) {
+        case 'none':
+            return null;
+        case 'http':
+            return new HttpEmbeddingProvider(config);
+        case 'hashing':
+        case undefined:
+            return new HashingEmbeddingProvider(config);
+        default:
+            throw new Error(`Unknown embedding provider: ${config.provider}`);
+    }
+}
+
+module.exports = {
+    EmbeddingProvider,
+    HashingEmbeddingProvider,
+    HttpEmbeddingProvider,
+    createEmbeddingProvider,
+    normalizeVector,
+    dotProduct,
+    cosineSimilarity,
+    averageVectors
+};
@@ -0,0 +1,437 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Encryption at Rest
+ * AES-256-GCM envelope encryption of state files, backups, snapshots and
+ * write-ahead log lines
+ *
+ * - Every encrypted payload gets its own random data key and IV; the data
+ *   key is wrapped with a master key (AES-256-GCM as well). The header
+ *   names the format version and master key id and is authenticated with
+ *   both ciphertexts, so tampering or a wrong key fails loudly:
+ *     asmf-enc:2:<keyId>:<wrapped data key>:<iv>:<tag>:<ciphertext>
+ *   (binary parts base64url; one line, so it also fits log records)
+ * - Master keys come from ENCRYPTION_KEY (32 random bytes as base64 or
+ *   hex, or a passphrase stretched with scrypt) or from a local key file
+ *   (mode 0600) that holds every key with the active one marked
+ * - Retired keys stay in the key ring so older files remain readable until
+ *   they are re-encrypted by a key rotation
+ * - Files written by the old aes-256-cbc createCipher scheme (hex, key and
+ *   IV derived from a passphrase) and plain JSON still load, and are
+ *   written back in the new format
+ * - Data no configured key opens throws DecryptionError, and no key is
+ *   generated while encrypted files exist: starting with empty memory would
+ *   overwrite them on the next save
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FORMAT = 'asmf-enc';
+const FORMAT_VERSION = '2'; // 1 was the legacy aes-256-cbc hex format
+const ALGORITHM = 'aes-256-gcm';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+// Fixed salt: a passphrase must derive the same key on every start
+const PASSPHRASE_SALT = 'asmf-memory-encryption';
+// Files that may hold encrypted state (segments, logs, JSON states)
+const STATE_FILE_PATTERN = /\.(json|jsonl|log)$/;
+
+/**
+ * Encrypted data that can't be read. code: 'UNKNOWN_KEY' (written with a
+ * key that isn't configured), 'NO_KEY' (encryption is off) or 'CORRUPT'
+ * (tampered, truncated or an unsupported format)
+ */
+class DecryptionError extends Error {
+    constructor(message, code = 'CORRUPT') {
+        super(message);
+        this.name = 'DecryptionError';
+        this.code = code;
+    }
+}
+
+/**
+ * Whether text is an envelope or legacy hex payload rather than plain JSON
+ */
+function isEncrypted(text) {
+    const trimmed = String(text).trim();
+    if (trimmed.startsWith(`${FORMAT}:`)) return true;
+    return trimmed.length > 0 && trimmed.length % 32 === 0 && /^[0-9a-f]+$/i.test(trimmed);
+}
+
+class KeyRing {
+    /**
+     * keys: [{ id, key (32-byte Buffer), source ('env' | 'file'), secret
+     * (the configured string, tried on legacy files), createdAt, retiredAt }];
+     * activeKeyId names the key used for writing. keyFile is where
+     * generated keys are stored; generate is false when the active key comes
+     * from the environment and can't be replaced here.
+     */
+    constructor({ keys, activeKeyId, keyFile = null, generate = false }) {
+        this.keys = new Map(keys.map(entry => [entry.id, entry]));
+        this.activeKeyId = activeKeyId;
+        this.keyFile = keyFile;
+        this.canGenerate = generate;
+
+        if (!this.keys.has(activeKeyId)) {
+            throw new Error(`Active encryption key "${activeKeyId}" is not in the key ring`);
+        }
+    }
+
+    get activeKey() {
+        return this.keys.get(this.activeKeyId);
+    }
+
+    encrypt(plaintext) {
+        const master = this.activeKey;
+        const header = `${FORMAT}:${FORMAT_VERSION}:${master.id}`;
+        const dataKey = crypto.randomBytes(32);
+
+        const wrapIv = crypto.randomBytes(12);
+        const wrapper = crypto.createCipheriv(ALGORITHM, master.key, wrapIv);
+        wrapper.setAAD(Buffer.from(header));
+        const wrapped = Buffer.concat([wrapIv, wrapper.update(dataKey), wrapper.final(), wrapper.getAuthTag()]);
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+        cipher.setAAD(Buffer.from(header));
+        const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return [header, encode(wrapped), encode(iv), encode(cipher.getAuthTag()), encode(ciphertext)].join(':');
+    }
+
+    /**
+     * Plaintext of an envelope, a legacy CBC payload or unencrypted JSON
+     */
+    decrypt(data) {
+        const text = String(data);
+        switch (this.formatOf(text)) {
+            case 'envelope':
+                return this.decryptEnvelope(text);
+            case 'legacy':
+                return this.decryptLegacy(text);
+            default:
+                return text;
+        }
+    }
+
+    decryptEnvelope(text) {
+        const parts = text.trim().split(':');
+        if (parts.length !== 7 || parts[1] !== FORMAT_VERSION) {
+            throw new DecryptionError(`Unsupported encryption format: ${parts.slice(0, 2).join(':')}`);
+        }
+
+        const [, , keyId, wrappedPart, ivPart, tagPart, ciphertextPart] = parts;
+        const master = this.keys.get(keyId);
+        if (!master) {
+            throw new DecryptionError(`Unknown encryption key "${keyId}": data was written with a key that is not configured`, 'UNKNOWN_KEY');
+        }
+        const header = `${FORMAT}:${FORMAT_VERSION}:${keyId}`;
+
+        try {
+            const wrapped = decode(wrappedPart);
+            const unwrapper = crypto.createDecipheriv(ALGORITHM, master.key, wrapped.subarray(0, 12));
+            unwrapper.setAAD(Buffer.from(header));
+            unwrapper.setAuthTag(wrapped.subarray(wrapped.length - 16));
+            const dataKey = Buffer.concat([unwrapper.update(wrapped.subarray(12, wrapped.length - 16)), unwrapper.final()]);
+
+            const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, decode(ivPart));
+            decipher.setAAD(Buffer.from(header));
+            decipher.setAuthTag(decode(tagPart));
+            return Buffer.concat([decipher.update(decode(ciphertextPart)), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new DecryptionError(`Cannot decrypt data with key "${keyId}": ${error.message}`);
+        }
+    }
+
+    /**
+     * The retired createCipher('aes-256-cbc', passphrase) format; tried with
+     * every configured secret in the ring
+     */
+    decryptLegacy(text) {
+        const passphrases = Array.from(this.keys.values())
+            .map(entry => entry.secret)
+            .filter(Boolean);
+
+        for (const passphrase of passphrases) {
+            try {
+                const { key, iv } = legacyKeyAndIv(passphrase);
+                const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+                const plaintext = decipher.update(text.trim(), 'hex', 'utf8') + decipher.final('utf8');
+                JSON.parse(plaintext);
+                return plaintext;
+            } catch (error) {
+                // Wrong passphrase: padding or JSON check failed, try the next one
+            }
+        }
+
+        throw new DecryptionError('Cannot decrypt legacy (aes-256-cbc) data with any configured key', 'UNKNOWN_KEY');
+    }
+
+    /**
+     * 'envelope', 'legacy' (hex from the old CBC scheme) or 'plain'
+     */
+    formatOf(text) {
+        if (!isEncrypted(text)) return 'plain';
+        return String(text).trim().startsWith(`${FORMAT}:`) ? 'envelope' : 'legacy';
+    }
+
+    /**
+     * Whether data is not yet encrypted with the active key
+     */
+    needsRotation(data) {
+        const text = String(data).trim();
+        if (!text) return false;
+        if (this.formatOf(text) !== 'envelope') return true;
+        return text.split(':')[2] !== this.activeKeyId;
+    }
+
+    /**
+     * Generate a new active key and store it in the key file; the previous
+     * key is kept, marked retired, so existing files stay readable
+     */
+    async rotate() {
+        if (!this.canGenerate) {
+            throw new Error('The active encryption key comes from ENCRYPTION_KEY; set a new key there and list the old one in ENCRYPTION_PREVIOUS_KEYS');
+        }
+
+        const now = Date.now();
+        const entry = { ...generateKey(now), source: 'file' };
+        const previous = this.activeKey;
+        previous.retiredAt = now;
+
+        this.keys.set(entry.id, entry);
+        this.activeKeyId = entry.id;
+        await writeKeyFile(this.keyFile, this);
+
+        return { previousKeyId: previous.id, activeKeyId: entry.id };
+    }
+
+    /**
+     * Key ids and metadata; never the key material
+     */
+    describe() {
+        return {
+            algorithm: ALGORITHM,
+            format: `${FORMAT}:${FORMAT_VERSION}`,
+            activeKeyId: this.activeKeyId,
+            keyFile: this.keyFile,
+            canGenerate: this.canGenerate,
+            keys: Array.from(this.keys.values()).map(entry => ({
+                id: entry.id,
+                source: entry.source,
+                active: entry.id === this.activeKeyId,
+                createdAt: entry.createdAt || null,
+                retiredAt: entry.retiredAt || null
+            }))
+        };
+    }
+}
+
+/**
+ * Key ring for a storage config, or null when encryption is off.
+ * config: { encryptionEnabled, encryptionKey, previousEncryptionKeys,
+ * encryptionKeyFile, dataPath }. The key from config/env wins over the key
+ * file; without either a key file is created (in dataPath by default),
+ * unless dataPath already holds encrypted files: their key was lost.
+ */
+function createKeyRing(config) {
+    const configuredKey = config.encryptionKey || null;
+    if (!config.encryptionEnabled && !configuredKey) return null;
+
+    const keys = [];
+    const add = entry => {
+        if (!keys.some(existing => existing.id === entry.id)) keys.push(entry);
+    };
+
+    const keyFile = config.encryptionKeyFile || (configuredKey ? null : path.join(config.dataPath, 'memory-keys.json'));
+    const stored = keyFile ? readKeyFile(keyFile) : null;
+    if (stored) {
+        stored.keys.forEach(entry => add({ ...entry, source: 'file' }));
+    }
+
+    let activeKeyId;
+    if (configuredKey) {
+        const entry = keyFromSecret(configuredKey, 'env');
+        add(entry);
+        activeKeyId = entry.id;
+    } else if (stored) {
+        activeKeyId = stored.activeKeyId;
+    } else {
+        const encryptedFile = config.dataPath ? findEncryptedFile(config.dataPath, keyFile) : null;
+        if (encryptedFile) {
+            throw new DecryptionError(`Encryption key file ${keyFile} is missing but ${encryptedFile} is encrypted; ` +
+                'restore the key file (or set ENCRYPTION_KEY_FILE / ENCRYPTION_KEY) instead of generating a new key', 'UNKNOWN_KEY');
+        }
+        const entry = { ...generateKey(Date.now()), source: 'file' };
+        add(entry);
+        activeKeyId = entry.id;
+        console.warn(`🔑 Generated a new memory encryption key in ${keyFile}; keep a copy of it somewhere safe`);
+    }
+
+    for (const secret of config.previousEncryptionKeys || []) {
+        add(keyFromSecret(secret, 'env'));
+    }
+
+    const ring = new KeyRing({ keys, activeKeyId, keyFile, generate: !configuredKey });
+    if (!stored && !configuredKey) {
+        writeKeyFileSync(keyFile, ring);
+    }
+    return ring;
+}
+
+/**
+ * Master key from an env/config secret: 32 bytes as base64 or hex, anything
+ * else is a passphrase. The id is derived from the key so it stays stable.
+ */
+function keyFromSecret(secret, source) {
+    const value = String(secret).trim();
+    let key;
+
+    if (/^[0-9a-f]{64}$/i.test(value)) {
+        key = Buffer.from(value, 'hex');
+    } else if (/^[A-Za-z0-9+/]{43}=$/.test(value)) {
+        key = Buffer.from(value, 'base64');
+    } else {
+        key = crypto.scryptSync(value, PASSPHRASE_SALT, 32);
+    }
+
+    const id = `${source}-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+    return { id, key, secret: value, source, createdAt: null, retiredAt: null };
+}
+
+/**
+ * First file under directory that starts like encrypted data, or null
+ */
+function findEncryptedFile(directory, keyFile) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+        throw error;
+    }
+
+    for (const entry of entries) {
+        const filePath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            const found = findEncryptedFile(filePath, keyFile);
+            if (found) return found;
+        } else if (entry.isFile() && STATE_FILE_PATTERN.test(entry.name) && path.resolve(filePath) !== path.resolve(keyFile)) {
+            // Both formats show in the first line: the envelope prefix or 32+ hex digits
+            const head = Buffer.alloc(64);
+            const fd = fs.openSync(filePath, 'r');
+            let length;
+            try {
+                length = fs.readSync(fd, head, 0, head.length, 0);
+            } finally {
+                fs.closeSync(fd);
+            }
+            const text = head.subarray(0, length).toString('utf8').split('\n')[0];
+            if (text.startsWith(`${FORMAT}:`) || (text.length >= 32 && /^[0-9a-f]+$/i.test(text.slice(0, 32)))) {
+                return filePath;
+            }
+        }
+    }
+    return null;
+}
+
+function generateKey(now) {
+    const date = new Date(now).toISOString().slice(0, 10).replace(/-/g, '');
+    return {
+        id: `key-${date}-${crypto.randomBytes(3).toString('hex')}`,
+        key: crypto.randomBytes(32),
+        secret: null,
+        createdAt: now,
+        retiredAt: null
+    };
+}
+
+function readKeyFile(keyFile) {
+    let content;
+    try {
+        content = fs.readFileSync(keyFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const stored = JSON.parse(content);
+    if (!Array.isArray(stored.keys) || !stored.activeKeyId) {
+        throw new Error(`Invalid encryption key file ${keyFile}`);
+    }
+
+    return {
+        activeKeyId: stored.activeKeyId,
+        keys: stored.keys.map(entry => {
+            const key = Buffer.from(entry.key || '', 'base64');
+            if (!KEY_ID_PATTERN.test(entry.id || '') || key.length !== 32) {
+                throw new Error(`Invalid key "${entry.id}" in ${keyFile}: expected an id and 32 base64-encoded bytes`);
+            }
+            return { id: entry.id, key, secret: null, createdAt: entry.createdAt || null, retiredAt: entry.retiredAt || null };
+        })
+    };
+}
+
+function keyFileContent(ring) {
+    return JSON.stringify({
+        version: 1,
+        activeKeyId: ring.activeKeyId,
+        keys: Array.from(ring.keys.values())
+            .filter(entry => entry.source === 'file')
+            .map(entry => ({
+                id: entry.id,
+                key: entry.key.toString('base64'),
+                createdAt: entry.createdAt,
+                retiredAt: entry.retiredAt
+            }))
+    }, null, 2);
+}
+
+function writeKeyFileSync(keyFile, ring) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(`${keyFile}.tmp`, keyFileContent(ring), { mode: 0o600 });
+    fs.renameSync(`${keyFile}.tmp`, keyFile);
+}
+
+async function writeKeyFile(keyFile, ring) {
+    await fs.promises.mkdir(path.dirname(keyFile), { recursive: true });
+    await fs.promises.writeFile(`${keyFile}.tmp`, keyFileContent(ring), { mode: 0o600 });
+    await fs.promises.rename(`${keyFile}.tmp`, keyFile);
+}
+
+/**
+ * Key and IV the deprecated crypto.createCipher derived from a passphrase:
+ * OpenSSL EVP_BytesToKey with MD5, one iteration and no salt
+ */
+function legacyKeyAndIv(passphrase) {
+    const password = Buffer.from(passphrase, 'utf8');
+    let derived = Buffer.alloc(0);
+    let block = Buffer.alloc(0);
+
+    while (derived.length < 48) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+        derived = Buffer.concat([derived, block]);
+    }
+
+    return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+}
+
+function encode(buffer) {
+    return buffer.toString('base64url');
+}
+
+function decode(text) {
+    return Buffer.from(text, 'base64url');
+}
+
+module.exports = {
+    KeyRing,
+    DecryptionError,
+    isEncrypted,
+    createKeyRing,
+    keyFromSecret,
+    legacyKeyAndIv
+};
@@ -0,0 +1,131 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Event Archive
+ * Cold storage of the original events folded into compressed groups
+ *
+ * - Each compressed group keeps its originals in one file,
+ *   archive/<group id>.json in the namespace's data directory, written
+ *   through the namespace storage (so encrypted at rest like the state)
+ * - Archived originals lose their embeddings and internal bookkeeping but
+ *   keep their text, concepts, entities, metadata and provenance
+ * - A group is rehydrated by reading its file back; recently read groups
+ *   stay cached
+ * - Forgetting rewrites or deletes a group's file, so forgotten content does
+ *   not survive in the archive
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ARCHIVE_DIRECTORY = 'archive';
+
+function archivedEvent(event) {
+    const { embeddings, tokens, temporalRelationships, sequence, ...archived } = event;
+    return archived;
+}
+
+class EventArchive {
+    /**
+     * storage: the namespace's MemoryStorage (readStateFile/writeStateFile)
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.cacheSize = options.cacheSize || 20;
+        this.cache = new Map();
+    }
+
+    get directory() {
+        return path.join(this.storage.dataPath, ARCHIVE_DIRECTORY);
+    }
+
+    fileName(groupId) {
+        return path.join(ARCHIVE_DIRECTORY, `${groupId}.json`);
+    }
+
+    async store(groupId, events) {
+        const archived = events.map(archivedEvent);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await this.storage.writeStateFile(this.fileName(groupId), {
+            groupId,
+            archivedAt: Date.now(),
+            events: archived
+        });
+        this.remember(groupId, archived);
+    }
+
+    /**
+     * Originals of a group, or null when the group was never archived (or
+     * its file is gone)
+     */
+    async load(groupId) {
+        if (this.cache.has(groupId)) {
+            const events = this.cache.get(groupId);
+            this.remember(groupId, events);
+            return events;
+        }
+
+        const file = await this.storage.readStateFile(this.fileName(groupId));
+        if (!file || !Array.isArray(file.events)) return null;
+
+        this.remember(groupId, file.events);
+        return file.events;
+    }
+
+    /**
+     * Keep only the given originals of a group; the file goes when none remain
+     */
+    async retain(groupId, keepIds) {
+        const events = await this.load(groupId);
+        if (!events) return;
+
+        const kept = events.filter(event => keepIds.has(event.id));
+        if (kept.length === 0) {
+            await this.remove(groupId);
+        } else if (kept.length < events.length) {
+            await this.store(groupId, kept);
+        }
+    }
+
+    async remove(groupId) {
+        this.cache.delete(groupId);
+        await fs.promises.rm(path.join(this.storage.dataPath, this.fileName(groupId)), { force: true });
+    }
+
+    /**
+     * Delete the files of groups no longer in use; returns how many went
+     */
+    async prune(groupIds) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        let removed = 0;
+        for (const fileName of files.filter(file => file.endsWith('.json'))) {
+            const groupId = fileName.slice(0, -'.json'.length);
+            if (groupIds.has(groupId)) continue;
+            await this.remove(groupId);
+            removed++;
+        }
+        return removed;
+    }
+
+    remember(groupId, events) {
+        this.cache.delete(groupId);
+        this.cache.set(groupId, events);
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+module.exports = {
+    ARCHIVE_DIRECTORY,
+    EventArchive
+};
@@ -0,0 +1,731 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Graph Interchange Formats
+ * Serializes the semantic layer's concept graph for external tools and
+ * parses curated graphs back into it
+ *
+ * Formats:
+ * - graphml: GraphML for Gephi/yEd/NetworkX (undirected, weighted edges;
+ *   contexts and cluster metadata as JSON strings)
+ * - jsonld: JSON-LD using SKOS (concepts, skos:Collection clusters)
+ * - ntriples: RDF N-Triples with the same vocabulary as the JSON-LD output
+ *
+ * All formats share one plain graph shape:
+ *   { concepts: [{ id, name, frequency, lastSeen, contexts, clusters }],
+ *     relationships: [{ source, target, weight }],
+ *     clusters: [{ id, label, concepts, strength, createdAt }] }
+ *
+ * Output is sorted so exports of the same graph diff cleanly.
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const NS = {
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    skos: 'http://www.w3.org/2004/02/skos/core#',
+    dcterms: 'http://purl.org/dc/terms/',
+    asmf: 'urn:asmf:vocab:'
+};
+
+const IRI = {
+    type: `${NS.rdf}type`,
+    Concept: `${NS.skos}Concept`,
+    Collection: `${NS.skos}Collection`,
+    prefLabel: `${NS.skos}prefLabel`,
+    related: `${NS.skos}related`,
+    member: `${NS.skos}member`,
+    created: `${NS.dcterms}created`,
+    AsmfConcept: `${NS.asmf}Concept`,
+    Cluster: `${NS.asmf}Cluster`,
+    Relationship: `${NS.asmf}Relationship`,
+    Context: `${NS.asmf}Context`,
+    conceptId: `${NS.asmf}conceptId`,
+    clusterId: `${NS.asmf}clusterId`,
+    frequency: `${NS.asmf}frequency`,
+    lastSeen: `${NS.asmf}lastSeen`,
+    context: `${NS.asmf}context`,
+    text: `${NS.asmf}text`,
+    position: `${NS.asmf}position`,
+    source: `${NS.asmf}source`,
+    target: `${NS.asmf}target`,
+    weight: `${NS.asmf}weight`,
+    strength: `${NS.asmf}strength`
+};
+
+const FORMATS = {
+    graphml: { contentType: 'application/graphml+xml', extension: 'graphml' },
+    jsonld: { contentType: 'application/ld+json', extension: 'jsonld' },
+    ntriples: { contentType: 'application/n-triples', extension: 'nt' }
+};
+
+const JSONLD_CONTEXT = {
+    asmf: NS.asmf,
+    skos: NS.skos,
+    dcterms: NS.dcterms,
+    xsd: NS.xsd,
+    Concept: 'skos:Concept',
+    Collection: 'skos:Collection',
+    Cluster: 'asmf:Cluster',
+    Relationship: 'asmf:Relationship',
+    Context: 'asmf:Context',
+    label: 'skos:prefLabel',
+    conceptId: 'asmf:conceptId',
+    clusterId: 'asmf:clusterId',
+    frequency: { '@id': 'asmf:frequency', '@type': 'xsd:integer' },
+    lastSeen: { '@id': 'asmf:lastSeen', '@type': 'xsd:dateTime' },
+    contexts: 'asmf:context',
+    text: 'asmf:text',
+    position: { '@id': 'asmf:position', '@type': 'xsd:integer' },
+    related: { '@id': 'skos:related', '@type': '@id' },
+    source: { '@id': 'asmf:source', '@type': '@id' },
+    target: { '@id': 'asmf:target', '@type': '@id' },
+    weight: { '@id': 'asmf:weight', '@type': 'xsd:double' },
+    members: { '@id': 'skos:member', '@type': '@id' },
+    strength: { '@id': 'asmf:strength', '@type': 'xsd:double' },
+    created: { '@id': 'dcterms:created', '@type': 'xsd:dateTime' }
+};
+
+/**
+ * Serialize a graph in the given format
+ */
+function serializeGraph(graph, format) {
+    switch (format) {
+        case 'graphml':
+            return toGraphML(graph);
+        case 'jsonld':
+            return JSON.stringify(toJSONLD(graph), null, 2);
+        case 'ntriples':
+            return toNTriples(graph);
+        default:
+            throw new Error(`Unknown graph format: ${format}. Available: ${Object.keys(FORMATS).join(', ')}`);
+    }
+}
+
+/**
+ * Parse a graph; the format is sniffed from the payload when not given
+ */
+function parseGraph(data, format) {
+    const resolvedFormat = format || detectFormat(data);
+
+    switch (resolvedFormat) {
+        case 'graphml':
+            return fromGraphML(String(data));
+        case 'jsonld':
+            return fromJSONLD(typeof data === 'string' ? JSON.parse(data) : data);
+        case 'ntriples':
+            return fromNTriples(String(data));
+        default:
+            throw new Error(`Unknown graph format: ${resolvedFormat}. Available: ${Object.keys(FORMATS).join(', ')}`);
+    }
+}
+
+function detectFormat(data) {
+    if (data && typeof data === 'object') return 'jsonld';
+
+    const text = String(data || '').trimStart();
+    if (text.startsWith('<?xml') || text.startsWith('<graphml')) return 'graphml';
+    if (text.startsWith('{') || text.startsWith('[')) return 'jsonld';
+    if (text.startsWith('<') || text.startsWith('_:') || text.startsWith('#')) return 'ntriples';
+
+    throw new Error('Could not detect graph format');
+}
+
+/* ---------------------------------------------------------------------------
+ * Shared helpers
+ * ------------------------------------------------------------------------- */
+
+function sortedGraph(graph) {
+    return {
+        concepts: [...(graph.concepts || [])].sort((a, b) => compare(a.name, b.name)),
+        relationships: [...(graph.relationships || [])]
+            .sort((a, b) => compare(a.source, b.source) || compare(a.target, b.target)),
+        clusters: [...(graph.clusters || [])].sort((a, b) => compare(a.id, b.id))
+    };
+}
+
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function toDateTime(timestamp) {
+    return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+}
+
+function fromDateTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) return numeric;
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function toNumber(value, fallback) {
+    const parsed = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function conceptIri(name) {
+    return `urn:asmf:concept:${encodeURIComponent(name)}`;
+}
+
+function clusterIri(id) {
+    return `urn:asmf:cluster:${encodeURIComponent(id)}`;
+}
+
+function relationshipIri(source, target) {
+    return `urn:asmf:relationship:${encodeURIComponent(source)}:${encodeURIComponent(target)}`;
+}
+
+/**
+ * Best-effort name from an IRI (last path/fragment segment)
+ */
+function nameFromIri(iri) {
+    const match = /([^/#:]+)$/.exec(iri);
+    try {
+        return match ? decodeURIComponent(match[1]) : iri;
+    } catch (error) {
+        return match[1];
+    }
+}
+
+/* ---------------------------------------------------------------------------
+ * GraphML
+ * ------------------------------------------------------------------------- */
+
+const GRAPHML_KEYS = [
+    { id: 'label', for: 'node', name: 'label', type: 'string' },
+    { id: 'conceptId', for: 'node', name: 'conceptId', type: 'string' },
+    { id: 'frequency', for: 'node', name: 'frequency', type: 'int' },
+    { id: 'lastSeen', for: 'node', name: 'lastSeen', type: 'string' },
+    { id: 'clusters', for: 'node', name: 'clusters', type: 'string' },
+    { id: 'contexts', for: 'node', name: 'contexts', type: 'string' },
+    { id: 'weight', for: 'edge', name: 'weight', type: 'double' },
+    { id: 'clusterIndex', for: 'graph', name: 'clusterIndex', type: 'string' }
+];
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, code) => {
+        switch (code) {
+            case 'amp': return '&';
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+            default:
+                return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+        }
+    });
+}
+
+function toGraphML(graph) {
+    const { concepts, relationships, clusters } = sortedGraph(graph);
+    const data = (key, value) => `<data key="${key}">${escapeXml(value)}</data>`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+    ];
+
+    for (const key of GRAPHML_KEYS) {
+        lines.push(`  <key id="${key.id}" for="${key.for}" attr.name="${key.name}" attr.type="${key.type}"/>`);
+    }
+
+    lines.push('  <graph id="asmf-semantic" edgedefault="undirected">');
+    lines.push(`    ${data('clusterIndex', JSON.stringify(clusters))}`);
+
+    for (const concept of concepts) {
+        lines.push(`    <node id="${escapeXml(concept.name)}">`);
+        lines.push(`      ${data('label', concept.name)}`);
+        if (concept.id) lines.push(`      ${data('conceptId', concept.id)}`);
+        lines.push(`      ${data('frequency', concept.frequency || 0)}`);
+        if (toDateTime(concept.lastSeen)) lines.push(`      ${data('lastSeen', toDateTime(concept.lastSeen))}`);
+        if (concept.clusters && concept.clusters.length > 0) lines.push(`      ${data('clusters', concept.clusters.join(','))}`);
+        lines.push(`      ${data('contexts', JSON.stringify(concept.contexts || []))}`);
+        lines.push('    </node>');
+    }
+
+    relationships.forEach((relationship, index) => {
+        lines.push(`    <edge id="e${index}" source="${escapeXml(relationship.source)}" target="${escapeXml(relationship.target)}">`);
+        lines.push(`      ${data('weight', relationship.weight)}`);
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Minimal XML reader for GraphML: elements, attributes, text and CDATA
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = tokenPattern.exec(xml)) !== null) {
+        const [, cdata, closing, tagName, rawAttributes, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += unescapeXml(text);
+        } else if (tagName && closing) {
+            const localName = tagName.replace(/^.*:/, '');
+            if (current.name !== localName) {
+                throw new Error(`Malformed XML: unexpected </${tagName}>`);
+            }
+            stack.pop();
+        } else if (tagName) {
+            const element = { name: tagName.replace(/^.*:/, ''), attributes: {}, children: [], text: '' };
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(rawAttributes || '')) !== null) {
+                element.attributes[attribute[1]] = unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+    return root;
+}
+
+function fromGraphML(xml) {
+    const documentRoot = parseXml(xml);
+    const graphml = documentRoot.children.find(element => element.name === 'graphml');
+    if (!graphml) throw new Error('Not a GraphML document');
+
+    const graphElement = graphml.children.find(element => element.name === 'graph');
+    if (!graphElement) throw new Error('GraphML document has no <graph>');
+
+    // Keys are matched by attr.name so graphs saved by Gephi/yEd import too
+    const keyNames = new Map();
+    for (const key of graphml.children.filter(element => element.name === 'key')) {
+        keyNames.set(key.attributes.id, key.attributes['attr.name'] || key.attributes.id);
+    }
+    const readData = element => {
+        const values = {};
+        for (const child of element.children.filter(item => item.name === 'data')) {
+            const key = child.attributes.key;
+            values[keyNames.get(key) || key] = child.text.trim();
+        }
+        return values;
+    };
+
+    const graphData = readData(graphElement);
+    const clusters = graphData.clusterIndex ? parseJsonArray(graphData.clusterIndex, 'cluster index') : [];
+
+    const nodeNames = new Map();
+    const concepts = [];
+    for (const node of graphElement.children.filter(element => element.name === 'node')) {
+        const values = readData(node);
+        const name = values.label || node.attributes.id;
+        nodeNames.set(node.attributes.id, name);
+        concepts.push({
+            id: values.conceptId || null,
+            name,
+            frequency: toNumber(values.frequency, 1),
+            lastSeen: fromDateTime(values.lastSeen),
+            contexts: values.contexts ? parseJsonArray(values.contexts, `contexts of "${name}"`) : [],
+            clusters: values.clusters ? values.clusters.split(',').map(id => id.trim()).filter(Boolean) : []
+        });
+    }
+
+    const relationships = [];
+    for (const edge of graphElement.children.filter(element => element.name === 'edge')) {
+        const values = readData(edge);
+        const source = nodeNames.get(edge.attributes.source);
+        const target = nodeNames.get(edge.attributes.target);
+        if (!source || !target) {
+            throw new Error(`GraphML edge references unknown node: ${edge.attributes.source} -> ${edge.attributes.target}`);
+        }
+        relationships.push({ source, target, weight: toNumber(values.weight, 1) });
+    }
+
+    // Node cluster attributes may have been edited in the graph tool
+    const clustersById = new Map(clusters.map(cluster => [cluster.id, cluster]));
+    for (const concept of concepts) {
+        for (const clusterId of concept.clusters) {
+            if (!clustersById.has(clusterId)) {
+                clustersById.set(clusterId, { id: clusterId, label: null, concepts: [], strength: 0, createdAt: null });
+            }
+            const cluster = clustersById.get(clusterId);
+            cluster.concepts = Array.from(new Set([...(cluster.concepts || []), concept.name]));
+        }
+    }
+
+    return { concepts, relationships, clusters: Array.from(clustersById.values()) };
+}
+
+function parseJsonArray(value, description) {
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+        // fall through
+    }
+    throw new Error(`Invalid JSON array in ${description}`);
+}
+
+/* ---------------------------------------------------------------------------
+ * RDF (JSON-LD and N-Triples)
+ * ------------------------------------------------------------------------- */
+
+function toJSONLD(graph) {
+    const { concepts, relationships, clusters } = sortedGraph(graph);
+    const related = new Map();
+    for (const relationship of relationships) {
+        if (!related.has(relationship.source)) related.set(relationship.source, []);
+        related.get(relationship.source).push(conceptIri(relationship.target));
+    }
+
+    const nodes = [];
+
+    for (const concept of concepts) {
+        const iri = conceptIri(concept.name);
+        const node = {
+            '@id': iri,
+            '@type': 'Concept',
+            label: concept.name,
+            frequency: concept.frequency || 0
+        };
+        if (concept.id) node.conceptId = concept.id;
+        if (toDateTime(concept.lastSeen)) node.lastSeen = toDateTime(concept.lastSeen);
+        if (related.has(concept.name)) node.related = related.get(concept.name);
+        node.contexts = (concept.contexts || []).map((text, position) => ({
+            '@id': `${iri}#context-${position}`,
+            '@type': 'Context',
+            position,
+            text
+        }));
+        nodes.push(node);
+    }
+
+    for (const relationship of relationships) {
+        nodes.push({
+            '@id': relationshipIri(relationship.source, relationship.target),
+            '@type': 'Relationship',
+            source: conceptIri(relationship.source),
+            target: conceptIri(relationship.target),
+            weight: relationship.weight
+        });
+    }
+
+    for (const cluster of clusters) {
+        const node = {
+            '@id': clusterIri(cluster.id),
+            '@type': ['Collection', 'Cluster'],
+            clusterId: cluster.id
+        };
+        if (cluster.label) node.label = cluster.label;
+        if (Number.isFinite(cluster.strength)) node.strength = cluster.strength;
+        if (toDateTime(cluster.createdAt)) node.created = toDateTime(cluster.createdAt);
+        node.members = [...(cluster.concepts || [])].sort(compare).map(conceptIri);
+        nodes.push(node);
+    }
+
+    return { '@context': JSONLD_CONTEXT, '@graph': nodes };
+}
+
+/**
+ * N-Triples are written from the JSON-LD document so both carry the same triples
+ */
+function toNTriples(graph) {
+    return jsonldTriples(toJSONLD(graph))
+        .map(([subject, predicate, object]) => `${formatTerm(subject)} <${predicate}> ${formatObject(object)} .`)
+        .join('\n') + '\n';
+}
+
+function formatTerm(term) {
+    return term.startsWith('_:') ? term : `<${term}>`;
+}
+
+function formatObject(object) {
+    if (object.iri) return formatTerm(object.iri);
+
+    const literal = `"${escapeLiteral(object.value)}"`;
+    if (object.language) return `${literal}@${object.language}`;
+    if (object.datatype && object.datatype !== `${NS.xsd}string`) return `${literal}^^<${object.datatype}>`;
+    return literal;
+}
+
+function escapeLiteral(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t');
+}
+
+function unescapeLiteral(value) {
+    return value.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|(.))/g, (escape, short, long, character) => {
+        if (short || long) return String.fromCodePoint(parseInt(short || long, 16));
+        switch (character) {
+            case 't': return '\t';
+            case 'b': return '\b';
+            case 'n': return '\n';
+            case 'r': return '\r';
+            case 'f': return '\f';
+            default: return character;
+        }
+    });
+}
+
+function fromNTriples(text) {
+    const linePattern = /^(<[^>]*>|_:\S+)\s+<([^>]*)>\s+(<[^>]*>|_:\S+|"(?:[^"\\]|\\.)*"(?:\^\^<[^>]*>|@[A-Za-z][\w-]*)?)\s*\.\s*(?:#.*)?$/;
+    const literalPattern = /^"((?:[^"\\]|\\.)*)"(?:\^\^<([^>]*)>|@([A-Za-z][\w-]*))?$/;
+    const triples = [];
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const match = linePattern.exec(line);
+        if (!match) {
+            throw new Error(`Invalid N-Triples statement on line ${index + 1}`);
+        }
+
+        const subject = match[1].startsWith('<') ? match[1].slice(1, -1) : match[1];
+        const rawObject = match[3];
+        let object;
+        if (rawObject.startsWith('"')) {
+            const literal = literalPattern.exec(rawObject);
+            object = { value: unescapeLiteral(literal[1]), datatype: literal[2] || null, language: literal[3] || null };
+        } else {
+            object = { iri: rawObject.startsWith('<') ? rawObject.slice(1, -1) : rawObject };
+        }
+
+        triples.push([subject, match[2], object]);
+    });
+
+    return graphFromTriples(triples);
+}
+
+function fromJSONLD(document) {
+    return graphFromTriples(jsonldTriples(document));
+}
+
+/**
+ * Flatten a compacted JSON-LD document into triples. Handles what this
+ * module writes plus common variations (full or prefixed IRIs as keys,
+ * @value objects, nested nodes, top-level arrays); it is not a full
+ * JSON-LD processor (no remote contexts or framing).
+ */
+function jsonldTriples(document) {
+    const roots = Array.isArray(document) ? document : [document];
+    const triples = [];
+    let blankCounter = 0;
+
+    const visitNode = (node, inheritedContext) => {
+        const context = { ...inheritedContext, ...(node['@context'] && typeof node['@context'] === 'object' ? node['@context'] : {}) };
+        const expand = term => expandTerm(term, context);
+
+        if (Array.isArray(node['@graph'])) {
+            node['@graph'].forEach(child => visitNode(child, context));
+            if (!Object.keys(node).some(key => !key.startsWith('@'))) return null;
+        }
+
+        const subject = node['@id'] ? expand(node['@id']) : `_:b${blankCounter++}`;
+
+        for (const type of [].concat(node['@type'] || [])) {
+            triples.push([subject, IRI.type, { iri: expand(type) }]);
+        }
+
+        for (const [key, rawValues] of Object.entries(node)) {
+            if (key.startsWith('@')) continue;
+
+            const definition = context[key];
+            const predicate = expand(typeof definition === 'object' && definition ? definition['@id'] : key);
+            const coercion = typeof definition === 'object' && definition ? definition['@type'] : null;
+            const values = rawValues && rawValues['@list'] ? rawValues['@list'] : [].concat(rawValues);
+
+            for (const value of values) {
+                if (value === null || value === undefined) continue;
+
+                if (typeof value === 'object' && value['@value'] !== undefined) {
+                    triples.push([subject, predicate, {
+                        value: String(value['@value']),
+                        datatype: value['@type'] ? expand(value['@type']) : null,
+                        language: value['@language'] || null
+                    }]);
+                } else if (typeof value === 'object') {
+                    const objectId = visitNode(value, context);
+                    if (objectId) triples.push([subject, predicate, { iri: objectId }]);
+                } else if (coercion === '@id') {
+                    triples.push([subject, predicate, { iri: expand(String(value)) }]);
+                } else {
+                    triples.push([subject, predicate, {
+                        value: String(value),
+                        datatype: coercion ? expand(coercion) : null,
+                        language: null
+                    }]);
+                }
+            }
+        }
+
+        return subject;
+    };
+
+    for (const root of roots) {
+        visitNode(root, {});
+    }
+
+    return triples;
+}
+
+function expandTerm(term, context) {
+    const definition = context[term];
+    if (typeof definition === 'string') return expandTerm(definition, { ...context, [term]: undefined });
+    if (definition && typeof definition === 'object' && definition['@id']) {
+        return expandTerm(definition['@id'], { ...context, [term]: undefined });
+    }
+
+    const separator = term.indexOf(':');
+    if (separator > 0 && !term.startsWith('_:')) {
+        const prefix = term.slice(0, separator);
+        if (typeof context[prefix] === 'string') {
+            return context[prefix] + term.slice(separator + 1);
+        }
+    }
+
+    return term;
+}
+
+/**
+ * Rebuild the plain graph from triples using the SKOS/ASMF vocabulary.
+ * Plain SKOS thesauri import too: skos:related links without an
+ * asmf:Relationship become weight-1 relationships.
+ */
+function graphFromTriples(triples) {
+    const subjects = new Map();
+    for (const [subject, predicate, object] of triples) {
+        if (!subjects.has(subject)) subjects.set(subject, new Map());
+        const predicates = subjects.get(subject);
+        if (!predicates.has(predicate)) predicates.set(predicate, []);
+        predicates.get(predicate).push(object);
+    }
+
+    const values = (subject, predicate) => (subjects.get(subject) && subjects.get(subject).get(predicate)) || [];
+    const literal = (subject, predicate) => {
+        const object = values(subject, predicate).find(item => item.value !== undefined);
+        return object ? object.value : undefined;
+    };
+    const hasType = (subject, ...types) => values(subject, IRI.type).some(object => types.includes(object.iri));
+
+    // Concepts
+    const conceptNames = new Map();
+    const concepts = [];
+    for (const subject of subjects.keys()) {
+        if (!hasType(subject, IRI.Concept, IRI.AsmfConcept)) continue;
+
+        const name = literal(subject, IRI.prefLabel) || nameFromIri(subject);
+        conceptNames.set(subject, name);
+
+        const contexts = values(subject, IRI.context)
+            .map((object, order) => object.iri
+                ? { text: literal(object.iri, IRI.text), position: toNumber(literal(object.iri, IRI.position), order) }
+                : { text: object.value, position: order })
+            .filter(entry => typeof entry.text === 'string')
+            .sort((a, b) => a.position - b.position)
+            .map(entry => entry.text);
+
+        concepts.push({
+            id: literal(subject, IRI.conceptId) || null,
+            name,
+            frequency: toNumber(literal(subject, IRI.frequency), 1),
+            lastSeen: fromDateTime(literal(subject, IRI.lastSeen)),
+            contexts,
+            clusters: []
+        });
+    }
+
+    // Weighted relationships, then bare skos:related links
+    const relationships = [];
+    const linked = new Set();
+    const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+    for (const subject of subjects.keys()) {
+        if (!hasType(subject, IRI.Relationship)) continue;
+
+        const source = conceptNames.get((values(subject, IRI.source)[0] || {}).iri);
+        const target = conceptNames.get((values(subject, IRI.target)[0] || {}).iri);
+        if (!source || !target) continue;
+
+        relationships.push({ source, target, weight: toNumber(literal(subject, IRI.weight), 1) });
+        linked.add(pairKey(source, target));
+    }
+
+    for (const [subject, source] of conceptNames) {
+        for (const object of values(subject, IRI.related)) {
+            const target = conceptNames.get(object.iri);
+            if (!target || target === source || linked.has(pairKey(source, target))) continue;
+
+            relationships.push({ source, target, weight: 1 });
+            linked.add(pairKey(source, target));
+        }
+    }
+
+    // Clusters
+    const clusters = [];
+    const conceptsByName = new Map(concepts.map(concept => [concept.name, concept]));
+    for (const subject of subjects.keys()) {
+        if (!hasType(subject, IRI.Cluster, IRI.Collection)) continue;
+
+        const id = literal(subject, IRI.clusterId) || nameFromIri(subject);
+        const members = values(subject, IRI.member)
+            .map(object => conceptNames.get(object.iri))
+            .filter(Boolean);
+        const cluster = {
+            id,
+            label: literal(subject, IRI.prefLabel) || null,
+            concepts: members,
+            strength: toNumber(literal(subject, IRI.strength), 0),
+            createdAt: fromDateTime(literal(subject, IRI.created))
+        };
+
+        clusters.push(cluster);
+        for (const member of members) {
+            conceptsByName.get(member).clusters.push(id);
+        }
+    }
+
+    return { concepts, relationships, clusters };
+}
+
+module.exports = {
+    FORMATS,
+    serializeGraph,
+    parseGraph,
+    detectFormat,
+    toGraphML,
+    fromGraphML,
+    toJSONLD,
+    fromJSONLD,
+    toNTriples,
+    fromNTriples
+};
@@ -0,0 +1,221 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Inverted Index
+ * Incrementally maintained term index with Okapi BM25 scoring
+ *
+ * - Postings map term -> (document id -> term frequency)
+ * - Query cost depends on the postings of the query terms, not on the
+ *   number of indexed documents
+ * - Scores are normalized to 0-1 against the summed IDF of the matched
+ *   query terms so they can be blended with other similarity signals
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'with', 'this', 'that', 'from', 'have',
+    'has', 'had', 'you', 'your', 'our', 'but', 'not', 'what', 'which', 'who', 'how',
+    'can', 'will', 'would', 'about', 'into', 'there', 'their', 'they', 'them', 'then'
+]);
+
+/**
+ * Unicode-aware tokenizer shared by indexing and querying
+ */
+function tokenize(text) {
+    return (String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 2 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Terms for a memory item: its text tokens plus one term per extracted concept
+ */
+function documentTerms(text, concepts = []) {
+    return [
+        ...tokenize(text),
+        ...(concepts || []).map(concept => `concept:${String(concept).toLowerCase()}`)
+    ];
+}
+
+class BM25Index {
+    constructor(config = {}) {
+        this.k1 = config.k1 || 1.2;
+        this.b = config.b !== undefined ? config.b : 0.75;
+
+        this.clear();
+    }
+
+    get size() {
+        return this.documentLengths.size;
+    }
+
+    has(id) {
+        return this.documentLengths.has(id);
+    }
+
+    clear() {
+        this.postings = new Map();
+        this.documentTerms = new Map();
+        this.documentLengths = new Map();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Index (or re-index) a document from its terms
+     */
+    add(id, terms) {
+        if (this.documentLengths.has(id)) {
+            this.remove(id);
+        }
+
+        const frequencies = new Map();
+        for (const term of terms) {
+            frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+
+        for (const [term, frequency] of frequencies) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, frequency);
+        }
+
+        this.documentTerms.set(id, Array.from(frequencies.keys()));
+        this.documentLengths.set(id, terms.length);
+        this.totalLength += terms.length;
+    }
+
+    remove(id) {
+        const terms = this.documentTerms.get(id);
+        if (!terms) return false;
+
+        for (const term of terms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+
+        this.totalLength -= this.documentLengths.get(id);
+        this.documentTerms.delete(id);
+        this.documentLengths.delete(id);
+        return true;
+    }
+
+    /**
+     * Remove every indexed id not in the given set
+     */
+    retainOnly(liveIds) {
+        let removed = 0;
+        for (const id of Array.from(this.documentLengths.keys())) {
+            if (!liveIds.has(id)) {
+                this.remove(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    inverseDocumentFrequency(term) {
+        const posting = this.postings.get(term);
+        const documentFrequency = posting ? posting.size : 0;
+        return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * Top documents for the query terms as [{ id, score, rawScore, matchedTerms }]
+     */
+    search(terms, limit = 50) {
+        const queryTerms = Array.from(new Set(terms)).filter(term => this.postings.has(term));
+        if (queryTerms.length === 0) return [];
+
+        const averageLength = this.totalLength / this.size || 1;
+        const accumulator = new Map();
+        let maxPossible = 0;
+
+        for (const term of queryTerms) {
+            const idf = this.inverseDocumentFrequency(term);
+            maxPossible += idf;
+
+            for (const [id, frequency] of this.postings.get(term)) {
+                const lengthNorm = 1 - this.b + this.b * (this.documentLengths.get(id) / averageLength);
+                const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+
+                const entry = accumulator.get(id) || { id, rawScore: 0, matchedTerms: [] };
+                entry.rawScore += termScore;
+                entry.matchedTerms.push(term);
+                accumulator.set(id, entry);
+            }
+        }
+
+        return Array.from(accumulator.values())
+            .map(entry => ({
+                ...entry,
+                score: maxPossible > 0 ? Math.min(1, entry.rawScore / maxPossible) : 0
+            }))
+            .sort((a, b) => b.rawScore - a.rawScore)
+            .slice(0, limit);
+    }
+
+    /**
+     * Same as search() but keyed by id for score lookups
+     */
+    searchScores(terms, limit = 50) {
+        return new Map(this.search(terms, limit).map(result => [result.id, result.score]));
+    }
+
+    exportState() {
+        return {
+            k1: this.k1,
+            b: this.b,
+            documents: Array.from(this.documentTerms.keys()).map(id => [
+                id,
+                this.documentLengths.get(id),
+                this.documentTerms.get(id).map(term => [term, this.postings.get(term).get(id)])
+            ])
+        };
+    }
+
+    importState(state) {
+        this.clear();
+        if (!state || !Array.isArray(state.documents)) return false;
+
+        for (const [id, length, termFrequencies] of state.documents) {
+            for (const [term, frequency] of termFrequencies) {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                this.postings.get(term).set(id, frequency);
+            }
+            this.documentTerms.set(id, termFrequencies.map(([term]) => term));
+            this.documentLengths.set(id, length);
+            this.totalLength += length;
+        }
+
+        return true;
+    }
+
+    /**
+     * Rebuild from scratch out of [id, terms] pairs
+     */
+    rebuild(entries) {
+        this.clear();
+        for (const [id, terms] of entries) {
+            this.add(id, terms);
+        }
+        return this.size;
+    }
+
+    getStatus() {
+        return {
+            documents: this.size,
+            terms: this.postings.size,
+            averageLength: this.size > 0 ? this.totalLength / this.size : 0
+        };
+    }
+}
+
+module.exports = { BM25Index, tokenize, documentTerms };
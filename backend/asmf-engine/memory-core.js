@@ -13,6 +13,51 @@
  * - Temporal memory consolidation
  * - Pattern recognition and extraction
  * - Memory compression and optimization
+ * - Memory-manager interface (storeMemory/retrieveMemory/registerPattern,
+ *   'memory_update' events) for ConversationManager integration
+ * - Vector embeddings (offline hashing or local HTTP model) with HNSW
+ *   approximate nearest-neighbour search in every layer
+ * - Incremental BM25 inverted indexes so layer searches only score candidates
+ * - Concepts learned from content (noun phrases, RAKE/TextRank) with an
+ *   optional JSON/YAML ontology of synonyms and broader/narrower terms
+ * - Knowledge-graph queries: neighbours, shortest paths, k-hop expansion,
+ *   subgraphs and central concepts
+ * - Semantic graph export/import as GraphML, JSON-LD and N-Triples
+ * - Louvain community detection with stable, auto-labelled concept clusters
+ * - Cross-layer links (memory -> event and concepts, concept -> events)
+ *   followed at retrieval time
+ * - Memory strength: importance scoring, forgetting curve, reinforcement on
+ *   retrieval, promotion of important memories to the semantic layer
+ * - Tenant/user/project namespaces with their own state files, quotas and
+ *   opt-in shared training knowledge
+ * - Targeted forgetting (fingerprint, conversation, document, user) that
+ *   cascades across layers, compressed groups and backups with an audit trail
+ * - Provenance (source, offsets, extractor, confidence, ingestion time) on
+ *   memories, events and concept contexts; retrieval returns citations
+ * - Named ranking profiles selectable per request, and offline
+ *   learning-to-rank of profile weights from logged result feedback
+ * - Versioned snapshots of the full engine state: time-travel retrieval
+ *   against a past snapshot, structured diffs and restore
+ * - Write-ahead log per namespace: layer changes are durable when
+ *   processInformation returns and replayed on load; checkpoints save the
+ *   full state and compact the log
+ * - AES-256-GCM envelope encryption at rest with key ids, key rotation that
+ *   re-encrypts state, backups and snapshots, and migration of old files
+ * - Schema-versioned state files, upgraded step by step and validated on
+ *   load, with a (dry-run) migration of everything stored on disk
+ * - Natural-language time references in queries ("last Tuesday", "две
+ *   недели назад", "gestern Abend") become the search's time window;
+ *   temporal relevance favours events by recency
+ * - Timeline browsing: listing, paging, extractive summaries per timeline
+ *   and cached day/week/month digests refreshed on consolidation
+ * - Archival compression groups similar events into extractive summaries;
+ *   the originals are archived on disk and rehydrated on retrieval hits
+ * - Tiered event storage: events beyond the limit or the time window move
+ *   from memory to warm segments on disk, then to compressed cold segments
+ *   (on disk or Drive); searches fall through the tiers within latency budgets
+ * - Predictive reminders: confident recurring patterns project their next
+ *   occurrence ("you usually review the sprint on Fridays"), which users
+ *   confirm or dismiss
  * 
  * Author: MiniMax Agent
  * Version: 1.0.0
@@ -22,37 +67,189 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { promisify } = require('util');
+const { createEmbeddingProvider, averageVectors, cosineSimilarity } = require('./embeddings');
+const { HNSWIndex } = require('./vector-index');
+const { BM25Index, tokenize, documentTerms } = require('./inverted-index');
+const { ConceptExtractor, normalizeLabel } = require('./concept-extractor');
+const { louvain } = require('./community-detection');
+const { MemoryStrengthModel } = require('./memory-strength');
+const { createProvenance, normalizeProvenance, provenanceOf, buildCitations } = require('./provenance');
+const { BUILTIN_PROFILES, normalizeProfile, extractFeatures, scoreFeatures, learnProfile } = require('./ranking-profiles');
+const { SnapshotStore, diffStates, stateCounts, parseTime } = require('./memory-snapshots');
+const { WriteAheadLog } = require('./write-ahead-log');
+const { EventArchive, ARCHIVE_DIRECTORY } = require('./event-archive');
+const { EventTiers } = require('./tiered-storage');
+const { projectPredictions } = require('./predictions');
+const { createKeyRing, isEncrypted, DecryptionError } = require('./encryption');
+const { SCHEMA_VERSION, StateSchemaError, stateVersion, migrateState } = require('./state-schema');
+const { Clock, parseTemporalExpressions } = require('./temporal-expressions');
+const { PERIODS: DIGEST_PERIODS, DigestCache, summarizeEvents, eventsSignature, topConcepts } = require('./timeline-digests');
+const { FORMATS: GRAPH_FORMATS, serializeGraph, parseGraph, detectFormat: detectGraphFormat } = require('./graph-formats');
+const { MemoryNamespace, parseNamespace, namespaceDataPath, normalizeQuotas, DEFAULT_NAMESPACE, SHARED_NAMESPACE, DEFAULT_TENANT } = require('./memory-namespace');
 
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const mkdir = promisify(fs.mkdir);
 
-class ASMFEngine {
+/**
+ * Content hash used to find copies of forgotten text without storing it again
+ */
+function hashText(text) {
+    return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+/**
+ * Timelines keyed by metadata.timeline are 'named'; the rest group a day
+ */
+function timelineType(key) {
+    return String(key).startsWith('daily-') ? 'daily' : 'named';
+}
+
+/**
+ * An event as listed by the timeline API: no embeddings or internal
+ * bookkeeping, and compressed groups without the originals they hold
+ */
+function timelineEventView(event) {
+    const { embeddings, tokens, temporalRelationships, sequence, ...view } = event;
+    if (view.metadata && view.metadata.originals) {
+        const { originals, ...metadata } = view.metadata;
+        view.metadata = metadata;
+    }
+    return view;
+}
+
+/**
+ * A retrieved memory, concept or event as returned to callers: vectors stay
+ * in the vector indexes, also for the archived originals of compressed hits
+ */
+function retrievalView(item) {
+    const { embeddings, embedding, ...view } = item;
+    if (Array.isArray(view.rehydrated)) {
+        view.rehydrated = view.rehydrated.map(retrievalView);
+    }
+    return view;
+}
+
+class ASMFEngine extends EventEmitter {
     constructor(config = {}) {
+        super();
         this.config = {
             // Memory layer configurations
             contextLayer: {
                 maxSize: config.contextMaxSize || 100,
                 retentionTime: config.contextRetentionTime || 3600000, // 1 hour
-                consolidationThreshold: config.contextConsolidationThreshold || 0.7
+                consolidationThreshold: config.contextConsolidationThreshold || 0.7,
+                similarityThreshold: config.contextSimilarityThreshold || 0.1,
+                strength: {
+                    importanceThreshold: config.importanceThreshold !== undefined ? config.importanceThreshold : 0.7,
+                    baseStability: config.contextBaseStability || config.contextRetentionTime || 3600000,
+                    fadeThreshold: config.contextFadeThreshold !== undefined ? config.contextFadeThreshold : 0.05,
+                    reinforcementGrowth: config.reinforcementGrowth || 1.5
+                }
             },
             semanticLayer: {
                 maxConcepts: config.semanticMaxConcepts || 10000,
                 similarityThreshold: config.semanticSimilarityThreshold || 0.6,
-                clusterSize: config.semanticClusterSize || 50
+                clusterSize: config.semanticClusterSize || 50,
+                clusterUpdateInterval: config.semanticClusterUpdateInterval || 100,
+                clusterResolution: config.semanticClusterResolution || 1,
+                maxEventLinks: config.semanticMaxEventLinks || 50
             },
             temporalLayer: {
                 maxEvents: config.temporalMaxEvents || 50000,
                 timeWindow: config.temporalTimeWindow || 2592000000, // 30 days
-                compressionRatio: config.temporalCompressionRatio || 0.1
+                compressionRatio: config.temporalCompressionRatio || 0.1,
+                relevanceThreshold: config.temporalRelevanceThreshold || 0.3,
+                recencyHalfLife: config.temporalRecencyHalfLife || 2592000000, // 30 days
+                // Archival compression groups similar events (see compressArchivalEvents)
+                compressionWindow: config.temporalCompressionWindow || 604800000, // 7 days
+                compressionSimilarity: config.temporalCompressionSimilarity || 0.2,
+                compressionSummarySentences: config.temporalCompressionSummarySentences || 3,
+                // Archived originals returned per compressed hit, among the top results
+                rehydrateLimit: config.rehydrateLimit || 5,
+                rehydrateTopResults: config.rehydrateTopResults || 10,
+                // Warm and cold storage below memory (see tiered-storage.js):
+                // searched while memory has fewer than minResults matches,
+                // each tier within its latency budget (ms)
+                tiers: {
+                    enabled: config.tieredStorage !== false,
+                    warmMaxEvents: config.warmTierMaxEvents || 100000,
+                    segmentSize: config.tierSegmentSize || 1000,
+                    demoteBatch: config.tierDemoteBatch || 100,
+                    minResults: config.tierMinResults || 5,
+                    limit: config.tierSearchLimit || 20,
+                    // Tiered events a digest reads from each tier
+                    digestLimit: config.tierDigestLimit || 1000,
+                    budgets: {
+                        warm: config.warmTierBudget || 50,
+                        cold: config.coldTierBudget || 250
+                    }
+                }
+            },
+            // Time references in queries ("last Tuesday", "two weeks ago")
+            temporalQueries: {
+                enabled: config.temporalQueriesEnabled !== false,
+                // Minutes east of UTC; the server's time zone when unset
+                timezoneOffset: config.timezoneOffset,
+                weekStartsOn: config.weekStartsOn !== undefined ? config.weekStartsOn : 1
+            },
+            // Predictive reminders from recurring patterns (see predictions.js):
+            // which patterns predict, and how far ahead predictions are listed
+            predictions: {
+                enabled: config.predictionsEnabled !== false,
+                minConfidence: config.predictionMinConfidence || 0.85,
+                minOccurrences: config.predictionMinOccurrences || 3,
+                minInterval: config.predictionMinInterval || 43200000, // 12 hours
+                maxMissed: config.predictionMaxMissed !== undefined ? config.predictionMaxMissed : 2,
+                horizon: config.predictionHorizon || 604800000 // 7 days
+            },
+            // Timeline browsing: sentences per extractive summary and the
+            // timeline summaries/digests kept cached (see timeline-digests.js)
+            timelines: {
+                summarySentences: config.timelineSummarySentences || 3,
+                digestCacheSize: config.digestCacheSize || 200
             },
             // Storage configuration
             storage: {
                 dataPath: config.dataPath || './data/asmf-memory/',
                 backupEnabled: config.backupEnabled !== false,
                 backupInterval: config.backupInterval || 3600000, // 1 hour
-                encryptionEnabled: config.encryptionEnabled || false
+                // Timestamped backups kept per state file: newest N, none older than the days
+                backupRetention: config.backupRetention || 24,
+                backupRetentionDays: config.backupRetentionDays || 30,
+                // Encryption at rest (see encryption.js): a key from config/env,
+                // or generated keys kept in encryptionKeyFile
+                encryptionEnabled: config.encryptionEnabled || false,
+                encryptionKey: config.encryptionKey || null,
+                previousEncryptionKeys: config.previousEncryptionKeys || [],
+                encryptionKeyFile: config.encryptionKeyFile || null,
+                // Write-ahead log of layer changes between saves (see write-ahead-log.js)
+                walEnabled: config.walEnabled !== false,
+                walFlushInterval: config.walFlushInterval !== undefined ? config.walFlushInterval : 25, // ms appends wait to share an fsync
+                walSync: config.walSync !== false,
+                walCheckpointRecords: config.walCheckpointRecords || 5000, // log length that triggers a checkpoint
+                walCheckpointInterval: config.walCheckpointInterval || 300000 // 5 minutes
+            },
+            // Versioned engine snapshots (see memory-snapshots.js)
+            snapshots: {
+                interval: config.snapshotInterval || 0, // scheduled snapshots, 0 = off
+                maxAutomatic: config.maxAutomaticSnapshots || 20,
+                cacheSize: config.snapshotCacheSize || 4 // snapshot namespaces kept loaded for queries
+            },
+            // Namespace settings: default quotas of tenant/user/project namespaces
+            namespaces: {
+                quotas: config.namespaceQuotas || {}
+            },
+            // Relevance ranking: default profile, custom profiles (name ->
+            // weights, see ranking-profiles.js) and the retrievals kept for feedback
+            ranking: {
+                profile: config.rankingProfile || 'balanced',
+                profiles: config.rankingProfiles || {},
+                feedbackLogSize: config.rankingFeedbackLogSize || 500,
+                // Relevance score reported as confidence 1.0 by calculateConfidence
+                confidenceScale: config.confidenceScale || 20
             },
             // Performance settings
             performance: {
@@ -66,18 +263,75 @@ class ASMFEngine {
                 nlpModel: config.nlpModel || 'natural',
                 sentimentAnalysis: config.sentimentAnalysis !== false,
                 entityRecognition: config.entityRecognition !== false,
-                keywordExtraction: config.keywordExtraction !== false
+                keywordExtraction: config.keywordExtraction !== false,
+                maxConceptsPerInput: config.maxConceptsPerInput || 8,
+                ontologyPath: config.ontologyPath || null
+            },
+            // Embedding provider settings
+            embeddings: {
+                provider: config.embeddingProvider || 'hashing',
+                dimensions: config.embeddingDimensions || null,
+                endpoint: config.embeddingEndpoint || null,
+                model: config.embeddingModel || null,
+                apiKey: config.embeddingApiKey || null,
+                timeout: config.embeddingTimeout || 10000
+            },
+            // Approximate nearest-neighbour index settings
+            vectorIndex: {
+                M: config.vectorIndexM || 16,
+                efConstruction: config.vectorIndexEfConstruction || 100,
+                efSearch: config.vectorIndexEfSearch || 50,
+                candidates: config.vectorCandidates || 50,
+                minScore: config.vectorMinScore || 0.2
+            },
+            // BM25 inverted index settings
+            textIndex: {
+                k1: config.bm25K1 || 1.2,
+                b: config.bm25B !== undefined ? config.bm25B : 0.75,
+                candidates: config.textCandidates || 100
             },
             ...config
         };
 
-        // Initialize memory layers
-        this.contextLayer = new ContextLayer(this.config.contextLayer);
-        this.semanticLayer = new SemanticLayer(this.config.semanticLayer);
-        this.temporalLayer = new TemporalLayer(this.config.temporalLayer);
+        // Concept extraction (keyphrases + optional ontology)
+        this.conceptExtractor = new ConceptExtractor({
+            maxConcepts: this.config.ai.maxConceptsPerInput,
+            ontologyPath: this.config.ai.ontologyPath,
+            useTagger: this.config.ai.nlpModel === 'natural'
+        });
+
+        // Embedding provider (null when disabled)
+        this.embeddingProvider = createEmbeddingProvider(this.config.embeddings);
+
+        // Master keys for encryption at rest (null when it is off)
+        this.keyRing = createKeyRing(this.config.storage);
+
+        // Memory namespaces (tenant -> user -> project), each with its own
+        // layers and storage; the default one holds pre-namespace state
+        this.namespaces = new Map();
+        this.defaultNamespace = this.createNamespace(parseNamespace(DEFAULT_NAMESPACE));
+        this.namespaces.set(DEFAULT_NAMESPACE, this.defaultNamespace);
+        
+        // Optional remote backup target (e.g. Google Drive), see setBackupTarget
+        this.backupTarget = null;
+        // Optional remote home of cold event segments, see setColdStorageTarget
+        this.coldStorageTarget = null;
+
+        // Registered memory patterns (see registerPattern)
+        this.memoryPatterns = new Map();
+
+        // Custom and learned ranking profiles, and recent retrievals that
+        // feedback can refer to (see recordRankingFeedback)
+        this.rankingProfiles = new Map();
+        this.retrievalLog = new Map();
+        this.configuredRankingProfile = Boolean(config.rankingProfile);
+        for (const [name, definition] of Object.entries(this.config.ranking.profiles)) {
+            this.defineRankingProfile(name, definition);
+        }
 
         // Initialize cache and performance metrics
         this.cache = new Map();
+        this.digests = new DigestCache(this.config.timelines.digestCacheSize);
         this.performanceMetrics = {
             totalMemories: 0,
             averageResponseTime: 0,
@@ -86,14 +340,37 @@ class ASMFEngine {
             hitRate: 0
         };
 
-        // Storage management
-        this.storage = new MemoryStorage(this.config.storage);
+        // Storage management (default namespace)
+        this.storage = this.defaultNamespace.storage;
+        
+        // Snapshots, and the snapshot namespaces loaded for time-travel queries
+        this.snapshots = new SnapshotStore({
+            rootPath: path.join(this.config.storage.dataPath, 'snapshots'),
+            maxAutomatic: this.config.snapshots.maxAutomatic,
+            createStorage: dataPath => new MemoryStorage({ ...this.config.storage, dataPath, backupEnabled: false, keyRing: this.keyRing })
+        });
+        this.snapshotNamespaces = new Map();
         
         // Initialize system
         this.initialized = false;
         this.startTime = Date.now();
     }
 
+    /**
+     * Layers of the default namespace
+     */
+    get contextLayer() {
+        return this.defaultNamespace.contextLayer;
+    }
+
+    get semanticLayer() {
+        return this.defaultNamespace.semanticLayer;
+    }
+
+    get temporalLayer() {
+        return this.defaultNamespace.temporalLayer;
+    }
+
     /**
      * Initialize the ASMF engine
      */
@@ -133,33 +410,57 @@ class ASMFEngine {
             }
 
             const startTime = Date.now();
+            const { namespace: namespaceSpec, provenance, ...memoryMetadata } = metadata;
+            const namespace = await this.getNamespace(namespaceSpec);
+            const { contextLayer, semanticLayer, temporalLayer } = namespace;
             
             // Extract semantic information
-            const extractedInfo = await this.extractSemanticInfo(input);
+            const extractedInfo = await this.extractSemanticInfo(input, { learn: true, namespace });
+            
+            // Where the text came from travels with the memory, event and concept contexts
+            extractedInfo.provenance = createProvenance({ ...memoryMetadata, provenance }, input);
+            
+            // Apply registered memory patterns
+            if (this.memoryPatterns.size > 0) {
+                extractedInfo.patterns = this.matchPatterns(input);
+            }
+            
+            // Generate memory fingerprint (kept on the memory and event so they can be forgotten)
+            const fingerprint = this.generateMemoryFingerprint(extractedInfo);
+            extractedInfo.fingerprint = fingerprint;
             
             // Add to context layer
-            await this.contextLayer.addMemory(extractedInfo, metadata);
+            const memory = await contextLayer.addMemory(extractedInfo, memoryMetadata);
             
             // Process through semantic layer
-            const semanticResult = await this.semanticLayer.processInput(extractedInfo);
+            const semanticResult = await semanticLayer.processInput(extractedInfo);
             
             // Store in temporal layer
-            await this.temporalLayer.recordEvent(extractedInfo, metadata);
+            const event = await temporalLayer.recordEvent(extractedInfo, memoryMetadata);
+            
+            // Cross-layer links: memory -> event and concepts, concepts -> event
+            contextLayer.linkMemory(memory.id, { eventId: event.id, concepts: semanticResult.concepts });
+            semanticLayer.linkEvent(semanticResult.concepts, event.id);
+            
+            // Stored once the logged changes are on disk
+            await this.commitChanges(namespace);
             
             // Trigger consolidation if needed
-            await this.checkConsolidation();
+            await this.checkConsolidation(namespace);
             
             // Update performance metrics
             const processingTime = Date.now() - startTime;
             await this.updatePerformanceMetrics(processingTime, true);
             
-            // Generate memory fingerprint
-            const fingerprint = this.generateMemoryFingerprint(extractedInfo);
+            this.emitMemoryUpdate('memory_stored', fingerprint, extractedInfo, { ...memoryMetadata, namespace: namespace.key });
             
             return {
                 success: true,
                 fingerprint,
                 processingTime,
+                namespace: namespace.key,
+                memoryId: memory.id,
+                eventId: event.id,
                 layersUpdated: ['context', 'semantic', 'temporal'],
                 semanticSimilarity: semanticResult.similarity,
                 consolidationTriggered: false
@@ -182,49 +483,111 @@ class ASMFEngine {
             }
 
             const startTime = Date.now();
+            // Time travel: search the namespace as saved in a past snapshot (read-only)
+            const snapshot = await this.resolveSnapshotOption(options);
+            const namespace = snapshot
+                ? await this.getSnapshotNamespace(snapshot, options.namespace)
+                : await this.getNamespace(options.namespace);
+            const profile = this.getRankingProfile(options.rankingProfile);
+            const reinforce = options.reinforce !== false && !snapshot;
+            
+            // Time references become the time window; the rest is matched by content
+            const temporalQuery = this.parseTemporalQuery(query, options);
+            const searchOptions = temporalQuery ? { ...options, timeRange: temporalQuery.range } : options;
             
             // Check cache first
-            const cacheKey = this.generateCacheKey(query, options);
+            const cacheKey = this.generateCacheKey(query, {
+                ...searchOptions,
+                namespace: namespace.key,
+                snapshot: snapshot ? snapshot.id : null
+            });
             if (this.config.performance.cacheEnabled && this.cache.has(cacheKey)) {
                 const cached = this.cache.get(cacheKey);
+                if (reinforce) {
+                    this.reinforceRetrieved(cached.results);
+                }
                 await this.updatePerformanceMetrics(Date.now() - startTime, true, true);
-                return {
+                const response = {
                     ...cached,
                     cached: true,
                     retrievalTime: Date.now() - startTime
                 };
+                if (cached.explain) {
+                    response.explain = {
+                        ...cached.explain,
+                        cache: { hit: true, key: cacheKey, cachedAt: cached.explain.generatedAt, ageMs: Date.now() - cached.explain.generatedAt }
+                    };
+                }
+                return response;
             }
             
             // Extract query semantics
-            const queryInfo = await this.extractSemanticInfo(query);
+            const queryInfo = await this.extractSemanticInfo(temporalQuery ? temporalQuery.text : query, { namespace });
             
-            // Search across all memory layers
-            const results = {
-                context: await this.contextLayer.search(queryInfo, options.context || {}),
-                semantic: await this.semanticLayer.search(queryInfo, options.semantic || {}),
-                temporal: await this.temporalLayer.search(queryInfo, options.temporal || {})
-            };
+            // Search across all memory layers of the namespace
+            const results = await this.searchNamespace(namespace, queryInfo, searchOptions);
+            
+            // Shared training knowledge only for namespaces that opted in
+            if (namespace.sharedKnowledge && !namespace.isShared) {
+                const sharedNamespace = snapshot
+                    ? await this.getSnapshotNamespace(snapshot, SHARED_NAMESPACE, { optional: true })
+                    : await this.getNamespace(SHARED_NAMESPACE);
+                const shared = sharedNamespace
+                    ? await this.searchNamespace(sharedNamespace, queryInfo, searchOptions)
+                    : { context: [], semantic: [], temporal: [] };
+                for (const layer of Object.keys(results)) {
+                    results[layer].push(...shared[layer]);
+                }
+            }
             
             // Combine and rank results
-            const rankedResults = await this.rankResults(results, queryInfo);
+            const rankedResults = await this.rankResults(results, queryInfo, { explain: options.explain, profile });
+            if (!snapshot && options.rehydrate !== false) {
+                await this.rehydrateResults(rankedResults, queryInfo);
+            }
+            const citations = buildCitations(rankedResults);
+            const retrievalId = this.logRetrieval(namespace, profile, queryInfo, rankedResults);
+            
+            if (reinforce) {
+                this.reinforceRetrieved(rankedResults);
+            }
             
             // Create comprehensive response
             const response = {
                 success: true,
                 query: query,
-                results: rankedResults,
-                layers: results,
+                namespace: namespace.key,
+                retrievalId,
+                rankingProfile: profile.name,
+                results: rankedResults.map(retrievalView),
+                citations,
+                layers: Object.fromEntries(Object.entries(results).map(([layer, items]) => [layer, items.map(retrievalView)])),
                 totalResults: rankedResults.length,
                 retrievalTime: Date.now() - startTime,
                 confidence: this.calculateConfidence(rankedResults),
                 metadata: {
                     searchRadius: this.calculateSearchRadius(options),
-                    layerContributions: this.calculateLayerContributions(results)
+                    layerContributions: this.calculateLayerContributions(results),
+                    sharedKnowledge: namespace.sharedKnowledge
                 }
             };
+            if (snapshot) {
+                response.snapshot = { id: snapshot.id, name: snapshot.name, createdAt: snapshot.createdAt };
+            }
+            if (temporalQuery) {
+                response.temporal = temporalQuery;
+            }
             
             // Cache successful results
-            if (this.config.performance.cacheEnabled && rankedResults.length > 0) {
+            const cacheable = this.config.performance.cacheEnabled && rankedResults.length > 0;
+            if (options.explain) {
+                response.explain = {
+                    ...this.explainRetrieval(namespace, queryInfo, { ...searchOptions, profile, temporalQuery }),
+                    confidenceScale: this.config.ranking.confidenceScale,
+                    cache: { hit: false, key: cacheKey, stored: cacheable }
+                };
+            }
+            if (cacheable) {
                 this.cache.set(cacheKey, response);
                 this.cleanupCache();
             }
@@ -241,907 +604,4621 @@ class ASMFEngine {
     }
 
     /**
-     * Consolidate memory layers to optimize storage and performance
+     * Memory-manager interface: store a typed memory entry
+     * Entry shape: { type, content, metadata, context, namespace }
      */
-    async consolidateMemory() {
-        try {
-            console.log('🔄 Starting memory consolidation...');
-            
-            const startTime = Date.now();
-            
-            // Consolidate context layer
-            const contextConsolidation = await this.contextLayer.consolidate();
-            
-            // Consolidate semantic layer
-            const semanticConsolidation = await this.semanticLayer.consolidate();
-            
-            // Consolidate temporal layer
-            const temporalConsolidation = await this.temporalLayer.consolidate();
-            
-            // Optimize cross-layer connections
-            const connectionOptimization = await this.optimizeConnections();
-            
-            // Compress and clean old data
-            await this.compressAndClean();
-            
-            // Save consolidated state
-            await this.saveMemory();
-            
-            const consolidationTime = Date.now() - startTime;
+    async storeMemory(entry = {}) {
+        if (!entry.content || typeof entry.content !== 'string') {
+            throw new Error('Memory entry content must be a non-empty string');
+        }
+
+        const { namespace: metadataNamespace, ...entryMetadata } = entry.metadata || {};
+        const metadata = {
+            ...entryMetadata,
+            memoryType: entry.type || 'generic',
+            timeline: entryMetadata.timeline || entryMetadata.conversationId || undefined
+        };
+        const namespaceSpec = entry.namespace !== undefined ? entry.namespace : metadataNamespace;
+
+        // Knowledge extractions only feed the semantic layer; the source
+        // message itself is stored separately as a conversation memory
+        if (entry.type === 'knowledge_extraction') {
+            const namespace = await this.getNamespace(namespaceSpec);
             
-            console.log(`✅ Memory consolidation completed in ${consolidationTime}ms`);
+            // A message already stored as a memory fed the semantic layer
+            // then; learning it again would count its concepts twice
+            const ingested = this.findIngestedMessage(namespace, metadata.messageId, entry.content);
+            if (ingested) {
+                return {
+                    success: true,
+                    fingerprint: ingested.fingerprint,
+                    namespace: namespace.key,
+                    layersUpdated: [],
+                    concepts: ingested.concepts || [],
+                    memoryId: ingested.id
+                };
+            }
             
+            const extractedInfo = await this.extractSemanticInfo(entry.content, { namespace });
+            extractedInfo.provenance = createProvenance(metadata, entry.content);
+            const semanticResult = await namespace.semanticLayer.processInput(extractedInfo);
+            const fingerprint = this.generateMemoryFingerprint(extractedInfo);
+            await this.commitChanges(namespace);
+
+            this.emitMemoryUpdate('knowledge_extracted', fingerprint, extractedInfo, { ...metadata, namespace: namespace.key });
+
             return {
                 success: true,
-                duration: consolidationTime,
-                contextOptimizations: contextConsolidation,
-                semanticOptimizations: semanticConsolidation,
-                temporalOptimizations: temporalConsolidation,
-                connectionOptimizations: connectionOptimization,
-                totalItemsProcessed: contextConsolidation.items + semanticConsolidation.items + temporalConsolidation.items,
-                compressionRatio: await this.calculateCompressionRatio()
+                fingerprint,
+                namespace: namespace.key,
+                layersUpdated: ['semantic'],
+                concepts: semanticResult.concepts
             };
-            
-        } catch (error) {
-            console.error('Error during memory consolidation:', error);
-            throw error;
         }
+
+        return await this.processInformation(entry.content, { ...metadata, namespace: namespaceSpec });
     }
 
     /**
-     * Get comprehensive memory status
+     * Working memory stored from a message (by its messageId) with this text
      */
-    async getMemoryStatus() {
-        try {
-            const contextStatus = await this.contextLayer.getStatus();
-            const semanticStatus = await this.semanticLayer.getStatus();
-            const temporalStatus = await this.temporalLayer.getStatus();
-            
-            const uptime = Date.now() - this.startTime;
-            
-            return {
-                engine: {
-                    initialized: this.initialized,
-                    uptime: uptime,
-                    version: '1.0.0',
-                    totalMemories: this.performanceMetrics.totalMemories
-                },
-                layers: {
-                    context: contextStatus,
-                    semantic: semanticStatus,
-                    temporal: temporalStatus
-                },
-                performance: {
-                    ...this.performanceMetrics,
-                    cacheSize: this.cache.size,
-                    cacheHitRate: this.performanceMetrics.hitRate
-                },
-                storage: {
-                    dataPath: this.config.storage.dataPath,
-                    backupEnabled: this.config.storage.backupEnabled
-                },
-                configuration: {
-                    memoryLimits: {
-                        context: this.config.contextLayer.maxSize,
-                        semantic: this.config.semanticLayer.maxConcepts,
-                        temporal: this.config.temporalLayer.maxEvents
-                    },
-                    performance: this.config.performance,
-                    ai: this.config.ai
-                }
-            };
-            
-        } catch (error) {
-            console.error('Error getting memory status:', error);
-            throw error;
-        }
+    findIngestedMessage(namespace, messageId, text) {
+        if (messageId === undefined || messageId === null) return null;
+        
+        return namespace.contextLayer.memories.find(memory =>
+            memory.metadata && memory.metadata.messageId === messageId && memory.text === text) || null;
     }
 
     /**
-     * Extract semantic information from input
+     * Memory-manager interface: retrieve memories for a query
+     * Query shape: { query, type, limit, options, namespace }
      */
-    async extractSemanticInfo(input) {
-        // This would integrate with NLP libraries like natural, spaCy, or custom models
-        // For now, implementing a simplified version
-        
-        const info = {
-            text: input,
-            timestamp: Date.now(),
-            tokens: [],
-            entities: [],
-            sentiment: { score: 0, comparative: 0 },
-            keywords: [],
-            concepts: [],
-            embeddings: null
-        };
-
-        // Tokenization (simplified)
-        info.tokens = input.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(token => token.length > 2);
-
-        // Basic keyword extraction
-        info.keywords = this.extractKeywords(info.tokens);
-        
-        // Conceptual analysis
-        info.concepts = await this.identifyConcepts(info.tokens);
-        
-        // Sentiment analysis (if enabled)
-        if (this.config.ai.sentimentAnalysis) {
-            info.sentiment = await this.analyzeSentiment(input);
+    async retrieveMemory(memoryQuery = {}) {
+        const queryText = typeof memoryQuery === 'string' ? memoryQuery : memoryQuery.query;
+        if (!queryText || typeof queryText !== 'string') {
+            throw new Error('Memory query must be a non-empty string');
         }
-        
-        // Entity recognition (if enabled)
-        if (this.config.ai.entityRecognition) {
-            info.entities = await this.recognizeEntities(input);
+
+        const limit = memoryQuery.limit || 10;
+        const options = { ...memoryQuery.options };
+        if (memoryQuery.namespace !== undefined) {
+            options.namespace = memoryQuery.namespace;
         }
+        const retrieval = await this.retrieveInformation(queryText, options);
+        const results = retrieval.results.slice(0, limit);
+        const cited = new Set(results.flatMap(result => result.citationIds || []));
 
-        return info;
+        return {
+            success: true,
+            query: queryText,
+            namespace: retrieval.namespace,
+            retrievalId: retrieval.retrievalId,
+            rankingProfile: retrieval.rankingProfile,
+            type: memoryQuery.type || 'generic',
+            results,
+            citations: (retrieval.citations || []).filter(citation => cited.has(citation.id)),
+            explain: retrieval.explain,
+            snapshot: retrieval.snapshot,
+            temporal: retrieval.temporal,
+            totalResults: retrieval.totalResults,
+            confidence: retrieval.confidence
+        };
     }
 
     /**
-     * Extract keywords from tokens
+     * Memory-manager interface: register a named extraction pattern
+     * Definition shape: { pattern, flags, type, weight }
      */
-    extractKeywords(tokens) {
-        // Simple frequency-based keyword extraction
-        const frequencies = {};
-        tokens.forEach(token => {
-            frequencies[token] = (frequencies[token] || 0) + 1;
-        });
+    async registerPattern(name, definition = {}) {
+        if (!name || !definition.pattern) {
+            throw new Error('Pattern name and definition.pattern are required');
+        }
 
-        return Object.entries(frequencies)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 10)
-            .map(([word, frequency]) => ({ word, frequency }));
+        const source = definition.pattern instanceof RegExp ? definition.pattern.source : definition.pattern;
+        const baseFlags = definition.pattern instanceof RegExp ? definition.pattern.flags : (definition.flags || '');
+        const flags = baseFlags.includes('g') ? baseFlags : `${baseFlags}g`;
+
+        const registered = {
+            name,
+            regex: new RegExp(source, flags),
+            type: definition.type || 'generic',
+            weight: definition.weight !== undefined ? definition.weight : 0.5,
+            registeredAt: Date.now(),
+            matchCount: 0
+        };
+
+        this.memoryPatterns.set(name, registered);
+
+        return {
+            name,
+            pattern: source,
+            flags,
+            type: registered.type,
+            weight: registered.weight
+        };
     }
 
     /**
-     * Identify concepts from tokens
+     * Match input against registered memory patterns
      */
-    async identifyConcepts(tokens) {
-        // Conceptual mapping - would be enhanced with real knowledge bases
-        const conceptMappings = {
-            'ai': ['artificial intelligence', 'machine learning', 'neural networks'],
-            'computer': ['technology', 'software', 'hardware'],
-            'learning': ['education', 'training', 'knowledge acquisition'],
-            'memory': ['storage', 'recall', 'retention'],
-            'data': ['information', 'facts', 'statistics']
-        };
+    matchPatterns(text) {
+        const matches = [];
 
-        const concepts = [];
-        tokens.forEach(token => {
-            for (const [key, conceptList] of Object.entries(conceptMappings)) {
-                if (token.includes(key)) {
-                    concepts.push(...conceptList);
-                }
+        for (const pattern of this.memoryPatterns.values()) {
+            for (const match of text.matchAll(pattern.regex)) {
+                pattern.matchCount++;
+                matches.push({
+                    name: pattern.name,
+                    type: pattern.type,
+                    weight: pattern.weight,
+                    match: match[0],
+                    groups: match.slice(1)
+                });
             }
-        });
+        }
 
-        return [...new Set(concepts)];
+        return matches;
     }
 
     /**
-     * Analyze sentiment of text
+     * Emit a 'memory_update' event, scoped to a conversation when known
      */
-    async analyzeSentiment(text) {
-        // Simplified sentiment analysis
-        const positiveWords = ['good', 'great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'awesome'];
-        const negativeWords = ['bad', 'terrible', 'awful', 'horrible', 'disgusting', 'hate', 'worst'];
-        
-        const words = text.toLowerCase().split(/\s+/);
-        let score = 0;
-        
-        words.forEach(word => {
-            if (positiveWords.includes(word)) score++;
-            if (negativeWords.includes(word)) score--;
+    emitMemoryUpdate(type, fingerprint, info, metadata = {}) {
+        this.emit('memory_update', {
+            type,
+            fingerprint,
+            concepts: info.concepts,
+            patterns: info.patterns || [],
+            metadata,
+            context: metadata.conversationId ? {
+                conversationId: metadata.conversationId,
+                memoryFingerprint: fingerprint,
+                memoryConcepts: info.concepts
+            } : null,
+            timestamp: Date.now()
         });
-
-        return {
-            score: score,
-            comparative: score / words.length
-        };
     }
 
     /**
-     * Recognize entities in text
+     * Knowledge graph: weighted neighbours of a concept
      */
-    async recognizeEntities(text) {
-        // Simplified entity recognition
-        const entities = [];
+    async getConceptNeighbors(concept, options = {}) {
+        const name = this.resolveConceptName(concept);
+        const { semanticLayer } = await this.getNamespace(options.namespace);
+        const neighbors = await semanticLayer.getNeighbors(name, options);
+        if (!neighbors) return this.conceptNotFound(concept);
         
-        // Basic pattern matching for entities
-        const patterns = {
-            person: /\b[A-Z][a-z]+ [A-Z][a-z]+\b/g,
-            email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-            url: /https?:\/\/[^\s]+/g,
-            date: /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g
-        };
+        return { success: true, concept: name, neighbors };
+    }
 
-        for (const [type, pattern] of Object.entries(patterns)) {
-            const matches = text.match(pattern);
-            if (matches) {
-                entities.push(...matches.map(match => ({ type, value: match })));
-            }
-        }
+    /**
+     * Knowledge graph: shortest path between two concepts
+     */
+    async findConceptPath(fromConcept, toConcept, options = {}) {
+        const from = this.resolveConceptName(fromConcept);
+        const to = this.resolveConceptName(toConcept);
+        const { semanticLayer } = await this.getNamespace(options.namespace);
+        const result = await semanticLayer.findShortestPath(from, to, options);
+        if (!result) return this.conceptNotFound(semanticLayer.concepts.has(from) ? toConcept : fromConcept);
+        
+        return { success: true, from, to, ...result };
+    }
 
-        return entities;
+    /**
+     * Knowledge graph: concepts within k hops
+     */
+    async expandConcept(concept, options = {}) {
+        const name = this.resolveConceptName(concept);
+        const { semanticLayer } = await this.getNamespace(options.namespace);
+        const concepts = await semanticLayer.expandConcepts(name, options);
+        if (!concepts) return this.conceptNotFound(concept);
+        
+        return { success: true, concept: name, hops: options.hops || 2, concepts };
     }
 
     /**
-     * Rank search results across layers
+     * Knowledge graph: subgraph around a concept
      */
-    async rankResults(results, queryInfo) {
-        const allResults = [];
+    async getConceptSubgraph(concept, options = {}) {
+        const name = this.resolveConceptName(concept);
+        const { semanticLayer } = await this.getNamespace(options.namespace);
+        const subgraph = await semanticLayer.getSubgraph(name, options);
+        if (!subgraph) return this.conceptNotFound(concept);
         
-        // Combine results from all layers
-        for (const [layer, layerResults] of Object.entries(results)) {
-            layerResults.forEach(result => {
-                allResults.push({
-                    ...result,
-                    layer,
-                    relevanceScore: this.calculateRelevanceScore(result, queryInfo, layer)
-                });
-            });
-        }
-        
-        // Sort by relevance score
-        return allResults.sort((a, b) => b.relevanceScore - a.relevanceScore);
+        return { success: true, ...subgraph };
     }
 
     /**
-     * Calculate relevance score for a result
+     * Knowledge graph: most central concepts
      */
-    calculateRelevanceScore(result, queryInfo, layer) {
-        let score = 0;
-        
-        // Base score from layer type
-        const layerWeights = {
-            context: 1.0,
-            semantic: 0.8,
-            temporal: 0.6
-        };
-        score += (layerWeights[layer] || 0.5) * 10;
-        
-        // Keyword matching
-        if (result.keywords && queryInfo.keywords) {
-            const matches = result.keywords.filter(k => 
-                queryInfo.keywords.some(qk => qk.word === k.word)
-            ).length;
-            score += matches * 5;
-        }
-        
-        // Concept matching
-        if (result.concepts && queryInfo.concepts) {
-            const conceptMatches = result.concepts.filter(c => 
-                queryInfo.concepts.includes(c)
-            ).length;
-            score += conceptMatches * 3;
-        }
-        
-        // Recency bonus for temporal layer
-        if (layer === 'temporal' && result.timestamp) {
-            const ageHours = (Date.now() - result.timestamp) / 3600000;
-            const recencyScore = Math.max(0, 10 - ageHours / 24);
-            score += recencyScore;
+    async getCentralConcepts(options = {}) {
+        try {
+            const { semanticLayer } = await this.getNamespace(options.namespace);
+            const concepts = await semanticLayer.getCentralConcepts(options);
+            return { success: true, measure: options.measure || 'pagerank', concepts };
+        } catch (error) {
+            return { success: false, error: error.message };
         }
-        
-        return score;
     }
 
     /**
-     * Calculate confidence score for results
+     * Knowledge graph: detected concept communities, largest first
      */
-    calculateConfidence(results) {
-        if (results.length === 0) return 0;
-        
-        const avgScore = results.reduce((sum, r) => sum + r.relevanceScore, 0) / results.length;
-        const maxScore = Math.max(...results.map(r => r.relevanceScore));
-        
-        return {
-            average: avgScore / 20, // Normalize to 0-1
-            maximum: maxScore / 20,
-            consistency: avgScore / maxScore
-        };
+    async getConceptClusters(options = {}) {
+        const { semanticLayer } = await this.getNamespace(options.namespace);
+        const clusters = await semanticLayer.getClusters(options);
+        return { success: true, ...semanticLayer.clusteringStatus, total: semanticLayer.clusters.length, clusters };
     }
 
     /**
-     * Calculate search radius for query
+     * Export the semantic graph as GraphML, JSON-LD or N-Triples
      */
-    calculateSearchRadius(options) {
-        const defaultRadius = 1.0;
-        return options.radius || defaultRadius;
+    async exportSemanticGraph(options = {}) {
+        try {
+            const format = options.format || 'graphml';
+            const { semanticLayer } = await this.getNamespace(options.namespace);
+            const graph = semanticLayer.exportGraph();
+            const data = serializeGraph(graph, format);
+
+            return {
+                success: true,
+                format,
+                ...GRAPH_FORMATS[format],
+                data,
+                concepts: graph.concepts.length,
+                relationships: graph.relationships.length,
+                clusters: graph.clusters.length
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     }
 
     /**
-     * Calculate layer contributions to results
+     * Seed the semantic layer from a GraphML, JSON-LD or N-Triples graph
      */
-    calculateLayerContributions(results) {
-        const contributions = {
-            context: results.context.length,
-            semantic: results.semantic.length,
-            temporal: results.temporal.length
-        };
-        
-        const total = Object.values(contributions).reduce((sum, count) => sum + count, 0);
-        
-        if (total > 0) {
-            Object.keys(contributions).forEach(layer => {
-                contributions[layer] = contributions[layer] / total;
-            });
+    async importSemanticGraph(data, options = {}) {
+        try {
+            const format = options.format || detectGraphFormat(data);
+            const graph = parseGraph(data, format);
+            const namespace = await this.getNamespace(options.namespace);
+            const { semanticLayer } = namespace;
+
+            // Curated labels are normalized like extracted concepts
+            const normalizeNames = names => (names || []).map(name => normalizeLabel(name)).filter(Boolean);
+            graph.concepts = graph.concepts.map(concept => ({ ...concept, name: normalizeLabel(concept.name) }));
+            graph.relationships = graph.relationships.map(relationship => ({
+                ...relationship,
+                source: normalizeLabel(relationship.source),
+                target: normalizeLabel(relationship.target)
+            }));
+            graph.clusters = graph.clusters.map(cluster => ({ ...cluster, concepts: normalizeNames(cluster.concepts) }));
+
+            const stats = await semanticLayer.importGraph(graph, { mode: options.mode, source: `graph_import.${format}` });
+
+            // New concepts get an embedding from their name and contexts
+            if (this.embeddingProvider) {
+                for (const name of stats.created) {
+                    const conceptObj = semanticLayer.concepts.get(name);
+                    if (conceptObj.embedding) continue;
+
+                    const text = [name, ...conceptObj.context].join('\n');
+                    this.embeddingProvider.observe(text, namespace.embeddingStatistics);
+                    semanticLayer.updateConceptEmbedding(name, conceptObj, await this.embedText(text, namespace));
+                }
+            }
+
+            this.cache.clear();
+            await this.saveMemory({ namespace });
+
+            console.log(`📚 Imported ${stats.concepts} concepts, ${stats.relationships} relationships and ${stats.clusters} clusters (${format})`);
+
+            return {
+                success: true,
+                format,
+                namespace: namespace.key,
+                mode: options.mode || 'merge',
+                concepts: stats.concepts,
+                conceptsCreated: stats.created.length,
+                relationships: stats.relationships,
+                clusters: stats.clusters
+            };
+        } catch (error) {
+            console.error('Failed to import semantic graph:', error);
+            return { success: false, error: error.message };
         }
-        
-        return contributions;
     }
 
     /**
-     * Check if memory consolidation is needed
+     * Map user input onto a stored concept name (ontology synonyms included)
      */
-    async checkConsolidation() {
-        const contextSize = await this.contextLayer.getSize();
-        const semanticSize = await this.semanticLayer.getSize();
-        const temporalSize = await this.temporalLayer.getSize();
-        
-        // Trigger consolidation if any layer is near capacity
-        const needsConsolidation = 
-            contextSize > this.config.contextLayer.maxSize * 0.8 ||
-            semanticSize > this.config.semanticLayer.maxConcepts * 0.8 ||
-            temporalSize > this.config.temporalLayer.maxEvents * 0.8;
-            
-        if (needsConsolidation) {
-            await this.consolidateMemory();
-        }
+    resolveConceptName(concept) {
+        const normalized = normalizeLabel(concept || '');
+        return this.conceptExtractor.ontology.canonical(normalized) || normalized;
+    }
+
+    conceptNotFound(concept) {
+        return { success: false, error: `Concept not found: ${concept}` };
     }
 
     /**
-     * Optimize connections between memory layers
+     * Timelines of a namespace, most recently active first. Options:
+     * { namespace, type: 'named' | 'daily', limit, offset }. Timelines
+     * hold the events still in memory: demoted events leave them (digests
+     * and searches still read the warm and cold tiers).
      */
-    async optimizeConnections() {
-        // Optimize cross-references and connections between layers
-        const optimizations = {
-            crossReferencesOptimized: 0,
-            redundantConnectionsRemoved: 0,
-            newConnectionsCreated: 0
+    async listTimelines(options = {}) {
+        const { type, limit = 50, offset = 0 } = options;
+        if (type !== undefined && type !== 'named' && type !== 'daily') {
+            return { success: false, error: `Unknown timeline type '${type}' (named or daily)` };
+        }
+
+        const namespace = await this.getNamespace(options.namespace);
+        const timelines = Array.from(namespace.temporalLayer.timelines.values())
+            .map(timeline => ({
+                key: timeline.key,
+                type: timelineType(timeline.key),
+                eventCount: timeline.events.length,
+                startTime: timeline.startTime,
+                endTime: timeline.endTime,
+                concepts: topConcepts(timeline.events, 5)
+            }))
+            .filter(timeline => !type || timeline.type === type)
+            .sort((a, b) => b.endTime - a.endTime || a.key.localeCompare(b.key));
+
+        return {
+            success: true,
+            namespace: namespace.key,
+            total: timelines.length,
+            offset,
+            limit,
+            timelines: timelines.slice(offset, offset + limit)
         };
-        
-        // Implementation would analyze and optimize layer connections
-        // This is a simplified placeholder
-        
-        return optimizations;
     }
 
     /**
-     * Compress and clean old memory data
+     * A page of a timeline's events. Options: { namespace, limit, offset,
+     * order: 'asc' (oldest first, default) | 'desc' }
      */
-    async compressAndClean() {
-        const cutoffTime = Date.now() - this.config.temporalLayer.timeWindow;
-        
-        // Clean old context memories
-        await this.contextLayer.cleanOldMemories(cutoffTime);
-        
-        // Compress semantic concepts
-        await this.semanticLayer.compressOldConcepts(cutoffTime);
-        
-        // Archive old temporal events
-        await this.temporalLayer.archiveOldEvents(cutoffTime);
-        
+    async getTimelineEvents(key, options = {}) {
+        const { limit = 50, offset = 0 } = options;
+        const namespace = await this.getNamespace(options.namespace);
+        const timeline = namespace.temporalLayer.timelines.get(key);
+        if (!timeline) return this.timelineNotFound(key);
+
+        const events = timeline.events.slice().sort((a, b) => a.timestamp - b.timestamp);
+        if (options.order === 'desc') events.reverse();
+        const page = events.slice(offset, offset + limit);
+
         return {
-            itemsCompressed: 0, // Would be calculated in real implementation
-            spaceSaved: 0 // Would be calculated in real implementation
+            success: true,
+            namespace: namespace.key,
+            key,
+            type: timelineType(key),
+            total: events.length,
+            offset,
+            limit,
+            nextOffset: offset + page.length < events.length ? offset + page.length : null,
+            events: page.map(timelineEventView)
         };
     }
 
     /**
-     * Calculate compression ratio
+     * Extractive summary of a timeline. Options: { namespace, sentences }
      */
-    async calculateCompressionRatio() {
-        // Placeholder implementation
-        return 0.15; // 15% compression ratio
+    async getTimelineSummary(key, options = {}) {
+        const namespace = await this.getNamespace(options.namespace);
+        const timeline = namespace.temporalLayer.timelines.get(key);
+        if (!timeline) return this.timelineNotFound(key);
+
+        const sentences = this.summarySentences(options.sentences);
+        const events = timeline.events.slice().sort((a, b) => a.timestamp - b.timestamp);
+        const signature = eventsSignature(events);
+        const cacheKey = `timeline:${key}:${sentences}`;
+
+        let summary = this.digests.get(namespace.key, cacheKey, signature);
+        const cached = Boolean(summary);
+        if (!summary) {
+            summary = { ...summarizeEvents(events, { sentences }), generatedAt: Date.now() };
+            this.digests.set(namespace.key, cacheKey, signature, summary);
+        }
+
+        return { success: true, namespace: namespace.key, key, type: timelineType(key), ...summary, cached };
+    }
+
+    summarySentences(requested) {
+        return Math.min(20, Math.max(1, requested || this.config.timelines.summarySentences));
+    }
+
+    timelineNotFound(key) {
+        return { success: false, error: `Timeline '${key}' not found` };
     }
 
     /**
-     * Update performance metrics
+     * Digest of a day, week or month: extractive summary, top concepts and
+     * busiest timelines. Options: { namespace, period (default 'week'),
+     * date (ISO date/time, epoch ms or a phrase like "last week"; default
+     * now), offset (periods from the one containing date), sentences,
+     * timezoneOffset }. getDigest() is "what happened this week".
      */
-    async updatePerformanceMetrics(processingTime, success, cached = false) {
-        this.performanceMetrics.totalMemories++;
-        
-        if (success) {
-            // Update average response time
-            const totalTime = this.performanceMetrics.averageResponseTime * (this.performanceMetrics.totalMemories - 1);
-            this.performanceMetrics.averageResponseTime = (totalTime + processingTime) / this.performanceMetrics.totalMemories;
-            
-            if (cached) {
-                this.performanceMetrics.hitRate = 
-                    (this.performanceMetrics.hitRate * (this.performanceMetrics.totalMemories - 1) + 1) / 
-                    this.performanceMetrics.totalMemories;
-            }
+    async getDigest(options = {}) {
+        const period = options.period || 'week';
+        if (!DIGEST_PERIODS.includes(period)) {
+            return { success: false, error: `Unknown digest period '${period}' (${DIGEST_PERIODS.join(', ')})` };
         }
-        
-        // Calculate memory efficiency
-        const totalCapacity = this.config.contextLayer.maxSize + 
-                             this.config.semanticLayer.maxConcepts + 
-                             this.config.temporalLayer.maxEvents;
-        this.performanceMetrics.memoryEfficiency = this.performanceMetrics.totalMemories / totalCapacity;
+
+        const timezoneOffset = options.timezoneOffset !== undefined ? options.timezoneOffset : this.config.temporalQueries.timezoneOffset;
+        const now = this.resolveDigestDate(options.date, timezoneOffset);
+        if (now === null) {
+            return { success: false, error: `Invalid date: ${options.date}` };
+        }
+
+        const namespace = await this.getNamespace(options.namespace);
+        const clock = new Clock({ now, timezoneOffset, weekStartsOn: this.config.temporalQueries.weekStartsOn });
+        const range = clock.period(period, options.offset || 0);
+
+        return { success: true, ...(await this.buildDigest(namespace, period, range, options.sentences)) };
     }
 
     /**
-     * Generate memory fingerprint
+     * Time a digest is anchored at: a phrase the temporal parser reads
+     * entirely ("yesterday", "2025-11-03") or a plain date/time
      */
-    generateMemoryFingerprint(info) {
-        const content = JSON.stringify({
-            text: info.text,
-            keywords: info.keywords,
-            concepts: info.concepts,
-            timestamp: Math.floor(info.timestamp / 60000) // Minute precision
+    resolveDigestDate(date, timezoneOffset) {
+        if (date === undefined || date === null || date === '') return Date.now();
+
+        const parsed = parseTemporalExpressions(String(date), {
+            timezoneOffset,
+            weekStartsOn: this.config.temporalQueries.weekStartsOn
         });
-        
-        return crypto.createHash('sha256').update(content).digest('hex');
+        if (parsed.range && !parsed.text.trim()) return parsed.range.start;
+
+        return parseTime(date);
     }
 
     /**
-     * Generate cache key
+     * Digest of the namespace's events within range, tiered ones included,
+     * served from the digest cache while those events are unchanged
      */
-    generateCacheKey(query, options) {
-        const content = JSON.stringify({
-            query: query,
-            options: options,
-            timestamp: Math.floor(Date.now() / 300000) // 5-minute precision
+    async buildDigest(namespace, period, range, requestedSentences) {
+        const { temporalLayer } = namespace;
+        const sentences = this.summarySentences(requestedSentences);
+        const events = (await temporalLayer.getEventsInRange(range))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const signature = eventsSignature(events);
+        const cacheKey = `${period}:${range.start}:${sentences}`;
+
+        const cached = this.digests.get(namespace.key, cacheKey, signature);
+        if (cached) return { ...cached, cached: true };
+
+        const timelines = new Map();
+        for (const event of events) {
+            const key = temporalLayer.extractTimelineKey(event);
+            timelines.set(key, (timelines.get(key) || 0) + 1);
+        }
+
+        const digest = {
+            namespace: namespace.key,
+            period,
+            start: range.start,
+            end: range.end,
+            ...summarizeEvents(events, { sentences }),
+            timelines: Array.from(timelines, ([key, eventCount]) => ({ key, eventCount }))
+                .sort((a, b) => b.eventCount - a.eventCount || a.key.localeCompare(b.key))
+                .slice(0, 10),
+            generatedAt: Date.now()
+        };
+        this.digests.set(namespace.key, cacheKey, signature, digest);
+
+        return { ...digest, cached: false };
+    }
+
+    /**
+     * Drop a namespace's cached digests and rebuild the ones most asked
+     * for: today, yesterday, this and last week, this month
+     */
+    async refreshDigests(namespace) {
+        this.digests.clear(namespace.key);
+
+        const clock = new Clock({
+            timezoneOffset: this.config.temporalQueries.timezoneOffset,
+            weekStartsOn: this.config.temporalQueries.weekStartsOn
         });
-        
-        return crypto.createHash('md5').update(content).digest('hex');
+        const current = [['day', 0], ['day', -1], ['week', 0], ['week', -1], ['month', 0]];
+        for (const [period, offset] of current) {
+            await this.buildDigest(namespace, period, clock.period(period, offset));
+        }
+
+        return current.length;
     }
 
     /**
-     * Clean up cache when it gets too large
+     * Upcoming occurrences of recurring patterns, soonest first (see
+     * predictions.js). Options: { namespace, horizon (ms ahead, default
+     * predictions.horizon), limit, includeDismissed, timezoneOffset }
      */
-    cleanupCache() {
-        if (this.cache.size > this.config.performance.cacheSize) {
-            // Remove oldest entries
-            const entriesToRemove = this.cache.size - this.config.performance.cacheSize;
-            const keys = Array.from(this.cache.keys());
-            
-            for (let i = 0; i < entriesToRemove; i++) {
-                this.cache.delete(keys[i]);
-            }
+    async getPredictions(options = {}) {
+        if (!this.config.predictions.enabled) {
+            return { success: false, error: 'Predictions are disabled' };
         }
+
+        const horizon = options.horizon !== undefined ? options.horizon : this.config.predictions.horizon;
+        if (!(horizon >= 0)) {
+            return { success: false, error: 'Prediction horizon must not be negative' };
+        }
+
+        const now = Date.now();
+        const namespace = await this.getNamespace(options.namespace);
+        const predictions = this.namespacePredictions(namespace, { now, timezoneOffset: options.timezoneOffset })
+            .filter(prediction => prediction.nextOccurrence <= now + horizon)
+            .filter(prediction => options.includeDismissed || prediction.status !== 'dismissed')
+            .sort((a, b) => a.nextOccurrence - b.nextOccurrence || b.confidence - a.confidence);
+
+        return {
+            success: true,
+            namespace: namespace.key,
+            generatedAt: now,
+            horizon,
+            total: predictions.length,
+            predictions: predictions.slice(0, options.limit || 20)
+        };
     }
 
     /**
-     * Initialize AI components
+     * Confirm or dismiss a prediction (action 'confirm' | 'dismiss');
+     * dismissed topics are no longer predicted until confirmed again
      */
-    async initializeAI() {
-        console.log('🤖 Initializing AI components...');
-        
-        // Initialize NLP components based on configuration
-        if (this.config.ai.nlpModel === 'natural') {
-            console.log('📚 Using natural.js for NLP processing');
+    async updatePrediction(id, action, options = {}) {
+        const statuses = { confirm: 'confirmed', dismiss: 'dismissed' };
+        if (!statuses[action]) {
+            return { success: false, error: `Unknown prediction action '${action}' (confirm or dismiss)` };
         }
-        
-        // Initialize sentiment analysis if enabled
-        if (this.config.ai.sentimentAnalysis) {
-            console.log('😊 Initializing sentiment analysis');
+
+        const namespace = await this.getNamespace(options.namespace);
+        const prediction = this.namespacePredictions(namespace, { timezoneOffset: options.timezoneOffset })
+            .find(candidate => candidate.id === id);
+        if (!prediction) {
+            return { success: false, notFound: true, error: `Prediction '${id}' not found` };
         }
-        
-        console.log('✅ AI components initialized');
+
+        const feedback = namespace.temporalLayer.setPredictionFeedback(id, statuses[action]);
+        await this.commitChanges(namespace);
+
+        return {
+            success: true,
+            namespace: namespace.key,
+            prediction: { ...prediction, status: feedback.status, feedbackAt: feedback.updatedAt }
+        };
+    }
+
+    namespacePredictions(namespace, options = {}) {
+        const { temporalLayer } = namespace;
+        return projectPredictions(temporalLayer.patterns, {
+            ...this.config.predictions,
+            now: options.now,
+            timezoneOffset: options.timezoneOffset !== undefined ? options.timezoneOffset : this.config.temporalQueries.timezoneOffset,
+            feedback: temporalLayer.predictionFeedback
+        });
     }
 
     /**
-     * Start background processes
+     * Consolidate memory layers to optimize storage and performance.
+     * With options.namespace only that namespace is consolidated; otherwise
+     * the default namespace's result is returned with the other loaded
+     * namespaces' results under `namespaces`.
      */
-    startBackgroundProcesses() {
-        // Start periodic backup process
-        if (this.config.storage.backupEnabled) {
-            setInterval(async () => {
-                try {
-                    await this.saveMemory();
-                } catch (error) {
-                    console.error('Background backup failed:', error);
-                }
-            }, this.config.storage.backupInterval);
+    async consolidateMemory(options = {}) {
+        if (options.namespace !== undefined) {
+            return await this.consolidateNamespace(await this.getNamespace(options.namespace));
         }
         
-        // Start periodic consolidation
-        setInterval(() => {
-            this.checkConsolidation();
-        }, 1800000); // 30 minutes
+        const result = await this.consolidateNamespace(this.defaultNamespace);
+        const namespaces = [];
+        for (const namespace of Array.from(this.namespaces.values())) {
+            if (namespace.isDefault) continue;
+            await namespace.ready;
+            namespaces.push(await this.consolidateNamespace(namespace));
+        }
         
-        console.log('🔄 Background processes started');
+        return { ...result, namespaces };
     }
 
-    /**
-     * Save memory state to storage
-     */
-    async saveMemory() {
+    async consolidateNamespace(namespace) {
         try {
-            const memoryState = {
-                timestamp: Date.now(),
-                contextLayer: await this.contextLayer.exportState(),
-                semanticLayer: await this.semanticLayer.exportState(),
-                temporalLayer: await this.temporalLayer.exportState(),
-                performanceMetrics: this.performanceMetrics
+            console.log(`🔄 Starting memory consolidation (${namespace.key})...`);
+            
+            const startTime = Date.now();
+            const { contextLayer, semanticLayer, temporalLayer } = namespace;
+            
+            // Promote important working memories before weak ones fade
+            const promotedMemories = await this.promoteImportantMemories(namespace);
+            
+            // Consolidate context layer
+            const contextConsolidation = await contextLayer.consolidate();
+            
+            // Consolidate semantic layer
+            const semanticConsolidation = await semanticLayer.consolidate();
+            
+            // Consolidate temporal layer
+            const temporalConsolidation = await temporalLayer.consolidate();
+            
+            // Compress and clean old data
+            await this.compressAndClean(namespace);
+            await temporalLayer.pruneArchive();
+            
+            // Optimize cross-layer connections (after cleanup so no link dangles)
+            const connectionOptimization = await this.optimizeConnections(namespace);
+            
+            // Rebuild the cached digests from the consolidated events
+            const digestsRefreshed = await this.refreshDigests(namespace);
+            
+            // Save consolidated state
+            await this.saveMemory({ namespace });
+            
+            const consolidationTime = Date.now() - startTime;
+            
+            console.log(`✅ Memory consolidation (${namespace.key}) completed in ${consolidationTime}ms`);
+            
+            return {
+                success: true,
+                namespace: namespace.key,
+                duration: consolidationTime,
+                contextOptimizations: contextConsolidation,
+                semanticOptimizations: semanticConsolidation,
+                temporalOptimizations: temporalConsolidation,
+                connectionOptimizations: connectionOptimization,
+                digestsRefreshed,
+                promotedMemories,
+                totalItemsProcessed: contextConsolidation.items + semanticConsolidation.items + temporalConsolidation.items,
+                compressionRatio: await this.calculateCompressionRatio()
             };
             
-            await this.storage.saveState('main', memoryState);
         } catch (error) {
-            console.error('Failed to save memory state:', error);
+            console.error('Error during memory consolidation:', error);
             throw error;
         }
     }
 
     /**
-     * Load memory state from storage
+     * Promote context memories at or above the importance threshold into
+     * the semantic layer (once per memory)
      */
-    async loadMemory() {
-        try {
-            const memoryState = await this.storage.loadState('main');
-            
-            if (memoryState) {
-                await this.contextLayer.importState(memoryState.contextLayer);
-                await this.semanticLayer.importState(memoryState.semanticLayer);
-                await this.temporalLayer.importState(memoryState.temporalLayer);
-                this.performanceMetrics = { ...this.performanceMetrics, ...memoryState.performanceMetrics };
-                
-                console.log('📂 Memory state loaded from storage');
+    async promoteImportantMemories(namespace = this.defaultNamespace) {
+        const now = Date.now();
+        let promoted = 0;
+        
+        for (const memory of namespace.contextLayer.getPromotionCandidates()) {
+            memory.promotedConcepts = await namespace.semanticLayer.promoteMemory(memory);
+            memory.promotedAt = now;
+            promoted++;
+        }
+        
+        return promoted;
+    }
+
+    /**
+     * Pin a working memory so it never fades and is always promoted
+     */
+    async pinMemory(memoryId, pinned = true, options = {}) {
+        const namespace = await this.getNamespace(options.namespace);
+        const memory = namespace.contextLayer.pinMemory(memoryId, pinned);
+        if (!memory) {
+            return { success: false, error: `Memory not found: ${memoryId}` };
+        }
+        
+        this.cache.clear();
+        await this.commitChanges(namespace);
+        
+        return {
+            success: true,
+            namespace: namespace.key,
+            memoryId,
+            pinned: memory.pinned,
+            importance: memory.importance,
+            retention: namespace.contextLayer.strengthModel.retention(memory)
+        };
+    }
+
+    /**
+     * Retrieval hits strengthen the context memories they returned,
+     * in the namespace each hit came from
+     */
+    reinforceRetrieved(results) {
+        const memoryIds = new Map();
+        for (const result of results) {
+            if (result.layer !== 'context') continue;
+            
+            const key = result.namespace || DEFAULT_NAMESPACE;
+            if (!memoryIds.has(key)) memoryIds.set(key, []);
+            memoryIds.get(key).push(result.id);
+        }
+        
+        let reinforced = 0;
+        for (const [key, ids] of memoryIds) {
+            const namespace = this.namespaces.get(key);
+            if (namespace) {
+                reinforced += namespace.contextLayer.reinforceMemories(ids);
+            }
+        }
+        return reinforced;
+    }
+
+    /**
+     * Get comprehensive memory status
+     */
+    async getMemoryStatus(options = {}) {
+        try {
+            const namespace = await this.getNamespace(options.namespace);
+            const contextStatus = await namespace.contextLayer.getStatus();
+            const semanticStatus = await namespace.semanticLayer.getStatus();
+            const temporalStatus = await namespace.temporalLayer.getStatus();
+            const quotas = namespace.quotas;
+            
+            const uptime = Date.now() - this.startTime;
+            
+            return {
+                engine: {
+                    initialized: this.initialized,
+                    uptime: uptime,
+                    version: '1.0.0',
+                    totalMemories: this.performanceMetrics.totalMemories
+                },
+                namespace: {
+                    ...namespace.describe(),
+                    loadedNamespaces: this.namespaces.size
+                },
+                layers: {
+                    context: contextStatus,
+                    semantic: semanticStatus,
+                    temporal: temporalStatus
+                },
+                performance: {
+                    ...this.performanceMetrics,
+                    cacheSize: this.cache.size,
+                    cacheHitRate: this.performanceMetrics.hitRate
+                },
+                storage: {
+                    dataPath: namespace.storage.dataPath,
+                    backupEnabled: this.config.storage.backupEnabled,
+                    remoteBackup: Boolean(this.backupTarget)
+                },
+                embeddings: {
+                    provider: this.embeddingProvider ? this.embeddingProvider.name : 'none',
+                    dimensions: this.embeddingProvider ? this.embeddingProvider.dimensions : null
+                },
+                configuration: {
+                    memoryLimits: {
+                        context: quotas.maxMemories,
+                        semantic: quotas.maxConcepts,
+                        temporal: quotas.maxEvents
+                    },
+                    performance: this.config.performance,
+                    ai: this.config.ai
+                }
+            };
+            
+        } catch (error) {
+            console.error('Error getting memory status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Extract semantic information from input
+     */
+    async extractSemanticInfo(input, options = {}) {
+        // This would integrate with NLP libraries like natural, spaCy, or custom models
+        // For now, implementing a simplified version
+        
+        const info = {
+            text: input,
+            timestamp: Date.now(),
+            tokens: [],
+            entities: [],
+            sentiment: { score: 0, comparative: 0 },
+            keywords: [],
+            concepts: [],
+            embeddings: null
+        };
+
+        // Tokenization (simplified)
+        info.tokens = input.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token.length > 2);
+
+        // Basic keyword extraction
+        info.keywords = this.extractKeywords(info.tokens);
+        
+        // Conceptual analysis
+        info.concepts = await this.identifyConcepts(input, options.namespace);
+        
+        // Sentiment analysis (if enabled)
+        if (this.config.ai.sentimentAnalysis) {
+            info.sentiment = await this.analyzeSentiment(input);
+        }
+        
+        // Entity recognition (if enabled)
+        if (this.config.ai.entityRecognition) {
+            info.entities = await this.recognizeEntities(input);
+        }
+        
+        // Vector embedding (if a provider is configured)
+        if (this.embeddingProvider) {
+            const statistics = options.namespace ? options.namespace.embeddingStatistics : null;
+            if (options.learn) {
+                this.embeddingProvider.observe(input, statistics);
+            }
+            info.embeddings = await this.embedText(input, options.namespace);
+        }
+
+        return info;
+    }
+
+    /**
+     * Embed text with the configured provider and the corpus statistics of
+     * the namespace it belongs to, null on failure
+     */
+    async embedText(text, namespace) {
+        try {
+            return await this.embeddingProvider.embed(text, namespace ? namespace.embeddingStatistics : undefined);
+        } catch (error) {
+            console.warn('⚠️ Embedding failed, storing without vector:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Extract keywords from tokens
+     */
+    extractKeywords(tokens) {
+        // Simple frequency-based keyword extraction
+        const frequencies = {};
+        tokens.forEach(token => {
+            frequencies[token] = (frequencies[token] || 0) + 1;
+        });
+
+        return Object.entries(frequencies)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 10)
+            .map(([word, frequency]) => ({ word, frequency }));
+    }
+
+    /**
+     * Identify concepts in text; concepts the namespace's semantic layer already knows are preferred
+     */
+    async identifyConcepts(text, namespace = this.defaultNamespace) {
+        return this.conceptExtractor.extract(text, {
+            isKnown: concept => namespace.semanticLayer.concepts.has(concept)
+        });
+    }
+
+    /**
+     * Load (or replace) the concept ontology from a JSON/YAML file
+     */
+    async loadOntology(filePath) {
+        try {
+            const concepts = await this.conceptExtractor.loadOntology(filePath);
+            this.cache.clear();
+            return { success: true, ontologyPath: filePath, concepts };
+        } catch (error) {
+            console.error('Failed to load ontology:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Analyze sentiment of text
+     */
+    async analyzeSentiment(text) {
+        // Simplified sentiment analysis
+        const positiveWords = ['good', 'great', 'excellent', 'amazing', 'wonderful', 'fantastic', 'awesome'];
+        const negativeWords = ['bad', 'terrible', 'awful', 'horrible', 'disgusting', 'hate', 'worst'];
+        
+        const words = text.toLowerCase().split(/\s+/);
+        let score = 0;
+        
+        words.forEach(word => {
+            if (positiveWords.includes(word)) score++;
+            if (negativeWords.includes(word)) score--;
+        });
+
+        return {
+            score: score,
+            comparative: score / words.length
+        };
+    }
+
+    /**
+     * Recognize entities in text
+     */
+    async recognizeEntities(text) {
+        // Simplified entity recognition
+        const entities = [];
+        
+        // Basic pattern matching for entities
+        const patterns = {
+            person: /\b[A-Z][a-z]+ [A-Z][a-z]+\b/g,
+            email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
+            url: /https?:\/\/[^\s]+/g,
+            date: /\b\d{1,2}\/\d{1,2}\/\d{4}\b/g
+        };
+
+        for (const [type, pattern] of Object.entries(patterns)) {
+            const matches = text.match(pattern);
+            if (matches) {
+                entities.push(...matches.map(match => ({ type, value: match })));
+            }
+        }
+
+        return entities;
+    }
+
+    /**
+     * Rank search results across layers
+     */
+    async rankResults(results, queryInfo, options = {}) {
+        const allResults = [];
+        
+        // Combine results from all layers
+        for (const [layer, layerResults] of Object.entries(results)) {
+            layerResults.forEach(result => {
+                const ranked = {
+                    ...result,
+                    layer,
+                    relevanceScore: this.calculateRelevanceScore(result, queryInfo, layer, options.profile)
+                };
+                if (options.explain) {
+                    ranked.explanation = this.explainResult(result, queryInfo, layer, options.profile);
+                }
+                allResults.push(ranked);
+            });
+        }
+        
+        // Sort by relevance score
+        return allResults.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
+    /**
+     * Attach the archived originals of compressed groups among the top
+     * results as result.rehydrated (best matches for the query first)
+     */
+    async rehydrateResults(rankedResults, queryInfo) {
+        const { rehydrateLimit, rehydrateTopResults } = this.config.temporalLayer;
+        for (const result of rankedResults.slice(0, rehydrateTopResults)) {
+            if (result.layer !== 'temporal' || !(result.metadata && result.metadata.archived)) continue;
+            
+            const namespace = this.namespaces.get(result.namespace);
+            const originals = namespace ? await namespace.temporalLayer.rehydrate(result, queryInfo, rehydrateLimit) : null;
+            if (originals) {
+                result.rehydrated = originals;
+            }
+        }
+        
+        return rankedResults;
+    }
+
+    /**
+     * Calculate relevance score for a result
+     */
+    calculateRelevanceScore(result, queryInfo, layer, profile = this.getRankingProfile()) {
+        const { components } = this.scoreComponents(result, queryInfo, layer, profile);
+        return Object.values(components).reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * Contributions to a result's relevance score under a ranking profile,
+     * plus the query keywords and concepts it matched
+     */
+    scoreComponents(result, queryInfo, layer, profile = this.getRankingProfile()) {
+        const { features, matched } = extractFeatures(result, queryInfo, layer);
+        return { components: scoreFeatures(features, profile), matched };
+    }
+
+    /**
+     * Why a result ranked where it did: score components, the layer's own
+     * match scores and what of the query it matched
+     */
+    explainResult(result, queryInfo, layer, profile = this.getRankingProfile()) {
+        const { components, matched } = this.scoreComponents(result, queryInfo, layer, profile);
+        const layerMatch = {};
+        for (const field of ['similarity', 'textScore', 'vectorSimilarity', 'retention', 'temporalRelevance', 'patternRelevance']) {
+            if (result[field] !== undefined) layerMatch[field] = result[field];
+        }
+        
+        return {
+            score: Object.values(components).reduce((sum, value) => sum + value, 0),
+            components,
+            matched,
+            layerMatch: { ...layerMatch, layerScore: result.relevanceScore },
+            linkedFrom: result.linkedFrom || null
+        };
+    }
+
+    /**
+     * What retrieval did with the query: extracted keywords and concepts,
+     * the nearest neighbours of its embedding in each layer, the thresholds
+     * and candidate limits applied and the ranking profile
+     */
+    explainRetrieval(namespace, queryInfo, options = {}) {
+        const { contextLayer, semanticLayer, temporalLayer } = namespace;
+        const neighbours = index => Array.from(index.searchScores(queryInfo.embeddings, 5, this.config.vectorIndex.minScore))
+            .map(([id, similarity]) => ({ id, similarity }))
+            .sort((a, b) => b.similarity - a.similarity);
+        const candidates = layerOptions => ({
+            text: layerOptions.textCandidates || this.config.textIndex.candidates,
+            vector: layerOptions.vectorCandidates || this.config.vectorIndex.candidates,
+            vectorMinScore: this.config.vectorIndex.minScore
+        });
+        const contextOptions = options.context || {};
+        const semanticOptions = options.semantic || {};
+        const temporalOptions = options.temporal || {};
+        
+        return {
+            generatedAt: Date.now(),
+            query: {
+                text: queryInfo.text,
+                temporal: options.temporalQuery || null,
+                keywords: queryInfo.keywords,
+                concepts: queryInfo.concepts,
+                embedding: queryInfo.embeddings
+                    ? {
+                        dimensions: queryInfo.embeddings.length,
+                        neighbours: {
+                            context: neighbours(contextLayer.vectorIndex),
+                            semantic: neighbours(semanticLayer.vectorIndex),
+                            temporal: neighbours(temporalLayer.vectorIndex)
+                        }
+                    }
+                    : null
+            },
+            thresholds: {
+                context: {
+                    similarityThreshold: contextOptions.similarityThreshold !== undefined
+                        ? contextOptions.similarityThreshold
+                        : contextLayer.config.similarityThreshold,
+                    candidates: candidates(contextOptions)
+                },
+                semantic: {
+                    similarityThreshold: semanticOptions.similarityThreshold || semanticLayer.config.similarityThreshold,
+                    candidates: candidates(semanticOptions)
+                },
+                temporal: {
+                    relevanceThreshold: temporalLayer.config.relevanceThreshold,
+                    timeRange: temporalOptions.timeRange || options.timeRange || null,
+                    candidates: candidates(temporalOptions)
+                }
+            },
+            ranking: options.profile || this.getRankingProfile(),
+            followLinks: options.followLinks !== false,
+            sharedKnowledge: namespace.sharedKnowledge && !namespace.isShared
+        };
+    }
+
+    /**
+     * Calculate confidence score for results
+     */
+    calculateConfidence(results) {
+        if (results.length === 0) return 0;
+        
+        const avgScore = results.reduce((sum, r) => sum + r.relevanceScore, 0) / results.length;
+        const maxScore = Math.max(...results.map(r => r.relevanceScore));
+        
+        const scale = this.config.ranking.confidenceScale;
+        
+        return {
+            average: avgScore / scale, // Normalize to 0-1
+            maximum: maxScore / scale,
+            consistency: avgScore / maxScore
+        };
+    }
+
+    /**
+     * Ranking profile by name (default: the active profile)
+     */
+    getRankingProfile(name) {
+        const profileName = name || this.config.ranking.profile;
+        const profile = this.rankingProfiles.get(profileName) || BUILTIN_PROFILES[profileName];
+        if (!profile) {
+            throw new Error(`Unknown ranking profile "${profileName}". Available: ${this.rankingProfileNames().join(', ')}`);
+        }
+        
+        return { name: profileName, ...profile };
+    }
+
+    rankingProfileNames() {
+        return [...Object.keys(BUILTIN_PROFILES), ...this.rankingProfiles.keys()];
+    }
+
+    /**
+     * Define a custom ranking profile; weights not given come from the
+     * profile named by definition.base (default balanced)
+     */
+    defineRankingProfile(name, definition = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Ranking profile name is required');
+        }
+        if (BUILTIN_PROFILES[name]) {
+            throw new Error(`Ranking profile "${name}" is built in and cannot be redefined`);
+        }
+        
+        const { name: baseName, ...base } = this.getRankingProfile(definition.base || 'balanced');
+        const profile = normalizeProfile({
+            description: `Custom profile based on ${baseName}`,
+            ...definition,
+            base: baseName
+        }, base);
+        this.rankingProfiles.set(name, profile);
+        this.cache.clear();
+        
+        return { name, ...profile };
+    }
+
+    /**
+     * Define (or replace) a custom ranking profile and persist it
+     */
+    async updateRankingProfile(name, definition = {}) {
+        try {
+            const profile = this.defineRankingProfile(name, definition);
+            await this.saveNamespace(this.defaultNamespace);
+            return { success: true, profile };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Make a profile the default for requests that don't name one
+     */
+    async setDefaultRankingProfile(name) {
+        try {
+            this.getRankingProfile(name);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        
+        this.config.ranking.profile = name;
+        this.cache.clear();
+        await this.saveNamespace(this.defaultNamespace);
+        
+        return { success: true, active: name };
+    }
+
+    listRankingProfiles() {
+        return {
+            active: this.config.ranking.profile,
+            profiles: this.rankingProfileNames().map(name => ({
+                ...this.getRankingProfile(name),
+                builtin: Boolean(BUILTIN_PROFILES[name])
+            }))
+        };
+    }
+
+    /**
+     * Remember what a retrieval returned (ids, ranks and ranking features,
+     * never text) so feedback on its results can be logged for learning
+     */
+    logRetrieval(namespace, profile, queryInfo, rankedResults) {
+        const retrievalId = crypto.randomUUID();
+        this.retrievalLog.set(retrievalId, {
+            namespace: namespace.key,
+            profile: profile.name,
+            timestamp: Date.now(),
+            results: rankedResults.slice(0, 50).map((result, rank) => ({
+                id: result.id,
+                layer: result.layer,
+                rank,
+                features: extractFeatures(result, queryInfo, result.layer).features
+            }))
+        });
+        
+        while (this.retrievalLog.size > this.config.ranking.feedbackLogSize) {
+            this.retrievalLog.delete(this.retrievalLog.keys().next().value);
+        }
+        
+        return retrievalId;
+    }
+
+    /**
+     * Log user feedback on a retrieved result; the log is the training data
+     * of learnRankingProfile
+     */
+    async recordRankingFeedback(feedback = {}) {
+        const { retrievalId, resultId, relevant = true } = feedback;
+        const retrieval = this.retrievalLog.get(retrievalId);
+        if (!retrieval) {
+            return { success: false, error: `Unknown or expired retrieval: ${retrievalId}` };
+        }
+        if (!retrieval.results.some(result => result.id === resultId)) {
+            return { success: false, error: `Result ${resultId} was not returned by retrieval ${retrievalId}` };
+        }
+        
+        const entry = {
+            timestamp: Date.now(),
+            retrievalId,
+            namespace: retrieval.namespace,
+            profile: retrieval.profile,
+            resultId,
+            relevant: relevant !== false,
+            results: retrieval.results
+        };
+        await mkdir(this.config.storage.dataPath, { recursive: true });
+        await fs.promises.appendFile(this.rankingFeedbackPath(), JSON.stringify(entry) + '\n');
+        
+        return { success: true, retrievalId, resultId, relevant: entry.relevant };
+    }
+
+    rankingFeedbackPath() {
+        return path.join(this.config.storage.dataPath, 'ranking-feedback.jsonl');
+    }
+
+    /**
+     * Retrievals with their relevant/irrelevant result ids from the feedback
+     * log; a later vote on the same result replaces an earlier one
+     */
+    async loadRankingFeedback(filter = {}) {
+        let lines;
+        try {
+            lines = (await readFile(this.rankingFeedbackPath(), 'utf8')).split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        
+        const retrievals = new Map();
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+            if (filter.namespace && entry.namespace !== filter.namespace) continue;
+            if (filter.since && entry.timestamp < filter.since) continue;
+            
+            if (!retrievals.has(entry.retrievalId)) {
+                retrievals.set(entry.retrievalId, { results: entry.results, votes: new Map() });
+            }
+            retrievals.get(entry.retrievalId).votes.set(entry.resultId, entry.relevant);
+        }
+        
+        return Array.from(retrievals.values()).map(({ results, votes }) => ({
+            results,
+            relevant: [...votes].filter(([, relevant]) => relevant).map(([id]) => id),
+            irrelevant: [...votes].filter(([, relevant]) => !relevant).map(([id]) => id)
+        }));
+    }
+
+    /**
+     * Offline learning-to-rank: tune a profile's weights from the feedback
+     * log and store the result as a named profile
+     * Options: { name, base, namespace, since, activate, minPairs, epochs,
+     *            learningRate, regularization }
+     */
+    async learnRankingProfile(options = {}) {
+        const name = options.name || 'learned';
+        let base;
+        try {
+            base = this.getRankingProfile(options.base);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        
+        const retrievals = await this.loadRankingFeedback({ namespace: options.namespace, since: options.since });
+        const { name: baseName, ...baseProfile } = base;
+        const { profile, stats } = learnProfile(retrievals, baseProfile, options);
+        const minPairs = options.minPairs || 10;
+        if (stats.pairs < minPairs) {
+            return {
+                success: false,
+                error: `Not enough feedback to learn from: ${stats.pairs} preference pairs, ${minPairs} required`,
+                stats
+            };
+        }
+        
+        let learned;
+        try {
+            learned = this.defineRankingProfile(name, {
+                ...profile,
+                base: baseName,
+                description: `Learned from ${stats.pairs} preference pairs (base: ${baseName})`,
+                learned: { at: Date.now(), pairwiseAccuracy: stats.pairwiseAccuracy, retrievals: stats.retrievals, pairs: stats.pairs }
+            });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        if (options.activate) {
+            this.config.ranking.profile = name;
+        }
+        await this.saveNamespace(this.defaultNamespace);
+        
+        console.log(`🎯 Learned ranking profile "${name}" from ${stats.pairs} preference pairs`);
+        
+        return { success: true, profile: learned, active: this.config.ranking.profile, stats };
+    }
+
+    /**
+     * Calculate search radius for query
+     */
+    calculateSearchRadius(options) {
+        const defaultRadius = 1.0;
+        return options.radius || defaultRadius;
+    }
+
+    /**
+     * Calculate layer contributions to results
+     */
+    calculateLayerContributions(results) {
+        const contributions = {
+            context: results.context.length,
+            semantic: results.semantic.length,
+            temporal: results.temporal.length
+        };
+        
+        const total = Object.values(contributions).reduce((sum, count) => sum + count, 0);
+        
+        if (total > 0) {
+            Object.keys(contributions).forEach(layer => {
+                contributions[layer] = contributions[layer] / total;
+            });
+        }
+        
+        return contributions;
+    }
+
+    /**
+     * Check if memory consolidation is needed (one namespace, or all loaded)
+     */
+    async checkConsolidation(namespace = null) {
+        const namespaces = namespace ? [namespace] : Array.from(this.namespaces.values());
+        
+        for (const candidate of namespaces) {
+            await candidate.ready;
+            
+            // Trigger consolidation if any layer is near its quota
+            if (candidate.nearCapacity()) {
+                await this.consolidateNamespace(candidate);
+            }
+        }
+    }
+
+    /**
+     * Optimize connections between memory layers: links to archived events
+     * are dropped, links to events folded into a compressed event are
+     * redirected to it (duplicates merged), and memories stored before
+     * linking existed are matched to their events
+     */
+    async optimizeConnections(namespace = this.defaultNamespace) {
+        const { contextLayer, semanticLayer, temporalLayer } = namespace;
+        const compressionMap = temporalLayer.getCompressionMap();
+        const resolveEvent = eventId => temporalLayer.resolveEventId(eventId, compressionMap);
+        const conceptExists = name => semanticLayer.concepts.has(name);
+        
+        const contextLinks = contextLayer.pruneConnections(resolveEvent, conceptExists);
+        const conceptLinks = semanticLayer.pruneEventLinks(resolveEvent);
+        const created = contextLayer.backfillConnections(temporalLayer.events);
+        
+        for (const { memoryId, eventId } of created) {
+            semanticLayer.linkEvent(contextLayer.connections.get(memoryId).concepts, eventId);
+        }
+        
+        return {
+            crossReferencesOptimized: contextLinks.checked + conceptLinks.checked,
+            danglingLinksRemoved: contextLinks.dangling + conceptLinks.dangling,
+            redundantConnectionsRemoved: contextLinks.merged + conceptLinks.merged,
+            newConnectionsCreated: created.length
+        };
+    }
+
+    /**
+     * Time references in a query, resolved to the window to search (see
+     * temporal-expressions.js): { range, expressions, text } where text is
+     * the query without them. An explicit options.timeRange wins over the
+     * parsed window. Null when there is no window; options.parseTemporal
+     * false leaves the query text alone.
+     */
+    parseTemporalQuery(query, options = {}) {
+        const settings = this.config.temporalQueries;
+        const parsed = settings.enabled && options.parseTemporal !== false
+            ? parseTemporalExpressions(query, {
+                timezoneOffset: options.timezoneOffset !== undefined ? options.timezoneOffset : settings.timezoneOffset,
+                weekStartsOn: settings.weekStartsOn
+            })
+            : null;
+        
+        const range = options.timeRange || (parsed && parsed.range);
+        if (!range) return null;
+        
+        return {
+            range: { start: range.start, end: range.end },
+            expressions: parsed ? parsed.expressions : [],
+            text: parsed ? parsed.text : query
+        };
+    }
+
+    /**
+     * Search the three layers of one namespace; every hit is tagged with it
+     */
+    async searchNamespace(namespace, queryInfo, options = {}) {
+        // A window for the whole search is the temporal layer's unless it has its own
+        const temporalOptions = options.timeRange
+            ? { timeRange: options.timeRange, ...options.temporal }
+            : options.temporal || {};
+        const results = {
+            context: await namespace.contextLayer.search(queryInfo, options.context || {}),
+            semantic: await namespace.semanticLayer.search(queryInfo, options.semantic || {}),
+            temporal: await namespace.temporalLayer.search(queryInfo, temporalOptions)
+        };
+        
+        // Too few matches in memory: fall through to the warm and cold tiers
+        if (options.tiers !== false) {
+            results.temporal.push(...await namespace.temporalLayer.searchTiers(queryInfo, {
+                ...temporalOptions,
+                found: results.temporal.length
+            }));
+        }
+
+        // Surface the events and turns behind concept hits
+        if (options.followLinks !== false) {
+            this.followCrossLayerLinks(results, options.links || {}, namespace);
+        }
+        
+        // Memories and linked events from outside the window are dropped
+        if (options.timeRange) {
+            const { start, end } = options.timeRange;
+            results.context = results.context.filter(memory => memory.createdAt >= start && memory.createdAt <= end);
+            results.temporal = results.temporal.filter(event => event.timestamp >= start && event.timestamp <= end);
+        }
+
+        for (const layerResults of Object.values(results)) {
+            for (const result of layerResults) {
+                result.namespace = namespace.key;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Add the temporal events (and still-live context memories) behind the
+     * top semantic hits to the layer results, marked with linkedFrom
+     */
+    followCrossLayerLinks(results, options = {}, namespace = this.defaultNamespace) {
+        const { contextLayer, temporalLayer } = namespace;
+        const maxConcepts = options.concepts || 5;
+        const eventsPerConcept = options.eventsPerConcept || 3;
+        const seenEvents = new Set(results.temporal.map(event => event.id));
+        const seenMemories = new Set(results.context.map(memory => memory.id));
+        const linkedEvents = new Map();
+        
+        for (const concept of results.semantic.slice(0, maxConcepts)) {
+            for (const eventId of (concept.events || []).slice(-eventsPerConcept).reverse()) {
+                const event = temporalLayer.eventsById.get(eventId);
+                if (!event || linkedEvents.has(eventId)) continue;
+                
+                linkedEvents.set(eventId, concept);
+                if (!seenEvents.has(eventId)) {
+                    results.temporal.push({
+                        ...event,
+                        similarity: concept.similarity,
+                        relevanceScore: concept.relevanceScore * 0.5,
+                        linkedFrom: { layer: 'semantic', concept: concept.name }
+                    });
+                }
+            }
+        }
+        
+        for (const memory of contextLayer.getMemoriesByEvents(linkedEvents.keys())) {
+            if (seenMemories.has(memory.id)) continue;
+            
+            const eventId = contextLayer.connections.get(memory.id).eventId;
+            const concept = linkedEvents.get(eventId);
+            results.context.push({
+                ...memory,
+                similarity: concept.similarity,
+                relevanceScore: concept.relevanceScore * 0.5,
+                linkedFrom: { layer: 'semantic', concept: concept.name, eventId }
+            });
+        }
+        
+        // Every context hit carries its links
+        for (const memory of results.context) {
+            memory.links = contextLayer.connections.get(memory.id) || null;
+        }
+        
+        return results;
+    }
+
+    /**
+     * Compress and clean old memory data
+     */
+    async compressAndClean(namespace = this.defaultNamespace) {
+        const cutoffTime = Date.now() - this.config.temporalLayer.timeWindow;
+        
+        // Clean old context memories
+        await namespace.contextLayer.cleanOldMemories(cutoffTime);
+        
+        // Compress semantic concepts
+        await namespace.semanticLayer.compressOldConcepts(cutoffTime);
+        
+        // Archive old temporal events
+        await namespace.temporalLayer.archiveOldEvents(cutoffTime);
+        
+        return {
+            itemsCompressed: 0, // Would be calculated in real implementation
+            spaceSaved: 0 // Would be calculated in real implementation
+        };
+    }
+
+    /**
+     * Calculate compression ratio
+     */
+    async calculateCompressionRatio() {
+        // Placeholder implementation
+        return 0.15; // 15% compression ratio
+    }
+
+    /**
+     * Update performance metrics
+     */
+    async updatePerformanceMetrics(processingTime, success, cached = false) {
+        this.performanceMetrics.totalMemories++;
+        
+        if (success) {
+            // Update average response time
+            const totalTime = this.performanceMetrics.averageResponseTime * (this.performanceMetrics.totalMemories - 1);
+            this.performanceMetrics.averageResponseTime = (totalTime + processingTime) / this.performanceMetrics.totalMemories;
+            
+            if (cached) {
+                this.performanceMetrics.hitRate = 
+                    (this.performanceMetrics.hitRate * (this.performanceMetrics.totalMemories - 1) + 1) / 
+                    this.performanceMetrics.totalMemories;
+            }
+        }
+        
+        // Calculate memory efficiency
+        const totalCapacity = this.config.contextLayer.maxSize + 
+                             this.config.semanticLayer.maxConcepts + 
+                             this.config.temporalLayer.maxEvents;
+        this.performanceMetrics.memoryEfficiency = this.performanceMetrics.totalMemories / totalCapacity;
+    }
+
+    /**
+     * Generate memory fingerprint
+     */
+    generateMemoryFingerprint(info) {
+        const content = JSON.stringify({
+            text: info.text,
+            keywords: info.keywords,
+            concepts: info.concepts,
+            timestamp: Math.floor(info.timestamp / 60000) // Minute precision
+        });
+        
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Generate cache key
+     */
+    generateCacheKey(query, options) {
+        const content = JSON.stringify({
+            query: query,
+            options: options,
+            timestamp: Math.floor(Date.now() / 300000) // 5-minute precision
+        });
+        
+        return crypto.createHash('md5').update(content).digest('hex');
+    }
+
+    /**
+     * Clean up cache when it gets too large
+     */
+    cleanupCache() {
+        if (this.cache.size > this.config.performance.cacheSize) {
+            // Remove oldest entries
+            const entriesToRemove = this.cache.size - this.config.performance.cacheSize;
+            const keys = Array.from(this.cache.keys());
+            
+            for (let i = 0; i < entriesToRemove; i++) {
+                this.cache.delete(keys[i]);
+            }
+        }
+    }
+
+    /**
+     * Initialize AI components
+     */
+    async initializeAI() {
+        console.log('🤖 Initializing AI components...');
+        
+        // Initialize NLP components based on configuration
+        if (this.config.ai.nlpModel === 'natural') {
+            console.log('📚 Using natural.js for NLP processing');
+        }
+        
+        // Initialize concept extraction (tagger and ontology)
+        try {
+            await this.conceptExtractor.initialize();
+        } catch (error) {
+            console.warn('⚠️ Concept ontology not loaded, continuing without it:', error.message);
+        }
+        
+        // Initialize sentiment analysis if enabled
+        if (this.config.ai.sentimentAnalysis) {
+            console.log('😊 Initializing sentiment analysis');
+        }
+        
+        console.log('✅ AI components initialized');
+    }
+
+    /**
+     * Start background processes
+     */
+    startBackgroundProcesses() {
+        // Start periodic backup process
+        if (this.config.storage.backupEnabled) {
+            this.backupInterval = setInterval(async () => {
+                try {
+                    await this.saveMemory();
+                } catch (error) {
+                    console.error('Background backup failed:', error);
+                }
+            }, this.config.storage.backupInterval);
+        }
+        
+        // Start periodic consolidation
+        this.consolidationInterval = setInterval(() => {
+            this.checkConsolidation();
+        }, 1800000); // 30 minutes
+        
+        // Periodic checkpoints keep the write-ahead logs short
+        if (this.config.storage.walEnabled) {
+            this.checkpointInterval = setInterval(async () => {
+                try {
+                    await this.saveMemory({ checkpoint: true });
+                } catch (error) {
+                    console.error('Background checkpoint failed:', error);
+                }
+            }, this.config.storage.walCheckpointInterval);
+        }
+        
+        if (this.config.snapshots.interval > 0) {
+            this.snapshotInterval = setInterval(async () => {
+                const result = await this.createSnapshot({ reason: 'scheduled' });
+                if (!result.success) {
+                    console.error('Scheduled snapshot failed:', result.error);
+                }
+            }, this.config.snapshots.interval);
+        }
+        
+        console.log('🔄 Background processes started');
+    }
+
+    /**
+     * Save memory state to storage: one namespace (options.namespace) or
+     * every loaded namespace, each to its own state file. A checkpoint
+     * (options.checkpoint) only saves namespaces with logged changes and
+     * writes no backups.
+     */
+    async saveMemory(options = {}) {
+        try {
+            if (options.namespace !== undefined) {
+                await this.saveNamespace(await this.getNamespace(options.namespace));
+                return;
+            }
+            
+            for (const namespace of Array.from(this.namespaces.values())) {
+                await namespace.ready;
+                if (options.checkpoint) {
+                    if (namespace.wal && namespace.wal.records > 0) {
+                        await this.saveNamespace(namespace, { backup: false });
+                    }
+                    continue;
+                }
+                // Namespaces that were only read from never touch the disk
+                if (namespace.persisted || !namespace.isEmpty()) {
+                    await this.saveNamespace(namespace);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to save memory state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a namespace's state and drop the log records it now contains.
+     * Saves of a namespace are queued so an older state never lands last.
+     * Options: { backup } (false skips the timestamped backup)
+     */
+    async saveNamespace(namespace, options = {}) {
+        const save = namespace.saving.catch(() => {}).then(() => this.writeNamespace(namespace, options));
+        namespace.saving = save;
+        return save;
+    }
+
+    async writeNamespace(namespace, options) {
+        if (!namespace.persisted) {
+            await namespace.storage.initialize();
+            namespace.persisted = true;
+        }
+        
+        const wal = namespace.wal;
+        if (wal && !wal.opened) {
+            await wal.open();
+        }
+        // Everything logged up to here is part of the exported state
+        const walSequence = wal ? wal.sequence : 0;
+        
+        const memoryState = await this.exportNamespaceState(namespace);
+        if (wal) {
+            memoryState.walSequence = walSequence;
+        }
+        await namespace.storage.saveState('main', memoryState, { backup: options.backup });
+        
+        // Search indexes are derived data: saved next to main.json, never backed up
+        await namespace.storage.saveState('indexes', {
+            schemaVersion: SCHEMA_VERSION,
+            timestamp: memoryState.timestamp,
+            contextLayer: namespace.contextLayer.exportIndexes(),
+            semanticLayer: namespace.semanticLayer.exportIndexes(),
+            temporalLayer: namespace.temporalLayer.exportIndexes()
+        }, { backup: false });
+        
+        if (wal) {
+            await wal.compact(walSequence);
+        }
+    }
+
+    /**
+     * Resolves once the namespace's logged changes are on disk. A log that
+     * has grown past walCheckpointRecords starts a checkpoint (full save,
+     * no backup) in the background.
+     */
+    async commitChanges(namespace) {
+        if (!namespace.wal) return;
+        
+        await namespace.wal.commit();
+        
+        if (namespace.wal.records >= this.config.storage.walCheckpointRecords && !namespace.checkpoint) {
+            namespace.checkpoint = this.saveNamespace(namespace, { backup: false })
+                .catch(error => console.error(`Checkpoint failed (${namespace.key}):`, error))
+                .finally(() => {
+                    namespace.checkpoint = null;
+                });
+        }
+    }
+
+    /**
+     * Open the namespace's write-ahead log and redo the changes logged after
+     * the saved state (afterSequence is the last sequence that state covers)
+     */
+    async replayChanges(namespace, afterSequence = 0) {
+        await namespace.wal.open(afterSequence);
+        const records = await namespace.wal.read(afterSequence);
+        
+        for (const record of records) {
+            await namespace[record.layer].applyJournal(record);
+        }
+        
+        if (records.length > 0) {
+            namespace.contextLayer.syncIndexes();
+            namespace.temporalLayer.syncIndexes();
+            console.log(`📜 Replayed ${records.length} logged changes (${namespace.key})`);
+        }
+        
+        return records.length;
+    }
+
+    /**
+     * Complete state of a namespace, with its embedding statistics;
+     * engine-wide state (metrics, ranking profiles) travels with the default
+     * namespace
+     */
+    async exportNamespaceState(namespace) {
+        const memoryState = {
+            schemaVersion: SCHEMA_VERSION,
+            timestamp: Date.now(),
+            namespace: namespace.exportSettings(),
+            contextLayer: await namespace.contextLayer.exportState(),
+            semanticLayer: await namespace.semanticLayer.exportState(),
+            temporalLayer: await namespace.temporalLayer.exportState(),
+            embeddingProvider: this.embeddingProvider ? this.embeddingProvider.exportState(namespace.embeddingStatistics) : null
+        };
+        
+        if (namespace.isDefault) {
+            memoryState.performanceMetrics = this.performanceMetrics;
+            memoryState.ranking = {
+                active: this.config.ranking.profile,
+                profiles: Object.fromEntries(this.rankingProfiles)
+            };
+        }
+        
+        return memoryState;
+    }
+
+    /**
+     * Saved ranking profiles; profiles from the engine config win over saved
+     * ones of the same name, and a configured default over the saved one
+     */
+    importRankingState(ranking) {
+        if (!ranking) return;
+        
+        for (const [name, profile] of Object.entries(ranking.profiles || {})) {
+            if (this.config.ranking.profiles[name] || BUILTIN_PROFILES[name]) continue;
+            try {
+                this.rankingProfiles.set(name, normalizeProfile(profile, BUILTIN_PROFILES.balanced));
+            } catch (error) {
+                console.warn(`⚠️ Ignoring saved ranking profile "${name}":`, error.message);
+            }
+        }
+        
+        const active = ranking.active;
+        if (!this.configuredRankingProfile && active && (this.rankingProfiles.has(active) || BUILTIN_PROFILES[active])) {
+            this.config.ranking.profile = active;
+        }
+        this.cache.clear();
+    }
+
+    /**
+     * Load a saved state into a namespace's layers. Older schema versions
+     * are migrated first; invalid states throw StateSchemaError before
+     * anything is changed. Returns the migration applied ({ fromVersion,
+     * toVersion, applied }).
+     */
+    async importNamespaceState(namespace, savedState, indexState = null, options = {}) {
+        const migration = migrateState(savedState);
+        const memoryState = migration.state;
+        
+        if (namespace.isDefault && options.engineState !== false) {
+            this.performanceMetrics = { ...this.performanceMetrics, ...memoryState.performanceMetrics };
+            this.importRankingState(memoryState.ranking);
+        }
+        
+        namespace.importSettings(memoryState.namespace);
+        await namespace.contextLayer.importState(memoryState.contextLayer);
+        await namespace.semanticLayer.importState(memoryState.semanticLayer);
+        await namespace.temporalLayer.importState(memoryState.temporalLayer);
+        
+        if (this.embeddingProvider) {
+            namespace.embeddingStatistics = this.embeddingProvider.importState(memoryState.embeddingProvider);
+            
+            // Namespaces saved while statistics were engine-wide relearn theirs
+            if (!memoryState.embeddingProvider && !namespace.isDefault) {
+                for (const memory of namespace.contextLayer.memories) {
+                    this.embeddingProvider.observe(memory.text, namespace.embeddingStatistics);
+                }
+            }
+        }
+        
+        // Indexes from a different save or schema version are ignored and rebuilt
+        const indexes = indexState && indexState.timestamp === memoryState.timestamp &&
+            stateVersion(indexState) === migration.fromVersion ? indexState : {};
+        namespace.contextLayer.importIndexes(indexes.contextLayer);
+        namespace.semanticLayer.importIndexes(indexes.semanticLayer);
+        namespace.temporalLayer.importIndexes(indexes.temporalLayer);
+        
+        return { fromVersion: migration.fromVersion, toVersion: migration.toVersion, applied: migration.applied };
+    }
+
+    /**
+     * Load memory state from storage (default namespace; others load on first use)
+     */
+    async loadMemory() {
+        this.defaultNamespace.persisted = true;
+        await this.loadNamespace(this.defaultNamespace);
+    }
+
+    async loadNamespace(namespace) {
+        try {
+            // A namespace without a directory has never been saved
+            if (!fs.existsSync(namespace.storage.dataPath)) {
+                if (namespace.wal) await namespace.wal.open();
+                return;
+            }
+            namespace.persisted = true;
+            
+            const memoryState = await namespace.storage.loadState('main');
+            
+            if (memoryState) {
+                const migration = await this.importNamespaceState(namespace, memoryState, await namespace.storage.loadState('indexes'));
+                console.log(`📂 Memory state loaded from storage (${namespace.key})`);
+                if (migration.applied.length > 0) {
+                    console.log(`🧬 Migrated state of ${namespace.key} from schema ${migration.fromVersion} to ${migration.toVersion}; saved in the new schema from the next save`);
+                }
+            }
+            
+            // Changes since the last save (all of them if it was never saved)
+            if (namespace.wal) {
+                await this.replayChanges(namespace, memoryState ? memoryState.walSequence || 0 : 0);
+            }
+        } catch (error) {
+            // A state that can't be decrypted, migrated or validated is
+            // refused, not replaced by empty memory on the next save
+            if (error instanceof StateSchemaError || error instanceof DecryptionError) {
+                error.message = `Cannot load memory state of ${namespace.key} (${namespace.storage.dataPath}): ${error.message}`;
+                throw error;
+            }
+            console.error(`Failed to load memory state (${namespace.key}):`, error);
+            // Continue with empty memory if loading fails
+        }
+    }
+
+    /**
+     * Namespace for a spec ('tenant/user[/project]', { tenantId, userId,
+     * projectId }, 'shared' or nothing for the default), loaded on first use
+     */
+    async getNamespace(spec) {
+        if (spec instanceof MemoryNamespace) return spec;
+        
+        const descriptor = parseNamespace(spec);
+        let namespace = this.namespaces.get(descriptor.key);
+        if (!namespace) {
+            namespace = this.createNamespace(descriptor);
+            this.namespaces.set(descriptor.key, namespace);
+            namespace.ready = this.loadNamespace(namespace);
+        }
+        
+        await namespace.ready;
+        return namespace;
+    }
+
+    /**
+     * Layers and storage of a namespace. Scratch namespaces (options.scratch:
+     * snapshot and redaction copies) are never saved and get no write-ahead log.
+     */
+    createNamespace(descriptor, options = {}) {
+        const indexConfig = { vectorIndex: this.config.vectorIndex, textIndex: this.config.textIndex };
+        const reserved = descriptor.key === DEFAULT_NAMESPACE || descriptor.key === SHARED_NAMESPACE;
+        
+        // Engine-wide namespace quotas apply to tenant namespaces only
+        const quotas = reserved ? {} : normalizeQuotas(this.config.namespaces.quotas);
+        const limit = (name, key) => (quotas[name] !== undefined ? { [key]: quotas[name] } : {});
+        
+        const storage = this.namespaceStorage(descriptor);
+        const wal = this.config.storage.walEnabled && !options.scratch
+            ? new WriteAheadLog({
+                filePath: path.join(storage.dataPath, 'wal.log'),
+                flushInterval: this.config.storage.walFlushInterval,
+                sync: this.config.storage.walSync,
+                encode: line => storage.encryptIfNeeded(line),
+                decode: line => storage.decryptIfNeeded(line)
+            })
+            : null;
+        
+        const namespace = new MemoryNamespace(descriptor, {
+            contextLayer: new ContextLayer({ ...this.config.contextLayer, ...indexConfig, ...limit('maxMemories', 'maxSize') }),
+            semanticLayer: new SemanticLayer({ ...this.config.semanticLayer, ...indexConfig, ...limit('maxConcepts', 'maxConcepts') }),
+            temporalLayer: new TemporalLayer({ ...this.config.temporalLayer, ...indexConfig, ...limit('maxEvents', 'maxEvents') }),
+            storage,
+            wal,
+            embeddingStatistics: this.embeddingProvider ? this.embeddingProvider.createStatistics() : null
+        });
+        
+        // Originals of compressed event groups go to cold storage, and
+        // events leaving memory to the warm and cold tiers
+        if (!options.scratch) {
+            namespace.temporalLayer.archive = new EventArchive(storage);
+            if (this.config.temporalLayer.tiers.enabled) {
+                const { warmMaxEvents, segmentSize } = this.config.temporalLayer.tiers;
+                const tiers = new EventTiers(storage, { namespace: descriptor.key, warmMaxEvents, segmentSize });
+                tiers.remote = this.coldStorageRemote(descriptor.key);
+                namespace.temporalLayer.tiers = tiers;
+            }
+        }
+        
+        // Layers report their changes as { layer, op, ...data } log records
+        if (wal) {
+            for (const layer of ['contextLayer', 'semanticLayer', 'temporalLayer']) {
+                namespace[layer].journal = (op, data) => wal.append({ layer, op, ...data });
+            }
+        }
+        
+        return namespace;
+    }
+
+    namespaceStorage(descriptor) {
+        return new MemoryStorage({
+            ...this.config.storage,
+            dataPath: namespaceDataPath(this.config.storage.dataPath, descriptor),
+            keyRing: this.keyRing
+        });
+    }
+
+    /**
+     * Set a namespace's quotas and shared-knowledge opt-in; saved with its state
+     */
+    async configureNamespace(spec, settings = {}) {
+        try {
+            const namespace = await this.getNamespace(spec);
+            const previous = namespace.exportSettings();
+            
+            namespace.configure(settings);
+            if (namespace.sharedKnowledge !== previous.sharedKnowledge) {
+                this.cache.clear();
+            }
+            await this.saveNamespace(namespace);
+            
+            return { success: true, namespace: namespace.describe() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Loaded namespaces plus those saved on disk but not yet loaded
+     */
+    async listNamespaces() {
+        const namespaces = new Map(Array.from(this.namespaces.values())
+            .map(namespace => [namespace.key, { ...namespace.describe(), loaded: true }]));
+        
+        const listDirectories = async directory => {
+            try {
+                const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+                return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+            } catch (error) {
+                return [];
+            }
+        };
+        
+        const rootPath = path.join(this.config.storage.dataPath, 'namespaces');
+        const saved = [];
+        if (fs.existsSync(path.join(this.config.storage.dataPath, 'shared'))) {
+            saved.push(SHARED_NAMESPACE);
+        }
+        for (const tenantId of await listDirectories(rootPath)) {
+            for (const userId of await listDirectories(path.join(rootPath, tenantId))) {
+                const userPath = path.join(rootPath, tenantId, userId);
+                if (fs.existsSync(path.join(userPath, 'main.json'))) {
+                    saved.push({ tenantId, userId });
+                }
+                for (const projectId of await listDirectories(path.join(userPath, 'projects'))) {
+                    saved.push({ tenantId, userId, projectId });
+                }
+            }
+        }
+        
+        for (const spec of saved) {
+            let descriptor;
+            try {
+                descriptor = parseNamespace(spec);
+            } catch (error) {
+                continue; // not created by the engine
+            }
+            if (!namespaces.has(descriptor.key)) {
+                namespaces.set(descriptor.key, { ...descriptor, loaded: false });
+            }
+        }
+        
+        return { success: true, namespaces: Array.from(namespaces.values()) };
+    }
+
+    /**
+     * Remote backup target with backupMemoryState(state, { namespace,
+     * schemaVersion }) and restoreMemoryState(backupId, { namespace }), e.g.
+     * Google Drive storage. With encryption at rest the state arrives as an
+     * encrypted string (see sealRemoteState).
+     */
+    setBackupTarget(target) {
+        this.backupTarget = target || null;
+    }
+
+    /**
+     * Remote home of cold event segments with saveArchiveSegment(buffer,
+     * fileName, { namespace }), getArchiveSegment(id) and
+     * deleteArchiveSegment(id), e.g. Google Drive storage; without one
+     * cold segments stay on disk
+     */
+    setColdStorageTarget(target) {
+        this.coldStorageTarget = target || null;
+        for (const namespace of this.namespaces.values()) {
+            if (namespace.temporalLayer.tiers) {
+                namespace.temporalLayer.tiers.remote = this.coldStorageRemote(namespace.key);
+            }
+        }
+    }
+
+    coldStorageRemote(namespaceKey) {
+        const target = this.coldStorageTarget;
+        if (!target) return null;
+        
+        return {
+            upload: async (fileName, buffer) =>
+                (await target.saveArchiveSegment(buffer, fileName, { namespace: namespaceKey })).id,
+            download: fileId => target.getArchiveSegment(fileId),
+            remove: fileId => target.deleteArchiveSegment(fileId)
+        };
+    }
+
+    /**
+     * Push a namespace's state to the backup target
+     */
+    async backupNamespace(options = {}) {
+        try {
+            if (!this.backupTarget) {
+                return { success: false, error: 'No remote backup target configured' };
+            }
+            
+            const namespace = await this.getNamespace(options.namespace);
+            const memoryState = await this.exportNamespaceState(namespace);
+            const backup = await this.backupTarget.backupMemoryState(this.sealRemoteState(namespace, memoryState), {
+                namespace: namespace.key,
+                schemaVersion: memoryState.schemaVersion
+            });
+            
+            console.log(`☁️ Namespace '${namespace.key}' backed up remotely`);
+            
+            return { success: true, namespace: namespace.key, timestamp: memoryState.timestamp, backup };
+        } catch (error) {
+            console.error('Remote memory backup failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Replace a namespace's memory with a remote backup (latest unless backupId)
+     */
+    async restoreNamespace(options = {}) {
+        try {
+            if (!this.backupTarget) {
+                return { success: false, error: 'No remote backup target configured' };
+            }
+            
+            const current = await this.getNamespace(options.namespace);
+            const memoryState = this.openRemoteState(current,
+                await this.backupTarget.restoreMemoryState(options.backupId || null, { namespace: current.key }));
+            if (!memoryState || !memoryState.contextLayer) {
+                return { success: false, error: 'Backup does not contain a memory state' };
+            }
+            
+            const owner = memoryState.namespace ? memoryState.namespace.key : DEFAULT_NAMESPACE;
+            if (owner !== current.key) {
+                return { success: false, error: `Backup belongs to namespace '${owner}', not '${current.key}'` };
+            }
+            
+            const restored = await this.replaceNamespaceState(current.descriptor(), memoryState);
+            
+            return {
+                success: true,
+                namespace: restored.key,
+                timestamp: memoryState.timestamp,
+                memories: restored.contextLayer.memories.length,
+                concepts: restored.semanticLayer.concepts.size,
+                events: restored.temporalLayer.events.length
+            };
+        } catch (error) {
+            console.error('Remote memory restore failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A state as sent to the backup target: with encryption at rest,
+     * serialized and encrypted like the namespace's own files, so remote
+     * copies are no less protected than local ones
+     */
+    sealRemoteState(namespace, memoryState) {
+        if (!namespace.storage.keyRing) return memoryState;
+        return namespace.storage.encryptIfNeeded(namespace.storage.serializeData(memoryState));
+    }
+
+    /**
+     * A state as received from the backup target; backups made before
+     * encryption was enabled are plain objects
+     */
+    openRemoteState(namespace, stored) {
+        if (typeof stored !== 'string') return stored;
+        return namespace.storage.deserializeData(namespace.storage.decryptIfNeeded(stored));
+    }
+
+    /**
+     * Replace a namespace's memory with a saved state. The state is loaded
+     * into fresh layers so nothing of the current state lingers.
+     */
+    async replaceNamespaceState(descriptor, memoryState) {
+        // Imported first: a state that fails migration leaves the current one in place
+        const restored = this.createNamespace(descriptor);
+        await this.importNamespaceState(restored, memoryState);
+        
+        // The new namespace takes over the log file; its save drops the old records
+        const previous = this.namespaces.get(descriptor.key);
+        if (previous && previous.wal) {
+            await previous.wal.close();
+        }
+        this.namespaces.set(restored.key, restored);
+        if (restored.isDefault) {
+            this.defaultNamespace = restored;
+            this.storage = restored.storage;
+        }
+        
+        this.cache.clear();
+        this.digests.clear(restored.key);
+        await this.saveNamespace(restored);
+        
+        return restored;
+    }
+
+    /**
+     * A namespace as saved on disk, its logged changes replayed, in a
+     * scratch namespace that is never registered, saved or appended to
+     */
+    async readStoredNamespace(spec) {
+        const namespace = this.createNamespace(parseNamespace(spec), { scratch: true });
+        namespace.persisted = fs.existsSync(namespace.storage.dataPath);
+        if (!namespace.persisted) return namespace;
+        
+        const memoryState = await namespace.storage.loadState('main');
+        if (memoryState) {
+            await this.importNamespaceState(namespace, memoryState, await namespace.storage.loadState('indexes'), { engineState: false });
+        }
+        
+        const wal = new WriteAheadLog({
+            filePath: path.join(namespace.storage.dataPath, 'wal.log'),
+            decode: line => namespace.storage.decryptIfNeeded(line)
+        });
+        const records = await wal.read(memoryState ? memoryState.walSequence || 0 : 0);
+        for (const record of records) {
+            await namespace[record.layer].applyJournal(record);
+        }
+        if (records.length > 0) {
+            namespace.contextLayer.syncIndexes();
+            namespace.temporalLayer.syncIndexes();
+        }
+        
+        return namespace;
+    }
+
+    /**
+     * Snapshot the full engine state: every namespace, loaded or only on disk
+     * Options: { name, description, reason ('manual', 'scheduled', 'pre-restore') }
+     */
+    async createSnapshot(options = {}) {
+        try {
+            const states = [];
+            for (const descriptor of (await this.listNamespaces()).namespaces) {
+                // Namespaces only on disk are read without loading them for good
+                const namespace = this.namespaces.get(descriptor.key) || await this.readStoredNamespace(descriptor);
+                await namespace.ready;
+                if (!namespace.persisted && namespace.isEmpty()) continue;
+                
+                // Detached from the live layers, which keep changing while it is written
+                const state = JSON.parse(JSON.stringify(await this.exportNamespaceState(namespace)));
+                states.push({ key: namespace.key, state, counts: stateCounts(state) });
+            }
+            
+            const snapshot = await this.snapshots.create({
+                name: options.name || null,
+                description: options.description || '',
+                reason: options.reason || 'manual',
+                states
+            });
+            
+            console.log(`📸 Snapshot ${snapshot.id}${snapshot.name ? ` (${snapshot.name})` : ''} of ${states.length} namespaces created`);
+            this.emit('snapshot_created', { id: snapshot.id, name: snapshot.name, reason: snapshot.reason });
+            
+            return { success: true, snapshot };
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listSnapshots() {
+        return { success: true, snapshots: await this.snapshots.list() };
+    }
+
+    /**
+     * Snapshot by version, id ('v3') or name, or the latest one taken at or
+     * before a point in time with { asOf }
+     */
+    async getSnapshot(ref) {
+        const snapshot = await this.snapshots.resolve(ref);
+        if (!snapshot) {
+            throw new Error(`Snapshot not found: ${typeof ref === 'object' ? `as of ${ref.asOf}` : ref}`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Snapshot selected by retrieval options { snapshot } or { asOf }, if any
+     */
+    async resolveSnapshotOption(options) {
+        if (options.snapshot !== undefined && options.snapshot !== null) {
+            return this.getSnapshot(options.snapshot);
+        }
+        if (options.asOf !== undefined && options.asOf !== null) {
+            return this.getSnapshot({ asOf: options.asOf });
+        }
+        return null;
+    }
+
+    /**
+     * A namespace as saved in a snapshot, loaded into layers of its own.
+     * These namespaces are never saved or reinforced.
+     */
+    async getSnapshotNamespace(snapshot, spec, options = {}) {
+        const descriptor = parseNamespace(spec);
+        const cacheKey = `${snapshot.id}:${descriptor.key}`;
+        
+        if (!this.snapshotNamespaces.has(cacheKey)) {
+            const state = await this.snapshots.readState(snapshot, descriptor.key);
+            if (!state) {
+                if (options.optional) return null;
+                throw new Error(`Namespace '${descriptor.key}' is not in snapshot ${snapshot.id}`);
+            }
+            
+            const namespace = this.createNamespace(descriptor, { scratch: true });
+            await this.importNamespaceState(namespace, state, null, { engineState: false });
+            namespace.snapshot = snapshot.id;
+            this.snapshotNamespaces.set(cacheKey, namespace);
+            
+            while (this.snapshotNamespaces.size > this.config.snapshots.cacheSize) {
+                this.snapshotNamespaces.delete(this.snapshotNamespaces.keys().next().value);
+            }
+        }
+        
+        return this.snapshotNamespaces.get(cacheKey);
+    }
+
+    /**
+     * What changed between two snapshots (or a snapshot and 'current'):
+     * concepts added/removed/changed, relationship weight changes, events
+     * and memories added/removed, per namespace
+     * Options: { namespace, limit }
+     */
+    async diffSnapshots(from, to = 'current', options = {}) {
+        try {
+            const open = async ref => {
+                if (ref === 'current') {
+                    const keys = (await this.listNamespaces()).namespaces.map(descriptor => descriptor.key);
+                    return {
+                        info: { id: 'current', name: null, createdAt: Date.now() },
+                        keys,
+                        read: async key => this.exportNamespaceState(await this.getNamespace(key))
+                    };
+                }
+                
+                const snapshot = await this.getSnapshot(ref);
+                return {
+                    info: { id: snapshot.id, name: snapshot.name, createdAt: snapshot.createdAt },
+                    keys: snapshot.namespaces.map(entry => entry.key),
+                    read: key => this.snapshots.readState(snapshot, key)
+                };
+            };
+            
+            const before = await open(from);
+            const after = await open(to);
+            const keys = options.namespace !== undefined
+                ? [parseNamespace(options.namespace).key]
+                : Array.from(new Set([...before.keys, ...after.keys]));
+            
+            const namespaces = [];
+            for (const key of keys) {
+                const previous = before.keys.includes(key) ? await before.read(key) : null;
+                const current = after.keys.includes(key) ? await after.read(key) : null;
+                const diff = diffStates(previous, current, { limit: options.limit });
+                const changed = Object.entries(diff.summary).some(([field, count]) => field !== 'truncated' && count > 0);
+                
+                namespaces.push({
+                    namespace: key,
+                    status: !previous ? 'added' : !current ? 'removed' : changed ? 'changed' : 'unchanged',
+                    ...diff
+                });
+            }
+            
+            return { success: true, from: before.info, to: after.info, namespaces };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Restore the engine (or options.namespace) to a snapshot. The current
+     * state is snapshotted first (reason 'pre-restore') unless options.backup
+     * is false; namespaces created after the snapshot are left as they are.
+     */
+    async restoreSnapshot(ref, options = {}) {
+        try {
+            const snapshot = await this.getSnapshot(ref);
+            const keys = options.namespace !== undefined
+                ? [parseNamespace(options.namespace).key]
+                : snapshot.namespaces.map(entry => entry.key);
+            const missing = keys.find(key => !snapshot.namespaces.some(entry => entry.key === key));
+            if (missing) {
+                return { success: false, error: `Namespace '${missing}' is not in snapshot ${snapshot.id}` };
+            }
+            
+            let preRestoreSnapshot = null;
+            if (options.backup !== false) {
+                const created = await this.createSnapshot({ reason: 'pre-restore', description: `Before restoring ${snapshot.id}` });
+                if (!created.success) return created;
+                preRestoreSnapshot = created.snapshot.id;
+            }
+            
+            const restored = [];
+            for (const key of keys) {
+                const memoryState = await this.snapshots.readState(snapshot, key);
+                if (!memoryState) {
+                    throw new Error(`Snapshot ${snapshot.id} has no readable state for namespace '${key}'`);
+                }
+                const namespace = await this.replaceNamespaceState(parseNamespace(key), memoryState);
+                restored.push({
+                    namespace: key,
+                    memories: namespace.contextLayer.memories.length,
+                    concepts: namespace.semanticLayer.concepts.size,
+                    events: namespace.temporalLayer.events.length
+                });
+            }
+            
+            const notInSnapshot = options.namespace !== undefined ? [] : (await this.listNamespaces()).namespaces
+                .map(descriptor => descriptor.key)
+                .filter(key => !keys.includes(key));
+            
+            console.log(`⏪ Restored ${restored.length} namespaces from snapshot ${snapshot.id}`);
+            this.emit('snapshot_restored', { id: snapshot.id, namespaces: keys, preRestoreSnapshot });
+            
+            return { success: true, snapshot: snapshot.id, restored, notInSnapshot, preRestoreSnapshot };
+        } catch (error) {
+            console.error('Snapshot restore failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteSnapshot(ref) {
+        try {
+            const snapshot = await this.getSnapshot(ref);
+            await this.snapshots.delete(snapshot);
+            for (const key of Array.from(this.snapshotNamespaces.keys())) {
+                if (key.startsWith(`${snapshot.id}:`)) this.snapshotNamespaces.delete(key);
+            }
+            this.cache.clear();
+            
+            return { success: true, deleted: snapshot.id };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Encryption at rest: algorithm, active key id and known key ids
+     */
+    getEncryptionStatus() {
+        return this.keyRing
+            ? { success: true, enabled: true, ...this.keyRing.describe() }
+            : { success: true, enabled: false };
+    }
+
+    /**
+     * Rotate the master key and re-encrypt existing data with it: state and
+     * indexes of every namespace (loaded or only on disk), their write-ahead
+     * logs, local backups and snapshots. Files in the legacy format or not
+     * yet encrypted are migrated on the way.
+     * Options: { generate } - create a new key in the key file (default when
+     * keys come from the key file; with ENCRYPTION_KEY set, rotation
+     * re-encrypts with the key configured there)
+     */
+    async rotateEncryptionKeys(options = {}) {
+        try {
+            if (!this.keyRing) {
+                return { success: false, error: 'Encryption at rest is not enabled' };
+            }
+            
+            const previousKeyId = this.keyRing.activeKeyId;
+            const generate = options.generate !== undefined ? Boolean(options.generate) : this.keyRing.canGenerate;
+            if (generate) {
+                await this.keyRing.rotate();
+            }
+            
+            const files = { rewritten: 0, current: 0, errors: [] };
+            const namespaces = [];
+            for (const descriptor of (await this.listNamespaces()).namespaces) {
+                const namespace = await this.getNamespace(descriptor.key);
+                if (!namespace.persisted) continue;
+                
+                // Saving writes state, indexes and the remaining log records with the new key
+                await this.saveNamespace(namespace, { backup: false });
+                await namespace.storage.reencryptFiles(files);
+                if (namespace.temporalLayer.tiers) {
+                    await namespace.temporalLayer.tiers.reencrypt(files);
+                }
+                namespaces.push(namespace.key);
+            }
+            
+            const snapshots = await this.snapshots.list();
+            for (const manifest of snapshots) {
+                await this.snapshots.storageFor(manifest.id).reencryptFiles(files);
+            }
+            
+            console.log(`🔑 Re-encrypted ${files.rewritten} files with key ${this.keyRing.activeKeyId}`);
+            
+            return {
+                success: files.errors.length === 0,
+                ...(files.errors.length > 0 ? { error: `${files.errors.length} files could not be re-encrypted` } : {}),
+                previousKeyId,
+                activeKeyId: this.keyRing.activeKeyId,
+                generated: generate,
+                namespaces,
+                snapshots: snapshots.length,
+                files
+            };
+        } catch (error) {
+            console.error('Encryption key rotation failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Bring the states stored on disk to the current schema: main state and
+     * local backups of every namespace and the namespace files of every
+     * snapshot. With dryRun nothing is written and the report lists the
+     * migrations each file would go through. Search indexes are not touched;
+     * they are rebuilt on load when they don't match.
+     * Meant for a stopped server (see scripts/migrate-state.js): the running
+     * engine migrates what it loads by itself.
+     */
+    async migrateStoredState(options = {}) {
+        try {
+            const dryRun = Boolean(options.dryRun);
+            const files = [];
+            
+            for (const { key } of (await this.listNamespaces()).namespaces) {
+                const storage = this.namespaceStorage(parseNamespace(key));
+                files.push({ namespace: key, storage, file: 'main.json' });
+                for (const fileName of await storage.listBackups('main')) {
+                    files.push({ namespace: key, storage, file: path.join('backups', fileName) });
+                }
+            }
+            for (const manifest of await this.snapshots.list()) {
+                const storage = this.snapshots.storageFor(manifest.id);
+                for (const entry of manifest.namespaces) {
+                    files.push({ namespace: entry.key, snapshot: manifest.id, storage, file: `${entry.file}.json` });
+                }
+            }
+            
+            const summary = { checked: 0, current: 0, [dryRun ? 'pending' : 'migrated']: 0, invalid: 0 };
+            const report = [];
+            for (const { namespace, snapshot, storage, file } of files) {
+                const entry = {
+                    file: path.relative(this.config.storage.dataPath, path.join(storage.dataPath, file)),
+                    namespace,
+                    ...(snapshot ? { snapshot } : {})
+                };
+                
+                try {
+                    const state = await storage.readStateFile(file);
+                    if (!state) continue;
+                    
+                    const migration = migrateState(state);
+                    entry.fromVersion = migration.fromVersion;
+                    entry.applied = migration.applied;
+                    if (migration.applied.length === 0) {
+                        entry.status = 'current';
+                    } else if (dryRun) {
+                        entry.status = 'pending';
+                    } else {
+                        await storage.writeStateFile(file, migration.state);
+                        entry.status = 'migrated';
+                    }
+                } catch (error) {
+                    entry.status = 'invalid';
+                    entry.error = error.message;
+                }
+                
+                summary.checked++;
+                summary[entry.status === 'pending' || entry.status === 'migrated' ? (dryRun ? 'pending' : 'migrated') : entry.status]++;
+                report.push(entry);
+            }
+            
+            return {
+                success: summary.invalid === 0,
+                dryRun,
+                schemaVersion: SCHEMA_VERSION,
+                summary,
+                files: report
+            };
+        } catch (error) {
+            console.error('State migration failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Right to be forgotten: erase memories matching any of the criteria
+     * { fingerprint, conversationId, document, userId } from every layer,
+     * compressed event groups, local backups and remote backups. A userId
+     * names a user of one tenant (tenantId, the default tenant if not
+     * given); the same id in another tenant is left alone.
+     *
+     * Namespaces owned by the user are erased as a whole; elsewhere matching
+     * memories and events are removed, their text is redacted from concepts
+     * and the statistics they added are taken back. Returns an auditable
+     * report of ids and counts (never content), also appended to
+     * forget-audit.jsonl in the data directory. report.conversationIds
+     * names the conversations the forgotten items came from, for the caller
+     * to purge from the conversation store.
+     */
+    async forget(criteria = {}, options = {}) {
+        let selector;
+        try {
+            selector = this.createForgetSelector(criteria);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        
+        const requestedAt = Date.now();
+        
+        const report = {
+            success: true,
+            id: crypto.randomBytes(8).toString('hex'),
+            requestedAt,
+            completedAt: null,
+            criteria: selector.criteria,
+            namespaces: [],
+            backups: {
+                local: { checked: 0, redacted: 0, deleted: 0 },
+                snapshots: { checked: 0, redacted: 0, deleted: 0 },
+                remote: null
+            }
+        };
+        
+        const namespaces = [];
+        if (options.namespace !== undefined) {
+            namespaces.push(await this.getNamespace(options.namespace));
+        } else {
+            for (const descriptor of (await this.listNamespaces()).namespaces) {
+                namespaces.push(await this.getNamespace(descriptor.key));
+            }
+        }
+        
+        const { userId, tenantId } = selector.criteria;
+        for (const namespace of namespaces) {
+            // The reserved namespaces count as the default tenant's
+            const sameTenant = Boolean(userId) && (namespace.tenantId || DEFAULT_TENANT) === tenantId;
+            if (sameTenant && namespace.userId === userId) {
+                report.namespaces.push(await this.eraseNamespace(namespace, report.backups));
+                continue;
+            }
+            
+            const namespaceSelector = !userId || sameTenant ? selector : selector.withoutUser;
+            if (!namespaceSelector) continue;
+            
+            const stats = await this.forgetInNamespace(namespace, namespaceSelector);
+            if (stats.changed) {
+                await this.saveNamespace(namespace);
+            }
+            await this.redactLocalBackups(namespace, namespaceSelector, report.backups.local);
+            await this.redactSnapshots(namespace, namespaceSelector, report.backups.snapshots);
+            report.backups.remote = this.mergeRemoteReport(report.backups.remote,
+                await this.redactRemoteBackups(namespace, namespaceSelector));
+            
+            report.namespaces.push(stats.summary);
+        }
+        
+        report.namespaces = report.namespaces.filter(entry => entry.erased || entry.memoriesRemoved > 0 ||
+            entry.eventsRemoved > 0 || entry.compressedGroupsRedacted > 0 || entry.conceptContextsRedacted > 0);
+        report.totals = this.summarizeForgetReport(report.namespaces);
+        report.conversationIds = Array.from(new Set(report.namespaces.flatMap(entry => entry.conversationIds || [])));
+        report.completedAt = Date.now();
+        
+        // Digests quote event text: forgotten content must not linger there
+        this.cache.clear();
+        this.digests.clear();
+        await this.appendForgetAudit(report);
+        this.emit('memory_forgotten', {
+            id: report.id,
+            criteria: report.criteria,
+            namespaces: report.namespaces.map(entry => entry.namespace),
+            totals: report.totals
+        });
+        
+        console.log(`🗑️ Forget request ${report.id}: ${report.totals.memoriesRemoved} memories, ` +
+            `${report.totals.eventsRemoved} events removed`);
+        
+        return report;
+    }
+
+    /**
+     * Predicate over memories, events and compressed-group originals.
+     * Items saved before fingerprints were stored are fingerprinted on the fly.
+     * withoutUser: the selector for namespaces of other tenants, without the
+     * user criterion (null when that was the only one).
+     */
+    createForgetSelector(criteria = {}) {
+        const normalized = {};
+        for (const field of ['fingerprint', 'conversationId', 'document', 'userId', 'tenantId']) {
+            if (criteria[field] === undefined || criteria[field] === null || criteria[field] === '') continue;
+            if (typeof criteria[field] !== 'string') {
+                throw new Error(`Forget criterion ${field} must be a string`);
+            }
+            normalized[field] = criteria[field];
+        }
+        if (normalized.tenantId && !normalized.userId) {
+            throw new Error('Forget criterion tenantId needs a userId');
+        }
+        if (Object.keys(normalized).length === 0) {
+            throw new Error('Forget requires a fingerprint, conversationId, document or userId');
+        }
+        if (normalized.userId && !normalized.tenantId) {
+            normalized.tenantId = DEFAULT_TENANT;
+        }
+        
+        const matcher = fields => item => {
+            const metadata = item.metadata || {};
+            if (fields.fingerprint) {
+                const fingerprint = item.fingerprint || (item.text ? this.generateMemoryFingerprint(item) : null);
+                if (fingerprint === fields.fingerprint) return true;
+            }
+            if (fields.conversationId && metadata.conversationId === fields.conversationId) return true;
+            if (fields.document &&
+                (metadata.fileName === fields.document || metadata.documentId === fields.document)) return true;
+            return Boolean(fields.userId && metadata.userId === fields.userId);
+        };
+        
+        const { userId, tenantId, ...others } = normalized;
+        return {
+            criteria: normalized,
+            matches: matcher(normalized),
+            withoutUser: Object.keys(others).length > 0 ? { criteria: others, matches: matcher(others), withoutUser: null } : null
+        };
+    }
+
+    /**
+     * Apply a forget selector to one namespace's layers
+     */
+    async forgetInNamespace(namespace, selector) {
+        const { contextLayer, semanticLayer, temporalLayer } = namespace;
+        
+        // A memory and the event recorded with it are forgotten together
+        const linkedEvents = new Set();
+        const memories = contextLayer.forgetMemories(memory => {
+            if (!selector.matches(memory)) return false;
+            const links = contextLayer.connections.get(memory.id);
+            if (links && links.eventId) linkedEvents.add(links.eventId);
+            return true;
+        });
+        
+        const eventMatches = event => linkedEvents.has(event.id) || selector.matches(event);
+        const conceptExists = name => semanticLayer.concepts.has(name);
+        const events = temporalLayer.forgetEvents(eventMatches, conceptExists);
+        await temporalLayer.redactArchive(events);
+        
+        // Events moved down to the warm and cold tiers
+        const tiered = await temporalLayer.forgetTieredEvents(eventMatches, conceptExists);
+        events.removed.push(...tiered.removed);
+        events.redactedGroups.push(...tiered.redactedGroups);
+        events.forgottenOriginals.push(...tiered.forgottenOriginals);
+        events.patternsRemoved += tiered.patternsRemoved;
+        
+        const goneEvents = new Set([
+            ...events.removed.map(event => event.id),
+            ...events.forgottenOriginals.map(original => original.id)
+        ]);
+        memories.push(...contextLayer.forgetMemories(memory => {
+            const links = contextLayer.connections.get(memory.id);
+            return Boolean(links && goneEvents.has(links.eventId));
+        }));
+        
+        // Text and statistics the forgotten items put into the concept graph
+        const contents = new Map();
+        const addContent = (item, extra = {}) => {
+            const textHash = item.textHash || hashText(item.text);
+            const key = item.fingerprint || textHash;
+            const existing = contents.get(key);
+            if (!existing || (!existing.concepts && item.concepts)) {
+                contents.set(key, { ...existing, textHash, concepts: item.concepts || null, ...extra });
+            }
+        };
+        for (const event of events.removed.filter(event => !(event.metadata && event.metadata.compressed))) {
+            addContent(event);
+        }
+        events.forgottenOriginals.forEach(original => addContent(original));
+        for (const memory of memories) {
+            addContent(memory, { memoryId: memory.id, promotedConcepts: memory.promotedConcepts || [] });
+        }
+        
+        const semantic = contents.size > 0 || goneEvents.size > 0
+            ? await semanticLayer.forgetContent(Array.from(contents.values()), goneEvents)
+            : { contextsRedacted: 0, changed: [], removed: [], relationshipsRemoved: 0 };
+        
+        // Concept embeddings are centroids of their contexts: recompute them
+        // from the contexts that remain
+        if (this.embeddingProvider) {
+            for (const name of semantic.changed) {
+                const conceptObj = semanticLayer.concepts.get(name);
+                const vectors = [];
+                for (const text of conceptObj.context.length > 0 ? conceptObj.context : [name]) {
+                    const vector = await this.embedText(text, namespace);
+                    if (vector) vectors.push(vector);
+                }
+                conceptObj.embedding = vectors.length > 0 ? averageVectors(vectors) : null;
+                if (conceptObj.embedding) {
+                    semanticLayer.vectorIndex.add(name, conceptObj.embedding);
+                } else {
+                    semanticLayer.vectorIndex.remove(name);
+                }
+            }
+        }
+        
+        const changed = memories.length > 0 || goneEvents.size > 0 || semantic.contextsRedacted > 0;
+        const connections = changed ? await this.optimizeConnections(namespace) : { danglingLinksRemoved: 0 };
+        
+        // Conversations the forgotten text was said in hold it too
+        const conversationIds = new Set();
+        for (const item of [...memories, ...events.removed, ...events.forgottenOriginals]) {
+            const provenance = provenanceOf(item);
+            const conversationId = (provenance && provenance.conversationId) ||
+                (item.metadata && item.metadata.conversationId);
+            if (conversationId) conversationIds.add(conversationId);
+        }
+        
+        return {
+            changed,
+            summary: {
+                namespace: namespace.key,
+                memoriesRemoved: memories.length,
+                eventsRemoved: events.removed.filter(event => !(event.metadata && event.metadata.compressed)).length,
+                compressedGroupsRedacted: events.redactedGroups.length,
+                compressedGroupsRemoved: events.removed.length -
+                    events.removed.filter(event => !(event.metadata && event.metadata.compressed)).length,
+                compressedOriginalsForgotten: events.forgottenOriginals.length,
+                conceptContextsRedacted: semantic.contextsRedacted,
+                conceptsRemoved: semantic.removed.length,
+                relationshipsRemoved: semantic.relationshipsRemoved,
+                patternsRemoved: events.patternsRemoved,
+                danglingLinksRemoved: connections.danglingLinksRemoved,
+                memoryIds: memories.map(memory => memory.id),
+                eventIds: Array.from(goneEvents),
+                conversationIds: Array.from(conversationIds)
+            }
+        };
+    }
+
+    /**
+     * Delete a namespace with its directory, local backups and remote backups
+     */
+    async eraseNamespace(namespace, backups) {
+        const summary = {
+            namespace: namespace.key,
+            erased: true,
+            memoriesRemoved: namespace.contextLayer.memories.length,
+            eventsRemoved: namespace.temporalLayer.events.length,
+            conceptsRemoved: namespace.semanticLayer.concepts.size
+        };
+        
+        if (namespace.wal) {
+            await namespace.wal.close();
+        }
+        // Cold segments kept remotely don't go with the directory
+        if (namespace.temporalLayer.tiers) {
+            await namespace.temporalLayer.tiers.destroy();
+        }
+        await fs.promises.rm(namespace.storage.dataPath, { recursive: true, force: true });
+        this.namespaces.delete(namespace.key);
+        await this.redactSnapshots(namespace, null, backups.snapshots);
+        
+        backups.remote = this.mergeRemoteReport(backups.remote,
+            await this.redactRemoteBackups(namespace, null));
+        
+        return summary;
+    }
+
+    /**
+     * Rewrite the namespace's local state backups without the forgotten items
+     */
+    async redactLocalBackups(namespace, selector, report) {
+        for (const fileName of await namespace.storage.listBackups('main')) {
+            report.checked++;
+            try {
+                const state = await namespace.storage.readBackup(fileName);
+                const result = await this.redactState(namespace, state, selector);
+                if (result) {
+                    await namespace.storage.writeBackup(fileName, result);
+                    report.redacted++;
+                }
+            } catch (error) {
+                // An unreadable backup can't be verified clean, so it goes
+                await namespace.storage.deleteBackup(fileName);
+                report.deleted++;
+            }
+        }
+    }
+
+    /**
+     * Rewrite the namespace in every snapshot without the forgotten items;
+     * without a selector the namespace is dropped from the snapshots
+     */
+    async redactSnapshots(namespace, selector, report) {
+        for (const snapshot of await this.snapshots.list()) {
+            if (!snapshot.namespaces.some(entry => entry.key === namespace.key)) continue;
+            report.checked++;
+            
+            if (!selector) {
+                await this.snapshots.writeState(snapshot, namespace.key, null);
+                report.deleted++;
+                continue;
+            }
+            
+            try {
+                const state = await this.snapshots.readState(snapshot, namespace.key);
+                if (!state) throw new Error('Unreadable snapshot state');
+                const redacted = await this.redactState(namespace, state, selector);
+                if (redacted) {
+                    await this.snapshots.writeState(snapshot, namespace.key, redacted, stateCounts(redacted));
+                    report.redacted++;
+                }
+            } catch (error) {
+                // As with backups: what can't be verified clean goes
+                await this.snapshots.writeState(snapshot, namespace.key, null);
+                report.deleted++;
+            }
+        }
+        
+        this.snapshotNamespaces.clear();
+    }
+
+    /**
+     * Let the remote backup target rewrite or delete the namespace's backups.
+     * Without a selector every backup of the namespace is deleted.
+     */
+    async redactRemoteBackups(namespace, selector) {
+        if (!this.backupTarget || typeof this.backupTarget.redactMemoryStates !== 'function') {
+            return null;
+        }
+        
+        try {
+            return await this.backupTarget.redactMemoryStates(namespace.key, async stored => {
+                if (!selector) return { action: 'delete' };
+                const state = this.openRemoteState(namespace, stored);
+                if (!state || !state.contextLayer) return { action: 'keep' };
+                
+                const redacted = await this.redactState(namespace, state, selector);
+                return redacted
+                    ? { action: 'replace', state: this.sealRemoteState(namespace, redacted), schemaVersion: redacted.schemaVersion }
+                    : { action: 'keep' };
+            });
+        } catch (error) {
+            console.error(`Remote backup redaction failed (${namespace.key}):`, error);
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Apply a selector to a saved state; returns the rewritten state, or
+     * null when nothing in it matched
+     */
+    async redactState(namespace, state, selector) {
+        const scratch = this.createNamespace(namespace.descriptor(), { scratch: true });
+        await this.importNamespaceState(scratch, state, null, { engineState: false });
+        
+        const stats = await this.forgetInNamespace(scratch, selector);
+        if (!stats.changed) return null;
+        
+        return {
+            ...state,
+            schemaVersion: SCHEMA_VERSION,
+            namespace: scratch.exportSettings(),
+            contextLayer: await scratch.contextLayer.exportState(),
+            semanticLayer: await scratch.semanticLayer.exportState(),
+            temporalLayer: await scratch.temporalLayer.exportState()
+        };
+    }
+
+    mergeRemoteReport(current, result) {
+        if (!result) return current;
+        const merged = current || { checked: 0, redacted: 0, deleted: 0, errors: [] };
+        merged.checked += result.checked || 0;
+        merged.redacted += result.redacted || 0;
+        merged.deleted += result.deleted || 0;
+        if (result.error) merged.errors.push(result.error);
+        return merged;
+    }
+
+    summarizeForgetReport(namespaces) {
+        const totals = { namespacesErased: 0, memoriesRemoved: 0, eventsRemoved: 0, conceptContextsRedacted: 0, conceptsRemoved: 0 };
+        for (const entry of namespaces) {
+            if (entry.erased) totals.namespacesErased++;
+            totals.memoriesRemoved += entry.memoriesRemoved || 0;
+            totals.eventsRemoved += entry.eventsRemoved || 0;
+            totals.conceptContextsRedacted += entry.conceptContextsRedacted || 0;
+            totals.conceptsRemoved += entry.conceptsRemoved || 0;
+        }
+        return totals;
+    }
+
+    async appendForgetAudit(report) {
+        try {
+            await mkdir(this.config.storage.dataPath, { recursive: true });
+            await fs.promises.appendFile(path.join(this.config.storage.dataPath, 'forget-audit.jsonl'),
+                JSON.stringify(report) + '\n');
+        } catch (error) {
+            console.error('Failed to write forget audit log:', error);
+        }
+    }
+
+    /**
+     * Get system information
+     */
+    async getSystemInfo() {
+        return {
+            version: '1.0.0',
+            schemaVersion: SCHEMA_VERSION,
+            uptime: Date.now() - this.startTime,
+            memoryLayers: ['context', 'semantic', 'temporal'],
+            registeredPatterns: Array.from(this.memoryPatterns.keys()),
+            configuration: this.config,
+            features: [
+                'autonomous_learning',
+                'semantic_similarity',
+                'temporal_consolidation',
+                'pattern_recognition',
+                'memory_compression',
+                'cross_layer_optimization',
+                'memory_manager_interface',
+                'vector_embeddings',
+                'ann_retrieval',
+                'dynamic_concept_extraction',
+                'knowledge_graph_queries',
+                'graph_interchange',
+                'community_detection',
+                'memory_strength',
+                'memory_namespaces',
+                'memory_forgetting',
+                'provenance_citations',
+                'ranking_profiles',
+                'memory_snapshots',
+                'write_ahead_log',
+                'encryption_at_rest',
+                'state_schema_migrations',
+                'timeline_digests',
+                'archived_event_rehydration',
+                'tiered_event_storage',
+                'predictive_reminders'
+            ]
+        };
+    }
+
+    /**
+     * Graceful shutdown
+     */
+    async shutdown() {
+        try {
+            console.log('🛑 Shutting down ASMF engine...');
+            
+            // Stop background processes
+            if (this.backupInterval) {
+                clearInterval(this.backupInterval);
+            }
+            
+            if (this.consolidationInterval) {
+                clearInterval(this.consolidationInterval);
+            }
+            
+            if (this.checkpointInterval) {
+                clearInterval(this.checkpointInterval);
+            }
+            
+            if (this.snapshotInterval) {
+                clearInterval(this.snapshotInterval);
             }
+            
+            // Save current state and release the write-ahead logs
+            await this.saveMemory();
+            for (const namespace of this.namespaces.values()) {
+                if (namespace.wal) {
+                    await namespace.wal.close();
+                }
+            }
+            
+            // Cleanup resources
+            this.cache.clear();
+            
+            console.log('✅ ASMF engine shutdown complete');
         } catch (error) {
-            console.error('Failed to load memory state:', error);
-            // Continue with empty memory if loading fails
+            console.error('Error during shutdown:', error);
+        }
+    }
+}
+
+/**
+ * Context Layer - Working memory and current conversation context
+ */
+class ContextLayer {
+    constructor(config) {
+        this.config = config;
+        this.memories = [];
+        this.connections = new Map();
+        this.strengthModel = new MemoryStrengthModel(config.strength);
+        this.vectorIndex = new HNSWIndex(config.vectorIndex);
+        this.textIndex = new BM25Index(config.textIndex);
+        this.journal = null; // (op, data) => void, set for namespaces with a write-ahead log
+    }
+
+    /**
+     * Working memories in insertion order; assigning a new list also
+     * rebuilds memoriesById, which search looks index candidates up in
+     */
+    get memories() {
+        return this.memoryList;
+    }
+
+    set memories(memories) {
+        this.memoryList = memories;
+        this.memoriesById = new Map(memories.map(memory => [memory.id, memory]));
+    }
+
+    async addMemory(info, metadata) {
+        const memory = {
+            id: this.generateMemoryId(),
+            ...info,
+            metadata,
+            createdAt: Date.now(),
+            accessCount: 0,
+            lastAccessed: Date.now()
+        };
+        this.strengthModel.initialize(memory, memory.createdAt);
+        
+        this.memories.push(memory);
+        this.memoriesById.set(memory.id, memory);
+        this.record('put', { memory });
+        
+        if (memory.embeddings) {
+            this.vectorIndex.add(memory.id, memory.embeddings);
+        }
+        this.textIndex.add(memory.id, documentTerms(memory.text, memory.concepts));
+        
+        // Maintain size limit: the weakest unpinned memory fades first
+        if (this.memories.length > this.config.maxSize) {
+            const removed = this.memories.splice(this.findWeakestMemoryIndex(), 1)[0];
+            this.memoriesById.delete(removed.id);
+            await this.handleMemoryRemoval(removed);
+        }
+        
+        return memory;
+    }
+
+    /**
+     * Index of the unpinned memory with the lowest retention (oldest if all are pinned)
+     */
+    findWeakestMemoryIndex() {
+        const now = Date.now();
+        let weakestIndex = 0;
+        let weakestRetention = Infinity;
+        
+        this.memories.forEach((memory, index) => {
+            if (memory.pinned) return;
+            
+            const retention = this.strengthModel.retention(memory, now);
+            if (retention < weakestRetention) {
+                weakestIndex = index;
+                weakestRetention = retention;
+            }
+        });
+        
+        return weakestIndex;
+    }
+
+    async search(queryInfo, options = {}) {
+        const results = [];
+        const threshold = options.similarityThreshold !== undefined
+            ? options.similarityThreshold
+            : this.config.similarityThreshold;
+        const textScores = this.textIndex.searchScores(
+            documentTerms(queryInfo.text, queryInfo.concepts),
+            options.textCandidates || this.config.textIndex.candidates
+        );
+        const vectorScores = this.vectorIndex.searchScores(
+            queryInfo.embeddings,
+            options.vectorCandidates || this.config.vectorIndex.candidates,
+            this.config.vectorIndex.minScore
+        );
+        
+        // Only memories sharing a term or close in embedding space can match
+        const candidateIds = new Set([...textScores.keys(), ...vectorScores.keys()]);
+        
+        for (const id of candidateIds) {
+            const memory = this.memoriesById.get(id);
+            if (!memory) continue;
+            
+            const textScore = textScores.get(memory.id) || 0;
+            const vectorSimilarity = vectorScores.get(memory.id) || 0;
+            const similarity = Math.max(this.calculateSimilarity(queryInfo, memory), textScore, vectorSimilarity);
+            if (similarity >= threshold) {
+                results.push({
+                    ...memory,
+                    similarity,
+                    textScore,
+                    vectorSimilarity,
+                    retention: this.strengthModel.retention(memory),
+                    relevanceScore: similarity * 10
+                });
+            }
+        }
+        
+        // Sort by relevance and recency
+        return results.sort((a, b) => {
+            if (Math.abs(a.relevanceScore - b.relevanceScore) < 0.1) {
+                return b.createdAt - a.createdAt;
+            }
+            return b.relevanceScore - a.relevanceScore;
+        });
+    }
+
+    calculateSimilarity(queryInfo, memory) {
+        // Simplified similarity calculation
+        let similarity = 0;
+        
+        // Keyword overlap
+        if (queryInfo.keywords && memory.keywords) {
+            const queryKeywords = new Set(queryInfo.keywords.map(k => k.word));
+            const memoryKeywords = new Set(memory.keywords.map(k => k.word));
+            const overlap = new Set([...queryKeywords].filter(k => memoryKeywords.has(k)));
+            similarity += overlap.size / Math.max(queryKeywords.size, memoryKeywords.size, 1);
+        }
+        
+        // Concept overlap
+        if (queryInfo.concepts && memory.concepts) {
+            const queryConcepts = new Set(queryInfo.concepts);
+            const memoryConcepts = new Set(memory.concepts);
+            const overlap = new Set([...queryConcepts].filter(c => memoryConcepts.has(c)));
+            similarity += overlap.size / Math.max(queryConcepts.size, memoryConcepts.size, 1);
+        }
+        
+        return similarity / 2; // Normalize
+    }
+
+    async consolidate() {
+        const originalSize = this.memories.length;
+        
+        // Let memories fade once their retention drops below the threshold (pins never fade)
+        const now = Date.now();
+        this.memories = this.memories.filter(memory => !this.strengthModel.shouldFade(memory, now));
+        this.syncIndexes();
+        
+        const consolidatedItems = originalSize - this.memories.length;
+        
+        return {
+            items: consolidatedItems,
+            compressionRatio: originalSize > 0 ? consolidatedItems / originalSize : 0,
+            memoriesRetained: this.memories.length
+        };
+    }
+
+    /**
+     * Important memories not yet promoted to the semantic layer
+     */
+    getPromotionCandidates() {
+        return this.memories.filter(memory => this.strengthModel.shouldPromote(memory));
+    }
+
+    /**
+     * Reinforce memories returned by a retrieval
+     */
+    reinforceMemories(memoryIds) {
+        const ids = new Set(memoryIds);
+        const now = Date.now();
+        let reinforced = 0;
+        
+        for (const memory of this.memories) {
+            if (ids.has(memory.id)) {
+                this.strengthModel.reinforce(memory, now);
+                this.recordStrength(memory);
+                reinforced++;
+            }
+        }
+        
+        return reinforced;
+    }
+
+    /**
+     * Pin (or unpin) a memory; null if it is not in working memory
+     */
+    pinMemory(memoryId, pinned = true) {
+        const memory = this.memories.find(candidate => candidate.id === memoryId);
+        if (!memory) return null;
+        
+        this.strengthModel.pin(memory, pinned);
+        this.recordStrength(memory);
+        return memory;
+    }
+
+    async getStatus() {
+        return {
+            size: this.memories.length,
+            maxSize: this.config.maxSize,
+            utilization: this.memories.length / this.config.maxSize,
+            oldestMemory: this.memories.length > 0 ? Math.min(...this.memories.map(m => m.createdAt)) : null,
+            newestMemory: this.memories.length > 0 ? Math.max(...this.memories.map(m => m.createdAt)) : null,
+            pinnedMemories: this.memories.filter(m => m.pinned).length,
+            averageImportance: this.memories.length > 0 ?
+                this.memories.reduce((sum, m) => sum + (m.importance || 0), 0) / this.memories.length : 0,
+            averageRetention: this.memories.length > 0 ?
+                this.memories.reduce((sum, m) => sum + this.strengthModel.retention(m), 0) / this.memories.length : 0,
+            vectorIndex: this.vectorIndex.getStatus(),
+            textIndex: this.textIndex.getStatus()
+        };
+    }
+
+    async getSize() {
+        return this.memories.length;
+    }
+
+    async cleanOldMemories(cutoffTime) {
+        const beforeSize = this.memories.length;
+        this.memories = this.memories.filter(memory => memory.createdAt > cutoffTime);
+        this.syncIndexes();
+        return beforeSize - this.memories.length;
+    }
+
+    async exportState() {
+        return {
+            memories: this.memories,
+            connections: Array.from(this.connections.entries())
+        };
+    }
+
+    async importState(state) {
+        if (state && state.memories) {
+            this.memories = state.memories;
+            if (state.connections) {
+                this.connections = new Map(state.connections);
+            }
+            
+            // Memories saved before the strength model start from their last access
+            for (const memory of this.memories) {
+                if (memory.stability === undefined) {
+                    this.strengthModel.initialize(memory, memory.lastAccessed || memory.createdAt);
+                }
+            }
+        }
+    }
+
+    exportIndexes() {
+        return {
+            vector: this.vectorIndex.exportState(),
+            text: this.textIndex.exportState()
+        };
+    }
+
+    /**
+     * Restore persisted indexes, rebuilding any that no longer match the memories
+     */
+    importIndexes(state = {}) {
+        const vectors = new Map(this.memories
+            .filter(memory => memory.embeddings)
+            .map(memory => [memory.id, memory.embeddings]));
+        
+        if (!this.vectorIndex.importState(state.vector, id => vectors.get(id)) ||
+            this.vectorIndex.size !== vectors.size) {
+            this.vectorIndex.rebuild(vectors.entries());
+        }
+        
+        if (!this.textIndex.importState(state.text) ||
+            this.textIndex.size !== this.memories.length ||
+            !this.memories.every(memory => this.textIndex.has(memory.id))) {
+            this.textIndex.rebuild(this.memories.map(memory => [memory.id, documentTerms(memory.text, memory.concepts)]));
+        }
+    }
+
+    /**
+     * Drop index entries of removed memories and index any that are missing
+     */
+    syncIndexes() {
+        const liveIds = new Set(this.memories.map(memory => memory.id));
+        this.vectorIndex.retainOnly(liveIds);
+        this.textIndex.retainOnly(liveIds);
+        
+        for (const memory of this.memories) {
+            if (memory.embeddings && !this.vectorIndex.has(memory.id)) {
+                this.vectorIndex.add(memory.id, memory.embeddings);
+            }
+            if (!this.textIndex.has(memory.id)) {
+                this.textIndex.add(memory.id, documentTerms(memory.text, memory.concepts));
+            }
+        }
+    }
+
+    generateMemoryId() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    async handleMemoryRemoval(memory) {
+        // Handle cleanup when memory is removed
+        this.connections.delete(memory.id);
+        this.vectorIndex.remove(memory.id);
+        this.textIndex.remove(memory.id);
+        this.record('delete', { id: memory.id });
+    }
+
+    /**
+     * Record the temporal event and concepts a memory produced
+     */
+    linkMemory(memoryId, links) {
+        const connection = {
+            eventId: links.eventId || null,
+            concepts: Array.from(new Set(links.concepts || []))
+        };
+        this.connections.set(memoryId, connection);
+        this.record('link', { id: memoryId, connection });
+    }
+
+    record(op, data) {
+        if (this.journal) this.journal(op, data);
+    }
+
+    recordStrength(memory) {
+        this.record('update', {
+            id: memory.id,
+            fields: {
+                accessCount: memory.accessCount,
+                lastAccessed: memory.lastAccessed,
+                stability: memory.stability,
+                lastReinforced: memory.lastReinforced,
+                importance: memory.importance,
+                pinned: memory.pinned
+            }
+        });
+    }
+
+    /**
+     * Redo a write-ahead log record (see record); indexes are synced after replay
+     */
+    applyJournal(entry) {
+        const index = entry.id !== undefined || entry.memory
+            ? this.memories.findIndex(memory => memory.id === (entry.memory ? entry.memory.id : entry.id))
+            : -1;
+        
+        switch (entry.op) {
+            case 'put':
+                if (index >= 0) this.memories[index] = entry.memory;
+                else this.memories.push(entry.memory);
+                this.memoriesById.set(entry.memory.id, entry.memory);
+                break;
+            case 'update':
+                if (index >= 0) Object.assign(this.memories[index], entry.fields);
+                break;
+            case 'link':
+                this.connections.set(entry.id, entry.connection);
+                break;
+            case 'delete':
+                if (index >= 0) this.memories.splice(index, 1);
+                this.memoriesById.delete(entry.id);
+                this.connections.delete(entry.id);
+                break;
         }
     }
 
     /**
-     * Get system information
+     * Live memories linked to any of the given events
      */
-    async getSystemInfo() {
-        return {
-            version: '1.0.0',
-            uptime: Date.now() - this.startTime,
-            memoryLayers: ['context', 'semantic', 'temporal'],
-            configuration: this.config,
-            features: [
-                'autonomous_learning',
-                'semantic_similarity',
-                'temporal_consolidation',
-                'pattern_recognition',
-                'memory_compression',
-                'cross_layer_optimization'
-            ]
-        };
+    getMemoriesByEvents(eventIds) {
+        const wanted = new Set(eventIds);
+        if (wanted.size === 0) return [];
+        
+        return this.memories.filter(memory => {
+            const links = this.connections.get(memory.id);
+            return links && wanted.has(links.eventId);
+        });
     }
 
     /**
-     * Graceful shutdown
+     * Drop links of removed memories, missing events and deleted concepts;
+     * redirect event links through resolveEvent
      */
-    async shutdown() {
-        try {
-            console.log('🛑 Shutting down ASMF engine...');
+    pruneConnections(resolveEvent, conceptExists) {
+        const liveIds = new Set(this.memories.map(memory => memory.id));
+        const stats = { checked: 0, dangling: 0, merged: 0 };
+        
+        for (const [memoryId, links] of this.connections) {
+            stats.checked++;
             
-            // Save current state
-            await this.saveMemory();
+            if (!liveIds.has(memoryId)) {
+                this.connections.delete(memoryId);
+                stats.dangling++;
+                continue;
+            }
             
-            // Cleanup resources
-            this.cache.clear();
+            if (links.eventId) {
+                const resolved = resolveEvent(links.eventId);
+                if (resolved === null) {
+                    stats.dangling++;
+                } else if (resolved !== links.eventId) {
+                    stats.merged++;
+                }
+                links.eventId = resolved;
+            }
             
-            console.log('✅ ASMF engine shutdown complete');
-        } catch (error) {
-            console.error('Error during shutdown:', error);
+            const concepts = Array.from(new Set(links.concepts)).filter(conceptExists);
+            stats.dangling += links.concepts.length - concepts.length;
+            links.concepts = concepts;
+        }
+        
+        return stats;
+    }
+
+    /**
+     * Link memories stored before cross-layer linking to the event recorded
+     * for the same input (same text, recorded within a second)
+     */
+    backfillConnections(events) {
+        const unlinked = this.memories.filter(memory => !this.connections.has(memory.id));
+        if (unlinked.length === 0) return [];
+        
+        const texts = new Set(unlinked.map(memory => memory.text));
+        const eventsByText = new Map();
+        for (const event of events) {
+            if (!texts.has(event.text)) continue;
+            if (!eventsByText.has(event.text)) eventsByText.set(event.text, []);
+            eventsByText.get(event.text).push(event);
+        }
+        
+        const created = [];
+        for (const memory of unlinked) {
+            const event = (eventsByText.get(memory.text) || [])
+                .find(candidate => Math.abs(candidate.timestamp - memory.createdAt) < 1000);
+            if (!event) continue;
+            
+            this.linkMemory(memory.id, { eventId: event.id, concepts: memory.concepts || [] });
+            created.push({ memoryId: memory.id, eventId: event.id });
+        }
+        
+        return created;
+    }
+
+    /**
+     * Remove the memories matching the predicate, with their links and index entries
+     */
+    forgetMemories(predicate) {
+        const removed = [];
+        this.memories = this.memories.filter(memory => {
+            if (!predicate(memory)) return true;
+            removed.push(memory);
+            return false;
+        });
+        
+        for (const memory of removed) {
+            this.connections.delete(memory.id);
+        }
+        if (removed.length > 0) {
+            this.syncIndexes();
         }
+        
+        return removed;
     }
 }
 
 /**
- * Context Layer - Working memory and current conversation context
+ * Semantic Layer - Knowledge structures and concept relationships
  */
-class ContextLayer {
+class SemanticLayer {
     constructor(config) {
         this.config = config;
-        this.memories = [];
-        this.connections = new Map();
+        this.concepts = new Map();
+        this.relationships = new Map();
+        this.clusters = [];
+        this.conceptClusters = new Map(); // concept -> cluster ids
+        this.clusteringStatus = { lastRun: null, modularity: null, levels: 0 };
+        this.pendingClusterUpdates = 0;
+        this.vectorIndex = new HNSWIndex(config.vectorIndex);
+        this.textIndex = new BM25Index(config.textIndex);
+        this.journal = null; // (op, data) => void, set for namespaces with a write-ahead log
     }
 
-    async addMemory(info, metadata) {
-        const memory = {
-            id: this.generateMemoryId(),
-            ...info,
-            metadata,
-            createdAt: Date.now(),
-            accessCount: 0,
-            lastAccessed: Date.now()
+    async processInput(info) {
+        // Extract and update concepts
+        const concepts = await this.extractConcepts(info);
+        
+        // Update concept relationships
+        await this.updateRelationships(concepts);
+        
+        // Check for clustering opportunities
+        await this.checkClustering();
+        
+        return {
+            concepts: concepts,
+            similarity: 0.8 // Placeholder
         };
+    }
+
+    async extractConcepts(info) {
+        const concepts = [];
         
-        this.memories.push(memory);
+        for (const concept of info.concepts || []) {
+            if (!this.concepts.has(concept)) {
+                this.concepts.set(concept, {
+                    id: this.generateConceptId(),
+                    name: concept,
+                    frequency: 0,
+                    lastSeen: Date.now(),
+                    connections: new Set(),
+                    context: [],
+                    contextSources: [],
+                    events: []
+                });
+            }
+            
+            const conceptObj = this.concepts.get(concept);
+            conceptObj.frequency++;
+            conceptObj.lastSeen = Date.now();
+            this.addContext(conceptObj, info.text, info.provenance || null);
+            this.keepRecentContexts(conceptObj, 10);
+            
+            this.updateConceptEmbedding(concept, conceptObj, info.embeddings);
+            this.textIndex.add(concept, this.conceptTerms(concept, conceptObj));
+            this.recordConcept(concept);
+            
+            concepts.push(concept);
+        }
         
-        // Maintain size limit
-        if (this.memories.length > this.config.maxSize) {
-            const removed = this.memories.shift();
-            await this.handleMemoryRemoval(removed);
+        // Maintain concept limit
+        if (this.concepts.size > this.config.maxConcepts) {
+            await this.cleanupOldConcepts();
         }
         
-        return memory;
+        return concepts;
+    }
+
+    /**
+     * Concept contexts keep their provenance in contextSources, index-aligned
+     * (null for contexts learned before provenance was recorded)
+     */
+    alignContextSources(conceptObj) {
+        const sources = Array.isArray(conceptObj.contextSources) ? conceptObj.contextSources : [];
+        const missing = conceptObj.context.length - sources.length;
+        conceptObj.contextSources = missing >= 0
+            ? [...new Array(missing).fill(null), ...sources]
+            : sources.slice(-missing);
+        return conceptObj.contextSources;
+    }
+
+    addContext(conceptObj, text, provenance) {
+        this.alignContextSources(conceptObj).push(provenance);
+        conceptObj.context.push(text);
+    }
+
+    keepRecentContexts(conceptObj, count) {
+        this.alignContextSources(conceptObj);
+        if (conceptObj.context.length > count) {
+            conceptObj.context = conceptObj.context.slice(-count);
+            conceptObj.contextSources = conceptObj.contextSources.slice(-count);
+        }
+    }
+
+    filterContexts(conceptObj, keep) {
+        const sources = this.alignContextSources(conceptObj);
+        const kept = conceptObj.context.map((text, index) => index).filter(index => keep(conceptObj.context[index]));
+        conceptObj.context = kept.map(index => conceptObj.context[index]);
+        conceptObj.contextSources = kept.map(index => sources[index]);
+    }
+
+    /**
+     * Move the concept's embedding towards the centroid of its recent contexts
+     */
+    updateConceptEmbedding(conceptName, conceptObj, embedding) {
+        if (!embedding) return;
+        
+        if (!conceptObj.embedding || conceptObj.embedding.length !== embedding.length) {
+            conceptObj.embedding = embedding;
+        } else {
+            const weight = Math.min(conceptObj.frequency, 10) - 1;
+            conceptObj.embedding = averageVectors([
+                conceptObj.embedding.map(value => value * weight),
+                embedding
+            ]);
+        }
+        
+        this.vectorIndex.add(conceptName, conceptObj.embedding);
+    }
+
+    /**
+     * Index terms for a concept: its name (weighted twice) plus its recent contexts
+     */
+    conceptTerms(conceptName, conceptObj) {
+        return [
+            ...documentTerms(conceptName, [conceptName]),
+            ...tokenize(conceptName),
+            ...tokenize(conceptObj.context.join(' ')),
+            ...tokenize((conceptObj.keyContexts || []).map(entry => entry.text).join(' '))
+        ];
+    }
+
+    /**
+     * Long-term knowledge from an important working memory: its concepts are
+     * reinforced and keep the memory text as a key context
+     */
+    async promoteMemory(memory) {
+        const promoted = [];
+        
+        for (const name of memory.concepts || []) {
+            const conceptObj = this.concepts.get(name);
+            if (!conceptObj) continue;
+            
+            conceptObj.frequency++;
+            conceptObj.importance = Math.max(conceptObj.importance || 0, memory.importance);
+            conceptObj.keyContexts = (conceptObj.keyContexts || [])
+                .filter(entry => entry.memoryId !== memory.id)
+                .concat({
+                    memoryId: memory.id,
+                    text: memory.text,
+                    importance: memory.importance,
+                    promotedAt: Date.now(),
+                    provenance: provenanceOf(memory)
+                })
+                .sort((a, b) => b.importance - a.importance)
+                .slice(0, 5);
+            
+            this.textIndex.add(name, this.conceptTerms(name, conceptObj));
+            promoted.push(name);
+        }
+        
+        await this.updateRelationships(promoted);
+        return promoted;
+    }
+
+    async updateRelationships(concepts) {
+        // Create relationships between co-occurring concepts
+        for (let i = 0; i < concepts.length; i++) {
+            for (let j = i + 1; j < concepts.length; j++) {
+                const concept1 = concepts[i];
+                const concept2 = concepts[j];
+                
+                const relationshipKey = `${concept1}::${concept2}`;
+                
+                const currentWeight = this.relationships.get(relationshipKey) || 0;
+                this.relationships.set(relationshipKey, currentWeight + 1);
+                this.pendingClusterUpdates++;
+                this.record('relationship', { key: relationshipKey, weight: currentWeight + 1 });
+                
+                // Update bidirectional relationship
+                const concept1Obj = this.concepts.get(concept1);
+                const concept2Obj = this.concepts.get(concept2);
+                concept1Obj.connections.add(concept2);
+                concept2Obj.connections.add(concept1);
+            }
+        }
+    }
+
+    async checkClustering() {
+        // Re-detect communities once enough relationships changed since the last run
+        // (at least clusterUpdateInterval updates, or 5% of the graph once it is large)
+        const updateThreshold = Math.max(this.config.clusterUpdateInterval, this.relationships.size * 0.05);
+        
+        if (this.concepts.size > this.config.clusterSize &&
+            (this.clusteringStatus.lastRun === null || this.pendingClusterUpdates >= updateThreshold)) {
+            await this.performClustering();
+        }
+    }
+
+    /**
+     * Louvain community detection over the weighted co-occurrence graph.
+     * Starts from the previous partition and keeps cluster ids stable by
+     * matching new communities to the old clusters they overlap most.
+     */
+    async performClustering() {
+        const adjacency = new Map();
+        for (const [name, conceptObj] of this.concepts) {
+            const links = new Map();
+            for (const neighbor of conceptObj.connections) {
+                if (neighbor !== name && this.concepts.has(neighbor)) {
+                    links.set(neighbor, this.getRelationshipWeight(name, neighbor) || 1);
+                }
+            }
+            if (links.size > 0) {
+                adjacency.set(name, links);
+            }
+        }
+        
+        const initial = new Map();
+        for (const name of adjacency.keys()) {
+            const clusterIds = this.conceptClusters.get(name);
+            if (clusterIds && clusterIds.length > 0) {
+                initial.set(name, clusterIds[0]);
+            }
+        }
+        
+        const { communities, modularity, levels } = louvain(adjacency, {
+            initial,
+            resolution: this.config.clusterResolution
+        });
+        
+        const groups = new Map();
+        for (const [name, community] of communities) {
+            if (!groups.has(community)) groups.set(community, []);
+            groups.get(community).push(name);
+        }
+        
+        // Largest communities claim their best-matching previous cluster first
+        const previous = new Map(this.clusters.map(cluster => [cluster.id, cluster]));
+        const claimed = new Set();
+        const now = Date.now();
+        const clusters = [];
+        
+        for (const members of Array.from(groups.values())
+            .filter(group => group.length >= 2)
+            .sort((a, b) => b.length - a.length)) {
+            const match = this.matchPreviousCluster(members, previous, claimed);
+            if (match) {
+                claimed.add(match.id);
+            }
+            
+            const cluster = {
+                id: match ? match.id : this.generateClusterId(),
+                label: match && match.labelSource === 'imported' ? match.label : this.generateClusterLabel(members),
+                labelSource: match && match.labelSource === 'imported' ? 'imported' : 'auto',
+                concepts: members,
+                size: members.length,
+                strength: this.calculateClusterStrength(members),
+                createdAt: match ? match.createdAt : now,
+                updatedAt: now
+            };
+            clusters.push(cluster);
+        }
+        
+        this.clusters = clusters;
+        this.rebuildClusterMembership();
+        this.pendingClusterUpdates = 0;
+        this.clusteringStatus = { lastRun: now, modularity, levels };
+        this.record('clusters', { clusters, clusteringStatus: this.clusteringStatus });
+        
+        return {
+            clusters: clusters.length,
+            modularity,
+            levels,
+            retainedIds: claimed.size
+        };
+    }
+
+    /**
+     * Previous cluster with the highest Jaccard overlap (at least 0.3), if any
+     */
+    matchPreviousCluster(members, previous, claimed) {
+        const overlaps = new Map();
+        for (const name of members) {
+            for (const clusterId of this.conceptClusters.get(name) || []) {
+                if (previous.has(clusterId) && !claimed.has(clusterId)) {
+                    overlaps.set(clusterId, (overlaps.get(clusterId) || 0) + 1);
+                }
+            }
+        }
+        
+        let best = null;
+        let bestScore = 0.3;
+        for (const [clusterId, overlap] of overlaps) {
+            const cluster = previous.get(clusterId);
+            const score = overlap / (members.length + cluster.concepts.length - overlap);
+            if (score >= bestScore) {
+                best = cluster;
+                bestScore = score;
+            }
+        }
+        
+        return best;
+    }
+
+    /**
+     * Label a cluster with its most connected members (internal weight, then frequency)
+     */
+    generateClusterLabel(members) {
+        const memberSet = new Set(members);
+        
+        return members
+            .map(name => {
+                let internalWeight = 0;
+                for (const neighbor of this.concepts.get(name).connections) {
+                    if (memberSet.has(neighbor)) {
+                        internalWeight += this.getRelationshipWeight(name, neighbor);
+                    }
+                }
+                return { name, internalWeight, frequency: this.concepts.get(name).frequency };
+            })
+            .sort((a, b) => b.internalWeight - a.internalWeight || b.frequency - a.frequency)
+            .slice(0, 3)
+            .map(entry => entry.name)
+            .join(' / ');
+    }
+
+    /**
+     * Concept -> cluster ids lookup used by search and graph queries
+     */
+    rebuildClusterMembership() {
+        this.conceptClusters = new Map();
+        for (const cluster of this.clusters) {
+            for (const name of cluster.concepts) {
+                if (!this.conceptClusters.has(name)) this.conceptClusters.set(name, []);
+                this.conceptClusters.get(name).push(cluster.id);
+            }
+        }
+    }
+
+    /**
+     * Average co-occurrence weight over all member pairs
+     */
+    calculateClusterStrength(concepts) {
+        const memberSet = new Set(concepts);
+        let totalWeight = 0;
+        
+        for (const name of concepts) {
+            const conceptObj = this.concepts.get(name);
+            if (!conceptObj) continue;
+            
+            for (const neighbor of conceptObj.connections) {
+                if (name < neighbor && memberSet.has(neighbor)) {
+                    totalWeight += this.getRelationshipWeight(name, neighbor);
+                }
+            }
+        }
+        
+        const pairCount = concepts.length * (concepts.length - 1) / 2;
+        return pairCount > 0 ? totalWeight / pairCount : 0;
+    }
+
+    /**
+     * Clusters largest first, optionally with their members
+     */
+    async getClusters(options = {}) {
+        const limit = options.limit || 50;
+        
+        return this.clusters
+            .slice()
+            .sort((a, b) => b.concepts.length - a.concepts.length)
+            .slice(0, limit)
+            .map(cluster => ({
+                id: cluster.id,
+                label: cluster.label || null,
+                size: cluster.concepts.length,
+                strength: cluster.strength,
+                createdAt: cluster.createdAt,
+                updatedAt: cluster.updatedAt || cluster.createdAt,
+                concepts: options.includeConcepts === false ? undefined : cluster.concepts
+            }));
     }
 
     async search(queryInfo, options = {}) {
         const results = [];
+        const queryConcepts = queryInfo.concepts || [];
+        const textScores = this.textIndex.searchScores(
+            documentTerms(queryInfo.text, queryConcepts),
+            options.textCandidates || this.config.textIndex.candidates
+        );
+        const vectorScores = this.vectorIndex.searchScores(
+            queryInfo.embeddings,
+            options.vectorCandidates || this.config.vectorIndex.candidates,
+            this.config.vectorIndex.minScore
+        );
         
-        for (const memory of this.memories) {
-            const similarity = this.calculateSimilarity(queryInfo, memory);
-            if (similarity >= options.similarityThreshold || this.config.consolidationThreshold) {
+        // Candidates: index hits, the query concepts, their neighbours and cluster mates
+        const candidateNames = new Set([...textScores.keys(), ...vectorScores.keys()]);
+        for (const queryConcept of queryConcepts) {
+            const queryConceptObj = this.concepts.get(queryConcept);
+            if (queryConceptObj) {
+                candidateNames.add(queryConcept);
+                queryConceptObj.connections.forEach(name => candidateNames.add(name));
+            }
+        }
+        const queryClusters = new Map();
+        for (const queryConcept of queryConcepts) {
+            for (const clusterId of this.conceptClusters.get(queryConcept) || []) {
+                queryClusters.set(clusterId, null);
+            }
+        }
+        for (const cluster of this.clusters) {
+            if (queryClusters.has(cluster.id)) {
+                queryClusters.set(cluster.id, cluster);
+                cluster.concepts.forEach(name => candidateNames.add(name));
+            }
+        }
+        
+        for (const conceptName of candidateNames) {
+            const conceptObj = this.concepts.get(conceptName);
+            if (!conceptObj) continue;
+            
+            let similarity = 0;
+            
+            // Term match against the concept name and contexts
+            const textScore = textScores.get(conceptName) || 0;
+            similarity += textScore;
+            
+            // Embedding similarity to the concept's context centroid
+            const vectorSimilarity = vectorScores.get(conceptName) || 0;
+            similarity += vectorSimilarity;
+            
+            // Direct concept match
+            if (queryConcepts.includes(conceptName)) {
+                similarity += 1.0;
+            }
+            
+            // Related concept match
+            for (const queryConcept of queryConcepts) {
+                if (conceptObj.connections.has(queryConcept)) {
+                    similarity += 0.5;
+                }
+            }
+            
+            // Cluster membership bonus: same community as a query concept
+            for (const clusterId of this.conceptClusters.get(conceptName) || []) {
+                const cluster = queryClusters.get(clusterId);
+                if (cluster) {
+                    similarity += cluster.strength * 0.2;
+                }
+            }
+            
+            if (similarity >= (options.similarityThreshold || this.config.similarityThreshold)) {
                 results.push({
-                    ...memory,
+                    ...conceptObj,
                     similarity,
-                    relevanceScore: similarity * 10
+                    textScore,
+                    vectorSimilarity,
+                    relevanceScore: similarity * 15,
+                    type: 'concept'
                 });
             }
         }
         
-        // Sort by relevance and recency
-        return results.sort((a, b) => {
-            if (Math.abs(a.relevanceScore - b.relevanceScore) < 0.1) {
-                return b.createdAt - a.createdAt;
-            }
-            return b.relevanceScore - a.relevanceScore;
-        });
+        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
     }
 
-    calculateSimilarity(queryInfo, memory) {
-        // Simplified similarity calculation
-        let similarity = 0;
+    /**
+     * Co-occurrence weight between two concepts (relationships are stored in either key order)
+     */
+    getRelationshipWeight(concept1, concept2) {
+        return (this.relationships.get(`${concept1}::${concept2}`) || 0) +
+            (this.relationships.get(`${concept2}::${concept1}`) || 0);
+    }
+
+    /**
+     * Weighted neighbours of a concept, strongest first; null for unknown concepts
+     */
+    async getNeighbors(conceptName, options = {}) {
+        const conceptObj = this.concepts.get(conceptName);
+        if (!conceptObj) return null;
         
-        // Keyword overlap
-        if (queryInfo.keywords && memory.keywords) {
-            const queryKeywords = new Set(queryInfo.keywords.map(k => k.word));
-            const memoryKeywords = new Set(memory.keywords.map(k => k.word));
-            const overlap = new Set([...queryKeywords].filter(k => memoryKeywords.has(k)));
-            similarity += overlap.size / Math.max(queryKeywords.size, memoryKeywords.size);
-        }
+        const minWeight = options.minWeight || 0;
+        const neighbors = [];
         
-        // Concept overlap
-        if (queryInfo.concepts && memory.concepts) {
-            const queryConcepts = new Set(queryInfo.concepts);
-            const memoryConcepts = new Set(memory.concepts);
-            const overlap = new Set([...queryConcepts].filter(c => memoryConcepts.has(c)));
-            similarity += overlap.size / Math.max(queryConcepts.size, memoryConcepts.size);
+        for (const neighbor of conceptObj.connections) {
+            if (!this.concepts.has(neighbor)) continue;
+            
+            const weight = this.getRelationshipWeight(conceptName, neighbor);
+            if (weight >= minWeight) {
+                neighbors.push({ concept: neighbor, weight });
+            }
         }
         
-        return similarity / 2; // Normalize
+        neighbors.sort((a, b) => b.weight - a.weight);
+        return options.limit ? neighbors.slice(0, options.limit) : neighbors;
     }
 
-    async consolidate() {
-        const originalSize = this.memories.length;
+    /**
+     * Shortest path between two concepts. Weighted paths prefer strong links
+     * (edge cost 1/weight); unweighted paths minimize hops.
+     */
+    async findShortestPath(fromConcept, toConcept, options = {}) {
+        if (!this.concepts.has(fromConcept) || !this.concepts.has(toConcept)) return null;
+        
+        const weighted = options.weighted !== false;
+        const maxHops = options.maxHops || 6;
+        const costs = new Map([[fromConcept, 0]]);
+        const hops = new Map([[fromConcept, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        const queue = [fromConcept];
+        
+        while (queue.length > 0) {
+            // Linear frontier scan; the search is bounded by maxHops
+            let bestIndex = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (costs.get(queue[i]) < costs.get(queue[bestIndex])) bestIndex = i;
+            }
+            const current = queue.splice(bestIndex, 1)[0];
+            
+            if (visited.has(current)) continue;
+            visited.add(current);
+            if (current === toConcept || hops.get(current) >= maxHops) continue;
+            
+            for (const neighbor of this.concepts.get(current).connections) {
+                if (!this.concepts.has(neighbor) || visited.has(neighbor)) continue;
+                
+                const weight = this.getRelationshipWeight(current, neighbor) || 1;
+                const cost = costs.get(current) + (weighted ? 1 / weight : 1);
+                if (!costs.has(neighbor) || cost < costs.get(neighbor)) {
+                    costs.set(neighbor, cost);
+                    hops.set(neighbor, hops.get(current) + 1);
+                    previous.set(neighbor, current);
+                    queue.push(neighbor);
+                }
+            }
+        }
         
-        // Remove low-access, old memories
-        const cutoffTime = Date.now() - this.config.retentionTime;
-        this.memories = this.memories.filter(memory => 
-            memory.accessCount > 0 || memory.createdAt > cutoffTime
-        );
+        if (!costs.has(toConcept)) {
+            return { found: false, path: [], edges: [], hops: 0, cost: null };
+        }
         
-        const consolidatedItems = originalSize - this.memories.length;
+        const path = [toConcept];
+        while (path[0] !== fromConcept) {
+            path.unshift(previous.get(path[0]));
+        }
         
         return {
-            items: consolidatedItems,
-            compressionRatio: consolidatedItems / originalSize,
-            memoriesRetained: this.memories.length
-        };
-    }
-
-    async getStatus() {
-        return {
-            size: this.memories.length,
-            maxSize: this.config.maxSize,
-            utilization: this.memories.length / this.config.maxSize,
-            oldestMemory: this.memories.length > 0 ? Math.min(...this.memories.map(m => m.createdAt)) : null,
-            newestMemory: this.memories.length > 0 ? Math.max(...this.memories.map(m => m.createdAt)) : null
-        };
-    }
-
-    async getSize() {
-        return this.memories.length;
-    }
-
-    async cleanOldMemories(cutoffTime) {
-        const beforeSize = this.memories.length;
-        this.memories = this.memories.filter(memory => memory.createdAt > cutoffTime);
-        return beforeSize - this.memories.length;
-    }
-
-    async exportState() {
-        return {
-            memories: this.memories,
-            connections: Array.from(this.connections.entries())
+            found: true,
+            path,
+            edges: path.slice(1).map((concept, index) => ({
+                source: path[index],
+                target: concept,
+                weight: this.getRelationshipWeight(path[index], concept)
+            })),
+            hops: path.length - 1,
+            cost: costs.get(toConcept)
         };
     }
 
-    async importState(state) {
-        if (state && state.memories) {
-            this.memories = state.memories;
-            if (state.connections) {
-                this.connections = new Map(state.connections);
+    /**
+     * Concepts reachable within k hops as [{ concept, distance, via }], nearest first
+     */
+    async expandConcepts(conceptNames, options = {}) {
+        const seeds = (Array.isArray(conceptNames) ? conceptNames : [conceptNames])
+            .filter(name => this.concepts.has(name));
+        if (seeds.length === 0) return null;
+        
+        const maxHops = options.hops || 2;
+        const limit = options.limit || 100;
+        const minWeight = options.minWeight || 0;
+        const distances = new Map(seeds.map(name => [name, 0]));
+        const expanded = [];
+        let frontier = seeds;
+        
+        for (let distance = 1; distance <= maxHops && frontier.length > 0; distance++) {
+            const next = [];
+            
+            for (const current of frontier) {
+                for (const neighbor of this.concepts.get(current).connections) {
+                    if (!this.concepts.has(neighbor) || distances.has(neighbor)) continue;
+                    
+                    const weight = this.getRelationshipWeight(current, neighbor);
+                    if (weight < minWeight) continue;
+                    
+                    distances.set(neighbor, distance);
+                    expanded.push({ concept: neighbor, distance, via: current, weight });
+                    next.push(neighbor);
+                    
+                    if (expanded.length >= limit) return expanded;
+                }
             }
+            
+            frontier = next;
         }
+        
+        return expanded;
     }
 
-    generateMemoryId() {
-        return crypto.randomBytes(16).toString('hex');
-    }
-
-    async handleMemoryRemoval(memory) {
-        // Handle cleanup when memory is removed
-        this.connections.delete(memory.id);
-    }
-}
-
-/**
- * Semantic Layer - Knowledge structures and concept relationships
- */
-class SemanticLayer {
-    constructor(config) {
-        this.config = config;
-        this.concepts = new Map();
-        this.relationships = new Map();
-        this.clusters = [];
-    }
-
-    async processInput(info) {
-        // Extract and update concepts
-        const concepts = await this.extractConcepts(info);
+    /**
+     * Nodes and weighted edges within k hops of a concept
+     */
+    async getSubgraph(conceptName, options = {}) {
+        const maxNodes = options.maxNodes || 50;
+        const expanded = await this.expandConcepts(conceptName, {
+            hops: options.hops || 1,
+            limit: maxNodes - 1,
+            minWeight: options.minWeight
+        });
+        if (!expanded) return null;
         
-        // Update concept relationships
-        await this.updateRelationships(concepts);
+        const nodeNames = [conceptName, ...expanded.map(entry => entry.concept)];
+        const included = new Set(nodeNames);
+        const distances = new Map([[conceptName, 0], ...expanded.map(entry => [entry.concept, entry.distance])]);
         
-        // Check for clustering opportunities
-        await this.checkClustering();
+        const nodes = nodeNames.map(name => {
+            const conceptObj = this.concepts.get(name);
+            return {
+                id: conceptObj.id,
+                name,
+                frequency: conceptObj.frequency,
+                lastSeen: conceptObj.lastSeen,
+                degree: conceptObj.connections.size,
+                distance: distances.get(name),
+                clusters: this.conceptClusters.get(name) || []
+            };
+        });
         
-        return {
-            concepts: concepts,
-            similarity: 0.8 // Placeholder
-        };
+        const edges = [];
+        for (const name of nodeNames) {
+            for (const neighbor of this.concepts.get(name).connections) {
+                if (included.has(neighbor) && name < neighbor) {
+                    edges.push({ source: name, target: neighbor, weight: this.getRelationshipWeight(name, neighbor) });
+                }
+            }
+        }
+        
+        return { center: conceptName, nodes, edges };
     }
 
-    async extractConcepts(info) {
-        const concepts = [];
+    /**
+     * Most central concepts by degree, weighted degree or PageRank
+     */
+    async getCentralConcepts(options = {}) {
+        const measure = options.measure || 'pagerank';
+        const limit = options.limit || 20;
+        let scores;
+        
+        if (measure === 'degree') {
+            scores = new Map(Array.from(this.concepts, ([name, conceptObj]) => [
+                name,
+                Array.from(conceptObj.connections).filter(neighbor => this.concepts.has(neighbor)).length
+            ]));
+        } else if (measure === 'weighted_degree') {
+            scores = new Map(Array.from(this.concepts.keys(), name => [
+                name,
+                Array.from(this.concepts.get(name).connections)
+                    .filter(neighbor => this.concepts.has(neighbor))
+                    .reduce((sum, neighbor) => sum + this.getRelationshipWeight(name, neighbor), 0)
+            ]));
+        } else if (measure === 'pagerank') {
+            scores = this.calculatePageRank(options);
+        } else {
+            throw new Error(`Unknown centrality measure: ${measure}`);
+        }
         
-        for (const concept of info.concepts || []) {
-            if (!this.concepts.has(concept)) {
-                this.concepts.set(concept, {
-                    id: this.generateConceptId(),
-                    name: concept,
-                    frequency: 0,
-                    lastSeen: Date.now(),
-                    connections: new Set(),
-                    context: []
-                });
-            }
-            
-            const conceptObj = this.concepts.get(concept);
-            conceptObj.frequency++;
-            conceptObj.lastSeen = Date.now();
-            conceptObj.context.push(info.text);
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([concept, score]) => ({
+                concept,
+                score,
+                degree: this.concepts.get(concept).connections.size,
+                frequency: this.concepts.get(concept).frequency
+            }));
+    }
+
+    /**
+     * Weighted PageRank over the concept co-occurrence graph
+     */
+    calculatePageRank(options = {}) {
+        const damping = options.damping || 0.85;
+        const iterations = options.iterations || 30;
+        const names = Array.from(this.concepts.keys());
+        const count = names.length;
+        if (count === 0) return new Map();
+        
+        // Outgoing weight totals for normalization
+        const outWeights = new Map(names.map(name => [
+            name,
+            Array.from(this.concepts.get(name).connections)
+                .filter(neighbor => this.concepts.has(neighbor))
+                .reduce((sum, neighbor) => sum + (this.getRelationshipWeight(name, neighbor) || 1), 0)
+        ]));
+        
+        let ranks = new Map(names.map(name => [name, 1 / count]));
+        
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // Rank of dangling concepts is spread evenly
+            const danglingRank = names
+                .filter(name => outWeights.get(name) === 0)
+                .reduce((sum, name) => sum + ranks.get(name), 0);
+            const next = new Map();
             
-            if (conceptObj.context.length > 10) {
-                conceptObj.context.shift(); // Keep only recent contexts
+            for (const name of names) {
+                let incoming = 0;
+                for (const neighbor of this.concepts.get(name).connections) {
+                    if (!this.concepts.has(neighbor) || outWeights.get(neighbor) === 0) continue;
+                    const weight = this.getRelationshipWeight(name, neighbor) || 1;
+                    incoming += ranks.get(neighbor) * weight / outWeights.get(neighbor);
+                }
+                next.set(name, (1 - damping) / count + damping * (incoming + danglingRank / count));
             }
             
-            concepts.push(concept);
-        }
-        
-        // Maintain concept limit
-        if (this.concepts.size > this.config.maxConcepts) {
-            await this.cleanupOldConcepts();
+            ranks = next;
         }
         
-        return concepts;
+        return ranks;
     }
 
-    async updateRelationships(concepts) {
-        // Create relationships between co-occurring concepts
-        for (let i = 0; i < concepts.length; i++) {
-            for (let j = i + 1; j < concepts.length; j++) {
-                const concept1 = concepts[i];
-                const concept2 = concepts[j];
-                
-                const relationshipKey = `${concept1}::${concept2}`;
-                const reverseKey = `${concept2}::${concept1}`;
-                
-                const currentWeight = this.relationships.get(relationshipKey) || 0;
-                this.relationships.set(relationshipKey, currentWeight + 1);
-                
-                // Update bidirectional relationship
-                const concept1Obj = this.concepts.get(concept1);
-                const concept2Obj = this.concepts.get(concept2);
-                concept1Obj.connections.add(concept2);
-                concept2Obj.connections.add(concept1);
+    /**
+     * Back-references from concepts to the temporal events that mention them
+     */
+    linkEvent(conceptNames, eventId) {
+        for (const name of conceptNames || []) {
+            const conceptObj = this.concepts.get(name);
+            if (!conceptObj) continue;
+            
+            conceptObj.events = conceptObj.events || [];
+            if (!conceptObj.events.includes(eventId)) {
+                conceptObj.events.push(eventId);
+                if (conceptObj.events.length > this.config.maxEventLinks) {
+                    conceptObj.events.shift(); // Keep only recent events
+                }
+                this.record('events', { name, events: conceptObj.events });
             }
         }
     }
 
-    async checkClustering() {
-        // Group related concepts into clusters
-        if (this.concepts.size > this.config.clusterSize) {
-            await this.performClustering();
+    /**
+     * Drop back-references to missing events and merge those that now
+     * resolve to the same (compressed) event
+     */
+    pruneEventLinks(resolveEvent) {
+        const stats = { checked: 0, dangling: 0, merged: 0 };
+        
+        for (const conceptObj of this.concepts.values()) {
+            if (!conceptObj.events || conceptObj.events.length === 0) continue;
+            
+            const resolved = [];
+            for (const eventId of conceptObj.events) {
+                stats.checked++;
+                const target = resolveEvent(eventId);
+                if (target === null) {
+                    stats.dangling++;
+                } else if (resolved.includes(target)) {
+                    stats.merged++;
+                } else {
+                    resolved.push(target);
+                }
+            }
+            conceptObj.events = resolved;
         }
+        
+        return stats;
     }
 
-    async performClustering() {
-        // Simplified clustering based on relationship weights
-        const sortedConcepts = Array.from(this.concepts.keys())
-            .sort((a, b) => {
-                const connectionsA = this.concepts.get(a).connections.size;
-                const connectionsB = this.concepts.get(b).connections.size;
-                return connectionsB - connectionsA;
-            });
+    /**
+     * Unlearn forgotten content. contents: [{ textHash, concepts, memoryId,
+     * promotedConcepts }]; eventIds: forgotten events.
+     *
+     * Frequencies and co-occurrence weights the content added are taken back,
+     * its text is redacted from concept contexts and key contexts, and links
+     * to the events are dropped. Touched concepts with nothing left are
+     * removed; clusters are re-detected when the graph changed.
+     */
+    async forgetContent(contents, eventIds = new Set()) {
+        const textHashes = new Set(contents.map(content => content.textHash));
+        const memoryIds = new Set(contents.map(content => content.memoryId).filter(Boolean));
+        const touched = new Set();
+        let relationshipsRemoved = 0;
+        let contextsRedacted = 0;
+        
+        for (const content of contents) {
+            for (const names of [content.concepts, content.promotedConcepts]) {
+                const known = (names || []).filter(name => this.concepts.has(name));
+                for (const name of known) {
+                    const conceptObj = this.concepts.get(name);
+                    conceptObj.frequency = Math.max(0, conceptObj.frequency - 1);
+                    touched.add(name);
+                }
+                for (let i = 0; i < known.length; i++) {
+                    for (let j = i + 1; j < known.length; j++) {
+                        relationshipsRemoved += this.weakenRelationship(known[i], known[j]);
+                    }
+                }
+            }
+        }
         
-        const cluster = {
-            id: this.generateClusterId(),
-            concepts: sortedConcepts.slice(0, this.config.clusterSize),
-            createdAt: Date.now(),
-            strength: this.calculateClusterStrength(sortedConcepts.slice(0, this.config.clusterSize))
-        };
+        const changed = [];
+        for (const [name, conceptObj] of this.concepts) {
+            const contextCount = conceptObj.context.length;
+            const keyContexts = (conceptObj.keyContexts || [])
+                .filter(entry => !memoryIds.has(entry.memoryId) && !textHashes.has(hashText(entry.text)));
+            const events = (conceptObj.events || []).filter(eventId => !eventIds.has(eventId));
+            
+            this.filterContexts(conceptObj, text => !textHashes.has(hashText(text)));
+            const redacted = (contextCount - conceptObj.context.length) +
+                ((conceptObj.keyContexts || []).length - keyContexts.length);
+            if (redacted === 0 && events.length === (conceptObj.events || []).length) continue;
+            
+            if (conceptObj.keyContexts) conceptObj.keyContexts = keyContexts;
+            if (conceptObj.events) conceptObj.events = events;
+            contextsRedacted += redacted;
+            touched.add(name);
+            if (redacted > 0) changed.push(name);
+        }
+        
+        const removed = Array.from(touched).filter(name => {
+            const conceptObj = this.concepts.get(name);
+            return conceptObj.frequency === 0 || (conceptObj.context.length === 0 &&
+                (conceptObj.keyContexts || []).length === 0 && (conceptObj.events || []).length === 0);
+        });
+        for (const name of removed) {
+            relationshipsRemoved += this.removeConcept(name);
+        }
         
-        this.clusters.push(cluster);
+        const remaining = changed.filter(name => this.concepts.has(name));
+        for (const name of remaining) {
+            this.textIndex.add(name, this.conceptTerms(name, this.concepts.get(name)));
+        }
         
-        // Maintain cluster limit
-        if (this.clusters.length > 100) {
-            this.clusters.shift();
+        if (removed.length > 0) {
+            this.clusters = this.clusters
+                .map(cluster => {
+                    const concepts = cluster.concepts.filter(name => this.concepts.has(name));
+                    return { ...cluster, concepts, size: concepts.length };
+                })
+                .filter(cluster => cluster.size >= 2);
+            this.rebuildClusterMembership();
+        }
+        if ((removed.length > 0 || relationshipsRemoved > 0) && this.concepts.size > this.config.clusterSize) {
+            await this.performClustering();
         }
+        
+        return { contextsRedacted, changed: remaining, removed, relationshipsRemoved };
     }
 
-    calculateClusterStrength(concepts) {
-        let totalWeight = 0;
-        let relationshipCount = 0;
+    /**
+     * Take one co-occurrence back; returns 1 if the relationship disappeared
+     */
+    weakenRelationship(concept1, concept2) {
+        const key = this.relationships.has(`${concept1}::${concept2}`)
+            ? `${concept1}::${concept2}`
+            : `${concept2}::${concept1}`;
+        if (!this.relationships.has(key)) return 0;
+        
+        const weight = this.relationships.get(key) - 1;
+        if (weight > 0) {
+            this.relationships.set(key, weight);
+            return 0;
+        }
         
-        for (let i = 0; i < concepts.length; i++) {
-            for (let j = i + 1; j < concepts.length; j++) {
-                const concept1 = concepts[i];
-                const concept2 = concepts[j];
-                const relationshipKey = `${concept1}::${concept2}`;
-                
-                const weight = this.relationships.get(relationshipKey) || 0;
-                totalWeight += weight;
-                relationshipCount++;
+        this.relationships.delete(key);
+        this.concepts.get(concept1).connections.delete(concept2);
+        this.concepts.get(concept2).connections.delete(concept1);
+        this.pendingClusterUpdates++;
+        return 1;
+    }
+
+    /**
+     * Delete a concept with its relationships; returns the relationships removed
+     */
+    removeConcept(name) {
+        const conceptObj = this.concepts.get(name);
+        if (!conceptObj) return 0;
+        
+        let removed = 0;
+        for (const neighbor of conceptObj.connections) {
+            const neighborObj = this.concepts.get(neighbor);
+            if (neighborObj) neighborObj.connections.delete(name);
+        }
+        for (const key of Array.from(this.relationships.keys())) {
+            const [concept1, concept2] = key.split('::');
+            if (concept1 === name || concept2 === name) {
+                this.relationships.delete(key);
+                removed++;
             }
         }
         
-        return relationshipCount > 0 ? totalWeight / relationshipCount : 0;
+        this.concepts.delete(name);
+        this.conceptClusters.delete(name);
+        this.vectorIndex.remove(name);
+        this.textIndex.remove(name);
+        return removed;
+    }
+
+    /**
+     * Plain concept graph for the interchange formats (see graph-formats.js)
+     */
+    exportGraph() {
+        const relationships = [];
+        for (const [name, conceptObj] of this.concepts) {
+            for (const neighbor of conceptObj.connections) {
+                if (name < neighbor && this.concepts.has(neighbor)) {
+                    relationships.push({ source: name, target: neighbor, weight: this.getRelationshipWeight(name, neighbor) });
+                }
+            }
+        }
+
+        return {
+            concepts: Array.from(this.concepts, ([name, conceptObj]) => ({
+                id: conceptObj.id,
+                name,
+                frequency: conceptObj.frequency,
+                lastSeen: conceptObj.lastSeen,
+                contexts: [...conceptObj.context],
+                clusters: this.conceptClusters.get(name) || []
+            })),
+            relationships,
+            clusters: this.clusters.map(cluster => ({
+                id: cluster.id,
+                label: cluster.label || null,
+                concepts: cluster.concepts.filter(name => this.concepts.has(name)),
+                strength: cluster.strength,
+                createdAt: cluster.createdAt
+            }))
+        };
     }
 
-    async search(queryInfo, options = {}) {
-        const results = [];
-        const queryConcepts = queryInfo.concepts || [];
-        
-        for (const [conceptName, conceptObj] of this.concepts) {
-            let similarity = 0;
-            
-            // Direct concept match
-            if (queryConcepts.includes(conceptName)) {
-                similarity += 1.0;
+    /**
+     * Seed concepts, relationships and clusters from a plain graph.
+     * 'merge' keeps existing knowledge and is idempotent (frequencies and
+     * weights take the larger value, new contexts are appended);
+     * 'replace' clears the layer first.
+     */
+    async importGraph(graph, options = {}) {
+        const mode = options.mode || 'merge';
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        if (mode === 'replace') {
+            this.concepts.clear();
+            this.relationships.clear();
+            this.clusters = [];
+            this.vectorIndex.clear();
+            this.textIndex.clear();
+        }
+
+        const stats = { concepts: 0, created: [], relationships: 0, clusters: 0 };
+        const importProvenance = normalizeProvenance({
+            sourceType: 'direct',
+            sourceId: options.source || 'graph_import',
+            extractor: options.source || 'graph_import',
+            ingestedAt: Date.now()
+        });
+
+        for (const concept of graph.concepts || []) {
+            if (!concept.name) continue;
+
+            if (!this.concepts.has(concept.name)) {
+                this.concepts.set(concept.name, {
+                    id: concept.id || this.generateConceptId(),
+                    name: concept.name,
+                    frequency: 0,
+                    lastSeen: 0,
+                    connections: new Set(),
+                    context: [],
+                    contextSources: [],
+                    events: []
+                });
+                stats.created.push(concept.name);
             }
-            
-            // Related concept match
-            for (const queryConcept of queryConcepts) {
-                if (conceptObj.connections.has(queryConcept)) {
-                    similarity += 0.5;
+
+            const conceptObj = this.concepts.get(concept.name);
+            conceptObj.frequency = Math.max(conceptObj.frequency, concept.frequency || 1);
+            conceptObj.lastSeen = Math.max(conceptObj.lastSeen, concept.lastSeen || Date.now());
+
+            for (const text of concept.contexts || []) {
+                if (!conceptObj.context.includes(text)) {
+                    this.addContext(conceptObj, text, importProvenance);
                 }
             }
-            
-            // Cluster membership bonus
-            for (const cluster of this.clusters) {
-                if (cluster.concepts.includes(conceptName) && 
-                    cluster.concepts.some(c => queryConcepts.includes(c))) {
-                    similarity += cluster.strength * 0.2;
-                }
+            this.keepRecentContexts(conceptObj, 10);
+
+            this.textIndex.add(concept.name, this.conceptTerms(concept.name, conceptObj));
+            stats.concepts++;
+        }
+
+        for (const { source, target, weight } of graph.relationships || []) {
+            if (source === target || !this.concepts.has(source) || !this.concepts.has(target)) continue;
+
+            const combined = Math.max(this.getRelationshipWeight(source, target), weight || 1);
+            this.relationships.delete(`${target}::${source}`);
+            this.relationships.set(`${source}::${target}`, combined);
+            this.concepts.get(source).connections.add(target);
+            this.concepts.get(target).connections.add(source);
+            stats.relationships++;
+        }
+
+        for (const cluster of graph.clusters || []) {
+            const members = (cluster.concepts || []).filter(name => this.concepts.has(name));
+            if (!cluster.id || members.length === 0) continue;
+
+            const imported = {
+                id: cluster.id,
+                concepts: members,
+                createdAt: cluster.createdAt || Date.now(),
+                strength: Number.isFinite(cluster.strength) && cluster.strength > 0 ?
+                    cluster.strength : this.calculateClusterStrength(members)
+            };
+            if (cluster.label) {
+                imported.label = cluster.label;
+                imported.labelSource = 'imported';
             }
-            
-            if (similarity >= (options.similarityThreshold || this.config.similarityThreshold)) {
-                results.push({
-                    ...conceptObj,
-                    similarity,
-                    relevanceScore: similarity * 15,
-                    type: 'concept'
-                });
+
+            const existingIndex = this.clusters.findIndex(existing => existing.id === cluster.id);
+            if (existingIndex >= 0) {
+                this.clusters[existingIndex] = imported;
+            } else {
+                this.clusters.push(imported);
             }
+            stats.clusters++;
         }
-        
-        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+
+        this.rebuildClusterMembership();
+
+        return stats;
     }
 
     async consolidate() {
@@ -1154,12 +5231,14 @@ class SemanticLayer {
         const timeThreshold = 7 * 24 * 3600000; // 7 days
         
         for (const [conceptName, conceptObj] of this.concepts) {
-            if (conceptObj.frequency < frequencyThreshold && 
+            if (conceptObj.frequency < frequencyThreshold && !conceptObj.keyContexts &&
                 (now - conceptObj.lastSeen) > timeThreshold) {
                 this.concepts.delete(conceptName);
+                this.vectorIndex.remove(conceptName);
+                this.textIndex.remove(conceptName);
                 
                 // Remove related relationships
-                for (const [relKey, relWeight] of this.relationships) {
+                for (const relKey of this.relationships.keys()) {
                     if (relKey.includes(conceptName)) {
                         this.relationships.delete(relKey);
                     }
@@ -1167,10 +5246,14 @@ class SemanticLayer {
             }
         }
         
+        // Refresh communities on the pruned graph
+        const clustering = this.concepts.size > this.config.clusterSize ? await this.performClustering() : null;
+        
         return {
             items: (originalSize - this.concepts.size) + (originalRelationships - this.relationships.size),
             conceptsRetained: this.concepts.size,
             relationshipsRetained: this.relationships.size,
+            clustering,
             compressionRatio: (originalSize - this.concepts.size) / originalSize
         };
     }
@@ -1184,13 +5267,18 @@ class SemanticLayer {
         
         for (const [conceptName] of toRemove) {
             this.concepts.delete(conceptName);
+            this.vectorIndex.remove(conceptName);
+            this.textIndex.remove(conceptName);
             
             // Clean up relationships
+            const relationships = [];
             for (const [relKey] of this.relationships) {
                 if (relKey.includes(conceptName)) {
                     this.relationships.delete(relKey);
+                    relationships.push(relKey);
                 }
             }
+            this.record('delete', { name: conceptName, relationships });
         }
     }
 
@@ -1201,7 +5289,8 @@ class SemanticLayer {
         for (const [conceptName, conceptObj] of this.concepts) {
             if (conceptObj.lastSeen < cutoffTime && conceptObj.frequency < 5) {
                 // Compress by reducing context and keeping only essential info
-                conceptObj.context = conceptObj.context.slice(-3); // Keep only 3 recent contexts
+                this.keepRecentContexts(conceptObj, 3); // Keep only 3 recent contexts
+                this.textIndex.add(conceptName, this.conceptTerms(conceptName, conceptObj));
                 compressedCount++;
             }
         }
@@ -1216,6 +5305,9 @@ class SemanticLayer {
             utilization: this.concepts.size / this.config.maxConcepts,
             relationshipCount: this.relationships.size,
             clusterCount: this.clusters.length,
+            clustering: this.clusteringStatus,
+            vectorIndex: this.vectorIndex.getStatus(),
+            textIndex: this.textIndex.getStatus(),
             averageConceptFrequency: this.concepts.size > 0 ? 
                 Array.from(this.concepts.values()).reduce((sum, c) => sum + c.frequency, 0) / this.concepts.size : 0
         };
@@ -1225,11 +5317,63 @@ class SemanticLayer {
         return this.concepts.size;
     }
 
+    record(op, data) {
+        if (this.journal) this.journal(op, data);
+    }
+
+    recordConcept(name) {
+        if (!this.journal) return;
+        const conceptObj = this.concepts.get(name);
+        this.record('put', { name, concept: { ...conceptObj, connections: Array.from(conceptObj.connections) } });
+    }
+
+    /**
+     * Redo a write-ahead log record (see record), keeping the indexes current
+     */
+    applyJournal(entry) {
+        switch (entry.op) {
+            case 'put': {
+                const conceptObj = { ...entry.concept, connections: new Set(entry.concept.connections || []) };
+                this.concepts.set(entry.name, conceptObj);
+                if (conceptObj.embedding) this.vectorIndex.add(entry.name, conceptObj.embedding);
+                this.textIndex.add(entry.name, this.conceptTerms(entry.name, conceptObj));
+                break;
+            }
+            case 'events':
+                if (this.concepts.has(entry.name)) this.concepts.get(entry.name).events = entry.events;
+                break;
+            case 'relationship': {
+                const [concept1, concept2] = entry.key.split('::');
+                this.relationships.set(entry.key, entry.weight);
+                if (this.concepts.has(concept1) && this.concepts.has(concept2)) {
+                    this.concepts.get(concept1).connections.add(concept2);
+                    this.concepts.get(concept2).connections.add(concept1);
+                }
+                break;
+            }
+            case 'delete':
+                this.concepts.delete(entry.name);
+                this.vectorIndex.remove(entry.name);
+                this.textIndex.remove(entry.name);
+                (entry.relationships || []).forEach(key => this.relationships.delete(key));
+                break;
+            case 'clusters':
+                this.clusters = entry.clusters;
+                this.clusteringStatus = entry.clusteringStatus;
+                this.rebuildClusterMembership();
+                break;
+        }
+    }
+
     async exportState() {
         return {
-            concepts: Array.from(this.concepts.entries()),
+            concepts: Array.from(this.concepts.entries()).map(([name, concept]) => [
+                name,
+                { ...concept, connections: Array.from(concept.connections) }
+            ]),
             relationships: Array.from(this.relationships.entries()),
-            clusters: this.clusters
+            clusters: this.clusters,
+            clusteringStatus: this.clusteringStatus
         };
     }
 
@@ -1237,7 +5381,7 @@ class SemanticLayer {
         if (state && state.concepts) {
             this.concepts = new Map(state.concepts.map(([name, data]) => [
                 name, 
-                { ...data, connections: new Set(data.connections) }
+                { ...data, connections: new Set(Array.isArray(data.connections) ? data.connections : []) }
             ]));
         }
         if (state && state.relationships) {
@@ -1246,6 +5390,38 @@ class SemanticLayer {
         if (state && state.clusters) {
             this.clusters = state.clusters;
         }
+        if (state && state.clusteringStatus) {
+            this.clusteringStatus = state.clusteringStatus;
+        }
+        this.rebuildClusterMembership();
+    }
+
+    exportIndexes() {
+        return {
+            vector: this.vectorIndex.exportState(),
+            text: this.textIndex.exportState()
+        };
+    }
+
+    /**
+     * Restore persisted indexes, rebuilding any that no longer match the concepts
+     */
+    importIndexes(state = {}) {
+        const vectors = new Map(Array.from(this.concepts.entries())
+            .filter(([, concept]) => concept.embedding)
+            .map(([name, concept]) => [name, concept.embedding]));
+        
+        if (!this.vectorIndex.importState(state.vector, name => vectors.get(name)) ||
+            this.vectorIndex.size !== vectors.size) {
+            this.vectorIndex.rebuild(vectors.entries());
+        }
+        
+        if (!this.textIndex.importState(state.text) ||
+            this.textIndex.size !== this.concepts.size ||
+            !Array.from(this.concepts.keys()).every(name => this.textIndex.has(name))) {
+            this.textIndex.rebuild(Array.from(this.concepts.entries())
+                .map(([name, concept]) => [name, this.conceptTerms(name, concept)]));
+        }
     }
 
     generateConceptId() {
@@ -1266,6 +5442,13 @@ class TemporalLayer {
         this.events = [];
         this.timelines = new Map();
         this.patterns = [];
+        this.eventsById = new Map();
+        this.vectorIndex = new HNSWIndex(config.vectorIndex);
+        this.textIndex = new BM25Index(config.textIndex);
+        this.journal = null; // (op, data) => void, set for namespaces with a write-ahead log
+        this.archive = null; // EventArchive of compressed groups' originals, set for stored namespaces
+        this.tiers = null; // EventTiers (warm and cold storage below memory), set for stored namespaces
+        this.predictionFeedback = new Map(); // prediction id -> { status, updatedAt }, see predictions.js
     }
 
     async recordEvent(info, metadata) {
@@ -1279,15 +5462,25 @@ class TemporalLayer {
         };
         
         this.events.push(event);
+        this.eventsById.set(event.id, event);
+        
+        if (event.embeddings) {
+            this.vectorIndex.add(event.id, event.embeddings);
+        }
+        this.textIndex.add(event.id, documentTerms(event.text, event.concepts));
         
-        // Maintain event limit
+        // Beyond the event limit the oldest events move down to the warm tier
         if (this.events.length > this.config.maxEvents) {
-            await this.archiveOldEvent();
+            await this.demoteOldestEvents(this.events.length - this.config.maxEvents);
         }
         
         // Update timelines and patterns
         await this.updateTimelines(event);
-        await this.detectPatterns(event);
+        const patterns = await this.detectPatterns(event);
+        
+        if (this.journal) {
+            this.journal('put', { event, timeline: this.extractTimelineKey(event), patterns });
+        }
         
         return event;
     }
@@ -1403,24 +5596,20 @@ class TemporalLayer {
         
         // Pattern 1: Recurring events
         const recurringPattern = this.detectRecurringPattern(newEvent, recentEvents);
-        if (recurringPattern) {
-            this.patterns.push(recurringPattern);
-        }
         
         // Pattern 2: Sequential patterns
         const sequentialPattern = this.detectSequentialPattern(recentEvents);
-        if (sequentialPattern) {
-            this.patterns.push(sequentialPattern);
-        }
         
         // Pattern 3: Frequency patterns
         const frequencyPattern = this.detectFrequencyPattern(newEvent);
-        if (frequencyPattern) {
-            this.patterns.push(frequencyPattern);
-        }
+        
+        const detected = [recurringPattern, sequentialPattern, frequencyPattern].filter(Boolean);
+        this.patterns.push(...detected);
         
         // Clean up old patterns
         await this.cleanupPatterns();
+        
+        return detected;
     }
 
     detectRecurringPattern(newEvent, recentEvents) {
@@ -1559,170 +5748,542 @@ class TemporalLayer {
         return null;
     }
 
-    async cleanupPatterns() {
-        // Remove old or invalid patterns
-        const cutoffTime = Date.now() - (30 * 24 * 3600000); // 30 days
-        this.patterns = this.patterns.filter(pattern => pattern.createdAt > cutoffTime);
+    async cleanupPatterns() {
+        // Remove old or invalid patterns
+        const cutoffTime = Date.now() - (30 * 24 * 3600000); // 30 days
+        this.patterns = this.patterns.filter(pattern => pattern.createdAt > cutoffTime);
+        
+        // Limit pattern count
+        if (this.patterns.length > 1000) {
+            this.patterns = this.patterns.slice(-1000);
+        }
+    }
+
+    async search(queryInfo, options = {}) {
+        const results = [];
+        const window = options.timeRange || null;
+        const queryTime = window || { start: 0, end: Date.now() };
+        const textScores = this.textIndex.searchScores(
+            documentTerms(queryInfo.text, queryInfo.concepts),
+            options.textCandidates || this.config.textIndex.candidates
+        );
+        const vectorScores = this.vectorIndex.searchScores(
+            queryInfo.embeddings,
+            options.vectorCandidates || this.config.vectorIndex.candidates,
+            this.config.vectorIndex.minScore
+        );
+        
+        const inTime = event => event.timestamp >= queryTime.start && event.timestamp <= queryTime.end;
+        const candidateIds = new Set([...textScores.keys(), ...vectorScores.keys()]);
+        
+        // An explicit time window nothing in the indexes matched within
+        // ("what happened yesterday") browses the events in it instead
+        if (window && !Array.from(candidateIds).some(id => this.eventsById.has(id) && inTime(this.eventsById.get(id)))) {
+            for (const event of this.events) {
+                if (inTime(event)) candidateIds.add(event.id);
+            }
+        }
+        
+        // Pattern matching depends only on the query
+        const patternRelevance = this.calculatePatternRelevance(queryInfo);
+        
+        for (const eventId of candidateIds) {
+            const event = this.eventsById.get(eventId);
+            if (!event || !inTime(event)) {
+                continue;
+            }
+            
+            const result = this.scoreEvent(queryInfo, event, {
+                window,
+                textScore: textScores.get(eventId) || 0,
+                vectorSimilarity: vectorScores.get(eventId) || 0,
+                patternRelevance
+            });
+            if (result) {
+                results.push(result);
+            }
+        }
+        
+        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
+    /**
+     * An event as a search result, or null when it doesn't match the query
+     */
+    scoreEvent(queryInfo, event, { window, textScore = 0, vectorSimilarity = 0, patternRelevance }) {
+        // Content similarity (concept overlap, term match or embedding neighbourhood)
+        const contentSimilarity = Math.max(this.calculateContentSimilarity(queryInfo, event), textScore, vectorSimilarity);
+        
+        // Temporal relevance
+        const temporalRelevance = this.calculateTemporalRelevance(window, event);
+        
+        const totalRelevance = (contentSimilarity * 0.4) + (temporalRelevance * 0.3) + (patternRelevance * 0.3);
+        
+        // Recency ranks events but doesn't make them match; in an explicit window every event does
+        const matchRelevance = (contentSimilarity * 0.4) + (patternRelevance * 0.3);
+        if (!window && matchRelevance <= this.config.relevanceThreshold) {
+            return null;
+        }
+        
+        return {
+            ...event,
+            relevanceScore: totalRelevance * 20,
+            similarity: contentSimilarity,
+            textScore,
+            vectorSimilarity,
+            temporalRelevance,
+            patternRelevance
+        };
+    }
+
+    /**
+     * Events from the warm, then the cold tier while fewer than
+     * tiers.minResults matched so far (options.found), each tier searched
+     * within its latency budget. Scored like search(), marked with their tier.
+     */
+    async searchTiers(queryInfo, options = {}) {
+        if (!this.tiers) return [];
+        
+        const { minResults, limit, budgets } = this.config.tiers;
+        const window = options.timeRange || null;
+        const terms = documentTerms(queryInfo.text, queryInfo.concepts);
+        const patternRelevance = this.calculatePatternRelevance(queryInfo);
+        const results = [];
+        let found = options.found || 0;
+        
+        for (const tier of ['warm', 'cold']) {
+            if (found >= minResults) break;
+            
+            let search;
+            try {
+                search = await this.tiers.search(tier, terms, { timeRange: window, limit, budgetMs: budgets[tier] });
+            } catch (error) {
+                console.error(`Error searching the ${tier} tier:`, error.message);
+                continue;
+            }
+            
+            for (const { event, textScore } of search.hits) {
+                if (this.eventsById.has(event.id)) continue;
+                
+                const result = this.scoreEvent(queryInfo, event, { window, textScore, patternRelevance });
+                if (result) {
+                    results.push({ ...result, tier });
+                    found++;
+                }
+            }
+        }
+        
+        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
+    /**
+     * Events within range from memory, then from the warm and cold tiers
+     * (up to tiers.digestLimit from each, within its latency budget)
+     */
+    async getEventsInRange(range) {
+        const inRange = event => event.timestamp >= range.start && event.timestamp <= range.end;
+        const events = this.events.filter(inRange);
+        if (!this.tiers) return events;
+        
+        const { digestLimit, budgets } = this.config.tiers;
+        const seen = new Set(events.map(event => event.id));
+        for (const tier of ['warm', 'cold']) {
+            let search;
+            try {
+                search = await this.tiers.search(tier, [], { timeRange: range, limit: digestLimit, budgetMs: budgets[tier] });
+            } catch (error) {
+                console.error(`Error reading the ${tier} tier:`, error.message);
+                continue;
+            }
+            
+            for (const { event } of search.hits) {
+                if (seen.has(event.id)) continue;
+                seen.add(event.id);
+                events.push(event);
+            }
+        }
+        
+        return events;
+    }
+
+    /**
+     * Inside an explicit window every event is relevant, later ones slightly
+     * more; without one relevance halves every recencyHalfLife of age
+     */
+    calculateTemporalRelevance(timeRange, event) {
+        if (timeRange) {
+            const range = Math.max(1, timeRange.end - timeRange.start);
+            const eventPosition = Math.min(1, Math.max(0, (event.timestamp - timeRange.start) / range));
+            return 0.8 + (eventPosition * 0.2);
+        }
+        
+        const age = Math.max(0, Date.now() - event.timestamp);
+        return Math.pow(0.5, age / this.config.recencyHalfLife);
+    }
+
+    calculatePatternRelevance(queryInfo) {
+        let relevance = 0;
+        
+        for (const pattern of this.patterns) {
+            if (pattern.type === 'recurring' && pattern.pattern.baseEvent) {
+                const similarity = this.calculateContentSimilarity(queryInfo, pattern.pattern.baseEvent);
+                relevance = Math.max(relevance, similarity * pattern.pattern.confidence);
+            }
+        }
+        
+        return relevance;
+    }
+
+    async consolidate() {
+        const originalSize = this.events.length;
+        
+        // Archive old events based on time and compression settings
+        const cutoffTime = Date.now() - this.config.timeWindow;
+        
+        // Separate recent and archival events
+        const recentEvents = this.events.filter(event => event.timestamp > cutoffTime);
+        const archivalEvents = this.events.filter(event => event.timestamp <= cutoffTime);
+        
+        // Compress archival events
+        const compressedEvents = await this.compressArchivalEvents(archivalEvents);
+        
+        this.events = [...recentEvents, ...compressedEvents];
+        this.syncIndexes();
+        
+        // Clean up timelines
+        for (const [key, timeline] of this.timelines) {
+            timeline.events = timeline.events.filter(event => this.events.includes(event));
+            if (timeline.events.length === 0) {
+                this.timelines.delete(key);
+            }
+        }
+        
+        return {
+            items: (originalSize - this.events.length),
+            eventsRetained: this.events.length,
+            compressionRatio: (originalSize - this.events.length) / originalSize
+        };
+    }
+
+    /**
+     * Fold archival events into groups of similar ones: an event joins the
+     * most similar group that started at most compressionWindow before it,
+     * and groups hold up to 1 / compressionRatio events. Each group becomes
+     * one event summarizing its texts; its originals go to the archive, to
+     * be rehydrated on retrieval hits. Earlier groups, and events that
+     * found no similar ones, are kept as they are.
+     */
+    async compressArchivalEvents(archivalEvents) {
+        const maxGroupSize = Math.ceil(1 / this.config.compressionRatio);
+        const kept = [];
+        const groups = [];
+        let open = [];
+        
+        for (const event of archivalEvents.slice().sort((a, b) => a.timestamp - b.timestamp)) {
+            if (event.metadata && event.metadata.compressed) {
+                kept.push(event);
+                continue;
+            }
+            
+            open = open.filter(group => event.timestamp - group.start <= this.config.compressionWindow &&
+                group.events.length < maxGroupSize);
+            
+            let best = null;
+            let bestSimilarity = this.config.compressionSimilarity;
+            for (const group of open) {
+                const similarity = this.groupSimilarity(event, group);
+                if (similarity >= bestSimilarity) {
+                    best = group;
+                    bestSimilarity = similarity;
+                }
+            }
+            
+            if (!best) {
+                best = { start: event.timestamp, events: [], terms: new Set(), vector: null };
+                groups.push(best);
+                open.push(best);
+            }
+            best.events.push(event);
+            documentTerms(event.text, event.concepts).forEach(term => best.terms.add(term));
+            if (event.embeddings) {
+                best.vector = best.vector
+                    ? best.vector.map((value, i) => value + (event.embeddings[i] || 0))
+                    : event.embeddings.slice();
+            }
+        }
+        
+        const compressed = [];
+        for (const [index, group] of groups.entries()) {
+            compressed.push(group.events.length > 1
+                ? await this.createCompressedEvent(group.events, index)
+                : group.events[0]);
+        }
+        
+        return [...kept, ...compressed];
+    }
+
+    /**
+     * Similarity of an event to a forming group: the share of its terms
+     * (words and concepts) the group has and the cosine to the group's
+     * summed embedding, averaged over what both sides have
+     */
+    groupSimilarity(event, group) {
+        const signals = [];
+        const terms = new Set(documentTerms(event.text, event.concepts));
+        if (terms.size > 0 && group.terms.size > 0) {
+            signals.push(Array.from(terms).filter(term => group.terms.has(term)).length / terms.size);
+        }
+        if (event.embeddings && group.vector) {
+            signals.push(cosineSimilarity(event.embeddings, group.vector));
+        }
+        
+        return signals.length > 0 ? signals.reduce((sum, value) => sum + value, 0) / signals.length : 0;
+    }
+
+    async createCompressedEvent(group, index) {
+        const id = this.generateCompressedEventId(index);
+        const { summary, ...fields } = this.summarizeGroup(group);
+        
+        // Originals go to cold storage before they leave the layer
+        if (this.archive) {
+            await this.archive.store(id, group);
+        }
+        
+        return {
+            id,
+            ...fields,
+            embeddings: averageVectors(group.map(e => e.embeddings)),
+            timestamp: group[Math.floor(group.length / 2)].timestamp, // Middle timestamp
+            metadata: {
+                compressed: true,
+                originalCount: group.length,
+                timeRange: {
+                    start: Math.min(...group.map(e => e.timestamp)),
+                    end: Math.max(...group.map(e => e.timestamp))
+                },
+                originalIds: group.map(e => e.id),
+                // What forget() needs to find content folded into this group
+                originals: group.flatMap(e => this.describeOriginals(e)),
+                summary,
+                archived: Boolean(this.archive)
+            },
+            accessCount: 0,
+            lastAccessed: Date.now()
+        };
+    }
+
+    /**
+     * Text, concepts and key entities of a group from its originals'
+     * texts, with the summary sentences (metadata.summary) they came from
+     */
+    summarizeGroup(originals) {
+        const summary = summarizeEvents(originals, { sentences: this.config.compressionSummarySentences });
+        return {
+            text: summary.text || `Compressed group of ${originals.length} similar events`,
+            concepts: summary.concepts.map(entry => entry.concept),
+            entities: summary.entities,
+            summary: { method: 'extractive', sentences: summary.sentences }
+        };
+    }
+
+    /**
+     * The archived originals of a compressed group (in memory or from a
+     * tier), best matches for the query first (matchScore: share of the
+     * query's terms they contain); null when the group has nothing archived
+     */
+    async rehydrate(group, queryInfo, limit = this.config.rehydrateLimit) {
+        if (!this.archive || !(group.metadata && group.metadata.archived)) return null;
         
-        // Limit pattern count
-        if (this.patterns.length > 1000) {
-            this.patterns = this.patterns.slice(-1000);
+        const groupId = group.id;
+        const originals = await this.archive.load(groupId);
+        if (!originals) return null;
+        
+        const live = this.eventsById.get(groupId);
+        if (live) {
+            live.accessCount = (live.accessCount || 0) + 1;
+            live.lastAccessed = Date.now();
         }
+        
+        const terms = new Set(documentTerms(queryInfo.text, queryInfo.concepts));
+        return originals
+            .map(original => {
+                const matched = new Set(documentTerms(original.text, original.concepts).filter(term => terms.has(term)));
+                return { ...original, rehydratedFrom: groupId, matchScore: terms.size > 0 ? matched.size / terms.size : 0 };
+            })
+            .sort((a, b) => b.matchScore - a.matchScore || a.timestamp - b.timestamp)
+            .slice(0, limit);
     }
 
-    async search(queryInfo, options = {}) {
-        const results = [];
-        const queryTime = options.timeRange || { start: 0, end: Date.now() };
+    /**
+     * Bring the archive in line with forgetEvents: removed groups lose
+     * their file, redacted ones keep their remaining originals and are
+     * summarized again from them
+     */
+    async redactArchive({ removed, redactedGroups }) {
+        if (!this.archive) return;
         
-        for (const event of this.events) {
-            if (event.timestamp < queryTime.start || event.timestamp > queryTime.end) {
-                continue;
-            }
-            
-            // Content similarity
-            const contentSimilarity = this.calculateContentSimilarity(queryInfo, event);
-            
-            // Temporal relevance
-            const temporalRelevance = this.calculateTemporalRelevance(queryTime, event);
-            
-            // Pattern matching
-            const patternRelevance = this.calculatePatternRelevance(queryInfo, event);
-            
-            const totalRelevance = (contentSimilarity * 0.4) + (temporalRelevance * 0.3) + (patternRelevance * 0.3);
-            
-            if (totalRelevance > 0.3) {
-                results.push({
-                    ...event,
-                    relevanceScore: totalRelevance * 20,
-                    similarity: contentSimilarity,
-                    temporalRelevance,
-                    patternRelevance
-                });
+        for (const event of removed.filter(event => event.metadata && event.metadata.compressed)) {
+            await this.archive.remove(event.id);
+        }
+        for (const event of redactedGroups) {
+            if (await this.resummarizeGroup(event)) {
+                this.textIndex.add(event.id, documentTerms(event.text, event.concepts));
             }
         }
-        
-        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
     }
 
-    calculateTemporalRelevance(timeRange, event) {
-        const range = timeRange.end - timeRange.start;
-        const eventPosition = (event.timestamp - timeRange.start) / range;
-        
-        // Prefer events closer to the middle of the time range
-        const distanceFromCenter = Math.abs(eventPosition - 0.5);
-        return 1 - (distanceFromCenter * 2);
+    /**
+     * Summarize a redacted group again from the originals it has left in
+     * the archive; false when it has none there
+     */
+    async resummarizeGroup(event) {
+        await this.archive.retain(event.id, new Set(event.metadata.originalIds));
+        const originals = event.metadata.archived ? await this.archive.load(event.id) : null;
+        if (!originals) return false;
+        
+        const { summary, ...fields } = this.summarizeGroup(originals);
+        Object.assign(event, fields);
+        event.metadata.summary = summary;
+        return true;
     }
 
-    calculatePatternRelevance(queryInfo, event) {
-        let relevance = 0;
+    /**
+     * Delete archive files of groups no longer in the layer or its tiers
+     */
+    async pruneArchive() {
+        if (!this.archive) return 0;
         
-        for (const pattern of this.patterns) {
-            if (pattern.type === 'recurring' && pattern.pattern.baseEvent) {
-                const similarity = this.calculateContentSimilarity(queryInfo, pattern.pattern.baseEvent);
-                relevance = Math.max(relevance, similarity * pattern.pattern.confidence);
-            }
+        const groupIds = this.tiers ? await this.tiers.groupIds() : new Set();
+        for (const event of this.events) {
+            if (event.metadata && event.metadata.compressed) groupIds.add(event.id);
         }
-        
-        return relevance;
+        return await this.archive.prune(groupIds);
     }
 
-    async consolidate() {
-        const originalSize = this.events.length;
-        
-        // Archive old events based on time and compression settings
-        const cutoffTime = Date.now() - this.config.timeWindow;
+    describeOriginals(event) {
+        if (event.metadata && event.metadata.compressed) {
+            return event.metadata.originals || [];
+        }
         
-        // Separate recent and archival events
-        const recentEvents = this.events.filter(event => event.timestamp > cutoffTime);
-        const archivalEvents = this.events.filter(event => event.timestamp <= cutoffTime);
+        const metadata = event.metadata || {};
+        return [{
+            id: event.id,
+            fingerprint: event.fingerprint || null,
+            textHash: hashText(event.text),
+            concepts: event.concepts || [],
+            provenance: provenanceOf(event),
+            metadata: {
+                conversationId: metadata.conversationId,
+                userId: metadata.userId,
+                fileName: metadata.fileName,
+                documentId: metadata.documentId
+            }
+        }];
+    }
+
+    /**
+     * Move the oldest events out of memory: to the warm tier in batches of
+     * tiers.demoteBatch (at most a tenth of the event limit), or just the
+     * excess, dropped, when the layer has no tiers
+     */
+    async demoteOldestEvents(excess) {
+        const count = this.tiers
+            ? Math.max(excess, Math.min(this.config.tiers.demoteBatch, Math.ceil(this.config.maxEvents / 10)))
+            : excess;
+        const oldest = this.events.slice().sort((a, b) => a.timestamp - b.timestamp).slice(0, count);
+        return await this.demoteEvents(oldest);
+    }
+
+    /**
+     * Remove events from memory once the warm tier holds them
+     */
+    async demoteEvents(events) {
+        if (events.length === 0) return 0;
         
-        // Compress archival events
-        const compressedEvents = await this.compressArchivalEvents(archivalEvents);
+        if (this.tiers) {
+            await this.tiers.demote(events);
+        }
         
-        this.events = [...recentEvents, ...compressedEvents];
+        const ids = new Set(events.map(event => event.id));
+        this.events = this.events.filter(event => !ids.has(event.id));
+        for (const id of ids) {
+            this.eventsById.delete(id);
+            this.vectorIndex.remove(id);
+            this.textIndex.remove(id);
+        }
         
-        // Clean up timelines
         for (const [key, timeline] of this.timelines) {
-            timeline.events = timeline.events.filter(event => this.events.includes(event));
+            timeline.events = timeline.events.filter(event => !ids.has(event.id));
             if (timeline.events.length === 0) {
                 this.timelines.delete(key);
             }
         }
         
-        return {
-            items: (originalSize - this.events.length),
-            eventsRetained: this.events.length,
-            compressionRatio: (originalSize - this.events.length) / originalSize
-        };
-    }
-
-    async compressArchivalEvents(archivalEvents) {
-        // Group similar archival events and create summaries
-        const compressed = [];
-        const compressionRatio = this.config.compressionRatio;
-        
-        for (let i = 0; i < archivalEvents.length; i += Math.ceil(1 / compressionRatio)) {
-            const group = archivalEvents.slice(i, i + Math.ceil(1 / compressionRatio));
-            
-            if (group.length > 1) {
-                // Create compressed representation
-                const compressedEvent = {
-                    id: this.generateCompressedEventId(i),
-                    text: `Compressed group of ${group.length} similar events`,
-                    concepts: this.extractCommonConcepts(group),
-                    timestamp: group[Math.floor(group.length / 2)].timestamp, // Middle timestamp
-                    metadata: {
-                        compressed: true,
-                        originalCount: group.length,
-                        timeRange: {
-                            start: Math.min(...group.map(e => e.timestamp)),
-                            end: Math.max(...group.map(e => e.timestamp))
-                        },
-                        originalIds: group.map(e => e.id)
-                    },
-                    accessCount: 0,
-                    lastAccessed: Date.now()
-                };
-                
-                compressed.push(compressedEvent);
-            } else {
-                compressed.push(group[0]);
+        if (this.journal) {
+            for (const id of ids) {
+                this.journal('delete', { id });
             }
         }
         
-        return compressed;
+        return events.length;
     }
 
-    extractCommonConcepts(events) {
-        const conceptCounts = {};
-        
-        events.forEach(event => {
-            (event.concepts || []).forEach(concept => {
-                conceptCounts[concept] = (conceptCounts[concept] || 0) + 1;
-            });
-        });
-        
-        // Return concepts that appear in at least half of the events
-        const threshold = Math.ceil(events.length / 2);
-        return Object.entries(conceptCounts)
-            .filter(([, count]) => count >= threshold)
-            .map(([concept]) => concept);
+    /**
+     * Redo a write-ahead log record (see recordEvent and demoteEvents);
+     * indexes are synced after replay
+     */
+    async applyJournal(entry) {
+        if (entry.op === 'put') {
+            const event = entry.event;
+            if (this.eventsById.has(event.id)) return;
+            
+            this.events.push(event);
+            this.eventsById.set(event.id, event);
+            if (!this.timelines.has(entry.timeline)) {
+                this.timelines.set(entry.timeline, {
+                    key: entry.timeline,
+                    events: [],
+                    startTime: event.timestamp,
+                    endTime: event.timestamp,
+                    metadata: {}
+                });
+            }
+            const timeline = this.timelines.get(entry.timeline);
+            timeline.events.push(event);
+            timeline.startTime = Math.min(timeline.startTime, event.timestamp);
+            timeline.endTime = Math.max(timeline.endTime, event.timestamp);
+            
+            this.patterns.push(...(entry.patterns || []));
+            await this.cleanupPatterns();
+        } else if (entry.op === 'delete') {
+            this.events = this.events.filter(event => event.id !== entry.id);
+            this.eventsById.delete(entry.id);
+            for (const [, timeline] of this.timelines) {
+                timeline.events = timeline.events.filter(event => event.id !== entry.id);
+            }
+        } else if (entry.op === 'prediction') {
+            this.predictionFeedback.set(entry.id, { status: entry.status, updatedAt: entry.updatedAt });
+        }
     }
 
-    async archiveOldEvent() {
-        const removed = this.events.shift();
+    /**
+     * Record a user's confirmation or dismissal of a prediction
+     */
+    setPredictionFeedback(id, status) {
+        const feedback = { status, updatedAt: Date.now() };
+        this.predictionFeedback.set(id, feedback);
         
-        // Remove from timelines
-        for (const [, timeline] of this.timelines) {
-            timeline.events = timeline.events.filter(event => event.id !== removed.id);
+        if (this.journal) {
+            this.journal('prediction', { id, ...feedback });
         }
         
-        return removed;
+        return feedback;
     }
 
     async cleanOldMemories(cutoffTime) {
         const beforeSize = this.events.length;
         this.events = this.events.filter(event => event.timestamp > cutoffTime);
+        this.syncIndexes();
         
         // Clean up timelines
         for (const [key, timeline] of this.timelines) {
@@ -1735,15 +6296,14 @@ class TemporalLayer {
         return beforeSize - this.events.length;
     }
 
+    /**
+     * Move events older than the cutoff (compressed by then) down to the
+     * warm tier; without tiers they stay in memory
+     */
     async archiveOldEvents(cutoffTime) {
-        // Archive events older than cutoff time
-        const oldEvents = this.events.filter(event => event.timestamp < cutoffTime);
-        
-        for (const event of oldEvents) {
-            await this.archiveOldEvent();
-        }
+        if (!this.tiers) return 0;
         
-        return oldEvents.length;
+        return await this.demoteEvents(this.events.filter(event => event.timestamp < cutoffTime));
     }
 
     async getStatus() {
@@ -1753,10 +6313,13 @@ class TemporalLayer {
             utilization: this.events.length / this.config.maxEvents,
             timelineCount: this.timelines.size,
             patternCount: this.patterns.length,
+            vectorIndex: this.vectorIndex.getStatus(),
+            textIndex: this.textIndex.getStatus(),
             oldestEvent: this.events.length > 0 ? Math.min(...this.events.map(e => e.timestamp)) : null,
             newestEvent: this.events.length > 0 ? Math.max(...this.events.map(e => e.timestamp)) : null,
             averageEventInterval: this.events.length > 1 ? 
-                (this.events[this.events.length - 1].timestamp - this.events[0].timestamp) / (this.events.length - 1) : 0
+                (this.events[this.events.length - 1].timestamp - this.events[0].timestamp) / (this.events.length - 1) : 0,
+            tiers: this.tiers ? await this.tiers.getStatus() : null
         };
     }
 
@@ -1768,20 +6331,257 @@ class TemporalLayer {
         return {
             events: this.events,
             timelines: Array.from(this.timelines.entries()),
-            patterns: this.patterns
+            patterns: this.patterns,
+            predictionFeedback: Array.from(this.predictionFeedback.entries())
         };
     }
 
     async importState(state) {
         if (state && state.events) {
             this.events = state.events;
+            this.eventsById = new Map(this.events.map(event => [event.id, event]));
         }
         if (state && state.timelines) {
-            this.timelines = new Map(state.timelines);
+            // Saved timelines hold copies of their events: point them at the
+            // live ones, or consolidation (which matches by identity) drops them
+            this.timelines = new Map();
+            for (const [key, timeline] of state.timelines) {
+                const events = timeline.events
+                    .filter(event => this.eventsById.has(event.id))
+                    .map(event => this.eventsById.get(event.id));
+                if (events.length > 0) {
+                    this.timelines.set(key, { ...timeline, events });
+                }
+            }
         }
         if (state && state.patterns) {
             this.patterns = state.patterns;
         }
+        this.predictionFeedback = new Map(state && state.predictionFeedback ? state.predictionFeedback : []);
+    }
+
+    exportIndexes() {
+        return {
+            vector: this.vectorIndex.exportState(),
+            text: this.textIndex.exportState()
+        };
+    }
+
+    /**
+     * Restore persisted indexes, rebuilding any that no longer match the events
+     */
+    importIndexes(state = {}) {
+        const vectors = new Map(this.events
+            .filter(event => event.embeddings)
+            .map(event => [event.id, event.embeddings]));
+        
+        if (!this.vectorIndex.importState(state.vector, id => vectors.get(id)) ||
+            this.vectorIndex.size !== vectors.size) {
+            this.vectorIndex.rebuild(vectors.entries());
+        }
+        
+        if (!this.textIndex.importState(state.text) ||
+            this.textIndex.size !== this.events.length ||
+            !this.events.every(event => this.textIndex.has(event.id))) {
+            this.textIndex.rebuild(this.events.map(event => [event.id, documentTerms(event.text, event.concepts)]));
+        }
+    }
+
+    /**
+     * Re-key events and drop index entries of removed events after bulk changes
+     */
+    syncIndexes() {
+        this.eventsById = new Map(this.events.map(event => [event.id, event]));
+        this.vectorIndex.retainOnly(this.eventsById);
+        this.textIndex.retainOnly(this.eventsById);
+        
+        for (const event of this.events) {
+            if (event.embeddings && !this.vectorIndex.has(event.id)) {
+                this.vectorIndex.add(event.id, event.embeddings);
+            }
+            if (!this.textIndex.has(event.id)) {
+                this.textIndex.add(event.id, documentTerms(event.text, event.concepts));
+            }
+        }
+    }
+
+    /**
+     * Original event id -> id of the compressed event that replaced it
+     */
+    getCompressionMap() {
+        const compressionMap = new Map();
+        for (const event of this.events) {
+            if (event.metadata && event.metadata.compressed) {
+                for (const originalId of event.metadata.originalIds || []) {
+                    compressionMap.set(originalId, event.id);
+                }
+            }
+        }
+        return compressionMap;
+    }
+
+    /**
+     * Current id for an event reference, null if the event is gone
+     */
+    resolveEventId(eventId, compressionMap = this.getCompressionMap()) {
+        if (this.eventsById.has(eventId)) return eventId;
+        return compressionMap.get(eventId) || null;
+    }
+
+    /**
+     * Remove the events matching the predicate. In compressed groups the
+     * predicate is applied to each original: a group left with no originals
+     * is removed, otherwise it keeps only what is still attributable (its
+     * averaged embedding included the forgotten content and is dropped).
+     * References from timelines, other events and patterns are removed too.
+     */
+    forgetEvents(predicate, conceptExists = () => true) {
+        const removed = [];
+        const redactedGroups = [];
+        const forgottenOriginals = [];
+        
+        this.events = this.events.filter(event => {
+            const action = this.forgetOne(event, predicate, conceptExists, forgottenOriginals);
+            if (action === 'remove') removed.push(event);
+            if (action === 'redact') redactedGroups.push(event);
+            return action !== 'remove';
+        });
+        
+        if (removed.length === 0 && redactedGroups.length === 0) {
+            return { removed, redactedGroups, forgottenOriginals, patternsRemoved: 0 };
+        }
+        
+        const goneIds = new Set([...removed.map(event => event.id), ...forgottenOriginals.map(original => original.id)]);
+        
+        for (const event of redactedGroups) {
+            this.vectorIndex.remove(event.id);
+            this.textIndex.add(event.id, documentTerms(event.text, event.concepts));
+        }
+        this.syncIndexes();
+        
+        // Loaded timelines hold their own copies of events: point them at the live ones
+        for (const [key, timeline] of this.timelines) {
+            timeline.events = timeline.events
+                .filter(event => this.eventsById.has(event.id))
+                .map(event => this.eventsById.get(event.id));
+            if (timeline.events.length === 0) {
+                this.timelines.delete(key);
+            }
+        }
+        
+        const patternsRemoved = this.dropForgottenReferences(goneIds, redactedGroups);
+        return { removed, redactedGroups, forgottenOriginals, patternsRemoved };
+    }
+
+    /**
+     * What forgetting does to one event: 'keep', 'remove', or 'redact' (a
+     * compressed group losing some of its originals, redacted in place)
+     */
+    forgetOne(event, predicate, conceptExists, forgottenOriginals) {
+        if (!(event.metadata && event.metadata.compressed)) {
+            return predicate(event) ? 'remove' : 'keep';
+        }
+        
+        const originals = event.metadata.originals || [];
+        const forgotten = originals.filter(original => predicate(original));
+        if (forgotten.length === 0) return 'keep';
+        
+        forgottenOriginals.push(...forgotten);
+        if (forgotten.length === originals.length) return 'remove';
+        
+        this.redactCompressedEvent(event, forgotten, conceptExists);
+        return 'redact';
+    }
+
+    /**
+     * Drop temporal relationships to forgotten events and the recurring
+     * patterns holding copies of them; returns the patterns removed
+     */
+    dropForgottenReferences(goneIds, redactedGroups) {
+        for (const event of this.events) {
+            if (event.temporalRelationships) {
+                event.temporalRelationships = event.temporalRelationships
+                    .filter(relationship => !goneIds.has(relationship.event1) && !goneIds.has(relationship.event2));
+            }
+        }
+        
+        // Recurring patterns hold copies of their events, redacted groups included
+        const staleIds = new Set([...goneIds, ...redactedGroups.map(event => event.id)]);
+        const patternCount = this.patterns.length;
+        this.patterns = this.patterns.filter(pattern => {
+            if (pattern.type !== 'recurring') return true;
+            const events = [pattern.pattern.baseEvent, ...(pattern.pattern.similarEvents || [])];
+            return !events.some(event => event && staleIds.has(event.id));
+        });
+        
+        return patternCount - this.patterns.length;
+    }
+
+    /**
+     * forgetEvents for the warm and cold tiers: matching events leave their
+     * segments and compressed groups are redacted there, their archive
+     * files brought in line as with redactArchive
+     */
+    async forgetTieredEvents(predicate, conceptExists = () => true) {
+        const removed = [];
+        const redactedGroups = [];
+        const forgottenOriginals = [];
+        if (!this.tiers) {
+            return { removed, redactedGroups, forgottenOriginals, patternsRemoved: 0 };
+        }
+        
+        await this.tiers.rewrite(async event => {
+            const action = this.forgetOne(event, predicate, conceptExists, forgottenOriginals);
+            if (action === 'keep') return 'keep';
+            
+            if (action === 'remove') {
+                removed.push(event);
+                if (this.archive && event.metadata && event.metadata.compressed) {
+                    await this.archive.remove(event.id);
+                }
+                return 'remove';
+            }
+            
+            redactedGroups.push(event);
+            if (this.archive) {
+                await this.resummarizeGroup(event);
+            }
+            return 'changed';
+        });
+        
+        const goneIds = new Set([...removed.map(event => event.id), ...forgottenOriginals.map(original => original.id)]);
+        const patternsRemoved = goneIds.size > 0 || redactedGroups.length > 0
+            ? this.dropForgottenReferences(goneIds, redactedGroups)
+            : 0;
+        return { removed, redactedGroups, forgottenOriginals, patternsRemoved };
+    }
+
+    redactCompressedEvent(event, forgotten, conceptExists) {
+        const forgottenIds = new Set(forgotten.map(original => original.id));
+        const kept = event.metadata.originals.filter(original => !forgottenIds.has(original.id));
+        
+        event.metadata.originals = kept;
+        event.metadata.originalIds = event.metadata.originalIds.filter(id => !forgottenIds.has(id));
+        event.metadata.originalCount = kept.length;
+        event.metadata.redacted = (event.metadata.redacted || 0) + forgotten.length;
+        
+        // Until redactArchive summarizes the rest again: the summary
+        // sentences of kept originals, no entities (they may name whoever
+        // was forgotten)
+        const summary = event.metadata.summary;
+        if (summary) {
+            summary.sentences = summary.sentences.filter(sentence => !forgottenIds.has(sentence.eventId));
+            if (summary.sentences.length === 0) delete event.metadata.summary;
+        }
+        event.text = event.metadata.summary
+            ? event.metadata.summary.sentences.map(sentence => sentence.text).join(' ')
+            : `Compressed group of ${kept.length} similar events`;
+        event.entities = [];
+        // Groups compressed before originals kept their concepts can only drop unknown ones
+        event.concepts = kept.every(original => original.concepts)
+            ? topConcepts(kept).map(entry => entry.concept)
+            : (event.concepts || []).filter(conceptExists);
+        event.embeddings = null;
     }
 
     generateEventId() {
@@ -1804,7 +6604,7 @@ class MemoryStorage {
     constructor(config) {
         this.config = config;
         this.dataPath = config.dataPath;
-        this.encryptionKey = config.encryptionKey || null;
+        this.keyRing = config.keyRing || null;
     }
 
     async initialize() {
@@ -1818,7 +6618,7 @@ class MemoryStorage {
         }
     }
 
-    async saveState(stateName, data) {
+    async saveState(stateName, data, options = {}) {
         try {
             const filePath = path.join(this.dataPath, `${stateName}.json`);
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -1827,12 +6627,14 @@ class MemoryStorage {
             const serialized = this.serializeData(data);
             const encrypted = this.encryptIfNeeded(serialized);
             
-            // Save current state
-            await writeFile(filePath, encrypted);
+            // Save current state (written aside and renamed, so a crash never leaves it half-written)
+            await writeFile(`${filePath}.tmp`, encrypted);
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
             
             // Save backup
-            if (this.config.backupEnabled) {
+            if (this.config.backupEnabled && options.backup !== false) {
                 await writeFile(backupPath, encrypted);
+                await this.pruneBackups(stateName);
             }
             
             console.log(`💾 State '${stateName}' saved successfully`);
@@ -1842,48 +6644,120 @@ class MemoryStorage {
         }
     }
 
+    /**
+     * A state, or its newest backup when the state file doesn't exist; null
+     * when neither does. A file that exists but can't be decrypted or parsed
+     * throws (DecryptionError, StateSchemaError): falling back or starting
+     * empty would overwrite it on the next save.
+     */
     async loadState(stateName) {
+        const fileName = `${stateName}.json`;
+        let data;
         try {
-            const filePath = path.join(this.dataPath, `${stateName}.json`);
-            
-            try {
-                const data = await readFile(filePath, 'utf8');
-                const decrypted = this.decryptIfNeeded(data);
-                return this.deserializeData(decrypted);
-            } catch (error) {
-                // Try loading from backup if main file doesn't exist
-                return await this.loadFromBackup(stateName);
-            }
+            data = await readFile(path.join(this.dataPath, fileName), 'utf8');
         } catch (error) {
-            console.error(`Failed to load state '${stateName}':`, error);
-            return null;
+            if (error.code !== 'ENOENT') throw error;
+            return this.loadFromBackup(stateName);
         }
+        
+        return this.parseState(fileName, data);
     }
 
     async loadFromBackup(stateName) {
+        const backupDir = path.join(this.dataPath, 'backups');
+        let files;
         try {
-            const backupDir = path.join(this.dataPath, 'backups');
-            const files = await fs.promises.readdir(backupDir);
-            const backupFiles = files
-                .filter(file => file.startsWith(`${stateName}-`))
-                .sort()
-                .reverse(); // Most recent first
-            
-            if (backupFiles.length > 0) {
-                const backupPath = path.join(backupDir, backupFiles[0]);
-                const data = await readFile(backupPath, 'utf8');
-                const decrypted = this.decryptIfNeeded(data);
-                const deserialized = this.deserializeData(decrypted);
-                
-                console.log(`📁 Loaded state '${stateName}' from backup: ${backupFiles[0]}`);
-                return deserialized;
+            files = await fs.promises.readdir(backupDir);
+        } catch (error) {
+            // No backups directory: nothing was ever backed up
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        
+        const backupFiles = files
+            .filter(file => file.startsWith(`${stateName}-`))
+            .sort()
+            .reverse(); // Most recent first
+        if (backupFiles.length === 0) return null;
+        
+        const data = await readFile(path.join(backupDir, backupFiles[0]), 'utf8');
+        const deserialized = this.parseState(path.join('backups', backupFiles[0]), data);
+        
+        console.log(`📁 Loaded state '${stateName}' from backup: ${backupFiles[0]}`);
+        return deserialized;
+    }
+
+    parseState(fileName, data) {
+        const decrypted = this.decryptIfNeeded(data);
+        try {
+            return this.deserializeData(decrypted);
+        } catch (error) {
+            throw new StateSchemaError(`${fileName} in ${this.dataPath} is not valid JSON (${error.message})`);
+        }
+    }
+
+    async listBackups(stateName) {
+        try {
+            const files = await fs.promises.readdir(path.join(this.dataPath, 'backups'));
+            return files.filter(file => file.startsWith(`${stateName}-`)).sort();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Keep the newest backupRetention backups of a state, none older than backupRetentionDays
+    async pruneBackups(stateName) {
+        const retention = this.config.backupRetention;
+        const maxAge = this.config.backupRetentionDays ? this.config.backupRetentionDays * 86400000 : null;
+        if (!retention && !maxAge) return;
+        
+        const backupDir = path.join(this.dataPath, 'backups');
+        const files = (await this.listBackups(stateName)).reverse(); // Most recent first
+        
+        for (const [index, fileName] of files.entries()) {
+            let expired = retention && index >= retention;
+            if (!expired && maxAge && index > 0) {
+                const stats = await fs.promises.stat(path.join(backupDir, fileName));
+                expired = Date.now() - stats.mtimeMs > maxAge;
             }
-            
-            return null;
+            if (expired) {
+                await this.deleteBackup(fileName);
+            }
+        }
+    }
+
+    /**
+     * A state file by path relative to the data directory, without the
+     * backup fallback of loadState; null when it does not exist
+     */
+    async readStateFile(fileName) {
+        let data;
+        try {
+            data = await readFile(path.join(this.dataPath, fileName), 'utf8');
         } catch (error) {
-            console.error('Failed to load from backup:', error);
-            return null;
+            if (error.code === 'ENOENT') return null;
+            throw error;
         }
+        return this.deserializeData(this.decryptIfNeeded(data));
+    }
+
+    async writeStateFile(fileName, data) {
+        const filePath = path.join(this.dataPath, fileName);
+        await writeFile(`${filePath}.tmp`, this.encryptIfNeeded(this.serializeData(data)));
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+
+    async readBackup(fileName) {
+        const data = await readFile(path.join(this.dataPath, 'backups', fileName), 'utf8');
+        return this.deserializeData(this.decryptIfNeeded(data));
+    }
+
+    async writeBackup(fileName, data) {
+        await writeFile(path.join(this.dataPath, 'backups', fileName), this.encryptIfNeeded(this.serializeData(data)));
+    }
+
+    async deleteBackup(fileName) {
+        await fs.promises.rm(path.join(this.dataPath, 'backups', fileName), { force: true });
     }
 
     serializeData(data) {
@@ -1895,26 +6769,66 @@ class MemoryStorage {
     }
 
     encryptIfNeeded(data) {
-        if (!this.encryptionKey) return data;
+        if (!this.keyRing) return data;
         
-        const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return encrypted;
+        return this.keyRing.encrypt(data);
     }
 
+    /**
+     * Also reads files from before encryption was enabled and files in the
+     * legacy aes-256-cbc format; they are re-encrypted when next written.
+     * Throws DecryptionError for data no configured key opens, and for
+     * encrypted data while encryption is off.
+     */
     decryptIfNeeded(encryptedData) {
-        if (!this.encryptionKey) return encryptedData;
+        if (this.keyRing) return this.keyRing.decrypt(encryptedData);
         
-        try {
-            const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
-            let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
-        } catch (error) {
-            console.error('Failed to decrypt data:', error);
-            throw new Error('Failed to decrypt memory data');
+        if (isEncrypted(encryptedData)) {
+            throw new DecryptionError(`Memory data in ${this.dataPath} is encrypted; enable ENCRYPTION_ENABLED with its key to read it`, 'NO_KEY');
+        }
+        return encryptedData;
+    }
+
+    /**
+     * Re-encrypt the state files of this directory and its backups that are
+     * not on the active key (plain, legacy or an older key); counts go into
+     * report { rewritten, current, errors }
+     */
+    async reencryptFiles(report) {
+        if (!this.keyRing) return report;
+        
+        for (const directory of [this.dataPath, path.join(this.dataPath, 'backups'), path.join(this.dataPath, ARCHIVE_DIRECTORY)]) {
+            let files;
+            try {
+                files = await fs.promises.readdir(directory);
+            } catch (error) {
+                continue;
+            }
+            
+            for (const fileName of files.filter(file => file.endsWith('.json'))) {
+                const filePath = path.join(directory, fileName);
+                if (this.keyRing.keyFile && path.resolve(filePath) === path.resolve(this.keyRing.keyFile)) continue;
+                
+                try {
+                    const data = await readFile(filePath, 'utf8');
+                    if (!this.keyRing.needsRotation(data)) {
+                        report.current++;
+                        continue;
+                    }
+                    
+                    await writeFile(`${filePath}.tmp`, this.keyRing.encrypt(this.keyRing.decrypt(data)));
+                    await fs.promises.rename(`${filePath}.tmp`, filePath);
+                    report.rewritten++;
+                } catch (error) {
+                    // Backups pruned meanwhile are simply gone
+                    if (error.code !== 'ENOENT') {
+                        report.errors.push({ file: filePath, error: error.message });
+                    }
+                }
+            }
         }
+        
+        return report;
     }
 }
 
@@ -0,0 +1,254 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Memory Namespaces
+ * Tenant -> user -> optional project scoping of memory
+ *
+ * - Each namespace owns its three memory layers, its own storage directory
+ *   (and so its own state file and backups) and its own quotas
+ * - The default namespace keeps the legacy data path, so state written
+ *   before namespaces existed loads unchanged
+ * - Knowledge from training lives in the shared namespace and is only
+ *   searched by namespaces that opt in with sharedKnowledge
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const path = require('path');
+
+const DEFAULT_NAMESPACE = 'default';
+const SHARED_NAMESPACE = 'shared';
+const DEFAULT_TENANT = 'default';
+
+// Letters, digits and _ . @ -; no leading dot so '.' and '..' never reach a path
+const SEGMENT_PATTERN = /^[A-Za-z0-9_@-][A-Za-z0-9_.@-]{0,127}$/;
+
+// Quota name -> [layer, layer config key]
+const QUOTA_LIMITS = {
+    maxMemories: ['contextLayer', 'maxSize'],
+    maxConcepts: ['semanticLayer', 'maxConcepts'],
+    maxEvents: ['temporalLayer', 'maxEvents']
+};
+
+/**
+ * Parse a namespace spec into { key, tenantId, userId, projectId }
+ *
+ * Accepts 'tenant/user', 'tenant/user/project', { tenantId, userId, projectId }
+ * (tenantId defaults to 'default'), the reserved names 'default' and 'shared',
+ * or nothing (the default namespace). Throws on malformed specs.
+ */
+function parseNamespace(spec) {
+    if (spec instanceof MemoryNamespace) {
+        return spec.descriptor();
+    }
+    if (spec === undefined || spec === null || spec === '' || spec === DEFAULT_NAMESPACE) {
+        return reservedDescriptor(DEFAULT_NAMESPACE);
+    }
+    if (spec === SHARED_NAMESPACE) {
+        return reservedDescriptor(SHARED_NAMESPACE);
+    }
+
+    let tenantId, userId, projectId;
+    if (typeof spec === 'string') {
+        const segments = spec.split('/');
+        if (segments.length < 2 || segments.length > 3) {
+            throw new Error(`Invalid namespace "${spec}": expected tenant/user or tenant/user/project`);
+        }
+        [tenantId, userId, projectId] = segments;
+    } else if (typeof spec === 'object') {
+        tenantId = spec.tenantId === undefined || spec.tenantId === null ? DEFAULT_TENANT : spec.tenantId;
+        userId = spec.userId;
+        projectId = spec.projectId;
+    } else {
+        throw new Error('Namespace must be a string or an object with tenantId, userId and projectId');
+    }
+
+    validateSegment('tenantId', tenantId);
+    validateSegment('userId', userId);
+    if (projectId !== undefined && projectId !== null && projectId !== '') {
+        validateSegment('projectId', projectId);
+    } else {
+        projectId = null;
+    }
+
+    return {
+        key: [tenantId, userId, projectId].filter(Boolean).join('/'),
+        tenantId,
+        userId,
+        projectId
+    };
+}
+
+function reservedDescriptor(key) {
+    return { key, tenantId: null, userId: null, projectId: null };
+}
+
+function validateSegment(field, value) {
+    if (typeof value !== 'string' || !SEGMENT_PATTERN.test(value)) {
+        throw new Error(`Invalid namespace ${field} "${value}": use 1-128 letters, digits, _ . @ or -`);
+    }
+}
+
+/**
+ * Storage directory of a namespace below the engine data path
+ */
+function namespaceDataPath(basePath, descriptor) {
+    if (descriptor.key === DEFAULT_NAMESPACE) return basePath;
+    if (descriptor.key === SHARED_NAMESPACE) return path.join(basePath, 'shared');
+
+    const userPath = path.join(basePath, 'namespaces', descriptor.tenantId, descriptor.userId);
+    // Projects get their own subfolder so a project can't collide with 'backups'
+    return descriptor.projectId ? path.join(userPath, 'projects', descriptor.projectId) : userPath;
+}
+
+/**
+ * Keep only known, positive integer quota values
+ */
+function normalizeQuotas(quotas = {}) {
+    const normalized = {};
+    for (const name of Object.keys(QUOTA_LIMITS)) {
+        if (quotas[name] === undefined || quotas[name] === null) continue;
+
+        const value = Number(quotas[name]);
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new Error(`Quota ${name} must be a positive integer`);
+        }
+        normalized[name] = value;
+    }
+    return normalized;
+}
+
+/**
+ * One isolated memory space: layers, storage and settings
+ */
+class MemoryNamespace {
+    constructor(descriptor, { contextLayer, semanticLayer, temporalLayer, storage, wal = null, embeddingStatistics = null, sharedKnowledge = false }) {
+        this.key = descriptor.key;
+        this.tenantId = descriptor.tenantId;
+        this.userId = descriptor.userId;
+        this.projectId = descriptor.projectId;
+
+        this.contextLayer = contextLayer;
+        this.semanticLayer = semanticLayer;
+        this.temporalLayer = temporalLayer;
+        this.storage = storage;
+        this.wal = wal; // write-ahead log of layer changes since the last save
+        this.embeddingStatistics = embeddingStatistics; // corpus statistics of the embedding provider
+
+        this.quotaOverrides = {};
+        this.sharedKnowledge = sharedKnowledge;
+        this.createdAt = Date.now();
+        this.persisted = false; // storage directory exists
+        this.ready = null; // set by the engine to the loading promise
+        this.saving = Promise.resolve(); // saves run one at a time
+        this.checkpoint = null; // pending checkpoint started by the log size
+    }
+
+    get isDefault() {
+        return this.key === DEFAULT_NAMESPACE;
+    }
+
+    get isShared() {
+        return this.key === SHARED_NAMESPACE;
+    }
+
+    /**
+     * Effective layer size limits
+     */
+    get quotas() {
+        const quotas = {};
+        for (const [name, [layer, limit]] of Object.entries(QUOTA_LIMITS)) {
+            quotas[name] = this[layer].config[limit];
+        }
+        return quotas;
+    }
+
+    /**
+     * Override layer size limits; unspecified quotas keep their current value.
+     * Only overrides are persisted, so engine-wide limits still apply to the rest.
+     */
+    applyQuotas(quotas = {}) {
+        const overrides = normalizeQuotas(quotas);
+
+        for (const [name, value] of Object.entries(overrides)) {
+            const [layer, limit] = QUOTA_LIMITS[name];
+            this[layer].config[limit] = value;
+            this.quotaOverrides[name] = value;
+        }
+
+        return this.quotas;
+    }
+
+    /**
+     * Update quotas and the shared-knowledge opt-in
+     */
+    configure(settings = {}) {
+        if (settings.quotas) {
+            this.applyQuotas(settings.quotas);
+        }
+        if (settings.sharedKnowledge !== undefined) {
+            this.sharedKnowledge = Boolean(settings.sharedKnowledge);
+        }
+        return this.describe();
+    }
+
+    /**
+     * Whether a layer has reached 80% of its quota
+     */
+    nearCapacity() {
+        const quotas = this.quotas;
+        return this.contextLayer.memories.length > quotas.maxMemories * 0.8 ||
+            this.semanticLayer.concepts.size > quotas.maxConcepts * 0.8 ||
+            this.temporalLayer.events.length > quotas.maxEvents * 0.8;
+    }
+
+    isEmpty() {
+        return this.contextLayer.memories.length === 0 &&
+            this.semanticLayer.concepts.size === 0 &&
+            this.temporalLayer.events.length === 0;
+    }
+
+    descriptor() {
+        return { key: this.key, tenantId: this.tenantId, userId: this.userId, projectId: this.projectId };
+    }
+
+    describe() {
+        return {
+            ...this.descriptor(),
+            quotas: this.quotas,
+            sharedKnowledge: this.sharedKnowledge,
+            createdAt: this.createdAt,
+            dataPath: this.storage.dataPath
+        };
+    }
+
+    /**
+     * Settings persisted with the namespace state
+     */
+    exportSettings() {
+        return {
+            ...this.descriptor(),
+            quotas: { ...this.quotaOverrides },
+            sharedKnowledge: this.sharedKnowledge,
+            createdAt: this.createdAt
+        };
+    }
+
+    importSettings(settings) {
+        if (!settings) return;
+
+        this.applyQuotas(settings.quotas || {});
+        this.sharedKnowledge = Boolean(settings.sharedKnowledge);
+        this.createdAt = settings.createdAt || this.createdAt;
+    }
+}
+
+module.exports = {
+    MemoryNamespace,
+    parseNamespace,
+    namespaceDataPath,
+    normalizeQuotas,
+    DEFAULT_NAMESPACE,
+    SHARED_NAMESPACE,
+    DEFAULT_TENANT
+};
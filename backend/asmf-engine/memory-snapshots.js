@@ -0,0 +1,353 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Memory Snapshots
+ * Versioned, named snapshots of the full engine state
+ *
+ * - A snapshot is a directory under <dataPath>/snapshots holding a manifest
+ *   (version, name, description, reason, creation time, per-namespace
+ *   counts) and the saved state of every namespace at that moment
+ * - Versions increase monotonically; names are optional and unique
+ * - Snapshots can be resolved by version, name or point in time (the
+ *   latest snapshot taken at or before it), loaded for time-travel
+ *   queries, diffed against each other and restored
+ * - Automatic snapshots (scheduled, pre-restore) are pruned beyond a
+ *   retention count; manual ones are kept until deleted
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_.-]{0,63}$/;
+const REASONS = ['manual', 'scheduled', 'pre-restore'];
+
+class SnapshotStore {
+    /**
+     * config: { rootPath, maxAutomatic, createStorage(dataPath) } where
+     * createStorage returns a MemoryStorage rooted at a snapshot directory
+     */
+    constructor(config) {
+        this.rootPath = config.rootPath;
+        this.maxAutomatic = config.maxAutomatic !== undefined ? config.maxAutomatic : 20;
+        this.createStorage = config.createStorage;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Manifests of all snapshots, oldest first
+     */
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.rootPath, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const manifests = [];
+        for (const entry of entries.filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))) {
+            const manifest = await this.storageFor(entry.name).loadState('manifest');
+            if (manifest) manifests.push(manifest);
+        }
+
+        return manifests.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Snapshot by version (3 or 'v3') or name; null when there is none
+     */
+    async resolve(ref) {
+        if (ref === undefined || ref === null || ref === '') return null;
+        if (typeof ref === 'object') return ref.asOf !== undefined ? this.resolveAsOf(ref.asOf) : ref;
+
+        const manifests = await this.list();
+        const version = typeof ref === 'number' ? ref : (/^v?\d+$/.test(ref) ? parseInt(ref.replace(/^v/, ''), 10) : null);
+        if (version !== null) {
+            return manifests.find(manifest => manifest.version === version) || null;
+        }
+
+        return manifests.find(manifest => manifest.name === ref) || null;
+    }
+
+    /**
+     * Latest snapshot taken at or before a date (Date, timestamp or ISO
+     * string; a bare date means the end of that day)
+     */
+    async resolveAsOf(asOf) {
+        const time = parseTime(asOf);
+        if (time === null) {
+            throw new Error(`Invalid snapshot date: ${asOf}`);
+        }
+
+        const manifests = (await this.list()).filter(manifest => manifest.createdAt <= time);
+        return manifests.length > 0 ? manifests[manifests.length - 1] : null;
+    }
+
+    /**
+     * Write a new snapshot of the given namespace states
+     * snapshot: { name, description, reason, states: [{ key, state, counts }] }
+     */
+    async create(snapshot) {
+        const run = this.pending.then(() => this.write(snapshot));
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    async write({ name = null, description = '', reason = 'manual', states }) {
+        if (name !== null && !NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid snapshot name "${name}": start with a letter, then letters, digits and _ . -`);
+        }
+        if (!REASONS.includes(reason)) {
+            throw new Error(`Invalid snapshot reason: ${reason}`);
+        }
+
+        const manifests = await this.list();
+        if (name !== null && manifests.some(manifest => manifest.name === name)) {
+            throw new Error(`Snapshot name "${name}" is already taken`);
+        }
+
+        const version = manifests.reduce((max, manifest) => Math.max(max, manifest.version), 0) + 1;
+        const manifest = {
+            id: `v${version}`,
+            version,
+            name,
+            description,
+            reason,
+            createdAt: Date.now(),
+            namespaces: states.map(({ key, state, counts }) => ({
+                key,
+                file: stateFileName(key),
+                stateTimestamp: state.timestamp || null,
+                counts
+            }))
+        };
+
+        const storage = this.storageFor(manifest.id);
+        await fs.promises.mkdir(storage.dataPath, { recursive: true });
+        for (const { key, state } of states) {
+            await storage.saveState(stateFileName(key), state, { backup: false });
+        }
+        // The manifest goes last: a directory without one is an unfinished snapshot
+        await storage.saveState('manifest', manifest, { backup: false });
+
+        if (reason !== 'manual') {
+            await this.prune();
+        }
+
+        return manifest;
+    }
+
+    async readState(manifest, key) {
+        const entry = manifest.namespaces.find(namespace => namespace.key === key);
+        if (!entry) return null;
+        return this.storageFor(manifest.id).loadState(entry.file);
+    }
+
+    /**
+     * Replace (state) or drop (state null) one namespace of a snapshot
+     */
+    async writeState(manifest, key, state, counts = null) {
+        const storage = this.storageFor(manifest.id);
+        const entry = manifest.namespaces.find(namespace => namespace.key === key);
+        if (!entry) return manifest;
+
+        if (state) {
+            await storage.saveState(entry.file, state, { backup: false });
+            entry.stateTimestamp = state.timestamp || entry.stateTimestamp;
+            if (counts) entry.counts = counts;
+        } else {
+            await fs.promises.rm(path.join(storage.dataPath, `${entry.file}.json`), { force: true });
+            manifest.namespaces = manifest.namespaces.filter(namespace => namespace.key !== key);
+        }
+        manifest.modifiedAt = Date.now();
+        await storage.saveState('manifest', manifest, { backup: false });
+
+        return manifest;
+    }
+
+    async delete(manifest) {
+        await fs.promises.rm(path.join(this.rootPath, manifest.id), { recursive: true, force: true });
+    }
+
+    /**
+     * Drop the oldest automatic snapshots beyond the retention count
+     */
+    async prune() {
+        const automatic = (await this.list()).filter(manifest => manifest.reason !== 'manual');
+        const excess = automatic.slice(0, Math.max(0, automatic.length - this.maxAutomatic));
+        for (const manifest of excess) {
+            await this.delete(manifest);
+        }
+        return excess.map(manifest => manifest.id);
+    }
+
+    storageFor(id) {
+        return this.createStorage(path.join(this.rootPath, id));
+    }
+}
+
+function stateFileName(key) {
+    // Namespace segments never contain '~', so the file name stays unique
+    return `namespace-${key.replace(/\//g, '~')}`;
+}
+
+function parseTime(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    // A bare date covers the whole day
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86400000 - 1 : time;
+}
+
+/**
+ * Structured difference between two saved namespace states (either may be
+ * null for a namespace missing on that side). Lists are capped at
+ * options.limit entries; summary holds the full counts.
+ */
+function diffStates(before, after, options = {}) {
+    const limit = options.limit || 100;
+    const concepts = diffConcepts(before, after);
+    const relationships = diffRelationships(before, after);
+    const events = diffById(eventsOf(before), eventsOf(after), describeEvent);
+    const memories = diffById(memoriesOf(before), memoriesOf(after), describeMemory);
+
+    const cap = list => list.slice(0, limit);
+
+    return {
+        summary: {
+            conceptsAdded: concepts.added.length,
+            conceptsRemoved: concepts.removed.length,
+            conceptsChanged: concepts.changed.length,
+            relationshipsAdded: relationships.added.length,
+            relationshipsRemoved: relationships.removed.length,
+            relationshipsChanged: relationships.changed.length,
+            eventsAdded: events.added.length,
+            eventsRemoved: events.removed.length,
+            memoriesAdded: memories.added.length,
+            memoriesRemoved: memories.removed.length,
+            truncated: [concepts, relationships, events, memories]
+                .some(diff => Object.values(diff).some(list => list.length > limit))
+        },
+        concepts: { added: cap(concepts.added), removed: cap(concepts.removed), changed: cap(concepts.changed) },
+        relationships: { added: cap(relationships.added), removed: cap(relationships.removed), changed: cap(relationships.changed) },
+        events: { added: cap(events.added), removed: cap(events.removed) },
+        memories: { added: cap(memories.added), removed: cap(memories.removed) }
+    };
+}
+
+/**
+ * Counts recorded in snapshot manifests
+ */
+function stateCounts(state) {
+    return {
+        memories: memoriesOf(state).length,
+        concepts: conceptsOf(state).size,
+        relationships: relationshipsOf(state).size,
+        events: eventsOf(state).length
+    };
+}
+
+function conceptsOf(state) {
+    const concepts = state && state.semanticLayer && state.semanticLayer.concepts;
+    return new Map(concepts || []);
+}
+
+/**
+ * Relationship weights by unordered concept pair (both directions summed)
+ */
+function relationshipsOf(state) {
+    const weights = new Map();
+    const relationships = state && state.semanticLayer && state.semanticLayer.relationships;
+    for (const [key, weight] of relationships || []) {
+        const [source, target] = key.split('::');
+        const pair = [source, target].sort().join('::');
+        weights.set(pair, (weights.get(pair) || 0) + weight);
+    }
+    return weights;
+}
+
+function eventsOf(state) {
+    return (state && state.temporalLayer && state.temporalLayer.events) || [];
+}
+
+function memoriesOf(state) {
+    return (state && state.contextLayer && state.contextLayer.memories) || [];
+}
+
+function diffConcepts(before, after) {
+    const previous = conceptsOf(before);
+    const current = conceptsOf(after);
+    const describe = (name, concept) => ({ name, frequency: concept.frequency || 0 });
+
+    return {
+        added: Array.from(current).filter(([name]) => !previous.has(name)).map(([name, concept]) => describe(name, concept)),
+        removed: Array.from(previous).filter(([name]) => !current.has(name)).map(([name, concept]) => describe(name, concept)),
+        changed: Array.from(current)
+            .filter(([name, concept]) => previous.has(name) && (previous.get(name).frequency || 0) !== (concept.frequency || 0))
+            .map(([name, concept]) => ({
+                name,
+                frequency: { before: previous.get(name).frequency || 0, after: concept.frequency || 0 }
+            }))
+    };
+}
+
+function diffRelationships(before, after) {
+    const previous = relationshipsOf(before);
+    const current = relationshipsOf(after);
+    const describe = (pair, fields) => {
+        const [source, target] = pair.split('::');
+        return { source, target, ...fields };
+    };
+
+    return {
+        added: Array.from(current).filter(([pair]) => !previous.has(pair))
+            .map(([pair, weight]) => describe(pair, { weight })),
+        removed: Array.from(previous).filter(([pair]) => !current.has(pair))
+            .map(([pair, weight]) => describe(pair, { weight })),
+        changed: Array.from(current)
+            .filter(([pair, weight]) => previous.has(pair) && previous.get(pair) !== weight)
+            .map(([pair, weight]) => describe(pair, { before: previous.get(pair), after: weight, delta: weight - previous.get(pair) }))
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    };
+}
+
+function diffById(previousItems, currentItems, describe) {
+    const previous = new Set(previousItems.map(item => item.id));
+    const current = new Set(currentItems.map(item => item.id));
+
+    return {
+        added: currentItems.filter(item => !previous.has(item.id)).map(describe),
+        removed: previousItems.filter(item => !current.has(item.id)).map(describe)
+    };
+}
+
+function describeEvent(event) {
+    return {
+        id: event.id,
+        timestamp: event.timestamp,
+        text: event.text,
+        concepts: event.concepts || [],
+        compressed: Boolean(event.metadata && event.metadata.compressed)
+    };
+}
+
+function describeMemory(memory) {
+    return {
+        id: memory.id,
+        createdAt: memory.createdAt,
+        text: memory.text
+    };
+}
+
+module.exports = {
+    SnapshotStore,
+    diffStates,
+    stateCounts,
+    parseTime
+};
@@ -0,0 +1,113 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Memory Strength Model
+ * Importance scoring and an Ebbinghaus-style forgetting curve for
+ * working memories
+ *
+ * - Importance (0-1) from sentiment magnitude, entity density, retrieval
+ *   hits and explicit pins (a pinned memory is always fully important)
+ * - Retention R = exp(-elapsed / stability); stability starts at a base
+ *   interval scaled by importance
+ * - Each retrieval reinforces stability; reviews after more forgetting
+ *   (lower R) grow it more, as in spaced repetition
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+class MemoryStrengthModel {
+    constructor(config = {}) {
+        this.baseStability = config.baseStability || 3600000; // 1 hour
+        this.reinforcementGrowth = config.reinforcementGrowth || 1.5;
+        this.importanceThreshold = config.importanceThreshold !== undefined ? config.importanceThreshold : 0.7;
+        this.fadeThreshold = config.fadeThreshold !== undefined ? config.fadeThreshold : 0.05;
+        this.weights = {
+            sentiment: 0.25,
+            entities: 0.25,
+            retrieval: 0.5,
+            ...config.weights
+        };
+    }
+
+    /**
+     * Initialize strength fields on a new memory
+     */
+    initialize(memory, now = Date.now()) {
+        memory.pinned = Boolean(memory.pinned || (memory.metadata && memory.metadata.pinned));
+        memory.importance = this.scoreImportance(memory);
+        memory.stability = this.baseStability * (1 + 4 * memory.importance);
+        memory.lastReinforced = now;
+        return memory;
+    }
+
+    /**
+     * Importance from content signals and usage
+     */
+    scoreImportance(memory) {
+        if (memory.pinned) return 1;
+
+        const components = this.importanceComponents(memory);
+        const importance = components.sentiment * this.weights.sentiment +
+            components.entities * this.weights.entities +
+            components.retrieval * this.weights.retrieval;
+
+        return Math.round(Math.min(1, importance) * 1000) / 1000;
+    }
+
+    importanceComponents(memory) {
+        const sentiment = memory.sentiment || {};
+        const tokenCount = Math.max((memory.tokens || []).length, 1);
+
+        return {
+            // Strong feelings either way are memorable
+            sentiment: Math.max(
+                Math.min(1, Math.abs(sentiment.score || 0) / 3),
+                Math.min(1, Math.abs(sentiment.comparative || 0) * 5)
+            ),
+            entities: Math.min(1, ((memory.entities || []).length / tokenCount) * 5),
+            retrieval: 1 - Math.exp(-(memory.accessCount || 0) / 3)
+        };
+    }
+
+    /**
+     * Probability-like recall strength in 0-1
+     */
+    retention(memory, now = Date.now()) {
+        if (memory.pinned) return 1;
+
+        const stability = memory.stability || this.baseStability;
+        const lastReinforced = memory.lastReinforced || memory.lastAccessed || memory.createdAt || now;
+        return Math.exp(-Math.max(0, now - lastReinforced) / stability);
+    }
+
+    /**
+     * Record a retrieval hit
+     */
+    reinforce(memory, now = Date.now()) {
+        const retention = this.retention(memory, now);
+
+        memory.accessCount = (memory.accessCount || 0) + 1;
+        memory.lastAccessed = now;
+        memory.stability = (memory.stability || this.baseStability) * this.reinforcementGrowth * (2 - retention);
+        memory.lastReinforced = now;
+        memory.importance = this.scoreImportance(memory);
+
+        return memory;
+    }
+
+    pin(memory, pinned = true) {
+        memory.pinned = pinned;
+        memory.importance = this.scoreImportance(memory);
+        return memory;
+    }
+
+    shouldPromote(memory) {
+        return !memory.promotedAt && memory.importance >= this.importanceThreshold;
+    }
+
+    shouldFade(memory, now = Date.now()) {
+        return !memory.pinned && this.retention(memory, now) < this.fadeThreshold;
+    }
+}
+
+module.exports = { MemoryStrengthModel };
@@ -0,0 +1,185 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Predictive Reminders
+ * Upcoming occurrences projected from recurring temporal patterns
+ *
+ * - A recurring pattern (similar events at regular intervals, see
+ *   TemporalLayer.detectRecurringPattern) with enough confidence,
+ *   occurrences and a long enough interval predicts its next occurrence:
+ *   the last one plus the average interval, rolled forward over missed
+ *   occurrences (too many missed and the habit is taken as broken).
+ *   The agent's own messages are not occurrences, so mentioning a
+ *   prediction doesn't confirm it
+ * - Patterns about the same topic (the concepts most occurrences share, or
+ *   their shared terms) make one prediction, the latest detection winning;
+ *   the prediction id is derived from the topic, so it is stable across
+ *   detections and restarts
+ * - Cadences near a day or whole weeks are described in calendar terms
+ *   ("every day", "on Fridays", "every other Monday") in the caller's time
+ *   zone, others in days or hours
+ * - Users confirm or dismiss predictions; a dismissed topic is not
+ *   suggested again unless confirmed later. Feedback is kept by prediction
+ *   id and holds no event content
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const crypto = require('crypto');
+const { tokenize } = require('./inverted-index');
+const { Clock } = require('./temporal-expressions');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isAgentMessage = event => Boolean(event.metadata &&
+    (event.metadata.messageType === 'assistant' || event.metadata.messageType === 'system'));
+
+/**
+ * Up to limit values found in at least half of the lists, most shared first
+ */
+function sharedValues(lists, limit) {
+    const counts = new Map();
+    for (const list of lists) {
+        for (const value of new Set(list)) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+
+    return Array.from(counts)
+        .filter(([, count]) => count >= lists.length / 2)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([value]) => value);
+}
+
+/**
+ * Topic of a pattern's occurrences: { id, concepts, label }
+ */
+function predictionTopic(events) {
+    const concepts = sharedValues(events.map(event => (event.concepts || []).map(concept => String(concept).toLowerCase())), 3);
+    const terms = concepts.length > 0 ? concepts : sharedValues(events.map(event => tokenize(event.text)), 5);
+    const key = terms.slice().sort().join('|');
+
+    return {
+        id: crypto.createHash('sha1').update(key).digest('hex').slice(0, 16),
+        concepts,
+        label: concepts.length > 0 ? concepts.slice(0, 2).join(' and ') : terms.join(' ')
+    };
+}
+
+/**
+ * Calendar description of an interval, on the weekday most occurrences
+ * fell on when the interval is whole weeks
+ */
+function describeCadence(interval, timestamps, timezoneOffset) {
+    const days = interval / DAY;
+    if (Math.abs(days - 1) <= 0.15) {
+        return { unit: 'day', every: 1, label: 'every day' };
+    }
+
+    const weeks = Math.round(days / 7);
+    if (weeks >= 1 && Math.abs(days - weeks * 7) <= 1) {
+        const counts = new Array(7).fill(0);
+        timestamps.forEach(timestamp => counts[new Clock({ now: timestamp, timezoneOffset }).weekday]++);
+        const weekday = counts.indexOf(Math.max(...counts));
+        const name = counts[weekday] / timestamps.length >= 2 / 3 ? WEEKDAYS[weekday] : null;
+
+        if (weeks === 1) {
+            return { unit: 'week', every: 1, weekday: name, label: name ? `on ${name}s` : 'every week' };
+        }
+        const every = weeks === 2 ? 'every other' : `every ${weeks} weeks on`;
+        return {
+            unit: 'week',
+            every: weeks,
+            weekday: name,
+            label: name ? `${every} ${name}` : `every ${weeks} weeks`
+        };
+    }
+
+    return days >= 1
+        ? { unit: 'day', every: Math.round(days), label: `every ${Math.round(days)} days` }
+        : { unit: 'hour', every: Math.round(interval / HOUR), label: `every ${Math.round(interval / HOUR)} hours` };
+}
+
+/**
+ * Predictions from a layer's patterns, in no particular order. Options:
+ * { now, minConfidence, minOccurrences, minInterval, maxMissed,
+ * timezoneOffset, feedback (Map of id -> { status, updatedAt }) }
+ */
+function projectPredictions(patterns, options = {}) {
+    const now = options.now !== undefined ? options.now : Date.now();
+    const {
+        minConfidence = 0.85,
+        minOccurrences = 3,
+        minInterval = 12 * HOUR,
+        maxMissed = 2,
+        feedback = new Map()
+    } = options;
+
+    // Latest detection per topic
+    const latest = new Map();
+    for (const pattern of patterns) {
+        if (pattern.type !== 'recurring' || !pattern.pattern || !pattern.pattern.baseEvent) continue;
+
+        const { baseEvent, similarEvents = [], averageInterval, confidence } = pattern.pattern;
+        const occurrences = [...similarEvents, baseEvent]
+            .filter(event => event && Number.isFinite(event.timestamp) && !isAgentMessage(event))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        if (!(confidence >= minConfidence) || occurrences.length < minOccurrences || !(averageInterval >= minInterval)) {
+            continue;
+        }
+
+        const topic = predictionTopic(occurrences);
+        const lastEvent = occurrences[occurrences.length - 1];
+        const existing = latest.get(topic.id);
+        if (existing && existing.lastEvent.timestamp >= lastEvent.timestamp) continue;
+        latest.set(topic.id, { pattern, topic, occurrences, lastEvent });
+    }
+
+    const predictions = [];
+    for (const { pattern, topic, occurrences, lastEvent } of latest.values()) {
+        const { averageInterval: interval, confidence } = pattern.pattern;
+        const timestamps = occurrences.map(event => event.timestamp);
+        const last = lastEvent.timestamp;
+
+        // Occurrences may come early or late by the pattern's spread
+        const tolerance = interval * Math.max(0.1, 1 - confidence);
+        let nextOccurrence = last + interval;
+        let missed = 0;
+        while (nextOccurrence + tolerance < now) {
+            nextOccurrence += interval;
+            missed++;
+        }
+        if (missed > maxMissed) continue;
+
+        const cadence = describeCadence(interval, timestamps, options.timezoneOffset);
+        const entry = feedback.get(topic.id);
+        predictions.push({
+            id: topic.id,
+            topic: topic.label,
+            concepts: topic.concepts,
+            cadence: { ...cadence, interval },
+            confidence,
+            occurrences: timestamps.length,
+            missed,
+            lastOccurrence: last,
+            nextOccurrence,
+            window: { start: nextOccurrence - tolerance, end: nextOccurrence + tolerance },
+            status: entry ? entry.status : 'pending',
+            feedbackAt: entry ? entry.updatedAt : null,
+            patternId: pattern.id,
+            eventId: lastEvent.id,
+            message: `You usually talk about ${topic.label} ${cadence.label}.`
+        });
+    }
+
+    return predictions;
+}
+
+module.exports = {
+    predictionTopic,
+    describeCadence,
+    projectPredictions
+};
@@ -0,0 +1,160 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Provenance and Citations
+ * Where every piece of memory came from
+ *
+ * - A provenance record names the source (conversation message, uploaded
+ *   document, direct input), the span of the source the text was taken
+ *   from, the rule that extracted it, its confidence and when it was
+ *   ingested
+ * - Records are attached to context memories and temporal events, to each
+ *   concept context and key context, and to the originals of compressed
+ *   event groups, so they survive consolidation and compression
+ * - Retrieval turns the records behind the results into numbered citations
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const SOURCE_TYPES = ['conversation_message', 'document', 'direct'];
+
+/**
+ * Provenance record for text ingested with the given metadata. An explicit
+ * metadata.provenance overrides what is derived from the other fields.
+ */
+function createProvenance(metadata = {}, text = '', ingestedAt = Date.now()) {
+    const derived = deriveProvenance(metadata, text);
+    const explicit = {};
+    for (const [field, value] of Object.entries(metadata.provenance || {})) {
+        if (value !== undefined && value !== null) explicit[field] = value;
+    }
+
+    return normalizeProvenance({ ...derived, ...explicit, ingestedAt: explicit.ingestedAt || ingestedAt });
+}
+
+function deriveProvenance(metadata, text) {
+    const length = typeof text === 'string' ? text.length : 0;
+    const confidence = metadata.confidence !== undefined ? metadata.confidence : 1;
+
+    if (metadata.source === 'training' || metadata.fileName || metadata.documentId) {
+        return {
+            sourceType: 'document',
+            sourceId: metadata.documentId || metadata.fileName || null,
+            documentName: metadata.fileName || null,
+            page: metadata.page !== undefined ? metadata.page : null,
+            offsets: metadata.offsets || null,
+            extractor: metadata.extractor || `training.${metadata.knowledgeType || 'content'}`,
+            confidence
+        };
+    }
+
+    if (metadata.conversationId || metadata.messageId) {
+        return {
+            sourceType: 'conversation_message',
+            sourceId: metadata.messageId || metadata.conversationId,
+            conversationId: metadata.conversationId || null,
+            messageId: metadata.messageId || null,
+            offsets: metadata.offsets || { start: 0, end: length },
+            extractor: metadata.extractor || metadata.memoryType || 'conversation_message',
+            confidence
+        };
+    }
+
+    return {
+        sourceType: 'direct',
+        sourceId: metadata.source || null,
+        offsets: metadata.offsets || { start: 0, end: length },
+        extractor: metadata.extractor || metadata.memoryType || 'direct',
+        confidence
+    };
+}
+
+function normalizeProvenance(record) {
+    const confidence = Number(record.confidence);
+    const offsets = record.offsets && Number.isFinite(record.offsets.start) && Number.isFinite(record.offsets.end)
+        ? { start: record.offsets.start, end: record.offsets.end }
+        : null;
+
+    return {
+        sourceType: SOURCE_TYPES.includes(record.sourceType) ? record.sourceType : 'direct',
+        sourceId: record.sourceId !== undefined && record.sourceId !== null ? String(record.sourceId) : null,
+        conversationId: record.conversationId || null,
+        messageId: record.messageId || null,
+        documentName: record.documentName || null,
+        page: Number.isInteger(record.page) ? record.page : null,
+        offsets,
+        extractor: record.extractor || 'unknown',
+        confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : null,
+        ingestedAt: record.ingestedAt || null
+    };
+}
+
+/**
+ * Provenance of a memory or event; items stored before provenance existed
+ * get a record derived from their metadata (extractor unknown)
+ */
+function provenanceOf(item) {
+    if (!item) return null;
+    if (item.provenance) return item.provenance;
+
+    const legacy = createProvenance(item.metadata || {}, item.text, item.createdAt || item.timestamp || null);
+    return { ...legacy, extractor: 'unknown', confidence: null };
+}
+
+/**
+ * Every provenance record behind a retrieval result
+ */
+function resultProvenance(result) {
+    if (result.type === 'concept') {
+        return [
+            ...(result.contextSources || []),
+            ...(result.keyContexts || []).map(entry => entry.provenance)
+        ].filter(Boolean);
+    }
+
+    if (result.metadata && result.metadata.compressed) {
+        return (result.metadata.originals || []).map(original => original.provenance).filter(Boolean);
+    }
+
+    return [provenanceOf(result)];
+}
+
+/**
+ * Numbered citations for ranked results. Each result gets citationIds
+ * pointing into the list; a source cited by several results is listed once.
+ */
+function buildCitations(results, options = {}) {
+    const maxPerResult = options.maxPerResult || 3;
+    const citations = [];
+    const byKey = new Map();
+
+    for (const result of results) {
+        result.citationIds = [];
+
+        for (const record of resultProvenance(result).slice(-maxPerResult)) {
+            const key = [record.sourceType, record.sourceId, record.page,
+                record.offsets ? `${record.offsets.start}-${record.offsets.end}` : ''].join('|');
+            let citation = byKey.get(key);
+            if (!citation) {
+                citation = { id: citations.length + 1, ...record, results: [] };
+                byKey.set(key, citation);
+                citations.push(citation);
+            }
+            citation.results.push({ layer: result.layer, id: result.id, namespace: result.namespace });
+            if (!result.citationIds.includes(citation.id)) {
+                result.citationIds.push(citation.id);
+            }
+        }
+    }
+
+    return citations;
+}
+
+module.exports = {
+    createProvenance,
+    normalizeProvenance,
+    provenanceOf,
+    resultProvenance,
+    buildCitations,
+    SOURCE_TYPES
+};
@@ -0,0 +1,270 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Ranking Profiles
+ * Named weightings of the relevance score and offline learning-to-rank
+ *
+ * - A result's relevance score is a weighted sum of features: its layer,
+ *   matched query keywords and concepts, embedding similarity, memory
+ *   strength (working memories) and recency
+ * - Profiles name a set of weights; "balanced" reproduces the original
+ *   hard-coded ranking, "recent-first" and "knowledge-first" shift it
+ *   towards fresh memories or semantic knowledge
+ * - learnProfile tunes a profile's weights from logged feedback on
+ *   retrieved results with a pairwise logistic model (a result marked
+ *   relevant should outrank the results shown with it that were not),
+ *   regularised towards the base profile so sparse feedback cannot drift
+ *   far from it
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const LAYERS = ['context', 'semantic', 'temporal'];
+
+const BUILTIN_PROFILES = {
+    balanced: {
+        description: 'Working memory first, then knowledge, then history; recency only for events',
+        layerWeights: { context: 1.0, semantic: 0.8, temporal: 0.6 },
+        layerBase: 10,
+        keywordMatch: 5,
+        conceptMatch: 3,
+        embedding: 10,
+        strength: 2.5,
+        recency: 10, // bonus for a new result, falling to 0 over recencyWindowDays
+        recencyWindowDays: 10,
+        recencyLayers: ['temporal']
+    },
+    'recent-first': {
+        description: 'Favour what happened lately in working memory and the timeline',
+        layerWeights: { context: 1.0, semantic: 0.5, temporal: 0.9 },
+        layerBase: 10,
+        keywordMatch: 4,
+        conceptMatch: 2,
+        embedding: 8,
+        strength: 2.5,
+        recency: 20,
+        recencyWindowDays: 3,
+        recencyLayers: ['context', 'temporal']
+    },
+    'knowledge-first': {
+        description: 'Favour consolidated concepts and topical matches over recent activity',
+        layerWeights: { context: 0.7, semantic: 1.0, temporal: 0.4 },
+        layerBase: 10,
+        keywordMatch: 4,
+        conceptMatch: 6,
+        embedding: 12,
+        strength: 1.5,
+        recency: 4,
+        recencyWindowDays: 30,
+        recencyLayers: ['temporal']
+    }
+};
+
+// Learnable weights, in feature order
+const WEIGHTS = ['layer.context', 'layer.semantic', 'layer.temporal', 'keywordMatch', 'conceptMatch', 'embedding', 'strength', 'recency'];
+
+/**
+ * Complete profile from a partial definition; missing weights come from the
+ * base profile, negative or non-numeric weights are rejected
+ */
+function normalizeProfile(definition = {}, base = BUILTIN_PROFILES.balanced) {
+    const profile = {
+        ...base,
+        ...definition,
+        layerWeights: { ...base.layerWeights, ...(definition.layerWeights || {}) },
+        recencyLayers: Array.isArray(definition.recencyLayers) ? definition.recencyLayers : base.recencyLayers
+    };
+
+    const numbers = [
+        ...LAYERS.map(layer => [`layerWeights.${layer}`, profile.layerWeights[layer]]),
+        ...['layerBase', 'keywordMatch', 'conceptMatch', 'embedding', 'strength', 'recency', 'recencyWindowDays']
+            .map(field => [field, profile[field]])
+    ];
+    for (const [field, value] of numbers) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Ranking weight ${field} must be a non-negative number`);
+        }
+    }
+    if (profile.recencyWindowDays === 0) {
+        throw new Error('Ranking weight recencyWindowDays must be positive');
+    }
+    const unknownLayer = profile.recencyLayers.find(layer => !LAYERS.includes(layer));
+    if (unknownLayer) {
+        throw new Error(`Unknown ranking layer: ${unknownLayer}`);
+    }
+
+    return profile;
+}
+
+/**
+ * Raw features of a result: independent of any profile except the age,
+ * which the profile turns into a recency feature
+ */
+function extractFeatures(result, queryInfo, layer) {
+    const keywords = result.keywords && queryInfo.keywords
+        ? result.keywords.filter(k => queryInfo.keywords.some(qk => qk.word === k.word)).map(k => k.word)
+        : [];
+    const concepts = result.concepts && queryInfo.concepts
+        ? result.concepts.filter(c => queryInfo.concepts.includes(c))
+        : [];
+    const timestamp = result.timestamp || result.createdAt || result.lastSeen;
+
+    return {
+        features: {
+            layer,
+            keywords: keywords.length,
+            concepts: concepts.length,
+            embedding: result.vectorSimilarity || 0,
+            // Memory strength: important, well-retained working memories rank higher
+            strength: layer === 'context' ? (result.importance || 0) + (result.retention || 0) : 0,
+            ageDays: timestamp ? Math.max(0, (Date.now() - timestamp) / 86400000) : null
+        },
+        matched: { keywords, concepts }
+    };
+}
+
+/**
+ * Weighted contribution of each feature to the relevance score
+ */
+function scoreFeatures(features, profile) {
+    const recent = profile.recencyLayers.includes(features.layer) && features.ageDays !== null;
+
+    return {
+        layer: (profile.layerWeights[features.layer] !== undefined ? profile.layerWeights[features.layer] : 0.5) * profile.layerBase,
+        keywords: features.keywords * profile.keywordMatch,
+        concepts: features.concepts * profile.conceptMatch,
+        embedding: features.embedding * profile.embedding,
+        strength: features.strength * profile.strength,
+        recency: recent ? profile.recency * Math.max(0, 1 - features.ageDays / profile.recencyWindowDays) : 0
+    };
+}
+
+function featureVector(features, profile) {
+    const recent = profile.recencyLayers.includes(features.layer) && features.ageDays !== null;
+
+    return [
+        features.layer === 'context' ? profile.layerBase : 0,
+        features.layer === 'semantic' ? profile.layerBase : 0,
+        features.layer === 'temporal' ? profile.layerBase : 0,
+        features.keywords,
+        features.concepts,
+        features.embedding,
+        features.strength,
+        recent ? Math.max(0, 1 - features.ageDays / profile.recencyWindowDays) : 0
+    ];
+}
+
+function weightVector(profile) {
+    return [
+        profile.layerWeights.context,
+        profile.layerWeights.semantic,
+        profile.layerWeights.temporal,
+        profile.keywordMatch,
+        profile.conceptMatch,
+        profile.embedding,
+        profile.strength,
+        profile.recency
+    ];
+}
+
+function profileFromWeights(weights, base) {
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        ...base,
+        layerWeights: { context: round(weights[0]), semantic: round(weights[1]), temporal: round(weights[2]) },
+        keywordMatch: round(weights[3]),
+        conceptMatch: round(weights[4]),
+        embedding: round(weights[5]),
+        strength: round(weights[6]),
+        recency: round(weights[7])
+    };
+}
+
+/**
+ * Preference pairs from feedback on logged retrievals. Each retrieval is
+ * { results: [{ id, rank, features }], relevant: [ids], irrelevant: [ids] }.
+ * A relevant result is preferred over results marked irrelevant and over
+ * unmarked results that were ranked above it (they were seen and skipped).
+ */
+function preferencePairs(retrievals) {
+    const pairs = [];
+
+    for (const retrieval of retrievals) {
+        const relevant = new Set(retrieval.relevant);
+        const irrelevant = new Set(retrieval.irrelevant);
+        const byRank = [...retrieval.results].sort((a, b) => a.rank - b.rank);
+
+        for (const preferred of byRank.filter(result => relevant.has(result.id))) {
+            for (const other of byRank) {
+                if (relevant.has(other.id)) continue;
+                if (irrelevant.has(other.id) || other.rank < preferred.rank) {
+                    pairs.push([preferred.features, other.features]);
+                }
+            }
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Tune the weights of a base profile from feedback (see preferencePairs).
+ * Minimises the pairwise logistic loss log(1 + exp(-margin / temperature))
+ * plus an L2 penalty on the distance from the base weights, by batch
+ * gradient descent with weights kept non-negative.
+ */
+function learnProfile(retrievals, base = BUILTIN_PROFILES.balanced, options = {}) {
+    const epochs = options.epochs || 200;
+    const learningRate = options.learningRate || 0.5;
+    const regularization = options.regularization !== undefined ? options.regularization : 0.01;
+    const temperature = options.temperature || 5;
+
+    const pairs = preferencePairs(retrievals).map(([preferred, other]) => {
+        const a = featureVector(preferred, base);
+        const b = featureVector(other, base);
+        return a.map((value, i) => value - b[i]);
+    });
+
+    const initial = weightVector(base);
+    const weights = [...initial];
+    const margin = diff => diff.reduce((sum, value, i) => sum + value * weights[i], 0);
+    const accuracy = () => pairs.length
+        ? pairs.filter(diff => margin(diff) > 0).length / pairs.length
+        : null;
+    const before = accuracy();
+
+    for (let epoch = 0; epoch < epochs && pairs.length > 0; epoch++) {
+        const gradient = weights.map((weight, i) => regularization * (weight - initial[i]));
+        for (const diff of pairs) {
+            // d/dw log(1 + exp(-m/T)) = -sigmoid(-m/T) * diff / T
+            const pull = 1 / (1 + Math.exp(margin(diff) / temperature)) / temperature;
+            diff.forEach((value, i) => {
+                gradient[i] -= pull * value / pairs.length;
+            });
+        }
+        gradient.forEach((value, i) => {
+            weights[i] = Math.max(0, weights[i] - learningRate * value);
+        });
+    }
+
+    return {
+        profile: profileFromWeights(weights, base),
+        stats: {
+            retrievals: retrievals.length,
+            pairs: pairs.length,
+            epochs,
+            pairwiseAccuracy: { before, after: accuracy() },
+            weights: Object.fromEntries(WEIGHTS.map((name, i) => [name, { before: initial[i], after: Math.round(weights[i] * 1000) / 1000 }]))
+        }
+    };
+}
+
+module.exports = {
+    BUILTIN_PROFILES,
+    normalizeProfile,
+    extractFeatures,
+    scoreFeatures,
+    preferencePairs,
+    learnProfile
+};
@@ -0,0 +1,260 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - State Schema
+ * Schema versions, migrations and validation of saved namespace states
+ *
+ * - Every saved state (main.json, its backups, snapshot files, remote
+ *   backups) carries schemaVersion; SCHEMA_VERSION is what this release
+ *   writes
+ * - MIGRATIONS upgrades older states one version at a time. States without
+ *   schemaVersion predate versioning and run through every step; each step
+ *   only repairs what is missing or malformed, so that is safe whichever
+ *   earlier release wrote the file
+ * - States are validated after migration; problems are reported with the
+ *   path of the offending value instead of being imported half-broken
+ * - States from a newer release are refused rather than guessed at
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const SCHEMA_VERSION = 3;
+const MAX_REPORTED_ERRORS = 20;
+
+class StateSchemaError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+        this.name = 'StateSchemaError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Upgrade steps, in order: { from, to, description, migrate(state) }.
+ * migrate returns the upgraded state and may modify its argument.
+ */
+const MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'Concept connections saved as arrays (early releases wrote the Set as {}), rebuilt from relationships where lost',
+        migrate(state) {
+            const semantic = state.semanticLayer;
+            if (!semantic || !Array.isArray(semantic.concepts)) return state;
+
+            const neighbors = new Map();
+            for (const [key] of Array.isArray(semantic.relationships) ? semantic.relationships : []) {
+                const [source, target] = String(key).split('::');
+                if (!source || !target) continue;
+                if (!neighbors.has(source)) neighbors.set(source, new Set());
+                if (!neighbors.has(target)) neighbors.set(target, new Set());
+                neighbors.get(source).add(target);
+                neighbors.get(target).add(source);
+            }
+
+            semantic.concepts = semantic.concepts.map(([name, concept]) => {
+                const connections = Array.isArray(concept.connections)
+                    ? concept.connections
+                    : Array.from(neighbors.get(name) || []);
+                return [name, {
+                    ...concept,
+                    connections,
+                    context: Array.isArray(concept.context) ? concept.context : [],
+                    events: Array.isArray(concept.events) ? concept.events : []
+                }];
+            });
+            return state;
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Concept clusters with label, label source, size and update time',
+        migrate(state) {
+            const semantic = state.semanticLayer;
+            if (!semantic || !Array.isArray(semantic.clusters)) return state;
+
+            semantic.clusters = semantic.clusters.map(cluster => {
+                const concepts = Array.isArray(cluster.concepts) ? cluster.concepts : [];
+                return {
+                    ...cluster,
+                    concepts,
+                    label: cluster.label || concepts.slice(0, 3).join(' / '),
+                    labelSource: cluster.labelSource || 'auto',
+                    size: concepts.length,
+                    updatedAt: cluster.updatedAt || cluster.createdAt || null
+                };
+            });
+            return state;
+        }
+    }
+];
+
+/**
+ * Version a state was written with (1 for states from before versioning)
+ */
+function stateVersion(state) {
+    return state && state.schemaVersion !== undefined ? state.schemaVersion : 1;
+}
+
+/**
+ * Migration steps that take a state from a version to SCHEMA_VERSION
+ */
+function migrationPath(fromVersion) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new StateSchemaError(`Invalid schemaVersion ${JSON.stringify(fromVersion)}`);
+    }
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new StateSchemaError(`State schema version ${fromVersion} is newer than this release supports (${SCHEMA_VERSION}); upgrade the server`);
+    }
+
+    const steps = [];
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new StateSchemaError(`No migration from schema version ${version}`);
+        }
+        steps.push(step);
+    }
+    return steps;
+}
+
+/**
+ * Upgrade a state to SCHEMA_VERSION and validate it. Returns { state,
+ * fromVersion, toVersion, applied: [descriptions] }; throws
+ * StateSchemaError when the state can't be migrated or is invalid after.
+ * The input is not modified.
+ */
+function migrateState(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new StateSchemaError('Memory state must be a JSON object');
+    }
+
+    const fromVersion = stateVersion(input);
+    const steps = migrationPath(fromVersion);
+
+    let state = steps.length > 0 ? JSON.parse(JSON.stringify(input)) : input;
+    for (const step of steps) {
+        state = step.migrate(state);
+        state.schemaVersion = step.to;
+    }
+
+    const errors = validateState(state);
+    if (errors.length > 0) {
+        throw new StateSchemaError('Invalid memory state', errors);
+    }
+
+    return {
+        state,
+        fromVersion,
+        toVersion: SCHEMA_VERSION,
+        applied: steps.map(step => `${step.from} -> ${step.to}: ${step.description}`)
+    };
+}
+
+/**
+ * Structural problems of a current-version state, as "path: problem" strings
+ * (at most MAX_REPORTED_ERRORS, then a count of the rest)
+ */
+function validateState(state) {
+    const errors = [];
+    const fail = (where, problem) => errors.push(`${where}: ${problem}`);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkArray = (value, where) => {
+        if (value === undefined) return false;
+        if (!Array.isArray(value)) {
+            fail(where, 'must be an array');
+            return false;
+        }
+        return true;
+    };
+    const checkEntries = (value, where, checkEntry) => {
+        if (!checkArray(value, where)) return;
+        value.forEach((entry, index) => {
+            if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'string') {
+                fail(`${where}[${index}]`, 'must be a [key, value] pair with a string key');
+            } else {
+                checkEntry(entry[0], entry[1], `${where}[${index}]`);
+            }
+        });
+    };
+
+    if (state.schemaVersion !== SCHEMA_VERSION) {
+        fail('schemaVersion', `expected ${SCHEMA_VERSION}, found ${JSON.stringify(state.schemaVersion)}`);
+    }
+
+    for (const layer of ['contextLayer', 'semanticLayer', 'temporalLayer']) {
+        if (state[layer] !== undefined && !isObject(state[layer])) {
+            fail(layer, 'must be an object');
+        }
+    }
+
+    const context = isObject(state.contextLayer) ? state.contextLayer : {};
+    if (checkArray(context.memories, 'contextLayer.memories')) {
+        context.memories.forEach((memory, index) => {
+            if (!isObject(memory) || typeof memory.id !== 'string') {
+                fail(`contextLayer.memories[${index}]`, 'must be an object with a string id');
+            }
+        });
+    }
+    checkEntries(context.connections, 'contextLayer.connections', (id, link, where) => {
+        if (!isObject(link)) fail(`${where}[1]`, 'must be an object');
+    });
+
+    const semantic = isObject(state.semanticLayer) ? state.semanticLayer : {};
+    checkEntries(semantic.concepts, 'semanticLayer.concepts', (name, concept, where) => {
+        if (!isObject(concept)) {
+            fail(`${where}[1]`, 'must be an object');
+            return;
+        }
+        if (!Array.isArray(concept.connections)) fail(`${where}[1].connections`, 'must be an array');
+        if (concept.frequency !== undefined && typeof concept.frequency !== 'number') {
+            fail(`${where}[1].frequency`, 'must be a number');
+        }
+    });
+    checkEntries(semantic.relationships, 'semanticLayer.relationships', (key, weight, where) => {
+        if (!key.includes('::')) fail(`${where}[0]`, 'must be "concept::concept"');
+        if (typeof weight !== 'number' || !Number.isFinite(weight)) fail(`${where}[1]`, 'must be a number');
+    });
+    if (checkArray(semantic.clusters, 'semanticLayer.clusters')) {
+        semantic.clusters.forEach((cluster, index) => {
+            if (!isObject(cluster) || !Array.isArray(cluster.concepts)) {
+                fail(`semanticLayer.clusters[${index}]`, 'must be an object with a concepts array');
+            }
+        });
+    }
+
+    const temporal = isObject(state.temporalLayer) ? state.temporalLayer : {};
+    if (checkArray(temporal.events, 'temporalLayer.events')) {
+        temporal.events.forEach((event, index) => {
+            if (!isObject(event) || typeof event.id !== 'string' || typeof event.timestamp !== 'number') {
+                fail(`temporalLayer.events[${index}]`, 'must be an object with a string id and a numeric timestamp');
+            }
+        });
+    }
+    checkEntries(temporal.timelines, 'temporalLayer.timelines', (key, timeline, where) => {
+        if (!isObject(timeline) || !Array.isArray(timeline.events)) {
+            fail(`${where}[1]`, 'must be an object with an events array');
+        }
+    });
+    checkArray(temporal.patterns, 'temporalLayer.patterns');
+    checkEntries(temporal.predictionFeedback, 'temporalLayer.predictionFeedback', (id, feedback, where) => {
+        if (!isObject(feedback) || typeof feedback.status !== 'string') {
+            fail(`${where}[1]`, 'must be an object with a string status');
+        }
+    });
+
+    if (errors.length > MAX_REPORTED_ERRORS) {
+        return [...errors.slice(0, MAX_REPORTED_ERRORS), `... and ${errors.length - MAX_REPORTED_ERRORS} more`];
+    }
+    return errors;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    StateSchemaError,
+    stateVersion,
+    migrateState,
+    validateState
+};
@@ -0,0 +1,585 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Temporal Expressions
+ * Time references in natural-language queries, resolved to time ranges
+ *
+ * - English, Russian, Ukrainian and German: relative days ("yesterday",
+ *   "позавчера"), parts of the day ("this morning", "вчора ввечері",
+ *   "gestern Abend"), weekdays ("last Tuesday", "во вторник"), "N units
+ *   ago", "the last N days", calendar periods ("last week", "в этом
+ *   месяце"), months ("in March", "у березні"), years, ISO (2025-03-01)
+ *   and dotted (01.03.2025) dates, date ranges and since/before bounds
+ * - Calendar arithmetic runs in the asker's time zone (a fixed UTC offset
+ *   in minutes, the server's by default); weeks start on Monday unless
+ *   configured otherwise
+ * - Ranges are { start, end } in epoch milliseconds, end inclusive, the
+ *   same shape TemporalLayer.search takes. Several expressions in one query
+ *   resolve to the span covering all of them.
+ * - The query text without the matched expressions is returned for the
+ *   semantic part of the search
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const LANGUAGES = ['en', 'ru', 'uk', 'de'];
+
+// Word boundaries that also hold for Cyrillic (\b only knows ASCII)
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+const APOSTROPHE = '[\'’ʼ]';
+const DATE = '\\d{4}-\\d{2}(?:-\\d{2})?|\\d{1,2}\\.\\d{1,2}\\.\\d{4}';
+
+// Hours of each part of the day; night runs into the next morning
+const PARTS_OF_DAY = {
+    morning: [5, 12],
+    noon: [11, 14],
+    afternoon: [12, 18],
+    evening: [17, 23],
+    night: [18, 30]
+};
+
+/**
+ * Word lists per language. Values are regex alternatives; the lookup
+ * tables map a matched (lower-cased) word back to its meaning.
+ */
+const LEXICON = {
+    en: {
+        numbers: {
+            'a couple of': 2, 'a few': 3, few: 3, a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+            six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+        },
+        units: { hour: 'hours?', day: 'days?', week: 'weeks?', month: 'months?', year: 'years?' },
+        weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+        months: [
+            'january', 'february', 'march', 'april', 'may', 'june',
+            'july', 'august', 'september', 'october', 'november', 'december'
+        ],
+        relativeDays: { 'the day before yesterday': -2, 'day before yesterday': -2, yesterday: -1, today: 0, tomorrow: 1 },
+        parts: { morning: 'morning', noon: 'noon', midday: 'noon', afternoon: 'afternoon', evening: 'evening', night: 'night' },
+        previous: 'last|previous',
+        current: 'this|current',
+        next: 'next|coming'
+    },
+    ru: {
+        numbers: {
+            пару: 2, несколько: 3, один: 1, одна: 1, одну: 1, два: 2, две: 2, три: 3, четыре: 4, пять: 5,
+            шесть: 6, семь: 7, восемь: 8, девять: 9, десять: 10
+        },
+        units: {
+            hour: 'час(?:а|ов)?',
+            day: 'день|дня|дней|сутки|суток',
+            week: 'недел(?:ю|и|ь|я)',
+            month: 'месяц(?:а|ев)?',
+            year: 'год(?:а|у)?|лет'
+        },
+        weekdays: [
+            'воскресенье|воскресенья', 'понедельник|понедельника', 'вторник|вторника', 'среду|среда|среды',
+            'четверг|четверга', 'пятницу|пятница|пятницы', 'субботу|суббота|субботы'
+        ],
+        months: [
+            'январь|января|январе', 'февраль|февраля|феврале', 'март|марта|марте', 'апрель|апреля|апреле',
+            'май|мая|мае', 'июнь|июня|июне', 'июль|июля|июле', 'август|августа|августе',
+            'сентябрь|сентября|сентябре', 'октябрь|октября|октябре', 'ноябрь|ноября|ноябре', 'декабрь|декабря|декабре'
+        ],
+        relativeDays: { позавчера: -2, вчера: -1, сегодня: 0, завтра: 1, послезавтра: 2 },
+        parts: { утром: 'morning', утра: 'morning', днём: 'afternoon', днем: 'afternoon', вечером: 'evening', вечера: 'evening', ночью: 'night' },
+        previous: 'прошл\\p{L}*|предыдущ\\p{L}*',
+        current: 'эт\\p{L}*|текущ\\p{L}*',
+        next: 'следующ\\p{L}*'
+    },
+    uk: {
+        numbers: {
+            пару: 2, кілька: 3, декілька: 3, один: 1, одна: 1, одну: 1, два: 2, дві: 2, три: 3, чотири: 4,
+            "п'ять": 5, шість: 6, сім: 7, вісім: 8, "дев'ять": 9, десять: 10
+        },
+        units: {
+            hour: 'годин(?:у|и)?',
+            day: 'день|дні|днів|доби|добу',
+            week: 'тиждень|тижні|тижнів|тижня',
+            month: 'місяць|місяці|місяців|місяця',
+            year: 'рік|роки|років|року'
+        },
+        weekdays: [
+            'неділю|неділя|неділі', 'понеділок|понеділка', 'вівторок|вівторка', 'середу|середа|середи',
+            'четвер|четверга', `п${APOSTROPHE}ятницю|п${APOSTROPHE}ятниця|п${APOSTROPHE}ятниці`, 'суботу|субота|суботи'
+        ],
+        months: [
+            'січень|січня|січні', 'лютий|лютого|лютому', 'березень|березня|березні', 'квітень|квітня|квітні',
+            'травень|травня|травні', 'червень|червня|червні', 'липень|липня|липні', 'серпень|серпня|серпні',
+            'вересень|вересня|вересні', 'жовтень|жовтня|жовтні', 'листопад|листопада|листопаді', 'грудень|грудня|грудні'
+        ],
+        relativeDays: { позавчора: -2, позавчера: -2, вчора: -1, учора: -1, сьогодні: 0, завтра: 1, післязавтра: 2 },
+        parts: {
+            вранці: 'morning', зранку: 'morning', ранку: 'morning', вдень: 'afternoon', удень: 'afternoon',
+            ввечері: 'evening', увечері: 'evening', вечора: 'evening', вночі: 'night', уночі: 'night', ночі: 'night'
+        },
+        previous: 'минул\\p{L}*|попередн\\p{L}*',
+        current: 'ц(?:ей|ього|ю|ієї|ьому|ій)|поточн\\p{L}*',
+        next: 'наступн\\p{L}*'
+    },
+    de: {
+        numbers: {
+            'ein paar': 3, paar: 3, einigen: 3, ein: 1, eine: 1, einem: 1, einer: 1, einen: 1, zwei: 2, drei: 3,
+            vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12
+        },
+        units: { hour: 'Stunden?', day: 'Tag(?:e|en)?', week: 'Wochen?', month: 'Monat(?:e|en)?', year: 'Jahr(?:e|en)?' },
+        weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag|sonnabend'],
+        months: [
+            'januar|jänner', 'februar', 'märz', 'april', 'mai', 'juni',
+            'juli', 'august', 'september', 'oktober', 'november', 'dezember'
+        ],
+        // "morgen" (tomorrow) is only lower case; "Morgen" is the morning
+        relativeDays: { vorgestern: -2, gestern: -1, heute: 0, übermorgen: 2 },
+        parts: {
+            morgen: 'morning', früh: 'morning', vormittag: 'morning', mittag: 'noon',
+            nachmittag: 'afternoon', abend: 'evening', nacht: 'night'
+        },
+        previous: 'letzte[nrms]?|vergangene[nrms]?|vorige[nrms]?',
+        current: 'diese[nrms]?',
+        next: 'nächste[nrms]?|kommende[nrms]?'
+    }
+};
+
+/**
+ * Calendar arithmetic in a fixed UTC offset: times are shifted by the
+ * offset and read with the UTC getters
+ */
+class Clock {
+    constructor(options = {}) {
+        this.now = options.now !== undefined ? options.now : Date.now();
+        const offsetMinutes = options.timezoneOffset !== undefined && options.timezoneOffset !== null
+            ? options.timezoneOffset
+            : -new Date(this.now).getTimezoneOffset();
+        this.offset = offsetMinutes * 60000;
+        this.weekStartsOn = options.weekStartsOn !== undefined ? options.weekStartsOn : 1;
+
+        const local = new Date(this.now + this.offset);
+        this.year = local.getUTCFullYear();
+        this.month = local.getUTCMonth();
+        this.date = local.getUTCDate();
+        this.weekday = local.getUTCDay();
+        this.hour = local.getUTCHours();
+    }
+
+    // Epoch time of a local calendar time (fields may overflow, as in Date.UTC)
+    at(year, month, date = 1, hour = 0) {
+        return Date.UTC(year, month, date, hour) - this.offset;
+    }
+
+    span(start, end) {
+        return { start, end: end - 1 };
+    }
+
+    day(offset = 0, hours = [0, 24]) {
+        return this.span(
+            this.at(this.year, this.month, this.date + offset, hours[0]),
+            this.at(this.year, this.month, this.date + offset, hours[1])
+        );
+    }
+
+    /**
+     * The calendar hour, day, week, month or year offset periods from the current one
+     */
+    period(unit, offset = 0) {
+        switch (unit) {
+            case 'hour':
+                return this.span(
+                    this.at(this.year, this.month, this.date, this.hour + offset),
+                    this.at(this.year, this.month, this.date, this.hour + offset + 1)
+                );
+            case 'day':
+                return this.day(offset);
+            case 'week': {
+                const first = this.date - ((this.weekday - this.weekStartsOn + 7) % 7) + offset * 7;
+                return this.span(this.at(this.year, this.month, first), this.at(this.year, this.month, first + 7));
+            }
+            case 'month':
+                return this.span(this.at(this.year, this.month + offset, 1), this.at(this.year, this.month + offset + 1, 1));
+            default:
+                return this.span(this.at(this.year + offset, 0, 1), this.at(this.year + offset + 1, 0, 1));
+        }
+    }
+
+    /**
+     * "count units ago": the calendar hour, day, month or year; for weeks
+     * the seven days around that point, as "two weeks ago" rarely means a
+     * calendar week
+     */
+    ago(unit, count) {
+        if (unit !== 'week') {
+            return this.period(unit, -count);
+        }
+        return this.span(
+            this.at(this.year, this.month, this.date - count * 7 - 3),
+            this.at(this.year, this.month, this.date - count * 7 + 4)
+        );
+    }
+
+    /**
+     * From count units back until now
+     */
+    window(unit, count) {
+        if (unit === 'month' || unit === 'year') {
+            const local = new Date(this.now + this.offset);
+            if (unit === 'month') local.setUTCMonth(local.getUTCMonth() - count);
+            else local.setUTCFullYear(local.getUTCFullYear() - count);
+            return { start: local.getTime() - this.offset, end: this.now };
+        }
+        const length = { hour: HOUR, day: DAY, week: WEEK }[unit];
+        return { start: this.now - count * length, end: this.now };
+    }
+
+    /**
+     * A weekday (0 = Sunday): the latest one up to today, the latest
+     * before today ('previous') or the first after today ('next')
+     */
+    weekdayDate(weekday, relation) {
+        if (relation === 'next') {
+            return this.day((weekday - this.weekday + 7) % 7 || 7);
+        }
+        const back = (this.weekday - weekday + 7) % 7;
+        return this.day(-(relation === 'previous' && back === 0 ? 7 : back));
+    }
+
+    /**
+     * A month of the given year, or its latest occurrence up to now
+     */
+    monthOf(month, year = null) {
+        const resolvedYear = year !== null ? year : (month <= this.month ? this.year : this.year - 1);
+        return this.span(this.at(resolvedYear, month, 1), this.at(resolvedYear, month + 1, 1));
+    }
+
+    /**
+     * A day narrowed to a part of it (night runs into the next morning)
+     */
+    partOf(range, part) {
+        const local = new Date(range.start + this.offset);
+        const [from, to] = PARTS_OF_DAY[part];
+        return this.span(
+            this.at(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), from),
+            this.at(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), to)
+        );
+    }
+
+    /**
+     * An ISO (2025-03-01, 2025-03) or dotted (01.03.2025) date as the day or month it covers
+     */
+    parseDate(text) {
+        let match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(text);
+        if (match) {
+            const [year, month, date] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, match[3] && parseInt(match[3], 10)];
+            if (month > 11 || (date !== undefined && (date < 1 || date > 31))) return null;
+            return date !== undefined
+                ? this.span(this.at(year, month, date), this.at(year, month, date + 1))
+                : this.span(this.at(year, month, 1), this.at(year, month + 1, 1));
+        }
+
+        match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text);
+        if (match) {
+            const [date, month, year] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+            if (month > 11 || date < 1 || date > 31) return null;
+            return this.span(this.at(year, month, date), this.at(year, month, date + 1));
+        }
+
+        return null;
+    }
+}
+
+const alternatives = words => words.map(word => word.replace(/'/g, APOSTROPHE).replace(/ /g, '\\s+')).join('|');
+const keys = table => alternatives(Object.keys(table).sort((a, b) => b.length - a.length));
+const normalize = word => word.toLowerCase().replace(/\s+/g, ' ').replace(/[’ʼ]/g, "'");
+
+const matchIndex = (patterns, word) => patterns.findIndex(pattern => new RegExp(`^(?:${pattern})$`, 'iu').test(word));
+const unitOf = (lexicon, word) => Object.keys(lexicon.units).find(unit => new RegExp(`^(?:${lexicon.units[unit]})$`, 'iu').test(word));
+const countOf = (lexicon, word) => (word === undefined ? 1 : /^\d+$/.test(word) ? parseInt(word, 10) : lexicon.numbers[normalize(word)]);
+const relationOf = (lexicon, word) => {
+    if (!word) return null;
+    for (const relation of ['previous', 'current', 'next']) {
+        if (new RegExp(`^(?:${lexicon[relation]})$`, 'iu').test(word)) return relation;
+    }
+    return null;
+};
+const periodOffset = { previous: -1, current: 0, next: 1 };
+const yearOf = text => {
+    const year = parseInt(text, 10);
+    return year >= 1970 && year <= 2100 ? year : null;
+};
+
+/**
+ * Expression rules of one language, in priority order: a text span taken
+ * by an earlier rule is not matched again. resolve returns a range or null
+ * to skip the match.
+ */
+function languageRules(language) {
+    const lexicon = LEXICON[language];
+    const count = `(\\d+|${keys(lexicon.numbers)})`;
+    const unit = `(${Object.values(lexicon.units).join('|')})`;
+    const relation = `(${lexicon.previous}|${lexicon.current}|${lexicon.next})`;
+    const weekday = `(${lexicon.weekdays.join('|')})`;
+    const month = `(${lexicon.months.join('|')})`;
+    const relativeDay = `(${keys(lexicon.relativeDays)})`;
+
+    const phrases = {
+        en: {
+            range: `(?:(?:from|between)\\s+)?(${DATE})\\s*(?:\\.\\.|–|—|-|to|until|till|through|and)\\s*(${DATE})`,
+            since: `(?:since|after|starting)\\s+(${DATE})`,
+            before: `(?:before|until|till)\\s+(${DATE})`,
+            date: `(?:(?:on|in|during)\\s+)?(${DATE})`,
+            year: `(?:in|during)\\s+(\\d{4})`,
+            ago: `${count}\\s+${unit}\\s+ago`,
+            window: `(?:(?:in|during|over|within|for)\\s+)?(?:the\\s+)?(?:last|past|previous)\\s+${count}\\s+${unit}|(?:(?:in|during|over|within|for)\\s+)?(?:the\\s+)?past\\s+()${unit}`,
+            period: `(?:(?:in|during)\\s+)?${relation}\\s+${unit}`,
+            part: `(this)\\s+(morning|afternoon|evening)|(tonight)|(last)\\s+(night)`,
+            day: `(?:(?:on|from)\\s+)?${relativeDay}`,
+            weekday: `(?:(on)\\s+)?(?:${relation}\\s+)?${weekday}`,
+            month: `(?:(in|during|of)\\s+)?${month}(?:\\s+(\\d{4}))?`
+        },
+        ru: {
+            range: `(?:(?:с|от|между)\\s+)?(${DATE})\\s*(?:\\.\\.|–|—|-|по|до|и)\\s*(${DATE})`,
+            since: `(?:с|после|начиная\\s+с)\\s+(${DATE})`,
+            before: `(?:до|перед)\\s+(${DATE})`,
+            date: `(?:(?:в|на)\\s+)?(${DATE})`,
+            year: `в\\s+(\\d{4})(?:\\s+году)?`,
+            ago: `(?:${count}\\s+)?${unit}\\s+(?:тому\\s+)?назад`,
+            window: `за\\s+(?:последн\\p{L}*|прошедш\\p{L}*)\\s+(?:${count}\\s+)?${unit}`,
+            period: `(?:(?:на|в|во)\\s+)?${relation}\\s+(${lexicon.units.week}|неделе|${lexicon.units.month}|месяце|${lexicon.units.year}|году)`,
+            part: `(этим)\\s+(утром|вечером)|(этой|прошлой)\\s+(ночью)`,
+            day: relativeDay,
+            weekday: `(?:(в|во|на)\\s+)?(?:${relation}\\s+)?${weekday}`,
+            month: `(?:(в)\\s+)?${month}(?:\\s+(\\d{4})(?:\\s+года)?)?`
+        },
+        uk: {
+            range: `(?:(?:з|із|від|між)\\s+)?(${DATE})\\s*(?:\\.\\.|–|—|-|по|до|і|й)\\s*(${DATE})`,
+            since: `(?:з|із|після|починаючи\\s+з)\\s+(${DATE})`,
+            before: `(?:до|перед)\\s+(${DATE})`,
+            date: `(?:(?:у|в|на)\\s+)?(${DATE})`,
+            year: `(?:у|в)\\s+(\\d{4})(?:\\s+році)?`,
+            ago: `(?:${count}\\s+)?${unit}\\s+тому`,
+            window: `за\\s+(?:останн\\p{L}*|минул\\p{L}*)\\s+(?:${count}\\s+)?${unit}`,
+            period: `(?:(?:на|в|у)\\s+)?${relation}\\s+(${lexicon.units.week}|тижні|${lexicon.units.month}|місяці|${lexicon.units.year}|році)`,
+            part: `(цього)\\s+(ранку|вечора)|(цієї|минулої)\\s+(ночі)`,
+            day: relativeDay,
+            weekday: `(?:(в|у|на)\\s+)?(?:${relation}\\s+)?${weekday}`,
+            month: `(?:(в|у)\\s+)?${month}(?:\\s+(\\d{4})(?:\\s+року)?)?`
+        },
+        de: {
+            range: `(?:(?:vom|von|zwischen)\\s+)?(${DATE})\\s*(?:\\.\\.|–|—|-|bis(?:\\s+zum)?|und)\\s*(${DATE})`,
+            since: `(?:seit|ab|nach)\\s+(?:dem\\s+)?(${DATE})`,
+            before: `(?:vor|bis)\\s+(?:dem\\s+|zum\\s+)?(${DATE})`,
+            date: `(?:(?:am|im)\\s+)?(${DATE})`,
+            year: `(?:im\\s+Jahre?|in)\\s+(\\d{4})`,
+            ago: `vor\\s+(?:${count}\\s+)?${unit}`,
+            window: `(?:in\\s+den|in\\s+der|im|während\\s+der)\\s+(?:letzten|vergangenen)\\s+(?:${count}\\s+)?${unit}`,
+            period: `(?:(?:in\\s+der|im)\\s+)?${relation}\\s+${unit}`,
+            part: `(letzte|diese)\\s+(Nacht)`,
+            day: `(${keys(lexicon.relativeDays)}|morgen)`,
+            weekday: `(?:(am|an)\\s+)?(?:${relation}\\s+)?${weekday}`,
+            month: `(?:(im|in)\\s+)?${month}(?:\\s+(\\d{4}))?`
+        }
+    }[language];
+
+    const rule = (type, priority, resolve, flags = 'giu') => ({
+        type,
+        priority,
+        language,
+        lexicon,
+        pattern: new RegExp(`${B}(?:${phrases[type]})${E}`, flags),
+        resolve
+    });
+
+    return [
+        rule('range', 0, (match, clock) => {
+            const from = clock.parseDate(match[1]);
+            const to = clock.parseDate(match[2]);
+            return from && to && from.start <= to.end ? { start: from.start, end: to.end } : null;
+        }),
+        rule('since', 1, (match, clock) => {
+            const from = clock.parseDate(match[1]);
+            return from ? { start: from.start, end: clock.now } : null;
+        }),
+        rule('before', 2, (match, clock) => {
+            const to = clock.parseDate(match[1]);
+            return to ? { start: 0, end: to.start - 1 } : null;
+        }),
+        rule('date', 3, (match, clock) => clock.parseDate(match[1])),
+        rule('year', 4, (match, clock) => {
+            const year = yearOf(match[1]);
+            return year !== null ? clock.span(clock.at(year, 0, 1), clock.at(year + 1, 0, 1)) : null;
+        }),
+        rule('ago', 5, (match, clock) => {
+            const amount = countOf(lexicon, match[1]);
+            const periodUnit = unitOf(lexicon, match[2]);
+            return amount && periodUnit ? clock.ago(periodUnit, amount) : null;
+        }),
+        rule('window', 6, (match, clock) => {
+            // Two alternatives in English: "last N units" and "the past unit"
+            const amount = countOf(lexicon, match[1] || match[3] || undefined);
+            const periodUnit = unitOf(lexicon, match[2] || match[4]);
+            return amount && periodUnit ? clock.window(periodUnit, amount) : null;
+        }),
+        rule('period', 7, (match, clock) => {
+            const periodRelation = relationOf(lexicon, match[1]);
+            const word = match[2].toLowerCase();
+            const periodUnit = unitOf(lexicon, word) ||
+                { неделе: 'week', месяце: 'month', году: 'year', тижні: 'week', місяці: 'month', році: 'year' }[word];
+            return periodRelation && periodUnit && periodUnit !== 'hour' && periodUnit !== 'day'
+                ? clock.period(periodUnit, periodOffset[periodRelation])
+                : null;
+        }),
+        rule('part', 8, (match, clock) => {
+            const words = match.slice(1).filter(Boolean).map(normalize);
+            // "tonight" is the only one-word form
+            if (words.length === 1) return clock.partOf(clock.day(0), 'evening');
+            const [qualifier, partWord] = words;
+            const previous = /^(last|прошлой|минулої|letzte)$/.test(qualifier);
+            return clock.partOf(clock.day(previous ? -1 : 0), lexicon.parts[partWord]);
+        }),
+        rule('day', 9, (match, clock) => {
+            if (match[1] === 'morgen') {
+                // "heute morgen" is this morning, "Morgen" alone the morning
+                return /(heute|gestern|vorgestern)\s+$/i.test(match.input.slice(0, match.index)) ? null : clock.day(1);
+            }
+            const offset = lexicon.relativeDays[normalize(match[1])];
+            return offset !== undefined ? clock.day(offset) : null;
+        }),
+        rule('weekday', 10, (match, clock) => {
+            const [, preposition, relationWord, dayWord] = match;
+            const weekdayRelation = relationOf(lexicon, relationWord);
+            // Russian and Ukrainian weekday names double as ordinary words
+            // ("среда" is also "environment"), so they need a qualifier
+            if ((language === 'ru' || language === 'uk') && !preposition && !weekdayRelation) return null;
+            return clock.weekdayDate(matchIndex(lexicon.weekdays, dayWord), weekdayRelation);
+        }),
+        rule('month', 11, (match, clock) => {
+            const [, preposition, monthWord, yearText] = match;
+            const year = yearText ? yearOf(yearText) : null;
+            // "may" and "march" are common English words: only with a preposition or year
+            if (!preposition && !yearText && (language !== 'en' && language !== 'de'
+                || /^(may|march)$/i.test(monthWord) || monthWord[0] !== monthWord[0].toUpperCase())) {
+                return null;
+            }
+            return clock.monthOf(matchIndex(lexicon.months, monthWord), year);
+        })
+    ];
+}
+
+let compiledRules = null;
+
+function rulesFor(languages) {
+    if (!compiledRules) {
+        compiledRules = new Map(LANGUAGES.map(language => [language, languageRules(language)]));
+    }
+    return languages
+        .flatMap(language => compiledRules.get(language) || [])
+        .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * A part of the day right after a single day ("yesterday evening",
+ * "во вторник утром", "gestern Abend"): narrows that day
+ */
+function extendWithPartOfDay(text, found, clock) {
+    for (const expression of found) {
+        if (!['day', 'weekday', 'date'].includes(expression.type) ||
+            expression.range.end - expression.range.start >= DAY + HOUR) continue;
+
+        const { lexicon } = expression;
+        const match = new RegExp(`^\\s+(${keys(lexicon.parts)})${E}`, 'iu').exec(text.slice(expression.end));
+        if (!match) continue;
+
+        const end = expression.end + match[0].length;
+        if (found.some(other => other !== expression && other.start < end && other.end > expression.end)) continue;
+
+        expression.range = clock.partOf(expression.range, lexicon.parts[normalize(match[1])]);
+        expression.end = end;
+        expression.text = text.slice(expression.start, end);
+        expression.type = 'part';
+    }
+}
+
+/**
+ * A possessive right after an expression ("today's", "last week’s",
+ * "two weeks'") is part of it, so no "'s" is left in the query text
+ */
+function extendWithPossessive(text, found) {
+    const possessive = new RegExp(`^${APOSTROPHE}(s?)${E}`, 'iu');
+    for (const expression of found) {
+        const match = possessive.exec(text.slice(expression.end));
+        // A bare apostrophe only after a plural ("weeks'"), not a closing quote
+        if (!match || (!match[1] && !/s$/i.test(expression.text))) continue;
+
+        expression.end += match[0].length;
+        expression.text = text.slice(expression.start, expression.end);
+    }
+}
+
+/**
+ * Find the time references in a query.
+ * Options: { now, timezoneOffset (minutes east of UTC), weekStartsOn
+ * (0 = Sunday, default 1), languages }
+ * Returns { expressions: [{ text, index, type, language, start, end }],
+ * range: { start, end } covering all of them (null when there are none),
+ * text: the query without them }
+ */
+function parseTemporalExpressions(query, options = {}) {
+    const text = typeof query === 'string' ? query : '';
+    const clock = new Clock(options);
+    const found = [];
+
+    for (const rule of rulesFor(options.languages || LANGUAGES)) {
+        rule.pattern.lastIndex = 0;
+        for (const match of text.matchAll(rule.pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (found.some(expression => start < expression.end && end > expression.start)) continue;
+
+            const range = rule.resolve(match, clock);
+            if (!range) continue;
+
+            found.push({ start, end, text: match[0], type: rule.type, language: rule.language, lexicon: rule.lexicon, range });
+        }
+    }
+    found.sort((a, b) => a.start - b.start);
+    extendWithPartOfDay(text, found, clock);
+    extendWithPossessive(text, found);
+
+    let remainder = '';
+    let position = 0;
+    for (const expression of found) {
+        remainder += `${text.slice(position, expression.start)} `;
+        position = expression.end;
+    }
+    remainder += text.slice(position);
+
+    return {
+        expressions: found.map(expression => ({
+            text: expression.text,
+            index: expression.start,
+            type: expression.type,
+            language: expression.language,
+            start: expression.range.start,
+            end: expression.range.end
+        })),
+        range: found.length > 0
+            ? {
+                start: Math.min(...found.map(expression => expression.range.start)),
+                end: Math.max(...found.map(expression => expression.range.end))
+            }
+            : null,
+        text: remainder
+            .replace(/\s+([,.;:!?])/g, '$1')
+            .replace(/\s{2,}/g, ' ')
+            .replace(/^[\s,;:–—-]+|[\s,;:–—-]+$/g, '')
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    Clock,
+    parseTemporalExpressions
+};
@@ -0,0 +1,658 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Tiered Event Storage
+ * Warm and cold tiers below a temporal layer's hot, in-memory events
+ *
+ * - Events leaving memory (beyond the layer's event limit, or older than
+ *   its time window at consolidation) are appended to warm segments,
+ *   tiers/warm/segment-N.jsonl: one event per line, each line encrypted
+ *   like the write-ahead log when encryption at rest is on. Embeddings are
+ *   dropped; warm and cold events are found by their text and concepts
+ * - The warm index (BM25 over the warm events and the segment holding each
+ *   one) is kept in tiers/index.json. Segments that changed behind its
+ *   back (a crash between the two writes) are indexed again on load
+ * - Beyond warmMaxEvents the oldest warm segment is frozen into a cold
+ *   segment: gzip-compressed (and encrypted), kept under tiers/cold/ or
+ *   uploaded to a remote target such as Google Drive. The index keeps each
+ *   cold segment's time range and terms, so a search only opens segments
+ *   that can match
+ * - Searches have a latency budget per tier: segments are read, newest
+ *   first, until enough matched or the budget is spent
+ * - rewrite() passes every warm and cold event through a callback (used
+ *   by forget) and writes back the segments that changed
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { BM25Index, documentTerms } = require('./inverted-index');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const TIERS_DIRECTORY = 'tiers';
+const INDEX_FILE = path.join(TIERS_DIRECTORY, 'index.json');
+const SEGMENT_PATTERN = /^segment-\d+\.(jsonl|json\.gz)$/;
+
+const isCompressed = event => Boolean(event.metadata && event.metadata.compressed);
+
+function tieredEvent(event) {
+    const { embeddings, tokens, temporalRelationships, sequence, ...stored } = event;
+    return stored;
+}
+
+function timeSpan(events) {
+    const timestamps = events.map(event => event.timestamp);
+    return {
+        start: timestamps.length > 0 ? Math.min(...timestamps) : null,
+        end: timestamps.length > 0 ? Math.max(...timestamps) : null
+    };
+}
+
+class EventTiers {
+    /**
+     * storage: the namespace's MemoryStorage. Options: { namespace,
+     * warmMaxEvents, segmentSize, segmentCacheSize }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.namespace = options.namespace || 'default';
+        this.warmMaxEvents = options.warmMaxEvents || 100000;
+        this.segmentSize = options.segmentSize || 1000;
+        this.segmentCacheSize = options.segmentCacheSize || 4;
+        this.remote = null; // { upload(fileName, buffer) -> id, download(id) -> buffer, remove(id) } for cold segments
+        this.segmentCache = new Map();
+        this.loading = null;
+        this.reset();
+    }
+
+    reset() {
+        this.nextSegment = 1;
+        this.warm = []; // [{ name, count, start, end, bytes }], oldest first
+        this.entries = new Map(); // warm event id -> { segment, timestamp, group }
+        this.textIndex = new BM25Index();
+        this.cold = []; // [{ name, count, start, end, terms: Set, groups, remoteId }], oldest first
+    }
+
+    get directory() {
+        return path.join(this.storage.dataPath, TIERS_DIRECTORY);
+    }
+
+    warmPath(name) {
+        return path.join(this.directory, 'warm', `${name}.jsonl`);
+    }
+
+    coldPath(name) {
+        return path.join(this.directory, 'cold', `${name}.json.gz`);
+    }
+
+    /**
+     * Load the index once; every other method waits for it
+     */
+    open() {
+        if (!this.loading) {
+            this.loading = this.load().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async load() {
+        this.reset();
+        const index = await this.storage.readStateFile(INDEX_FILE);
+        if (index) {
+            this.nextSegment = index.nextSegment || 1;
+            this.warm = index.warm.segments;
+            this.entries = new Map(index.warm.entries.map(([id, segment, timestamp, group]) =>
+                [id, { segment, timestamp, group: Boolean(group) }]));
+            this.textIndex.importState(index.warm.text);
+            this.cold = index.cold.map(segment => ({ ...segment, terms: new Set(segment.terms) }));
+        }
+
+        const repaired = (await this.repairWarm()) + (await this.repairCold());
+        if (repaired > 0) {
+            console.log(`🗄️ Re-indexed ${repaired} tier segments (${this.namespace})`);
+            await this.saveIndex();
+        }
+    }
+
+    async segmentFiles(tier) {
+        try {
+            return (await fs.promises.readdir(path.join(this.directory, tier))).filter(file => SEGMENT_PATTERN.test(file)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * Index warm segments whose size differs from what the index recorded,
+     * and forget indexed segments whose file is gone
+     */
+    async repairWarm() {
+        const files = await this.segmentFiles('warm');
+        const names = new Set(files.map(file => file.slice(0, -'.jsonl'.length)));
+        let repaired = 0;
+
+        for (const segment of this.warm.filter(segment => !names.has(segment.name))) {
+            this.unindexWarmSegment(segment.name);
+            repaired++;
+        }
+        this.warm = this.warm.filter(segment => names.has(segment.name));
+
+        for (const name of names) {
+            const { size } = await fs.promises.stat(this.warmPath(name));
+            let segment = this.warm.find(entry => entry.name === name);
+            if (segment && segment.bytes === size) continue;
+
+            if (!segment) {
+                segment = { name, count: 0, start: null, end: null, bytes: 0 };
+                this.warm.push(segment);
+                this.warm.sort((a, b) => a.name.localeCompare(b.name));
+            }
+            this.unindexWarmSegment(name);
+            segment.count = 0;
+            for (const event of await this.readWarmSegment(name)) {
+                this.indexWarmEvent(segment, event);
+            }
+            segment.bytes = size;
+            repaired++;
+        }
+
+        this.nextSegment = Math.max(this.nextSegment, ...this.warm.map(segment => this.segmentNumber(segment.name) + 1));
+        return repaired;
+    }
+
+    /**
+     * Index local cold segments missing from the index (frozen just before
+     * a crash). Remote segments can only be known from the index.
+     */
+    async repairCold() {
+        let repaired = 0;
+        for (const file of await this.segmentFiles('cold')) {
+            const name = file.slice(0, -'.json.gz'.length);
+            if (this.cold.some(segment => segment.name === name)) continue;
+
+            const segment = { name, remoteId: null };
+            this.describeColdSegment(segment, await this.readColdSegment(segment));
+            this.cold.push(segment);
+            repaired++;
+        }
+        this.cold.sort((a, b) => a.name.localeCompare(b.name));
+
+        this.nextSegment = Math.max(this.nextSegment, ...this.cold.map(segment => this.segmentNumber(segment.name) + 1));
+        return repaired;
+    }
+
+    segmentNumber(name) {
+        return parseInt(name.slice('segment-'.length), 10) || 0;
+    }
+
+    newSegmentName() {
+        return `segment-${String(this.nextSegment++).padStart(6, '0')}`;
+    }
+
+    /**
+     * Append events to the warm tier (events already there are skipped),
+     * freezing the oldest warm segments into cold ones beyond warmMaxEvents
+     */
+    async demote(events) {
+        await this.open();
+        const fresh = events.filter(event => !this.entries.has(event.id));
+
+        let offset = 0;
+        while (offset < fresh.length) {
+            let segment = this.warm[this.warm.length - 1];
+            if (!segment || segment.count >= this.segmentSize) {
+                segment = { name: this.newSegmentName(), count: 0, start: null, end: null, bytes: 0 };
+                this.warm.push(segment);
+            }
+            const batch = fresh.slice(offset, offset + this.segmentSize - segment.count);
+            offset += batch.length;
+            await this.appendWarm(segment, batch);
+        }
+
+        while (this.entries.size > this.warmMaxEvents && this.warm.length > 1) {
+            await this.freezeOldestSegment();
+        }
+
+        if (fresh.length > 0) {
+            await this.saveIndex();
+        }
+        return fresh.length;
+    }
+
+    async appendWarm(segment, events) {
+        const filePath = this.warmPath(segment.name);
+        const lines = events
+            .map(event => `${this.storage.encryptIfNeeded(JSON.stringify(tieredEvent(event)))}\n`)
+            .join('');
+
+        // Synced before the events leave memory
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const handle = await fs.promises.open(filePath, 'a');
+        try {
+            await handle.appendFile(lines);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        segment.bytes = (await fs.promises.stat(filePath)).size;
+        events.forEach(event => this.indexWarmEvent(segment, tieredEvent(event)));
+        this.segmentCache.delete(`warm:${segment.name}`);
+    }
+
+    indexWarmEvent(segment, event) {
+        this.entries.set(event.id, { segment: segment.name, timestamp: event.timestamp, group: isCompressed(event) });
+        this.textIndex.add(event.id, documentTerms(event.text, event.concepts));
+        segment.count++;
+        segment.start = segment.start === null ? event.timestamp : Math.min(segment.start, event.timestamp);
+        segment.end = segment.end === null ? event.timestamp : Math.max(segment.end, event.timestamp);
+    }
+
+    unindexWarmSegment(name) {
+        for (const [id, entry] of this.entries) {
+            if (entry.segment !== name) continue;
+            this.entries.delete(id);
+            this.textIndex.remove(id);
+        }
+        this.segmentCache.delete(`warm:${name}`);
+    }
+
+    async freezeOldestSegment() {
+        const segment = this.warm[0];
+        const events = await this.readWarmSegment(segment.name);
+
+        const cold = { name: segment.name, remoteId: null };
+        await this.writeColdSegment(cold, events);
+        this.cold.push(cold);
+
+        this.warm.shift();
+        this.unindexWarmSegment(segment.name);
+        await fs.promises.rm(this.warmPath(segment.name), { force: true });
+        console.log(`🧊 Froze ${events.length} warm events into cold segment ${segment.name} (${this.namespace})`);
+    }
+
+    describeColdSegment(segment, events) {
+        Object.assign(segment, {
+            count: events.length,
+            ...timeSpan(events),
+            terms: new Set(events.flatMap(event => documentTerms(event.text, event.concepts))),
+            groups: events.filter(isCompressed).map(event => event.id)
+        });
+    }
+
+    async writeColdSegment(segment, events) {
+        const buffer = await this.encodeCold(events);
+        const previousRemoteId = segment.remoteId;
+        this.describeColdSegment(segment, events);
+        segment.remoteId = null;
+
+        let uploaded = false;
+        if (this.remote) {
+            try {
+                segment.remoteId = await this.remote.upload(`asmf_cold_${this.namespace.replace(/\//g, '_')}_${segment.name}.json.gz`, buffer);
+                uploaded = true;
+            } catch (error) {
+                console.error(`Cold segment upload failed, keeping ${segment.name} on disk:`, error.message);
+            }
+        }
+
+        const filePath = this.coldPath(segment.name);
+        if (uploaded) {
+            await fs.promises.rm(filePath, { force: true });
+        } else {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, buffer);
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        }
+
+        if (previousRemoteId && this.remote) {
+            await this.remote.remove(previousRemoteId);
+        }
+        this.segmentCache.set(`cold:${segment.name}`, events);
+        this.trimSegmentCache();
+    }
+
+    async encodeCold(events) {
+        const zipped = await gzip(JSON.stringify(events));
+        return this.storage.keyRing
+            ? Buffer.from(this.storage.encryptIfNeeded(zipped.toString('base64')))
+            : zipped;
+    }
+
+    async decodeCold(buffer) {
+        // Plain segments start with the gzip magic bytes
+        const zipped = buffer[0] === 0x1f && buffer[1] === 0x8b
+            ? buffer
+            : Buffer.from(this.storage.decryptIfNeeded(buffer.toString('utf8')), 'base64');
+        return JSON.parse((await gunzip(zipped)).toString('utf8'));
+    }
+
+    async readWarmSegment(name) {
+        return this.cached(`warm:${name}`, async () => {
+            const data = await fs.promises.readFile(this.warmPath(name), 'utf8');
+            return data.split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(this.storage.decryptIfNeeded(line)));
+        });
+    }
+
+    async readColdSegment(segment) {
+        return this.cached(`cold:${segment.name}`, async () => {
+            return await this.decodeCold(await this.readColdBuffer(segment));
+        });
+    }
+
+    async readColdBuffer(segment) {
+        try {
+            return await fs.promises.readFile(this.coldPath(segment.name));
+        } catch (error) {
+            if (error.code !== 'ENOENT' || !segment.remoteId) throw error;
+        }
+        if (!this.remote) {
+            throw new Error(`Cold segment ${segment.name} is stored remotely and no remote target is configured`);
+        }
+        return await this.remote.download(segment.remoteId);
+    }
+
+    async cached(key, read) {
+        if (this.segmentCache.has(key)) {
+            const events = this.segmentCache.get(key);
+            this.segmentCache.delete(key);
+            this.segmentCache.set(key, events);
+            return events;
+        }
+
+        const events = await read();
+        this.segmentCache.set(key, events);
+        this.trimSegmentCache();
+        return events;
+    }
+
+    trimSegmentCache() {
+        while (this.segmentCache.size > this.segmentCacheSize) {
+            this.segmentCache.delete(this.segmentCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Events of a tier matching the query terms (or, with a time range,
+     * any event inside it), best text matches first. Options: { timeRange,
+     * limit, budgetMs }. Returns { hits: [{ event, textScore }],
+     * segmentsSearched, timedOut }.
+     */
+    async search(tier, terms, options = {}) {
+        const deadline = Date.now() + (options.budgetMs || 0);
+        const report = { hits: [], segmentsSearched: 0, timedOut: false };
+        if (!(options.budgetMs > 0)) return report;
+
+        await this.open();
+        if (Date.now() > deadline) {
+            report.timedOut = true;
+            return report;
+        }
+
+        const search = tier === 'warm' ? this.searchWarm : this.searchCold;
+        await search.call(this, terms, options, deadline, report);
+
+        report.hits = report.hits
+            .sort((a, b) => b.textScore - a.textScore || b.event.timestamp - a.event.timestamp)
+            .slice(0, options.limit || 20);
+        return report;
+    }
+
+    async searchWarm(terms, options, deadline, report) {
+        const limit = options.limit || 20;
+        const { start = 0, end = Infinity } = options.timeRange || {};
+        const inRange = timestamp => timestamp >= start && timestamp <= end;
+
+        const candidates = new Map();
+        for (const { id, score } of this.textIndex.search(terms, limit * 4)) {
+            if (candidates.size >= limit) break;
+            if (inRange(this.entries.get(id).timestamp)) candidates.set(id, score);
+        }
+        // An explicit time window also browses events without a text match
+        if (options.timeRange) {
+            const inWindow = Array.from(this.entries)
+                .filter(([id, entry]) => !candidates.has(id) && inRange(entry.timestamp))
+                .sort((a, b) => b[1].timestamp - a[1].timestamp)
+                .slice(0, Math.max(0, limit - candidates.size));
+            inWindow.forEach(([id]) => candidates.set(id, 0));
+        }
+
+        const bySegment = new Map();
+        for (const id of candidates.keys()) {
+            const { segment } = this.entries.get(id);
+            if (!bySegment.has(segment)) bySegment.set(segment, []);
+            bySegment.get(segment).push(id);
+        }
+
+        for (const name of Array.from(bySegment.keys()).sort().reverse()) {
+            if (Date.now() > deadline) {
+                report.timedOut = true;
+                break;
+            }
+            const wanted = new Set(bySegment.get(name));
+            for (const event of await this.readWarmSegment(name)) {
+                if (wanted.has(event.id)) {
+                    report.hits.push({ event, textScore: candidates.get(event.id) });
+                }
+            }
+            report.segmentsSearched++;
+        }
+    }
+
+    async searchCold(terms, options, deadline, report) {
+        const limit = options.limit || 20;
+        const { start = 0, end = Infinity } = options.timeRange || {};
+        const segments = this.cold
+            .filter(segment => segment.end >= start && segment.start <= end &&
+                (options.timeRange || terms.some(term => segment.terms.has(term))))
+            .reverse();
+
+        for (const segment of segments) {
+            if (report.hits.length >= limit) break;
+            if (Date.now() > deadline) {
+                report.timedOut = true;
+                break;
+            }
+
+            const events = (await this.readColdSegment(segment))
+                .filter(event => event.timestamp >= start && event.timestamp <= end);
+            const index = new BM25Index();
+            index.rebuild(events.map(event => [event.id, documentTerms(event.text, event.concepts)]));
+            const scores = index.searchScores(terms, limit);
+
+            for (const event of events) {
+                if (scores.has(event.id) || options.timeRange) {
+                    report.hits.push({ event, textScore: scores.get(event.id) || 0 });
+                }
+            }
+            report.segmentsSearched++;
+        }
+    }
+
+    /**
+     * Pass every warm and cold event through visit(event), which resolves
+     * to 'keep', 'changed' (it modified the event) or 'remove'. Returns
+     * the number of segments written again.
+     */
+    async rewrite(visit) {
+        await this.open();
+        let rewritten = 0;
+
+        for (const segment of this.warm.slice()) {
+            const events = await this.readWarmSegment(segment.name);
+            const { kept, dirty } = await this.visitEvents(events, visit);
+            if (!dirty) continue;
+
+            await this.replaceWarmSegment(segment, kept);
+            rewritten++;
+        }
+
+        for (const segment of this.cold.slice()) {
+            const events = await this.readColdSegment(segment);
+            const { kept, dirty } = await this.visitEvents(events, visit);
+            if (!dirty) continue;
+
+            await this.replaceColdSegment(segment, kept);
+            rewritten++;
+        }
+
+        if (rewritten > 0) {
+            await this.saveIndex();
+        }
+        return rewritten;
+    }
+
+    async visitEvents(events, visit) {
+        const kept = [];
+        let dirty = false;
+        for (const event of events) {
+            const action = await visit(event);
+            if (action !== 'keep') dirty = true;
+            if (action !== 'remove') kept.push(event);
+        }
+        return { kept, dirty };
+    }
+
+    async replaceWarmSegment(segment, events) {
+        const filePath = this.warmPath(segment.name);
+        this.unindexWarmSegment(segment.name);
+
+        if (events.length === 0) {
+            this.warm = this.warm.filter(entry => entry !== segment);
+            await fs.promises.rm(filePath, { force: true });
+            return;
+        }
+
+        const lines = events.map(event => `${this.storage.encryptIfNeeded(JSON.stringify(tieredEvent(event)))}\n`).join('');
+        await fs.promises.writeFile(`${filePath}.tmp`, lines);
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+
+        Object.assign(segment, { count: 0, start: null, end: null, bytes: Buffer.byteLength(lines) });
+        events.forEach(event => this.indexWarmEvent(segment, event));
+    }
+
+    async replaceColdSegment(segment, events) {
+        if (events.length > 0) {
+            await this.writeColdSegment(segment, events);
+            return;
+        }
+
+        this.cold = this.cold.filter(entry => entry !== segment);
+        this.segmentCache.delete(`cold:${segment.name}`);
+        await fs.promises.rm(this.coldPath(segment.name), { force: true });
+        if (segment.remoteId && this.remote) {
+            await this.remote.remove(segment.remoteId);
+        }
+    }
+
+    /**
+     * Write segments that are not on the active encryption key again;
+     * counts go into report { rewritten, current, errors }
+     */
+    async reencrypt(report) {
+        const keyRing = this.storage.keyRing;
+        if (!keyRing) return report;
+        await this.open();
+
+        for (const segment of this.warm.slice()) {
+            try {
+                const lines = (await fs.promises.readFile(this.warmPath(segment.name), 'utf8')).split('\n').filter(line => line.trim());
+                if (!lines.some(line => keyRing.needsRotation(line))) {
+                    report.current++;
+                    continue;
+                }
+                await this.replaceWarmSegment(segment, await this.readWarmSegment(segment.name));
+                report.rewritten++;
+            } catch (error) {
+                report.errors.push({ file: this.warmPath(segment.name), error: error.message });
+            }
+        }
+
+        for (const segment of this.cold.slice()) {
+            try {
+                const buffer = await this.readColdBuffer(segment);
+                const plain = buffer[0] === 0x1f && buffer[1] === 0x8b;
+                if (!plain && !keyRing.needsRotation(buffer.toString('utf8'))) {
+                    report.current++;
+                    continue;
+                }
+                await this.writeColdSegment(segment, await this.decodeCold(buffer));
+                report.rewritten++;
+            } catch (error) {
+                report.errors.push({ file: segment.remoteId ? `remote:${segment.remoteId}` : this.coldPath(segment.name), error: error.message });
+            }
+        }
+
+        await this.saveIndex();
+        return report;
+    }
+
+    /**
+     * Ids of the compressed groups kept in the tiers
+     */
+    async groupIds() {
+        await this.open();
+        const ids = new Set(this.cold.flatMap(segment => segment.groups || []));
+        for (const [id, entry] of this.entries) {
+            if (entry.group) ids.add(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Delete remotely stored segments (the local ones go with the
+     * namespace directory)
+     */
+    async destroy() {
+        await this.open();
+        for (const segment of this.cold.filter(segment => segment.remoteId)) {
+            if (this.remote) {
+                await this.remote.remove(segment.remoteId);
+            }
+        }
+        this.reset();
+        this.segmentCache.clear();
+    }
+
+    async getStatus() {
+        await this.open();
+        const count = segments => segments.reduce((sum, segment) => sum + segment.count, 0);
+        return {
+            warm: { events: this.entries.size, segments: this.warm.length, maxEvents: this.warmMaxEvents },
+            cold: {
+                events: count(this.cold),
+                segments: this.cold.length,
+                remoteSegments: this.cold.filter(segment => segment.remoteId).length
+            }
+        };
+    }
+
+    async saveIndex() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await this.storage.writeStateFile(INDEX_FILE, {
+            nextSegment: this.nextSegment,
+            warm: {
+                segments: this.warm,
+                entries: Array.from(this.entries, ([id, entry]) => [id, entry.segment, entry.timestamp, entry.group ? 1 : 0]),
+                text: this.textIndex.exportState()
+            },
+            cold: this.cold.map(segment => ({ ...segment, terms: Array.from(segment.terms) }))
+        });
+    }
+}
+
+module.exports = {
+    TIERS_DIRECTORY,
+    EventTiers
+};
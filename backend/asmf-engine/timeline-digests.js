@@ -0,0 +1,201 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Timeline Digests
+ * Extractive summaries of timelines and of day/week/month rollups
+ *
+ * - A summary picks the sentences of a set of events that together cover
+ *   the most frequent terms and concepts of the set (greedy coverage, so
+ *   near-duplicate sentences aren't picked twice), in time order, with the
+ *   top concepts and the number of events behind them
+ * - Compressed event groups weigh as many events as they replaced; groups
+ *   from before groups were summarized contribute no sentences (their text
+ *   is a placeholder)
+ * - Digests are cached per namespace under a fingerprint of the events
+ *   they were built from, so a cached digest is only served while those
+ *   events are unchanged
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const crypto = require('crypto');
+const { tokenize, documentTerms } = require('./inverted-index');
+
+const PERIODS = ['day', 'week', 'month'];
+const MAX_SENTENCE_LENGTH = 400;
+
+function splitSentences(text) {
+    return String(text || '')
+        .split(/(?<=[.!?…])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+        .map(sentence => sentence.length > MAX_SENTENCE_LENGTH ? `${sentence.slice(0, MAX_SENTENCE_LENGTH - 1)}…` : sentence);
+}
+
+const isCompressed = event => Boolean(event.metadata && event.metadata.compressed);
+const hasPlaceholderText = event => isCompressed(event) && !event.metadata.summary;
+const eventWeight = event => (isCompressed(event) ? event.metadata.originalCount || 1 : 1);
+
+/**
+ * Most frequent concepts of a set of events (compressed groups weigh as
+ * many events as they replaced)
+ */
+function topConcepts(events, limit = 10) {
+    const counts = new Map();
+    for (const event of events) {
+        const weight = eventWeight(event);
+        for (const concept of new Set(event.concepts || [])) {
+            counts.set(concept, (counts.get(concept) || 0) + weight);
+        }
+    }
+
+    return Array.from(counts, ([concept, count]) => ({ concept, count }))
+        .sort((a, b) => b.count - a.count || a.concept.localeCompare(b.concept))
+        .slice(0, limit);
+}
+
+/**
+ * Most frequent entities ({ type, value, count }) of a set of events
+ */
+function topEntities(events, limit = 10) {
+    const counts = new Map();
+    for (const event of events) {
+        const seen = new Set();
+        for (const entity of event.entities || []) {
+            const key = `${entity.type}\u0000${entity.value}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const entry = counts.get(key) || { type: entity.type, value: entity.value, count: 0 };
+            entry.count += isCompressed(event) && entity.count ? entity.count : eventWeight(event);
+            counts.set(key, entry);
+        }
+    }
+
+    return Array.from(counts.values())
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, limit);
+}
+
+/**
+ * Summary of a set of events: { text, sentences: [{ eventId, text,
+ * timestamp }], concepts, entities, eventCount, compressedEvents,
+ * startTime, endTime }
+ * Options: { sentences (default 3), concepts (default 10), entities (default 10) }
+ */
+function summarizeEvents(events, options = {}) {
+    const maxSentences = options.sentences || 3;
+
+    // A term weighs as much as the number of events it appears in
+    const weights = new Map();
+    for (const event of events) {
+        for (const term of new Set(documentTerms(event.text, event.concepts))) {
+            weights.set(term, (weights.get(term) || 0) + 1);
+        }
+    }
+
+    const candidates = [];
+    for (const event of events.filter(event => !hasPlaceholderText(event))) {
+        const concepts = (event.concepts || []).map(concept => `concept:${String(concept).toLowerCase()}`);
+        for (const sentence of splitSentences(event.text)) {
+            const lower = sentence.toLowerCase();
+            const terms = new Set([
+                ...tokenize(sentence),
+                ...concepts.filter(term => lower.includes(term.slice('concept:'.length)))
+            ]);
+            if (terms.size === 0) continue;
+            candidates.push({ eventId: event.id, text: sentence, timestamp: event.timestamp, terms });
+        }
+    }
+
+    // Greedy coverage: each pick adds the most weight not covered yet,
+    // normalized so long sentences don't win by length alone
+    const covered = new Set();
+    const selected = [];
+    while (selected.length < maxSentences && candidates.length > 0) {
+        let best = -1;
+        let bestGain = 0;
+        candidates.forEach((candidate, index) => {
+            let gain = 0;
+            for (const term of candidate.terms) {
+                if (!covered.has(term)) gain += weights.get(term) || 0;
+            }
+            gain /= Math.sqrt(candidate.terms.size);
+            if (gain > bestGain) {
+                best = index;
+                bestGain = gain;
+            }
+        });
+        if (best < 0) break;
+
+        const [picked] = candidates.splice(best, 1);
+        picked.terms.forEach(term => covered.add(term));
+        selected.push(picked);
+    }
+    selected.sort((a, b) => a.timestamp - b.timestamp);
+
+    const timestamps = events.map(event => event.timestamp);
+    return {
+        text: selected.map(sentence => sentence.text).join(' '),
+        sentences: selected.map(({ eventId, text, timestamp }) => ({ eventId, text, timestamp })),
+        concepts: topConcepts(events, options.concepts || 10),
+        entities: topEntities(events, options.entities || 10),
+        eventCount: events.length,
+        compressedEvents: events.filter(isCompressed).length,
+        startTime: events.length > 0 ? Math.min(...timestamps) : null,
+        endTime: events.length > 0 ? Math.max(...timestamps) : null
+    };
+}
+
+/**
+ * Fingerprint of the events a digest is built from
+ */
+function eventsSignature(events) {
+    const hash = crypto.createHash('sha1');
+    for (const event of events) {
+        hash.update(`${event.id}:${event.timestamp}:${String(event.text || '').length}:${(event.concepts || []).length}\n`);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Digests by namespace, oldest evicted first beyond maxSize
+ */
+class DigestCache {
+    constructor(maxSize = 200) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    get(namespace, key, signature) {
+        const entry = this.entries.get(`${namespace}|${key}`);
+        return entry && entry.signature === signature ? entry.digest : null;
+    }
+
+    set(namespace, key, signature, digest) {
+        const cacheKey = `${namespace}|${key}`;
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { signature, digest });
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear(namespace = null) {
+        if (namespace === null) {
+            this.entries.clear();
+            return;
+        }
+        for (const cacheKey of Array.from(this.entries.keys())) {
+            if (cacheKey.startsWith(`${namespace}|`)) this.entries.delete(cacheKey);
+        }
+    }
+}
+
+module.exports = {
+    PERIODS,
+    DigestCache,
+    summarizeEvents,
+    eventsSignature,
+    topConcepts,
+    topEntities
+};
@@ -0,0 +1,371 @@
+/**
+ * ASMF (Autonomous Semantic Memory Framework) - Vector Index
+ * In-process HNSW (Hierarchical Navigable Small World) graph for approximate
+ * nearest-neighbour search over memory embeddings
+ *
+ * - Cosine similarity on L2-normalized vectors
+ * - Incremental add/update/remove with neighbour repair on removal
+ * - Graph export without vectors: the owning layer already persists them,
+ *   importState() looks them up again and falls back to a rebuild
+ *
+ * Author: MiniMax Agent
+ * Version: 1.0.0
+ * Created: 2025-11-05
+ */
+
+const { normalizeVector, dotProduct } = require('./embeddings');
+
+class HNSWIndex {
+    constructor(config = {}) {
+        this.M = config.M || 16;
+        this.maxConnectionsBase = this.M * 2;
+        this.efConstruction = config.efConstruction || 100;
+        this.efSearch = config.efSearch || 50;
+        this.levelMultiplier = 1 / Math.log(this.M);
+
+        this.clear();
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    clear() {
+        this.nodes = new Map();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.dimensions = null;
+    }
+
+    /**
+     * Insert or replace a vector
+     */
+    add(id, vector) {
+        const normalized = normalizeVector(vector);
+        if (!normalized) return false;
+
+        if (this.dimensions === null) {
+            this.dimensions = normalized.length;
+        } else if (normalized.length !== this.dimensions) {
+            return false;
+        }
+
+        if (this.nodes.has(id)) {
+            this.remove(id);
+        }
+
+        const level = this.randomLevel();
+        this.insertNode(id, normalized, level);
+        return true;
+    }
+
+    insertNode(id, vector, level) {
+        const node = {
+            id,
+            vector,
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => [])
+        };
+        this.nodes.set(id, node);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        let current = this.entryPoint;
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            current = this.greedyClosest(vector, current, layer);
+        }
+
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(vector, [current], this.efConstruction, layer)
+                .filter(candidate => candidate.id !== id);
+            if (candidates.length === 0) continue;
+
+            const selected = candidates.slice(0, this.M);
+            node.neighbors[layer] = selected.map(candidate => candidate.id);
+            for (const candidate of selected) {
+                this.connect(candidate.id, id, layer);
+            }
+            current = candidates[0].id;
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = id;
+        }
+    }
+
+    /**
+     * Remove a vector and reconnect its former neighbours to each other
+     */
+    remove(id) {
+        const node = this.nodes.get(id);
+        if (!node) return false;
+
+        this.nodes.delete(id);
+
+        for (let layer = 0; layer <= node.level; layer++) {
+            const orphans = node.neighbors[layer].filter(neighborId => this.nodes.has(neighborId));
+
+            for (const neighborId of orphans) {
+                const neighbor = this.nodes.get(neighborId);
+                neighbor.neighbors[layer] = neighbor.neighbors[layer].filter(linkId => linkId !== id);
+
+                for (const otherId of orphans) {
+                    if (otherId !== neighborId) {
+                        this.connect(neighborId, otherId, layer);
+                    }
+                }
+            }
+        }
+
+        if (this.entryPoint === id) {
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            for (const candidate of this.nodes.values()) {
+                if (candidate.level > this.maxLevel) {
+                    this.entryPoint = candidate.id;
+                    this.maxLevel = candidate.level;
+                }
+            }
+        }
+
+        if (this.nodes.size === 0) {
+            this.dimensions = null;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove every indexed id not in the given set
+     */
+    retainOnly(liveIds) {
+        let removed = 0;
+        for (const id of Array.from(this.nodes.keys())) {
+            if (!liveIds.has(id)) {
+                this.remove(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * k nearest neighbours as [{ id, score }] sorted by descending cosine similarity
+     */
+    search(vector, k = 10) {
+        if (this.entryPoint === null) return [];
+
+        const query = normalizeVector(vector);
+        if (!query || query.length !== this.dimensions) return [];
+
+        let current = this.entryPoint;
+        for (let layer = this.maxLevel; layer > 0; layer--) {
+            current = this.greedyClosest(query, current, layer);
+        }
+
+        return this.searchLayer(query, [current], Math.max(this.efSearch, k), 0)
+            .slice(0, k)
+            .map(result => ({ id: result.id, score: 1 - result.distance }));
+    }
+
+    /**
+     * Same as search() but keyed by id for score lookups
+     */
+    searchScores(vector, k = 10, minScore = 0) {
+        const scores = new Map();
+        for (const result of this.search(vector, k)) {
+            if (result.score >= minScore) {
+                scores.set(result.id, result.score);
+            }
+        }
+        return scores;
+    }
+
+    connect(fromId, toId, layer) {
+        const from = this.nodes.get(fromId);
+        if (!from || !from.neighbors[layer]) return;
+
+        const links = from.neighbors[layer];
+        if (links.includes(toId)) return;
+        links.push(toId);
+
+        const maxConnections = layer === 0 ? this.maxConnectionsBase : this.M;
+        if (links.length > maxConnections) {
+            from.neighbors[layer] = links
+                .filter(linkId => this.nodes.has(linkId))
+                .map(linkId => ({ id: linkId, distance: this.distance(from.vector, this.nodes.get(linkId).vector) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, maxConnections)
+                .map(link => link.id);
+        }
+    }
+
+    greedyClosest(query, startId, layer) {
+        let current = startId;
+        let currentDistance = this.distance(query, this.nodes.get(current).vector);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (const neighborId of this.nodes.get(current).neighbors[layer] || []) {
+                const neighbor = this.nodes.get(neighborId);
+                if (!neighbor) continue;
+
+                const distance = this.distance(query, neighbor.vector);
+                if (distance < currentDistance) {
+                    current = neighborId;
+                    currentDistance = distance;
+                    improved = true;
+                }
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Best-first search within one layer, returns up to ef results sorted by distance
+     */
+    searchLayer(query, entryIds, ef, layer) {
+        const visited = new Set(entryIds);
+        const candidates = entryIds
+            .map(id => ({ id, distance: this.distance(query, this.nodes.get(id).vector) }))
+            .sort((a, b) => a.distance - b.distance);
+        const results = candidates.slice();
+
+        while (candidates.length > 0) {
+            const closest = candidates.shift();
+            if (results.length >= ef && closest.distance > results[results.length - 1].distance) {
+                break;
+            }
+
+            for (const neighborId of this.nodes.get(closest.id).neighbors[layer] || []) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+
+                const neighbor = this.nodes.get(neighborId);
+                if (!neighbor) continue;
+
+                const distance = this.distance(query, neighbor.vector);
+                if (results.length < ef || distance < results[results.length - 1].distance) {
+                    const entry = { id: neighborId, distance };
+                    this.insertSorted(candidates, entry);
+                    this.insertSorted(results, entry);
+                    if (results.length > ef) {
+                        results.pop();
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    insertSorted(list, entry) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (list[mid].distance < entry.distance) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        list.splice(low, 0, entry);
+    }
+
+    distance(a, b) {
+        return 1 - dotProduct(a, b);
+    }
+
+    randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    }
+
+    /**
+     * Graph structure only; neighbours are stored as positions in the node list
+     */
+    exportState() {
+        const ids = Array.from(this.nodes.keys());
+        const positions = new Map(ids.map((id, position) => [id, position]));
+
+        return {
+            M: this.M,
+            dimensions: this.dimensions,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            nodes: ids.map(id => {
+                const node = this.nodes.get(id);
+                return [
+                    id,
+                    node.level,
+                    node.neighbors.map(links => links
+                        .filter(linkId => positions.has(linkId))
+                        .map(linkId => positions.get(linkId)))
+                ];
+            })
+        };
+    }
+
+    /**
+     * Restore the graph; vectorLookup(id) must return the stored embedding.
+     * Returns false (leaving the index empty) when the state cannot be used.
+     */
+    importState(state, vectorLookup) {
+        this.clear();
+        if (!state || !Array.isArray(state.nodes) || state.M !== this.M) return false;
+
+        const ids = state.nodes.map(([id]) => id);
+
+        for (const [id, level, neighbors] of state.nodes) {
+            const vector = normalizeVector(vectorLookup(id));
+            if (!vector || (state.dimensions && vector.length !== state.dimensions)) {
+                this.clear();
+                return false;
+            }
+
+            this.nodes.set(id, {
+                id,
+                vector,
+                level,
+                neighbors: neighbors.map(links => links.map(position => ids[position]))
+            });
+        }
+
+        this.dimensions = state.dimensions || null;
+        this.entryPoint = this.nodes.has(state.entryPoint) ? state.entryPoint : null;
+        this.maxLevel = this.entryPoint !== null ? state.maxLevel : -1;
+        return this.entryPoint !== null || this.nodes.size === 0;
+    }
+
+    /**
+     * Rebuild from scratch out of [id, vector] pairs
+     */
+    rebuild(entries) {
+        this.clear();
+        for (const [id, vector] of entries) {
+            this.add(id, vector);
+        }
+        return this.nodes.size;
+    }
+
+    getStatus() {
+        return {
+            size: this.nodes.size,
+            dimensions: this.dimensions,
+            maxLevel: this.maxLevel
+        };
+    }
+}
+
+module.exports = { HNSWIndex };
@@ -2,9 +2,6 @@ const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const stream = require('stream');
-const { promisify } = require('util');
-
-const pipeline = promisify(stream.pipeline);
 
 class DriveStorage {
   constructor() {
@@ -25,7 +22,8 @@ class DriveStorage {
       memories: 'asmf-memories',
       conversations: 'asmf-conversations', 
       training: 'asmf-training',
-      backups: 'asmf-backups'
+      backups: 'asmf-backups',
+      archives: 'asmf-archives'
     };
   }
 
@@ -96,7 +94,7 @@ class DriveStorage {
 
   async ensureFolders() {
     try {
-      for (const [name, folderId] of Object.entries(this.folders)) {
+      for (const name of Object.keys(this.folders)) {
         const folder = await this.findOrCreateFolder(name, null);
         this.folders[name] = folder.id;
         console.log(`📁 Folder "${name}" ready: ${folder.id}`);
@@ -244,7 +242,7 @@ class DriveStorage {
       const { category, folder, metadata, overwrite } = options;
       
       // Start resumable upload session
-      const session = await this.startResumableUpload(fileName, {
+      const session = await this.startResumableUpload(buffer, fileName, {
         category,
         folder,
         metadata,
@@ -259,8 +257,8 @@ class DriveStorage {
     }
   }
 
-  async startResumableUpload(fileName, options) {
-    const { category, folder, metadata, overwrite } = options;
+  async startResumableUpload(buffer, fileName, options) {
+    const { category, folder, metadata } = options;
 
     const fileMetadata = {
       name: `${Date.now()}_${fileName}`,
@@ -316,7 +314,7 @@ class DriveStorage {
         }
 
         try {
-          const uploadResponse = await this.drive.files.update({
+          await this.drive.files.update({
             fileId: session.fileId,
             media: {
               mimeType: this.getMimeType(session.name),
@@ -417,26 +415,35 @@ class DriveStorage {
     }
   }
 
+  // options.all follows nextPageToken until every matching file is listed
   async listFiles(folder = 'memories', options = {}) {
     try {
       const { 
         pageSize = 50, 
         query = '', 
         orderBy = 'modifiedTime desc',
-        fields = 'files(id, name, size, modifiedTime, description, properties)' 
+        fields = 'files(id, name, size, modifiedTime, description, properties)',
+        all = false
       } = options;
 
       const searchQuery = `${query ? query + ' and ' : ''}'${this.folders[folder]}' in parents and trashed=false`;
 
-      const response = await this.drive.files.list({
-        q: searchQuery,
-        pageSize,
-        orderBy,
-        fields,
-        spaces: 'drive'
-      });
+      const files = [];
+      let pageToken;
+      do {
+        const response = await this.drive.files.list({
+          q: searchQuery,
+          pageSize,
+          orderBy,
+          fields: all ? `nextPageToken, ${fields}` : fields,
+          spaces: 'drive',
+          pageToken
+        });
+        files.push(...response.data.files);
+        pageToken = all ? response.data.nextPageToken : null;
+      } while (pageToken);
 
-      return response.data.files;
+      return files;
     } catch (error) {
       throw new Error(`File listing failed: ${error.message}`);
     }
@@ -511,17 +518,19 @@ class DriveStorage {
     });
   }
 
+  // limit: most recent files to read, or null for all of them
   async getConversations(sessionId = null, limit = 50) {
     try {
       let query = "properties.asmf_type = 'conversation'";
       if (sessionId) {
-        query += ` and properties.session_id = '${sessionId}'`;
+        query += ` and properties.session_id = '${this.escapeQuery(sessionId)}'`;
       }
       
       const files = await this.listFiles('conversations', {
         query,
-        pageSize: limit,
-        orderBy: 'modifiedTime desc'
+        pageSize: limit === null ? 1000 : limit,
+        orderBy: 'modifiedTime desc',
+        all: limit === null
       });
 
       const conversations = [];
@@ -547,21 +556,29 @@ class DriveStorage {
     }
   }
 
-  async backupMemoryState(stateData) {
+  // stateData: the state object, or with encryption at rest the encrypted
+  // serialized state (restoreMemoryState returns it as it was stored)
+  async backupMemoryState(stateData, options = {}) {
     try {
+      const namespace = options.namespace || 'default';
+      const encrypted = typeof stateData === 'string';
       const backupData = {
         timestamp: new Date().toISOString(),
         version: '1.0.0',
+        schemaVersion: options.schemaVersion !== undefined ? options.schemaVersion : stateData.schemaVersion,
+        namespace,
+        encrypted,
         state: stateData
       };
 
-      const fileName = `asmf_backup_${Date.now()}.json`;
+      const fileName = `asmf_backup_${namespace.replace(/\//g, '_')}_${Date.now()}.json`;
       return await this.saveFile(JSON.stringify(backupData, null, 2), fileName, {
         category: 'backup',
         folder: 'backups',
         metadata: {
           asmf_type: 'backup',
-          backup_type: 'memory_state'
+          backup_type: 'memory_state',
+          asmf_namespace: namespace
         }
       });
     } catch (error) {
@@ -570,21 +587,32 @@ class DriveStorage {
     }
   }
 
-  async restoreMemoryState(backupId = null) {
+  async restoreMemoryState(backupId = null, options = {}) {
     try {
+      const namespace = options.namespace || 'default';
       let query = "properties.asmf_type = 'backup' and properties.backup_type = 'memory_state'";
       if (backupId) {
-        query += ` and id = '${backupId}'`;
+        query += ` and id = '${this.escapeQuery(backupId)}'`;
       }
       
-      const files = await this.listFiles('backups', {
-        query,
+      let files = await this.listFiles('backups', {
+        query: `${query} and properties.asmf_namespace = '${this.escapeQuery(namespace)}'`,
         orderBy: 'modifiedTime desc',
         pageSize: 1
       });
 
+      // Backups from before namespaces existed belong to the default namespace
+      if (files.length === 0 && namespace === 'default') {
+        const legacyFiles = await this.listFiles('backups', {
+          query,
+          orderBy: 'modifiedTime desc',
+          pageSize: 100
+        });
+        files = legacyFiles.filter(file => !(file.properties && file.properties.asmf_namespace));
+      }
+
       if (files.length === 0) {
-        throw new Error('No backup files found');
+        throw new Error(`No backup files found for namespace '${namespace}'`);
       }
 
       const backupFile = files[0];
@@ -598,6 +626,89 @@ class DriveStorage {
     }
   }
 
+  // Cold-tier event segments (see asmf-engine/tiered-storage.js); the
+  // segments arrive compressed and, with encryption at rest, encrypted
+  async saveArchiveSegment(buffer, fileName, options = {}) {
+    const namespace = options.namespace || 'default';
+    return await this.saveFile(buffer, fileName, {
+      category: 'archive',
+      folder: 'archives',
+      overwrite: false,
+      metadata: {
+        asmf_type: 'archive_segment',
+        asmf_namespace: namespace
+      }
+    });
+  }
+
+  async getArchiveSegment(fileId) {
+    return await this.getFile(fileId, { format: 'buffer' });
+  }
+
+  async deleteArchiveSegment(fileId) {
+    return await this.deleteFile(fileId);
+  }
+
+  // Erasure: rewrite or delete every memory-state backup of a namespace.
+  // redact(state) resolves to { action: 'keep' | 'replace' | 'delete', state,
+  // schemaVersion } (state encrypted or not, as for backupMemoryState)
+  async redactMemoryStates(namespace, redact) {
+    const query = "properties.asmf_type = 'backup' and properties.backup_type = 'memory_state'";
+    let files = await this.listFiles('backups', {
+      query: `${query} and properties.asmf_namespace = '${this.escapeQuery(namespace)}'`,
+      pageSize: 1000,
+      all: true
+    });
+
+    if (namespace === 'default') {
+      const legacyFiles = await this.listFiles('backups', { query, pageSize: 1000, all: true });
+      files = files.concat(legacyFiles.filter(file => !(file.properties && file.properties.asmf_namespace)));
+    }
+
+    const report = { checked: files.length, redacted: 0, deleted: 0 };
+    for (const file of files) {
+      const backupData = JSON.parse(await this.getFile(file.id, { format: 'text' }));
+      const result = await redact(backupData.state);
+
+      if (result.action === 'delete') {
+        await this.deleteFile(file.id);
+        report.deleted++;
+      } else if (result.action === 'replace') {
+        const updated = JSON.stringify({
+          ...backupData,
+          schemaVersion: result.schemaVersion !== undefined ? result.schemaVersion : result.state.schemaVersion,
+          encrypted: typeof result.state === 'string',
+          state: result.state,
+          redactedAt: new Date().toISOString()
+        }, null, 2);
+        await this.drive.files.update({
+          fileId: file.id,
+          media: {
+            mimeType: 'application/json',
+            body: this.bufferToStream(Buffer.from(updated))
+          }
+        });
+        report.redacted++;
+      }
+    }
+
+    console.log(`🗑️ Redacted ${report.redacted} and deleted ${report.deleted} backups of namespace '${namespace}'`);
+    return report;
+  }
+
+  async deleteFilesByOriginalName(originalName, folder = 'training') {
+    const files = await this.listFiles(folder, {
+      query: `properties.originalName = '${this.escapeQuery(originalName)}'`,
+      pageSize: 1000,
+      all: true
+    });
+
+    for (const file of files) {
+      await this.deleteFile(file.id);
+    }
+    return files.map(file => file.id);
+  }
+
   // Utility methods
   async getStorageInfo() {
     try {
@@ -637,6 +748,10 @@ class DriveStorage {
   }
 
   // Helper methods
+  escapeQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+
   bufferToStream(buffer) {
     const readable = new stream.Readable();
     readable._read = () => {};
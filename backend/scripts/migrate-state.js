@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * ASMF AI Agent - State Migration
+ * Upgrades saved memory states (main state, local backups, snapshots of
+ * every namespace) to the current schema version
+ *
+ * Usage: npm run migrate -- [--dry-run] [--data-path <dir>] [--json]
+ * - --dry-run     report what would be migrated, write nothing
+ * - --data-path   memory data directory (default ./data/asmf-memory/)
+ * - --json        print the full report as JSON
+ *
+ * Stop the server first: a running engine migrates what it loads by itself
+ * and would overwrite files migrated underneath it. Encrypted states are
+ * read with the ENCRYPTION_* settings from .env.
+ */
+
+require('dotenv').config();
+
+const ASMFEngine = require('../asmf-engine/memory-core');
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const envFlag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+async function main() {
+  const dryRun = args.includes('--dry-run');
+  const engine = new ASMFEngine({
+    dataPath: option('--data-path'),
+    encryptionEnabled: envFlag('ENCRYPTION_ENABLED', false),
+    encryptionKey: process.env.ENCRYPTION_KEY,
+    previousEncryptionKeys: (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    encryptionKeyFile: process.env.ENCRYPTION_KEY_FILE
+  });
+
+  const result = await engine.migrateStoredState({ dryRun });
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.files) {
+    for (const file of result.files) {
+      const where = file.snapshot ? `${file.file} (snapshot ${file.snapshot})` : file.file;
+      console.log(`${file.status.padEnd(8)} ${where}${file.fromVersion ? ` v${file.fromVersion}` : ''}`);
+      for (const step of file.applied || []) {
+        console.log(`         ${step}`);
+      }
+      if (file.error) {
+        console.log(`         ${file.error}`);
+      }
+    }
+    const counts = Object.entries(result.summary).map(([name, count]) => `${count} ${name}`).join(', ');
+    console.log(`\n🧬 Schema v${result.schemaVersion}${dryRun ? ' (dry run, nothing written)' : ''}: ${counts}`);
+  } else {
+    console.error('❌ Migration failed:', result.error);
+  }
+
+  process.exitCode = result.success ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,292 @@
+const path = require('path');
+const request = require('supertest');
+const { signToken } = require('../ai-core/auth');
+const { tempDir, removeDir } = require('./helpers');
+
+const dataPath = tempDir();
+process.env.MEMORY_DATA_PATH = path.join(dataPath, 'memory');
+process.env.CONVERSATION_DATA_PATH = path.join(dataPath, 'conversations');
+process.env.DRIVE_BACKUP_ENABLED = 'false';
+process.env.AUTO_BACKUP_ENABLED = 'false';
+process.env.ENCRYPTION_ENABLED = 'false';
+process.env.JWT_SECRET = 'app-test-secret';
+
+const app = require('../app');
+
+describe('Express server', () => {
+    afterAll(async () => {
+        await app.shutdownServices();
+        await removeDir(dataPath);
+    });
+
+    test('health reports the services once they are started', async () => {
+        await request(app).get('/agent/info').expect(200);
+
+        const response = await request(app).get('/health').expect(200);
+        expect(response.body.status).toBe('healthy');
+        expect(response.body.services).toMatchObject({
+            asmfEngine: true,
+            nlpProcessor: true,
+            conversationManager: true,
+            trainingProcessor: true,
+            googleDrive: false
+        });
+    });
+
+    test('chat answers, continues the conversation and remembers it', async () => {
+        const first = await request(app)
+            .post('/chat')
+            .send({ message: 'I am planning a hiking trip to the Alps in July' })
+            .expect(200);
+        expect(first.body.success).toBe(true);
+        expect(typeof first.body.response).toBe('string');
+        expect(first.body.conversationId).toBeTruthy();
+
+        const second = await request(app)
+            .post('/chat')
+            .send({ message: 'What gear do I need for hiking in the Alps?', conversationId: first.body.conversationId })
+            .expect(200);
+        expect(second.body.conversationId).toBe(first.body.conversationId);
+        expect(second.body.memory.recalled.some(result => /Alps/.test(result.text))).toBe(true);
+
+        const search = await request(app).get('/memory/search').query({ q: 'hiking Alps' }).expect(200);
+        expect(search.body.success).toBe(true);
+        expect(search.body.results.length).toBeGreaterThan(0);
+    });
+
+    test('chat retrieves memories once per turn', async () => {
+        const retrieve = jest.spyOn(app.services.asmfEngine, 'retrieveMemory');
+        try {
+            const response = await request(app).post('/chat').send({ message: 'Which mountains did I mention?' }).expect(200);
+            expect(retrieve).toHaveBeenCalledTimes(1);
+            expect(response.body.memory.retrievalId).toBe((await retrieve.mock.results[0].value).retrievalId);
+        } finally {
+            retrieve.mockRestore();
+        }
+    });
+
+    test('chat rejects a missing message and unknown personalities', async () => {
+        await request(app).post('/chat').send({}).expect(400);
+
+        const response = await request(app)
+            .post('/chat')
+            .send({ message: 'hello', personality: 'grumpy' })
+            .expect(400);
+        expect(response.body.error).toMatch(/Unknown personality/);
+    });
+
+    test('chat uses the authenticated caller\'s namespace, not body fields', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+
+        const spoofed = await request(app)
+            .post('/chat')
+            .send({ message: 'My locker code is 4711', tenantId: 'acme', userId: 'alice' })
+            .expect(200);
+        expect(spoofed.body.memory.namespace).toBe('default');
+
+        const own = await request(app)
+            .post('/chat')
+            .set('Authorization', alice)
+            .send({ message: 'My bike is a green Gazelle', userId: 'mallory' })
+            .expect(200);
+        expect(own.body.memory.namespace).toBe('acme/alice');
+
+        const conversations = await request(app).get('/memory/conversations').set('Authorization', alice).expect(200);
+        expect(conversations.body.conversations.map(conversation => conversation.id)).toEqual([own.body.conversationId]);
+    });
+
+    test('a conversation can only be resumed by the caller it belongs to', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const bob = `Bearer ${signToken({ sub: 'bob', tenant: 'acme' }, 'app-test-secret')}`;
+        const started = await request(app)
+            .post('/chat')
+            .set('Authorization', alice)
+            .send({ message: 'Remind me that the server password rotates on Fridays' })
+            .expect(200);
+        const { conversationId } = started.body;
+
+        await request(app).post('/chat').set('Authorization', bob).send({ message: 'What did I say?', conversationId }).expect(403);
+        await request(app).post('/chat').send({ message: 'What did I say?', conversationId }).expect(403);
+        await request(app).get('/memory/conversations').set('Authorization', bob).query({ conversationId }).expect(403);
+        await request(app).post('/chat').set('Authorization', alice).send({ message: 'What did I say?', conversationId }).expect(200);
+    });
+
+    test('memory routes hold authenticated callers to their namespace', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+
+        await request(app).get('/memory/search').set('Authorization', alice).query({ q: 'bike', namespace: 'acme/bob' }).expect(403);
+        const search = await request(app).get('/memory/search').set('Authorization', alice).query({ q: 'green bike' }).expect(200);
+        expect(search.body.results.length).toBeGreaterThan(0);
+        expect(search.body.results.every(result => result.namespace === 'acme/alice')).toBe(true);
+    });
+
+    test('anonymous requests are held to the default namespace and its conversations', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const started = await request(app)
+            .post('/chat')
+            .set('Authorization', alice)
+            .send({ message: 'My gym locker is number 12' })
+            .expect(200);
+        const { conversationId } = started.body;
+
+        await request(app).get('/memory/search').query({ q: 'gym locker', namespace: 'acme/alice' }).expect(403);
+        await request(app).get('/memory/status').send({ namespace: 'acme/alice' }).expect(403);
+        expect((await request(app).get('/memory/status').expect(200)).body.namespace).toBe('default');
+
+        await request(app).get('/memory/conversations').query({ conversationId }).expect(403);
+        await request(app).post('/memory/forget').send({ conversationId }).expect(403);
+        const listed = await request(app).get('/memory/conversations').expect(200);
+        expect(listed.body.conversations.map(conversation => conversation.id)).not.toContain(conversationId);
+        await request(app).get('/memory/conversations').set('Authorization', alice).query({ conversationId }).expect(200);
+    });
+
+    test('administrators may act on any namespace', async () => {
+        const admin = `Bearer ${signToken({ sub: 'root', admin: true }, 'app-test-secret')}`;
+
+        const search = await request(app).get('/memory/search').set('Authorization', admin).query({ q: 'green bike', namespace: 'acme/alice' }).expect(200);
+        expect(search.body.results.length).toBeGreaterThan(0);
+        expect(search.body.results.every(result => result.namespace === 'acme/alice')).toBe(true);
+    });
+
+    test('only administrators list namespaces or change quotas', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const admin = `Bearer ${signToken({ sub: 'root', admin: true }, 'app-test-secret')}`;
+
+        await request(app).get('/memory/namespaces').expect(403);
+        await request(app).get('/memory/namespaces').set('Authorization', alice).expect(403);
+        await request(app).put('/memory/namespaces').set('Authorization', alice).send({ quotas: { maxMemories: 1000000 } }).expect(403);
+
+        const optIn = await request(app).put('/memory/namespaces').set('Authorization', alice).send({ sharedKnowledge: true }).expect(200);
+        expect(optIn.body.namespace).toMatchObject({ key: 'acme/alice', sharedKnowledge: true });
+
+        const limited = await request(app)
+            .put('/memory/namespaces')
+            .set('Authorization', admin)
+            .send({ namespace: 'acme/alice', quotas: { maxMemories: 50 } })
+            .expect(200);
+        expect(limited.body.namespace.quotas.maxMemories).toBe(50);
+        const listed = await request(app).get('/memory/namespaces').set('Authorization', admin).expect(200);
+        expect(listed.body.namespaces.map(namespace => namespace.key)).toContain('acme/alice');
+    });
+
+    test('requests with a bad bearer token are refused', async () => {
+        const forged = signToken({ sub: 'alice', tenant: 'acme' }, 'guessed-secret');
+
+        const response = await request(app).post('/chat').set('Authorization', `Bearer ${forged}`).send({ message: 'hi' }).expect(401);
+        expect(response.body.error).toMatch(/signature/);
+        await request(app).get('/memory/status').set('Authorization', 'Basic abc').expect(401);
+    });
+
+    test('memory search and chat recall return no embedding vectors', async () => {
+        const vectors = body => JSON.stringify(body).match(/"embeddings?":\[/g);
+
+        const search = await request(app).get('/memory/search').query({ q: 'hiking Alps', explain: 'true' }).expect(200);
+        expect(search.body.results.length).toBeGreaterThan(0);
+        expect(search.body.explain).toBeTruthy();
+        expect(vectors(search.body)).toBeNull();
+
+        const chat = await request(app).post('/chat').send({ message: 'Tell me about the Alps hike', explain: true }).expect(200);
+        expect(vectors(chat.body)).toBeNull();
+    });
+
+    test('forgetting a memory by fingerprint deletes the conversation it came from', async () => {
+        const chat = await request(app).post('/chat').send({ message: 'My spare key is under the blue flowerpot' }).expect(200);
+        const { conversationId } = chat.body;
+        const memory = app.services.asmfEngine.defaultNamespace.contextLayer.memories
+            .find(candidate => candidate.metadata.conversationId === conversationId);
+
+        const report = await request(app).post('/memory/forget').send({ fingerprint: memory.fingerprint }).expect(200);
+        expect(report.body.conversationsDeleted).toEqual([conversationId]);
+        await request(app).get('/memory/conversations').query({ conversationId }).expect(404);
+    });
+
+    test('erasing a user takes their own token and stays within their tenant', async () => {
+        const acme = `Bearer ${signToken({ sub: 'carol', tenant: 'acme' }, 'app-test-secret')}`;
+        const globex = `Bearer ${signToken({ sub: 'carol', tenant: 'globex' }, 'app-test-secret')}`;
+        const own = await request(app).post('/chat').set('Authorization', acme).send({ message: 'My dentist is Dr. Smith' }).expect(200);
+        const other = await request(app).post('/chat').set('Authorization', globex).send({ message: 'My cat is called Miso' }).expect(200);
+
+        await request(app).post('/memory/forget').send({ userId: 'carol' }).expect(403);
+        await request(app).post('/memory/forget').set('Authorization', acme).send({ userId: 'carol', tenantId: 'globex' }).expect(403);
+
+        const report = await request(app).post('/memory/forget').set('Authorization', acme).send({ userId: 'carol' }).expect(200);
+        expect(report.body.totals.namespacesErased).toBe(1);
+        expect(report.body.conversationsDeleted).toEqual([own.body.conversationId]);
+        await request(app).get('/memory/conversations').set('Authorization', globex).query({ conversationId: other.body.conversationId }).expect(200);
+        const search = await request(app).get('/memory/search').set('Authorization', globex).query({ q: 'cat Miso' }).expect(200);
+        expect(search.body.results.length).toBeGreaterThan(0);
+    });
+
+    test('only administrators create or delete snapshots; callers restore their own namespace', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const admin = `Bearer ${signToken({ sub: 'root', admin: true }, 'app-test-secret')}`;
+
+        await request(app).post('/memory/snapshots').send({ name: 'mine' }).expect(403);
+        await request(app).post('/memory/snapshots').set('Authorization', alice).send({ name: 'mine' }).expect(403);
+        const created = await request(app).post('/memory/snapshots').set('Authorization', admin).send({ name: 'nightly' }).expect(201);
+        const { id } = created.body.snapshot;
+
+        const listed = await request(app).get('/memory/snapshots').set('Authorization', alice).expect(200);
+        const entry = listed.body.snapshots.find(snapshot => snapshot.id === id);
+        expect(entry.namespaces.map(namespace => namespace.key)).toEqual(['acme/alice']);
+
+        await request(app).post(`/memory/snapshots/${id}/restore`).send({ backup: false }).expect(401);
+        const restored = await request(app)
+            .post(`/memory/snapshots/${id}/restore`)
+            .set('Authorization', alice)
+            .send({ backup: false })
+            .expect(200);
+        expect(restored.body.restored.map(namespace => namespace.namespace)).toEqual(['acme/alice']);
+
+        await request(app).delete(`/memory/snapshots/${id}`).set('Authorization', alice).expect(403);
+        await request(app).delete(`/memory/snapshots/${id}`).set('Authorization', admin).expect(200);
+    });
+
+    test('only administrators rotate encryption keys', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const admin = `Bearer ${signToken({ sub: 'root', admin: true }, 'app-test-secret')}`;
+
+        await request(app).post('/memory/encryption/rotate').send({ generate: true }).expect(403);
+        await request(app).post('/memory/encryption/rotate').set('Authorization', alice).send({ generate: true }).expect(403);
+        const response = await request(app).post('/memory/encryption/rotate').set('Authorization', admin).send({ generate: true }).expect(400);
+        expect(response.body.error).toMatch(/not enabled/i);
+    });
+
+    test('only administrators change ranking profiles', async () => {
+        const alice = `Bearer ${signToken({ sub: 'alice', tenant: 'acme' }, 'app-test-secret')}`;
+        const admin = `Bearer ${signToken({ sub: 'root', admin: true }, 'app-test-secret')}`;
+
+        await request(app).put('/memory/ranking/profiles/mine').set('Authorization', alice).send({ weights: { keywords: 3 } }).expect(403);
+        await request(app).put('/memory/ranking/active').send({ profile: 'recent-first' }).expect(403);
+        await request(app).post('/memory/ranking/learn').set('Authorization', alice).send({ name: 'learned' }).expect(403);
+
+        await request(app).put('/memory/ranking/profiles/custom').set('Authorization', admin).send({ weights: { keywords: 3 } }).expect(200);
+        const listed = await request(app).get('/memory/ranking/profiles').set('Authorization', alice).expect(200);
+        expect(JSON.stringify(listed.body)).toContain('custom');
+    });
+
+    test('memory search requires a query', async () => {
+        const response = await request(app).get('/memory/search').expect(400);
+        expect(response.body).toEqual({ success: false, error: 'Query parameter "q" is required' });
+    });
+
+    test('memory status counts the layers', async () => {
+        const response = await request(app).get('/memory/status').expect(200);
+        expect(response.body.context).toBeGreaterThan(0);
+        expect(response.body.temporal).toBeGreaterThan(0);
+    });
+
+    test('agent info lists the endpoints', async () => {
+        const response = await request(app).get('/agent/info').expect(200);
+        expect(response.body.endpoints).toContainEqual({ path: '/chat', method: 'POST' });
+        expect(response.body.memory.enabled).toBe(true);
+    });
+
+    test('Drive routes answer 503 without Google Drive', async () => {
+        await request(app).post('/memory/backup').send({}).expect(503);
+    });
+
+    test('unknown routes answer 404', async () => {
+        await request(app).get('/no-such-route').expect(404);
+    });
+});
@@ -0,0 +1,40 @@
+const { AuthenticationError, verifyToken, signToken } = require('../ai-core/auth');
+
+const SECRET = 'test-signing-secret';
+
+describe('verifyToken', () => {
+    test('returns the caller and their namespace', () => {
+        const token = signToken({ sub: 'alice', tenant: 'acme', project: 'apollo' }, SECRET);
+
+        expect(verifyToken(token, SECRET)).toEqual({
+            userId: 'alice',
+            tenantId: 'acme',
+            projectId: 'apollo',
+            namespace: 'acme/alice/apollo',
+            admin: false
+        });
+        expect(verifyToken(signToken({ sub: 'bob' }, SECRET), SECRET).namespace).toBe('default/bob');
+        expect(verifyToken(signToken({ sub: 'root', admin: true }, SECRET), SECRET).admin).toBe(true);
+        expect(verifyToken(signToken({ sub: 'root', admin: 'yes' }, SECRET), SECRET).admin).toBe(false);
+    });
+
+    test('rejects tokens signed with another secret or algorithm', () => {
+        const token = signToken({ sub: 'alice' }, 'another secret');
+        expect(() => verifyToken(token, SECRET)).toThrow(/signature/);
+
+        const [, payload, signature] = signToken({ sub: 'alice' }, SECRET).split('.');
+        const unsigned = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+        expect(() => verifyToken(`${unsigned}.${payload}.${signature}`, SECRET)).toThrow(/HS256/);
+        expect(() => verifyToken('not-a-token', SECRET)).toThrow(AuthenticationError);
+    });
+
+    test('rejects expired, not yet valid and identity-less tokens', () => {
+        const now = Date.now();
+        const seconds = Math.floor(now / 1000);
+
+        expect(() => verifyToken(signToken({ sub: 'alice', exp: seconds - 1 }, SECRET), SECRET, now)).toThrow(/expired/);
+        expect(() => verifyToken(signToken({ sub: 'alice', nbf: seconds + 60 }, SECRET), SECRET, now)).toThrow(/not valid yet/);
+        expect(() => verifyToken(signToken({ tenant: 'acme' }, SECRET), SECRET)).toThrow(/identity/);
+        expect(() => verifyToken(signToken({ sub: '../etc' }, SECRET), SECRET)).toThrow(/identity/);
+    });
+});
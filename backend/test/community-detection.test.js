@@ -0,0 +1,120 @@
+const { louvain, modularity } = require('../asmf-engine/community-detection');
+const { serializeGraph } = require('../asmf-engine/graph-formats');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+function adjacencyOf(edges) {
+    const adjacency = new Map();
+    const link = (a, b, weight) => {
+        if (!adjacency.has(a)) adjacency.set(a, new Map());
+        adjacency.get(a).set(b, weight);
+    };
+    for (const [a, b, weight = 1] of edges) {
+        link(a, b, weight);
+        link(b, a, weight);
+    }
+    return adjacency;
+}
+
+function clique(names) {
+    const edges = [];
+    names.forEach((a, index) => names.slice(index + 1).forEach(b => edges.push([a, b])));
+    return edges;
+}
+
+function groups(communities) {
+    const byCommunity = new Map();
+    for (const [node, community] of communities) {
+        if (!byCommunity.has(community)) byCommunity.set(community, []);
+        byCommunity.get(community).push(node);
+    }
+    return Array.from(byCommunity.values()).map(members => members.sort()).sort();
+}
+
+const FRUIT = ['apple', 'banana', 'cherry', 'grape'];
+const TOOLS = ['drill', 'hammer', 'saw', 'wrench'];
+const TWO_CLIQUES = [...clique(FRUIT), ...clique(TOOLS), ['grape', 'drill']];
+
+describe('Louvain community detection', () => {
+    test('separates two cliques joined by a single edge', () => {
+        const adjacency = adjacencyOf(TWO_CLIQUES);
+        const result = louvain(adjacency);
+
+        expect(groups(result.communities)).toEqual([FRUIT, TOOLS]);
+        expect(result.modularity).toBeCloseTo(modularity(adjacency, result.communities));
+        expect(result.modularity).toBeGreaterThan(0.4);
+    });
+
+    test('is deterministic', () => {
+        const first = louvain(adjacencyOf(TWO_CLIQUES));
+        const second = louvain(adjacencyOf(TWO_CLIQUES));
+
+        expect(Array.from(second.communities)).toEqual(Array.from(first.communities));
+    });
+
+    test('a heavy bridge weight pulls its endpoints together', () => {
+        const result = louvain(adjacencyOf([['a', 'b', 1], ['b', 'c', 10], ['c', 'd', 1], ['a', 'd', 1]]));
+
+        expect(result.communities.get('b')).toBe(result.communities.get('c'));
+    });
+
+    test('starts from an initial partition', () => {
+        const initial = new Map([...FRUIT.map(name => [name, 'fruit']), ...TOOLS.map(name => [name, 'tools'])]);
+        const result = louvain(adjacencyOf(TWO_CLIQUES), { initial });
+
+        expect(groups(result.communities)).toEqual([FRUIT, TOOLS]);
+        expect(result.levels).toBeLessThanOrEqual(2);
+    });
+
+    test('modularity is zero for a single community and for an empty graph', () => {
+        const adjacency = adjacencyOf(TWO_CLIQUES);
+        const together = new Map(Array.from(adjacency.keys(), node => [node, 0]));
+
+        expect(modularity(adjacency, together)).toBeCloseTo(0);
+        expect(modularity(new Map(), new Map())).toBe(0);
+    });
+});
+
+describe('Semantic layer clustering', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        const concepts = [...FRUIT, ...TOOLS].map(name => ({ name, contexts: [] }));
+        const relationships = TWO_CLIQUES.map(([source, target]) => ({ source, target, weight: 1 }));
+        await engine.importSemanticGraph(serializeGraph({ concepts, relationships, clusters: [] }, 'jsonld'));
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('clusters are the detected communities, labelled by their members', async () => {
+        const { semanticLayer } = engine.defaultNamespace;
+        await semanticLayer.performClustering();
+
+        const result = await engine.getConceptClusters();
+        expect(result.success).toBe(true);
+        expect(result.total).toBe(2);
+        expect(result.modularity).toBeGreaterThan(0.4);
+        expect(result.clusters.map(cluster => [...cluster.concepts].sort()).sort()).toEqual([FRUIT, TOOLS]);
+        for (const cluster of result.clusters) {
+            expect(cluster.label.split(' / ').every(name => cluster.concepts.includes(name))).toBe(true);
+        }
+    });
+
+    test('re-running after a small change keeps the cluster ids', async () => {
+        const { semanticLayer } = engine.defaultNamespace;
+        await semanticLayer.performClustering();
+        const before = new Map(semanticLayer.clusters.map(cluster => [cluster.concepts.includes('apple') ? 'fruit' : 'tools', cluster.id]));
+
+        await semanticLayer.updateRelationships(['apple', 'hammer']);
+        const rerun = await semanticLayer.performClustering();
+
+        expect(rerun.retainedIds).toBe(2);
+        const after = new Map(semanticLayer.clusters.map(cluster => [cluster.concepts.includes('apple') ? 'fruit' : 'tools', cluster.id]));
+        expect(after).toEqual(before);
+    });
+});
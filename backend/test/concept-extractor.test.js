@@ -0,0 +1,79 @@
+const path = require('path');
+const { ConceptExtractor, ConceptOntology, normalizeLabel } = require('../asmf-engine/concept-extractor');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('ConceptExtractor', () => {
+    let extractor;
+
+    beforeAll(async () => {
+        extractor = new ConceptExtractor();
+        await extractor.initialize();
+    });
+
+    test('extracts key phrases from English text', () => {
+        const concepts = extractor.extract('The quarterly sales report shows strong growth in the European market. ' +
+            'Sales teams in Germany exceeded targets.');
+
+        expect(concepts).toEqual(expect.arrayContaining(['sales report', 'european market', 'germany']));
+        expect(concepts).not.toContain('the');
+    });
+
+    test('falls back to stopword chunking for other languages', () => {
+        expect(extractor.extract('Мы обсуждали новый бюджет проекта и сроки запуска'))
+            .toEqual(expect.arrayContaining(['сроки запуска']));
+    });
+
+    test('limits the number of concepts', () => {
+        const limited = new ConceptExtractor({ maxConcepts: 2, useTagger: false });
+        expect(limited.extract('Apples, oranges, pears, plums, cherries and grapes are on the market stall')).toHaveLength(2);
+    });
+
+    test('already known concepts win ties against new phrases', () => {
+        const text = 'Invoices, receipts';
+
+        expect(extractor.extract(text)).toEqual(['invoice', 'receipt']);
+        expect(extractor.extract(text, { isKnown: concept => concept === 'receipt' })).toEqual(['receipt', 'invoice']);
+    });
+});
+
+describe('ConceptOntology', () => {
+    test('maps synonyms to canonical concepts and adds broader ones', () => {
+        const extractor = new ConceptExtractor({ useTagger: false });
+        extractor.ontology = ConceptOntology.fromObject({
+            concepts: { 'machine learning': { synonyms: ['ml'], broader: ['artificial intelligence'] } }
+        });
+
+        const concepts = extractor.extract('We use ML to rank search results');
+        expect(concepts).toEqual(expect.arrayContaining(['machine learning', 'artificial intelligence']));
+        expect(concepts).not.toContain('ml');
+    });
+
+    test('loads the example YAML ontology', async () => {
+        const ontology = await ConceptOntology.load(path.join(__dirname, '..', 'config', 'ontology.example.yaml'));
+
+        expect(ontology.canonical('Neural Nets')).toBe('neural networks');
+        expect(ontology.getBroader('deep learning')).toEqual(['machine learning']);
+        expect(ontology.getNarrower('artificial intelligence')).toEqual(expect.arrayContaining(['machine learning']));
+    });
+
+    test('rejects concepts without a name', () => {
+        expect(() => ConceptOntology.fromObject({ concepts: [{ synonyms: ['x'] }] })).toThrow(/missing a name/);
+        expect(normalizeLabel('  Deep\tLearning ')).toBe('deep learning');
+    });
+});
+
+describe('Concepts in the semantic layer', () => {
+    test('stored text teaches the semantic layer its own concepts', async () => {
+        const dataPath = tempDir();
+        const engine = await startEngine(dataPath);
+        try {
+            await engine.processInformation('The European market grew after the new pricing strategy launched');
+
+            const concepts = Array.from(engine.defaultNamespace.semanticLayer.concepts.keys());
+            expect(concepts).toEqual(expect.arrayContaining(['european market', 'pricing strategy']));
+        } finally {
+            await engine.shutdown();
+            await removeDir(dataPath);
+        }
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const ConversationManager = require('../ai-core/conversation');
+const { createConversationStore } = require('../ai-core/conversation-stores');
+const { tempDir, removeDir } = require('./helpers');
+
+function conversation(id, userId, lastActivity) {
+    return { id, userId, lastActivity: new Date(lastActivity).toISOString(), messages: [], context: {} };
+}
+
+function fragment(conversationId, startSequence, endSequence) {
+    const messages = [];
+    for (let sequence = startSequence; sequence <= endSequence; sequence++) {
+        messages.push({ id: `${conversationId}-${sequence}`, sequence, content: `message ${sequence}` });
+    }
+    return { conversationId, startSequence, endSequence, messages, storedAt: new Date().toISOString() };
+}
+
+const STORES = {
+    json: directory => createConversationStore('json', { directory }),
+    sqlite: directory => createConversationStore('sqlite', { filename: path.join(directory, 'conversations.db') })
+};
+
+describe.each(Object.keys(STORES))('%s conversation store', type => {
+    let directory;
+    let store;
+
+    beforeEach(async () => {
+        directory = tempDir();
+        store = STORES[type](directory);
+        await store.initialize();
+    });
+
+    afterEach(async () => {
+        await store.close();
+        await removeDir(directory);
+    });
+
+    test('saves, loads and lists conversations, most recently active first', async () => {
+        await store.saveConversation(conversation('a', 'alice', 1000));
+        await store.saveConversation(conversation('b', 'bob', 3000));
+        await store.saveConversation(conversation('c', 'alice', 2000));
+
+        expect(await store.loadConversation('b')).toMatchObject({ id: 'b', userId: 'bob' });
+        expect(await store.loadConversation('missing')).toBeNull();
+        expect((await store.listConversations()).map(entry => entry.id)).toEqual(['b', 'c', 'a']);
+        expect((await store.listConversations({ userId: 'alice', limit: 1 })).map(entry => entry.id)).toEqual(['c']);
+    });
+
+    test('returns the fragments overlapping a sequence range', async () => {
+        await store.saveFragment(fragment('a', 0, 9));
+        await store.saveFragment(fragment('a', 10, 19));
+        await store.saveFragment(fragment('b', 0, 9));
+
+        expect((await store.getFragments('a')).map(entry => entry.startSequence)).toEqual([0, 10]);
+        expect((await store.getFragments('a', { from: 12, to: 30 })).map(entry => entry.startSequence)).toEqual([10]);
+    });
+
+    test('deleting a conversation deletes its fragments', async () => {
+        await store.saveConversation(conversation('a', 'alice', 1000));
+        await store.saveFragment(fragment('a', 0, 9));
+
+        expect(await store.deleteConversation('a')).toBe(true);
+        expect(await store.loadConversation('a')).toBeNull();
+        expect(await store.getFragments('a')).toEqual([]);
+        expect(await store.deleteConversation('a')).toBe(false);
+    });
+
+    test('keeps every fragment saved concurrently', async () => {
+        await Promise.all([
+            store.saveConversation(conversation('a', 'alice', 1000)),
+            store.saveFragment(fragment('a', 0, 9)),
+            store.saveFragment(fragment('a', 10, 19)),
+            store.saveFragment(fragment('a', 20, 29)),
+            store.saveConversation(conversation('a', 'alice', 2000))
+        ]);
+
+        expect((await store.getFragments('a')).map(entry => entry.startSequence)).toEqual([0, 10, 20]);
+        expect((await store.loadConversation('a')).lastActivity).toBe(new Date(2000).toISOString());
+    });
+});
+
+describe('JSON conversation store files', () => {
+    test('concurrent writes leave no temporary files behind', async () => {
+        const directory = tempDir();
+        const store = createConversationStore('json', { directory });
+        try {
+            await store.initialize();
+            await Promise.all([0, 10, 20, 30].map(start => store.saveFragment(fragment('a', start, start + 9))));
+
+            expect(fs.readdirSync(path.join(directory, 'fragments'))).toEqual(['a.json']);
+            expect(store.fileQueues.size).toBe(0);
+        } finally {
+            await removeDir(directory);
+        }
+    });
+
+    test('rejects ids that would leave the store directory', async () => {
+        const store = createConversationStore('json', { directory: tempDir() });
+        await expect(store.loadConversation('../../etc/passwd')).rejects.toThrow(/Invalid conversation id/);
+        await removeDir(store.directory);
+    });
+});
+
+describe('ConversationManager persistence', () => {
+    test('trimmed messages are stored as fragments and conversations reload', async () => {
+        const directory = tempDir();
+        const options = {
+            conversationStore: createConversationStore('json', { directory }),
+            maxConversationLength: 4,
+            autoSave: false
+        };
+        const manager = new ConversationManager(options);
+        await manager.ready;
+
+        try {
+            const { conversationId } = await manager.createConversation('alice');
+            for (let index = 0; index < 8; index++) {
+                await manager.addMessage(conversationId, `message number ${index}`, 'user');
+            }
+            await manager.saveConversation(conversationId);
+
+            const trimmed = await manager.getConversationFragments(conversationId);
+            expect(trimmed.messages.length).toBeGreaterThan(0);
+            expect(trimmed.messages[0].content).toBe('message number 0');
+            await manager.shutdown();
+
+            const reloaded = new ConversationManager({ ...options, conversationStore: createConversationStore('json', { directory }) });
+            await reloaded.ready;
+            const history = await reloaded.getConversation(conversationId);
+            await reloaded.shutdown();
+            expect(history.success).toBe(true);
+        } finally {
+            await removeDir(directory);
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Cross-layer links', () => {
+    let dataPath;
+    let engine;
+    let namespace;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        namespace = engine.defaultNamespace;
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    async function store(text) {
+        await engine.processInformation(text);
+        const memory = namespace.contextLayer.memories[namespace.contextLayer.memories.length - 1];
+        return { memory, links: namespace.contextLayer.connections.get(memory.id) };
+    }
+
+    test('a stored input links its memory to its event and concepts, and the concepts back to the event', async () => {
+        const { memory, links } = await store('Kubernetes schedules containers across nodes');
+
+        const event = namespace.temporalLayer.eventsById.get(links.eventId);
+        expect(event.text).toBe(memory.text);
+        expect(links.concepts.length).toBeGreaterThan(0);
+        for (const name of links.concepts) {
+            expect(namespace.semanticLayer.concepts.get(name).events).toContain(links.eventId);
+        }
+    });
+
+    test('concept hits bring in the events and memories linked to them', async () => {
+        const { memory, links } = await store('Kubernetes schedules containers across nodes');
+        const conceptObj = namespace.semanticLayer.concepts.get(links.concepts[0]);
+        const results = {
+            context: [],
+            semantic: [{ ...conceptObj, name: links.concepts[0], similarity: 0.8, relevanceScore: 0.6 }],
+            temporal: []
+        };
+
+        engine.followCrossLayerLinks(results, {}, namespace);
+
+        expect(results.temporal).toEqual([expect.objectContaining({
+            id: links.eventId,
+            relevanceScore: 0.3,
+            linkedFrom: { layer: 'semantic', concept: links.concepts[0] }
+        })]);
+        expect(results.context).toEqual([expect.objectContaining({
+            id: memory.id,
+            linkedFrom: { layer: 'semantic', concept: links.concepts[0], eventId: links.eventId },
+            links
+        })]);
+    });
+
+    test('retrieval results carry their links', async () => {
+        const { memory, links } = await store('Kubernetes schedules containers across nodes');
+
+        const retrieval = await engine.retrieveInformation('kubernetes containers', { reinforce: false });
+        const hit = retrieval.layers.context.find(entry => entry.id === memory.id);
+        expect(hit.links).toEqual(links);
+    });
+
+    test('optimizing drops links to removed events and concepts', async () => {
+        const { memory, links } = await store('Kubernetes schedules containers across nodes');
+        const removedConcept = links.concepts[0];
+        const keptConcept = links.concepts[1];
+        const event = namespace.temporalLayer.eventsById.get(links.eventId);
+        namespace.temporalLayer.events = namespace.temporalLayer.events.filter(entry => entry !== event);
+        namespace.temporalLayer.eventsById.delete(event.id);
+        namespace.semanticLayer.concepts.delete(removedConcept);
+
+        const result = await engine.optimizeConnections(namespace);
+
+        expect(result.danglingLinksRemoved).toBeGreaterThanOrEqual(2);
+        const pruned = namespace.contextLayer.connections.get(memory.id);
+        expect(pruned.eventId).toBeNull();
+        expect(pruned.concepts).not.toContain(removedConcept);
+        if (keptConcept) {
+            expect(namespace.semanticLayer.concepts.get(keptConcept).events).not.toContain(event.id);
+        }
+    });
+
+    test('optimizing redirects links to compressed events and merges duplicates', async () => {
+        const first = await store('Kubernetes schedules containers across nodes');
+        const second = await store('Kubernetes schedules containers across nodes again');
+        const shared = first.links.concepts.find(name => second.links.concepts.includes(name));
+        expect(shared).toBeDefined();
+        const { temporalLayer } = namespace;
+        const originals = [first.links.eventId, second.links.eventId];
+        const summary = { ...temporalLayer.eventsById.get(originals[0]), id: 'summary', metadata: { compressed: true, originalIds: originals } };
+        temporalLayer.events = temporalLayer.events.filter(event => !originals.includes(event.id)).concat(summary);
+        temporalLayer.eventsById = new Map(temporalLayer.events.map(event => [event.id, event]));
+
+        const result = await engine.optimizeConnections(namespace);
+
+        expect(namespace.contextLayer.connections.get(first.memory.id).eventId).toBe('summary');
+        expect(namespace.contextLayer.connections.get(second.memory.id).eventId).toBe('summary');
+        expect(namespace.semanticLayer.concepts.get(shared).events).toEqual(['summary']);
+        expect(result.redundantConnectionsRemoved).toBeGreaterThan(0);
+    });
+
+    test('memories stored before linking are matched to their events', async () => {
+        const { memory, links } = await store('Kubernetes schedules containers across nodes');
+        namespace.contextLayer.connections.delete(memory.id);
+
+        const result = await engine.optimizeConnections(namespace);
+
+        expect(result.newConnectionsCreated).toBe(1);
+        expect(namespace.contextLayer.connections.get(memory.id).eventId).toBe(links.eventId);
+    });
+});
@@ -0,0 +1,57 @@
+const { DriveStorage } = require('../google-drive/storage');
+
+describe('DriveStorage queries', () => {
+    test('memory state restores escape the backup id and namespace', async () => {
+        const storage = new DriveStorage();
+        const queries = [];
+        storage.listFiles = async (folder, { query }) => {
+            queries.push(query);
+            return [{ id: 'file-1', name: 'backup.json' }];
+        };
+        storage.getFile = async () => JSON.stringify({ state: { restored: true } });
+
+        const state = await storage.restoreMemoryState("x' or name contains '", { namespace: "acme/o'brien" });
+
+        expect(state).toEqual({ restored: true });
+        expect(queries[0]).toContain("id = 'x\\' or name contains \\''");
+        expect(queries[0]).toContain("properties.asmf_namespace = 'acme/o\\'brien'");
+    });
+
+    test('conversation lookups escape the session id', async () => {
+        const storage = new DriveStorage();
+        const queries = [];
+        storage.listFiles = async (folder, { query }) => {
+            queries.push(query);
+            return [];
+        };
+
+        await storage.getConversations("x' or properties.asmf_type = 'conversation");
+
+        expect(queries[0]).toBe("properties.asmf_type = 'conversation' and " +
+            "properties.session_id = 'x\\' or properties.asmf_type = \\'conversation'");
+    });
+
+    test('erasure follows every page of a listing', async () => {
+        const storage = new DriveStorage();
+        const requests = [];
+        const pages = {
+            undefined: { files: [{ id: 'file-1', properties: {} }], nextPageToken: 'page-2' },
+            'page-2': { files: [{ id: 'file-2', properties: {} }] }
+        };
+        storage.drive = { files: { list: async params => {
+            requests.push(params);
+            return { data: pages[params.pageToken] };
+        } } };
+        const deleted = [];
+        storage.deleteFile = async fileId => deleted.push(fileId);
+
+        expect(await storage.deleteFilesByOriginalName('notes.txt')).toEqual(['file-1', 'file-2']);
+        expect(deleted).toEqual(['file-1', 'file-2']);
+        expect(requests[0].fields).toMatch(/^nextPageToken, /);
+
+        requests.length = 0;
+        storage.getFile = async () => '{}';
+        expect(await storage.getConversations('c1', null)).toHaveLength(2);
+        expect(requests).toHaveLength(2);
+    });
+});
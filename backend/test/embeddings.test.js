@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { HashingEmbeddingProvider, cosineSimilarity } = require('../asmf-engine/embeddings');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('HashingEmbeddingProvider', () => {
+    const provider = new HashingEmbeddingProvider();
+
+    test('returns unit vectors that are closer for related text', async () => {
+        const hiking = await provider.embed('hiking boots for mountain trails');
+        const trails = await provider.embed('mountain trail hikes');
+        const taxes = await provider.embed('quarterly tax return deadline');
+
+        expect(hiking).toHaveLength(512);
+        expect(cosineSimilarity(hiking, hiking)).toBeCloseTo(1, 3);
+        expect(cosineSimilarity(hiking, trails)).toBeGreaterThan(cosineSimilarity(hiking, taxes));
+        expect(await provider.embed('the and of')).toBeNull();
+    });
+
+    test('document frequencies only weight vectors of the same statistics', async () => {
+        const mine = provider.createStatistics();
+        const theirs = provider.createStatistics();
+        const before = await provider.embed('project apollo launch schedule', mine);
+
+        for (let i = 0; i < 20; i++) {
+            provider.observe('project apollo status update', theirs);
+        }
+
+        expect(await provider.embed('project apollo launch schedule', mine)).toEqual(before);
+        expect(await provider.embed('project apollo launch schedule', theirs)).not.toEqual(before);
+    });
+
+    test('statistics round-trip through exportState and importState', async () => {
+        const statistics = provider.createStatistics();
+        provider.observe('a saved document about rockets', statistics);
+
+        const restored = provider.importState(JSON.parse(JSON.stringify(provider.exportState(statistics))));
+        expect(restored).toEqual(statistics);
+        expect(provider.importState({ provider: 'http', dimensions: 512 })).toEqual(provider.createStatistics());
+    });
+});
+
+describe('Namespace embedding statistics', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = tempDir();
+    });
+
+    afterEach(async () => {
+        await removeDir(dataPath);
+    });
+
+    test('storing text in one namespace leaves other namespaces\' vectors unchanged', async () => {
+        const engine = await startEngine(dataPath);
+        try {
+            const acme = await engine.getNamespace('acme/alice');
+            const globex = await engine.getNamespace('globex/bob');
+            const before = await engine.embedText('quarterly revenue forecast', acme);
+
+            for (let i = 0; i < 5; i++) {
+                await engine.processInformation(`Quarterly revenue forecast revision ${i}`, { namespace: 'globex/bob' });
+            }
+
+            expect(await engine.embedText('quarterly revenue forecast', acme)).toEqual(before);
+            expect(globex.embeddingStatistics.documentCount).toBe(5);
+            expect(acme.embeddingStatistics.documentCount).toBe(0);
+        } finally {
+            await engine.shutdown();
+        }
+    });
+
+    test('each namespace saves and reloads its own statistics', async () => {
+        const engine = await startEngine(dataPath);
+        await engine.processInformation('Orbital mechanics lecture notes', { namespace: 'acme/alice' });
+        await engine.processInformation('Default namespace note');
+        await engine.shutdown();
+
+        const reloaded = await startEngine(dataPath);
+        try {
+            expect((await reloaded.getNamespace('acme/alice')).embeddingStatistics.documentCount).toBe(1);
+            expect(reloaded.defaultNamespace.embeddingStatistics.documentCount).toBe(1);
+        } finally {
+            await reloaded.shutdown();
+        }
+    });
+
+    test('namespaces saved without statistics relearn them from their memories', async () => {
+        const engine = await startEngine(dataPath);
+        const namespace = await engine.getNamespace('acme/alice');
+        await engine.processInformation('Orbital mechanics lecture notes', { namespace: 'acme/alice' });
+        await engine.processInformation('Rocket engine test results', { namespace: 'acme/alice' });
+        await engine.shutdown();
+
+        const stateFile = path.join(namespace.storage.dataPath, 'main.json');
+        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        delete state.embeddingProvider;
+        fs.writeFileSync(stateFile, JSON.stringify(state));
+
+        const reloaded = await startEngine(dataPath);
+        try {
+            expect((await reloaded.getNamespace('acme/alice')).embeddingStatistics.documentCount).toBe(2);
+        } finally {
+            await reloaded.shutdown();
+        }
+    });
+});
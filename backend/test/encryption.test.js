@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { KeyRing, DecryptionError, createKeyRing, keyFromSecret, legacyKeyAndIv } = require('../asmf-engine/encryption');
+const { tempDir, removeDir, createEngine, startEngine, crashEngine } = require('./helpers');
+
+const SECRET = crypto.randomBytes(32).toString('hex');
+const OTHER_SECRET = crypto.randomBytes(32).toString('hex');
+
+function ringFor(secret) {
+    const entry = keyFromSecret(secret, 'env');
+    return new KeyRing({ keys: [entry], activeKeyId: entry.id });
+}
+
+describe('KeyRing', () => {
+    test('round-trips data in the envelope format', () => {
+        const ring = ringFor(SECRET);
+        const encrypted = ring.encrypt('{"hello":"world"}');
+
+        expect(encrypted.startsWith(`asmf-enc:2:${ring.activeKeyId}:`)).toBe(true);
+        expect(ring.decrypt(encrypted)).toBe('{"hello":"world"}');
+        expect(ring.decrypt('{"plain":true}')).toBe('{"plain":true}');
+    });
+
+    test('refuses tampered data and data written with another key', () => {
+        const ring = ringFor(SECRET);
+        const parts = ring.encrypt('secret text').split(':');
+        parts[6] = Buffer.from('forged').toString('base64url');
+
+        expect(() => ring.decrypt(parts.join(':'))).toThrow(DecryptionError);
+        expect(() => ringFor(OTHER_SECRET).decrypt(ring.encrypt('secret text')))
+            .toThrow(expect.objectContaining({ name: 'DecryptionError', code: 'UNKNOWN_KEY' }));
+    });
+
+    test('reads the legacy createCipher format with the configured passphrase', () => {
+        const { key, iv } = legacyKeyAndIv('old passphrase');
+        const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+        const legacy = cipher.update('{"legacy":1}', 'utf8', 'hex') + cipher.final('hex');
+
+        expect(ringFor('old passphrase').decrypt(legacy)).toBe('{"legacy":1}');
+        expect(() => ringFor('another passphrase').decrypt(legacy)).toThrow(DecryptionError);
+    });
+
+    test('rotation keeps the retired key readable', async () => {
+        const dataPath = tempDir();
+        try {
+            const ring = createKeyRing({ encryptionEnabled: true, dataPath });
+            const before = ring.encrypt('before rotation');
+            const { previousKeyId, activeKeyId } = await ring.rotate();
+
+            expect(activeKeyId).not.toBe(previousKeyId);
+            const reloaded = createKeyRing({ encryptionEnabled: true, dataPath });
+            expect(reloaded.activeKeyId).toBe(activeKeyId);
+            expect(reloaded.decrypt(before)).toBe('before rotation');
+            expect(reloaded.needsRotation(before)).toBe(true);
+        } finally {
+            await removeDir(dataPath);
+        }
+    });
+});
+
+describe('Encrypted memory state', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = tempDir();
+    });
+
+    afterEach(async () => {
+        await removeDir(dataPath);
+    });
+
+    // An engine that starts anyway is stopped, or its timers keep the run alive
+    async function expectRefused(engine, expected) {
+        try {
+            await expect(engine.initialize()).rejects.toThrow(expected);
+        } finally {
+            if (engine.initialized) await engine.shutdown();
+        }
+    }
+
+    async function saveEncryptedState(config = {}) {
+        const engine = await startEngine(dataPath, { encryptionEnabled: true, ...config });
+        await engine.processInformation('The launch codes are stored in the blue binder');
+        await engine.shutdown();
+        return fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8');
+    }
+
+    test('state, indexes and the log are encrypted and load again', async () => {
+        const saved = await saveEncryptedState();
+        expect(saved).not.toMatch(/blue binder/);
+        expect(fs.readFileSync(path.join(dataPath, 'indexes.json'), 'utf8')).not.toMatch(/blue binder/);
+
+        const engine = await startEngine(dataPath, { encryptionEnabled: true });
+        const retrieval = await engine.retrieveInformation('blue binder', { reinforce: false });
+        await engine.shutdown();
+        expect(retrieval.results.some(result => /blue binder/.test(result.text || ''))).toBe(true);
+    });
+
+    test('a missing key file is an error, never a new key over encrypted state', async () => {
+        const saved = await saveEncryptedState();
+        fs.rmSync(path.join(dataPath, 'memory-keys.json'));
+
+        expect(() => createEngine(dataPath, { encryptionEnabled: true }))
+            .toThrow(expect.objectContaining({ name: 'DecryptionError', code: 'UNKNOWN_KEY' }));
+        expect(fs.existsSync(path.join(dataPath, 'memory-keys.json'))).toBe(false);
+        expect(fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8')).toBe(saved);
+    });
+
+    test('a wrong ENCRYPTION_KEY refuses to load instead of starting empty', async () => {
+        const saved = await saveEncryptedState({ encryptionKey: SECRET });
+
+        await expectRefused(createEngine(dataPath, { encryptionKey: OTHER_SECRET }), DecryptionError);
+        expect(fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8')).toBe(saved);
+    });
+
+    test('encrypted state is refused while encryption is off', async () => {
+        await saveEncryptedState();
+
+        await expectRefused(createEngine(dataPath), expect.objectContaining({ code: 'NO_KEY' }));
+    });
+
+    test('log records written with an unknown key are refused, not cut off as torn', async () => {
+        const engine = await startEngine(dataPath, { encryptionKey: SECRET });
+        await engine.processInformation('Only the write-ahead log knows this');
+        await engine.commitChanges(engine.defaultNamespace);
+        await crashEngine(engine);
+        const log = fs.readFileSync(path.join(dataPath, 'wal.log'), 'utf8');
+
+        await expectRefused(createEngine(dataPath, { encryptionKey: OTHER_SECRET }), DecryptionError);
+        expect(fs.readFileSync(path.join(dataPath, 'wal.log'), 'utf8')).toBe(log);
+    });
+
+    test('backups are only used when the state file does not exist', async () => {
+        await saveEncryptedState({ backupEnabled: true });
+        fs.writeFileSync(path.join(dataPath, 'main.json'), '{"truncated":');
+
+        await expectRefused(createEngine(dataPath, { encryptionEnabled: true, backupEnabled: true }), /main\.json .* is not valid JSON/);
+
+        fs.rmSync(path.join(dataPath, 'main.json'));
+        const engine = await startEngine(dataPath, { encryptionEnabled: true, backupEnabled: true });
+        const status = await engine.getMemoryStatus();
+        await engine.shutdown();
+        expect(status.layers.context.size).toBeGreaterThan(0);
+    });
+
+    test('key rotation re-encrypts state with the new key', async () => {
+        await saveEncryptedState();
+        const engine = await startEngine(dataPath, { encryptionEnabled: true });
+        const rotation = await engine.rotateEncryptionKeys();
+        await engine.shutdown();
+
+        expect(rotation.success).toBe(true);
+        expect(rotation.activeKeyId).not.toBe(rotation.previousKeyId);
+        const header = fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8').split(':')[2];
+        expect(header).toBe(rotation.activeKeyId);
+
+        const reloaded = await startEngine(dataPath, { encryptionEnabled: true });
+        const status = await reloaded.getMemoryStatus();
+        await reloaded.shutdown();
+        expect(status.layers.context.size).toBeGreaterThan(0);
+    });
+
+    test('remote backups are encrypted and restore again', async () => {
+        const uploads = [];
+        const target = {
+            async backupMemoryState(state, options) {
+                uploads.push({ state, ...options });
+                return { id: `backup-${uploads.length}` };
+            },
+            async restoreMemoryState() {
+                return uploads[uploads.length - 1].state;
+            },
+            async redactMemoryStates(namespace, redact) {
+                for (const upload of uploads) {
+                    const result = await redact(upload.state);
+                    if (result.action === 'replace') upload.state = result.state;
+                }
+                return { checked: uploads.length };
+            }
+        };
+        const engine = await startEngine(dataPath, { encryptionEnabled: true });
+        engine.setBackupTarget(target);
+        try {
+            const stored = await engine.processInformation('The launch codes are stored in the blue binder');
+            await engine.processInformation('The spare keys hang in the hallway');
+            expect((await engine.backupNamespace()).success).toBe(true);
+
+            expect(typeof uploads[0].state).toBe('string');
+            expect(uploads[0].state).not.toMatch(/blue binder/);
+            expect(uploads[0].schemaVersion).toBeGreaterThan(0);
+
+            await engine.forget({ fingerprint: stored.fingerprint });
+            expect(engine.keyRing.decrypt(uploads[0].state)).not.toMatch(/blue binder/);
+            expect(engine.keyRing.decrypt(uploads[0].state)).toMatch(/spare keys/);
+
+            const restored = await engine.restoreNamespace();
+            expect(restored).toMatchObject({ success: true, namespace: 'default' });
+            expect(restored.memories).toBeGreaterThan(0);
+        } finally {
+            await engine.shutdown();
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { EventArchive } = require('../asmf-engine/event-archive');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const DAY = 86400000;
+
+describe('EventArchive', () => {
+    let dataPath;
+    let engine;
+    let archive;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        archive = new EventArchive(engine.defaultNamespace.storage, { cacheSize: 1 });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    const originals = [
+        { id: 'e1', text: 'one', timestamp: 1, embeddings: [1, 0], tokens: ['one'], sequence: 0, temporalRelationships: [] },
+        { id: 'e2', text: 'two', timestamp: 2, embeddings: [0, 1], tokens: ['two'], sequence: 1, temporalRelationships: [] }
+    ];
+
+    test('stores originals without embeddings or bookkeeping and reads them back', async () => {
+        await archive.store('g1', originals);
+        await archive.store('g2', originals.slice(0, 1));
+
+        expect(fs.existsSync(path.join(dataPath, 'archive', 'g1.json'))).toBe(true);
+        expect(archive.cache.has('g1')).toBe(false);
+        expect(await archive.load('g1')).toEqual([{ id: 'e1', text: 'one', timestamp: 1 }, { id: 'e2', text: 'two', timestamp: 2 }]);
+        expect(await archive.load('missing')).toBeNull();
+    });
+
+    test('retaining and pruning rewrite or delete group files', async () => {
+        await archive.store('g1', originals);
+        await archive.store('g2', originals);
+
+        await archive.retain('g1', new Set(['e2']));
+        expect((await archive.load('g1')).map(event => event.id)).toEqual(['e2']);
+        await archive.retain('g1', new Set());
+        expect(await archive.load('g1')).toBeNull();
+
+        expect(await archive.prune(new Set(['g3']))).toBe(1);
+        expect(fs.readdirSync(path.join(dataPath, 'archive'))).toEqual([]);
+    });
+});
+
+describe('Archival event compression', () => {
+    let dataPath;
+    let engine;
+    let temporalLayer;
+
+    const TEXTS = [
+        'Daily standup: discussed the payment service outage',
+        'Daily standup: payment service outage follow-up',
+        'Daily standup: payment service outage resolved',
+        'Booked a dentist appointment'
+    ];
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        ({ temporalLayer } = engine.defaultNamespace);
+        for (const text of TEXTS) {
+            await engine.processInformation(text);
+        }
+        const start = Date.now() - 60 * DAY;
+        temporalLayer.events.forEach((event, index) => {
+            event.timestamp = start + index * 3600000;
+        });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('similar old events fold into one summarized event, their originals archived', async () => {
+        const originalIds = temporalLayer.events.slice(0, 3).map(event => event.id);
+
+        await temporalLayer.consolidate();
+
+        const group = temporalLayer.events.find(event => event.metadata && event.metadata.compressed);
+        expect(temporalLayer.events).toHaveLength(2);
+        expect(group.metadata).toMatchObject({ originalCount: 3, originalIds, archived: true });
+        expect(group.metadata.summary.method).toBe('extractive');
+        expect(group.text).toMatch(/payment service outage/);
+        expect(temporalLayer.events.find(event => event !== group).text).toBe('Booked a dentist appointment');
+        expect((await temporalLayer.archive.load(group.id)).map(event => event.id)).toEqual(originalIds);
+    });
+
+    test('retrieval hits on a group bring back the best matching originals', async () => {
+        await temporalLayer.consolidate();
+
+        const retrieval = await engine.retrieveInformation('payment outage resolved', { reinforce: false });
+        const hit = retrieval.results.find(result => result.metadata && result.metadata.compressed);
+
+        expect(hit.rehydrated.length).toBe(3);
+        expect(hit.rehydrated[0]).toMatchObject({ text: 'Daily standup: payment service outage resolved', rehydratedFrom: hit.id });
+        expect(hit.rehydrated[0].matchScore).toBeGreaterThan(hit.rehydrated[2].matchScore);
+        expect(hit.rehydrated[0].embeddings).toBeUndefined();
+    });
+
+    test('compressed groups cite every original they replaced', async () => {
+        await temporalLayer.consolidate();
+
+        const retrieval = await engine.retrieveInformation('payment outage', { reinforce: false });
+        const hit = retrieval.results.find(result => result.metadata && result.metadata.compressed);
+
+        expect(hit.citationIds).toHaveLength(3);
+    });
+});
@@ -0,0 +1,80 @@
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Retrieval explanations', () => {
+    let dataPath;
+    let engine;
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    async function start(config) {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, config);
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+        await engine.processInformation('Lunch is served at noon in the cafeteria');
+    }
+
+    test('are only added when asked for', async () => {
+        await start({ embeddingProvider: 'none' });
+        const retrieval = await engine.retrieveInformation('Jenkins deployment', { reinforce: false });
+
+        expect(retrieval.explain).toBeUndefined();
+        expect(retrieval.results[0].explanation).toBeUndefined();
+    });
+
+    test('break each score into the components that sum to it', async () => {
+        await start({ embeddingProvider: 'none' });
+        const retrieval = await engine.retrieveInformation('Jenkins deployment', { reinforce: false, explain: true });
+
+        expect(retrieval.results.length).toBeGreaterThan(0);
+        for (const result of retrieval.results) {
+            const { explanation } = result;
+            expect(explanation.score).toBeCloseTo(result.relevanceScore);
+            expect(Object.values(explanation.components).reduce((sum, value) => sum + value, 0)).toBeCloseTo(explanation.score);
+            expect(explanation.layerMatch.layerScore).toEqual(expect.any(Number));
+        }
+        const top = retrieval.results[0];
+        expect(top.text).toMatch(/Jenkins/);
+        expect(top.explanation.matched).toBeDefined();
+    });
+
+    test('describe the query analysis, thresholds and ranking profile', async () => {
+        await start({ embeddingProvider: 'none' });
+        const { explain } = await engine.retrieveInformation('Jenkins deployment', {
+            reinforce: false,
+            explain: true,
+            context: { similarityThreshold: 0.25 }
+        });
+
+        expect(explain.query.text).toBe('Jenkins deployment');
+        expect(explain.query.keywords.map(keyword => keyword.word)).toEqual(['jenkins', 'deployment']);
+        expect(explain.query.embedding).toBeNull();
+        expect(explain.thresholds.context.similarityThreshold).toBe(0.25);
+        expect(explain.thresholds.temporal.candidates).toEqual(expect.objectContaining({ text: expect.any(Number) }));
+        expect(explain.ranking.name).toBe('balanced');
+        expect(explain).toMatchObject({ followLinks: true, sharedKnowledge: false });
+    });
+
+    test('list the nearest neighbours of the query embedding', async () => {
+        await start({});
+        const { explain } = await engine.retrieveInformation('Jenkins deployment', { reinforce: false, explain: true });
+        const memory = engine.defaultNamespace.contextLayer.memories.find(entry => entry.text.includes('Jenkins'));
+
+        expect(explain.query.embedding.dimensions).toBeGreaterThan(0);
+        expect(explain.query.embedding.neighbours.context[0].id).toBe(memory.id);
+        const similarities = explain.query.embedding.neighbours.context.map(entry => entry.similarity);
+        expect(similarities).toEqual([...similarities].sort((a, b) => b - a));
+    });
+
+    test('report whether the answer came from the cache', async () => {
+        await start({ embeddingProvider: 'none' });
+        const first = await engine.retrieveInformation('Jenkins deployment', { reinforce: false, explain: true });
+        const second = await engine.retrieveInformation('Jenkins deployment', { reinforce: false, explain: true });
+
+        expect(first.explain.cache).toMatchObject({ hit: false, stored: true });
+        expect(second.explain.cache).toMatchObject({ hit: true, key: first.explain.cache.key, cachedAt: first.explain.generatedAt });
+        expect(second.explain.cache.ageMs).toBeGreaterThanOrEqual(0);
+    });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const ConversationManager = require('../ai-core/conversation');
+const { createConversationStore } = require('../ai-core/conversation-stores');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Right to be forgotten', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath);
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    const texts = async query => (await engine.retrieveInformation(query, { reinforce: false })).results
+        .map(result => result.text || '')
+        .filter(text => text);
+
+    test('erases a memory by fingerprint from every layer and reports only ids', async () => {
+        const stored = await engine.processInformation('My passport number is X1234567', { conversationId: 'c1', messageId: 'm1' });
+        await engine.processInformation('The office moves to Berlin next spring');
+
+        const report = await engine.forget({ fingerprint: stored.fingerprint });
+
+        expect(report.success).toBe(true);
+        expect(report.totals.memoriesRemoved).toBe(1);
+        expect(report.totals.eventsRemoved).toBe(1);
+        expect(report.conversationIds).toEqual(['c1']);
+        expect(JSON.stringify(report)).not.toMatch(/X1234567/);
+        expect((await texts('passport number')).some(text => /X1234567/.test(text))).toBe(false);
+        expect((await texts('office Berlin')).some(text => /Berlin/.test(text))).toBe(true);
+
+        const audit = fs.readFileSync(path.join(dataPath, 'forget-audit.jsonl'), 'utf8');
+        expect(audit).toContain(report.id);
+        expect(audit).not.toMatch(/X1234567/);
+    });
+
+    test('erases everything from a conversation or a document', async () => {
+        await engine.processInformation('Salary negotiation went well', { conversationId: 'c2', messageId: 'm1' });
+        await engine.processInformation('Handbook: vacation requests need two weeks notice', { fileName: 'handbook.pdf' });
+
+        expect((await engine.forget({ conversationId: 'c2' })).totals.memoriesRemoved).toBe(1);
+        expect((await engine.forget({ document: 'handbook.pdf' })).totals.memoriesRemoved).toBe(1);
+        expect(await texts('salary negotiation vacation handbook')).toEqual([]);
+    });
+
+    test('erases a user\'s namespace as a whole', async () => {
+        await engine.processInformation('Alice likes green tea', { namespace: 'acme/alice' });
+        const namespace = await engine.getNamespace('acme/alice');
+
+        const report = await engine.forget({ userId: 'alice', tenantId: 'acme' });
+
+        expect(report.totals.namespacesErased).toBe(1);
+        expect(report.criteria).toEqual({ userId: 'alice', tenantId: 'acme' });
+        expect(fs.existsSync(namespace.storage.dataPath)).toBe(false);
+    });
+
+    test('leaves a user of the same id in another tenant alone', async () => {
+        await engine.processInformation('Alice likes green tea', { namespace: 'acme/alice' });
+        await engine.processInformation('Alice from Globex likes black coffee', { namespace: 'globex/alice', userId: 'alice' });
+        const acme = await engine.getNamespace('acme/alice');
+
+        const report = await engine.forget({ userId: 'alice' });
+
+        expect(report.criteria.tenantId).toBe('default');
+        expect(report.totals.namespacesErased).toBe(0);
+        expect(report.totals.memoriesRemoved).toBe(0);
+        expect(fs.existsSync(acme.storage.dataPath)).toBe(true);
+        expect(await engine.forget({ tenantId: 'acme' })).toEqual({ success: false, error: expect.stringMatching(/needs a userId/) });
+    });
+
+    test('requires a criterion', async () => {
+        expect(await engine.forget({})).toEqual({ success: false, error: expect.stringMatching(/requires/) });
+    });
+
+    test('forgetting a message by fingerprint purges the conversation it was said in', async () => {
+        const directory = tempDir();
+        const manager = new ConversationManager({
+            memoryManager: engine,
+            conversationStore: createConversationStore('json', { directory }),
+            autoSave: false
+        });
+        await manager.ready;
+        try {
+            const { conversationId } = await manager.createConversation('user-1');
+            await manager.addMessage(conversationId, 'My bank PIN is 9876', 'user');
+            await manager.saveConversation(conversationId);
+            const [memory] = engine.defaultNamespace.contextLayer.memories;
+
+            const report = await engine.forget({ fingerprint: memory.fingerprint });
+            expect(report.conversationIds).toEqual([conversationId]);
+
+            const deleted = await manager.forgetConversations({ conversationIds: report.conversationIds });
+            expect(deleted).toEqual([conversationId]);
+            expect((await manager.getConversation(conversationId)).success).toBe(false);
+            expect(fs.readdirSync(directory, { recursive: true }).join(' ')).not.toContain(conversationId);
+        } finally {
+            await manager.shutdown();
+            await removeDir(directory);
+        }
+    });
+});
@@ -0,0 +1,98 @@
+const { FORMATS, serializeGraph, parseGraph, detectFormat } = require('../asmf-engine/graph-formats');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const GRAPH = {
+    concepts: [
+        { id: 'c1', name: 'coffee', frequency: 3, lastSeen: Date.UTC(2025, 10, 5), contexts: ['Coffee & "tea" <mornings>'], clusters: ['k1'] },
+        { id: 'c2', name: 'espresso machine', frequency: 1, lastSeen: Date.UTC(2025, 10, 4), contexts: ['Line one\nline two'], clusters: ['k1'] },
+        { id: 'c3', name: 'кофе', frequency: 2, lastSeen: Date.UTC(2025, 10, 3), contexts: [], clusters: [] }
+    ],
+    relationships: [
+        { source: 'coffee', target: 'espresso machine', weight: 2 },
+        { source: 'coffee', target: 'кофе', weight: 1 }
+    ],
+    clusters: [
+        { id: 'k1', label: 'drinks', concepts: ['coffee', 'espresso machine'], strength: 0.5, createdAt: Date.UTC(2025, 10, 1) }
+    ]
+};
+
+function summary(graph) {
+    return {
+        concepts: graph.concepts
+            .map(concept => ({ name: concept.name, frequency: concept.frequency, lastSeen: concept.lastSeen, contexts: concept.contexts }))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        relationships: graph.relationships
+            .map(relationship => [relationship.source, relationship.target].sort().concat(relationship.weight))
+            .sort(),
+        clusters: graph.clusters.map(cluster => ({ id: cluster.id, label: cluster.label, concepts: [...cluster.concepts].sort() }))
+    };
+}
+
+describe('Graph formats', () => {
+    test.each(Object.keys(FORMATS))('%s round-trips concepts, relationships and clusters', format => {
+        const data = serializeGraph(GRAPH, format);
+
+        expect(detectFormat(data)).toBe(format);
+        expect(summary(parseGraph(data))).toEqual(summary(GRAPH));
+    });
+
+    test('serialization is stable regardless of input order', () => {
+        const shuffled = { ...GRAPH, concepts: [...GRAPH.concepts].reverse(), relationships: [...GRAPH.relationships].reverse() };
+        for (const format of Object.keys(FORMATS)) {
+            expect(serializeGraph(shuffled, format)).toBe(serializeGraph(GRAPH, format));
+        }
+    });
+
+    test('unknown formats and payloads are rejected', () => {
+        expect(() => serializeGraph(GRAPH, 'csv')).toThrow(/Unknown graph format: csv/);
+        expect(() => parseGraph('name,weight')).toThrow(/Could not detect graph format/);
+    });
+});
+
+describe('Semantic graph export and import', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('an exported graph imports into an empty namespace', async () => {
+        await engine.processInformation('Python is used for machine learning and data science');
+        const exported = await engine.exportSemanticGraph({ format: 'ntriples' });
+        expect(exported).toMatchObject({ success: true, contentType: 'application/n-triples', extension: 'nt' });
+
+        const imported = await engine.importSemanticGraph(exported.data, { namespace: 'acme/alice' });
+        expect(imported).toMatchObject({ success: true, format: 'ntriples', namespace: 'acme/alice' });
+        expect(imported.conceptsCreated).toBe(exported.concepts);
+
+        const { semanticLayer } = await engine.getNamespace('acme/alice');
+        expect(summary(semanticLayer.exportGraph()).relationships)
+            .toEqual(summary(engine.defaultNamespace.semanticLayer.exportGraph()).relationships);
+    });
+
+    test('imported labels are normalized and replace mode drops existing concepts', async () => {
+        await engine.processInformation('Kubernetes schedules containers');
+        const result = await engine.importSemanticGraph(serializeGraph({
+            concepts: [{ name: '  Espresso   Machine ', contexts: [] }, { name: 'Coffee', contexts: [] }],
+            relationships: [{ source: '  Espresso   Machine ', target: 'Coffee', weight: 1 }],
+            clusters: []
+        }, 'jsonld'), { mode: 'replace' });
+
+        expect(result).toMatchObject({ success: true, mode: 'replace', conceptsCreated: 2 });
+        expect(Array.from(engine.defaultNamespace.semanticLayer.concepts.keys()).sort()).toEqual(['coffee', 'espresso machine']);
+        expect((await engine.getConceptNeighbors('coffee')).neighbors).toEqual([{ concept: 'espresso machine', weight: 1 }]);
+    });
+
+    test('bad payloads and modes are reported', async () => {
+        expect((await engine.importSemanticGraph('not a graph')).success).toBe(false);
+        expect((await engine.importSemanticGraph('{"@graph": []}', { mode: 'overwrite' })).error).toMatch(/Unknown import mode/);
+        expect((await engine.exportSemanticGraph({ format: 'csv' })).success).toBe(false);
+    });
+});
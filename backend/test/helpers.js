@@ -0,0 +1,56 @@
+/**
+ * Shared test helpers: temporary data directories and engines kept in them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ASMFEngine = require('../asmf-engine/memory-core');
+
+function tempDir(prefix = 'asmf-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeDir(directory) {
+    return fs.promises.rm(directory, { recursive: true, force: true });
+}
+
+/**
+ * Engine storing its state under dataPath, without timed backups or WAL
+ * flush delays
+ */
+function createEngine(dataPath, config = {}) {
+    return new ASMFEngine({
+        dataPath,
+        backupEnabled: false,
+        walFlushInterval: 0,
+        ...config
+    });
+}
+
+async function startEngine(dataPath, config = {}) {
+    const engine = createEngine(dataPath, config);
+    await engine.initialize();
+    return engine;
+}
+
+/**
+ * Stop an engine the way a crash would: timers cleared and logs closed,
+ * nothing saved
+ */
+async function crashEngine(engine) {
+    for (const timer of ['backupInterval', 'consolidationInterval', 'checkpointInterval', 'snapshotInterval']) {
+        clearInterval(engine[timer]);
+    }
+    for (const namespace of engine.namespaces.values()) {
+        if (namespace.wal) await namespace.wal.close();
+    }
+}
+
+module.exports = {
+    tempDir,
+    removeDir,
+    createEngine,
+    startEngine,
+    crashEngine
+};
@@ -0,0 +1,77 @@
+const { BM25Index, tokenize, documentTerms } = require('../asmf-engine/inverted-index');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('BM25Index', () => {
+    test('tokenizes without stop words and short tokens', () => {
+        expect(tokenize('What is the Zürich office address?')).toEqual(['zürich', 'office', 'address']);
+        expect(documentTerms('Rust code', ['Programming'])).toEqual(['rust', 'code', 'concept:programming']);
+    });
+
+    test('scores documents sharing rare query terms highest', () => {
+        const index = new BM25Index();
+        index.add('a', tokenize('the database migration failed on friday'));
+        index.add('b', tokenize('friday lunch with the team'));
+        index.add('c', tokenize('quarterly planning notes'));
+
+        const scores = index.searchScores(tokenize('database migration friday'), 10);
+        expect(Array.from(scores.keys())).toEqual(expect.arrayContaining(['a', 'b']));
+        expect(scores.has('c')).toBe(false);
+        expect(scores.get('a')).toBeGreaterThan(scores.get('b'));
+        expect(scores.get('a')).toBeLessThanOrEqual(1);
+    });
+
+    test('removed documents no longer match', () => {
+        const index = new BM25Index();
+        index.add('a', tokenize('kubernetes cluster upgrade'));
+        index.remove('a');
+
+        expect(index.searchScores(tokenize('kubernetes'), 10).size).toBe(0);
+        expect(index.size).toBe(0);
+    });
+});
+
+describe('Layer search candidates', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        for (let i = 0; i < 20; i++) {
+            await engine.processInformation(`Routine status note number ${i} about filing paperwork`);
+        }
+        await engine.processInformation('The espresso machine on floor three is broken');
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('context search only scores memories the indexes return', async () => {
+        const { contextLayer } = engine.defaultNamespace;
+        const score = jest.spyOn(contextLayer, 'calculateSimilarity');
+        const queryInfo = await engine.extractSemanticInfo('espresso machine broken', { namespace: engine.defaultNamespace });
+
+        const results = await contextLayer.search(queryInfo);
+
+        expect(results.map(result => result.text)).toEqual(['The espresso machine on floor three is broken']);
+        expect(score).toHaveBeenCalledTimes(1);
+    });
+
+    test('a time window starts from the matching events and browses it only without any', async () => {
+        const { temporalLayer } = engine.defaultNamespace;
+        const score = jest.spyOn(temporalLayer, 'scoreEvent');
+        const timeRange = { start: Date.now() - 3600000, end: Date.now() + 1000 };
+        const extract = text => engine.extractSemanticInfo(text, { namespace: engine.defaultNamespace });
+
+        const matched = await temporalLayer.search(await extract('espresso machine'), { timeRange });
+        expect(matched.map(result => result.text)).toEqual(['The espresso machine on floor three is broken']);
+        expect(score).toHaveBeenCalledTimes(1);
+
+        score.mockClear();
+        const browsed = await temporalLayer.search(await extract('happened'), { timeRange });
+        expect(browsed.length).toBe(temporalLayer.events.length);
+        expect(score).toHaveBeenCalledTimes(temporalLayer.events.length);
+    });
+});
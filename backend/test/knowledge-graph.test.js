@@ -0,0 +1,79 @@
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Knowledge graph queries', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        await engine.processInformation('Python is used for machine learning and data science');
+        await engine.processInformation('Machine learning relies on neural networks');
+        await engine.processInformation('Neural networks need GPUs');
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('lists the weighted neighbours of a concept', async () => {
+        const result = await engine.getConceptNeighbors('Python');
+
+        expect(result.success).toBe(true);
+        expect(result.concept).toBe('python');
+        expect(result.neighbors.map(neighbor => neighbor.concept).sort()).toEqual(['data science', 'machine']);
+        expect(result.neighbors.every(neighbor => neighbor.weight > 0)).toBe(true);
+    });
+
+    test('finds the shortest path between two concepts', async () => {
+        const result = await engine.findConceptPath('python', 'gpus');
+
+        expect(result).toMatchObject({ success: true, found: true, hops: 3 });
+        expect(result.path).toEqual(['python', 'machine', 'neural network', 'gpus']);
+        expect(result.edges).toHaveLength(3);
+    });
+
+    test('reports when no path connects two concepts', async () => {
+        await engine.processInformation('Sourdough bread needs a starter');
+        const unrelated = Array.from(engine.defaultNamespace.semanticLayer.concepts.keys()).find(name => /sourdough|bread/.test(name));
+
+        const result = await engine.findConceptPath('python', unrelated);
+        expect(result.success).toBe(true);
+        expect(result.found).toBe(false);
+    });
+
+    test('expands a concept by hops', async () => {
+        const oneHop = await engine.expandConcept('python', { hops: 1 });
+        const twoHops = await engine.expandConcept('python', { hops: 2 });
+
+        expect(oneHop.concepts.every(entry => entry.distance === 1)).toBe(true);
+        expect(twoHops.concepts.map(entry => entry.concept)).toContain('neural network');
+        expect(twoHops.concepts.find(entry => entry.concept === 'neural network')).toMatchObject({ distance: 2, via: 'machine' });
+    });
+
+    test('returns the subgraph around a concept', async () => {
+        const result = await engine.getConceptSubgraph('python', { hops: 1 });
+
+        expect(result.center).toBe('python');
+        expect(result.nodes.map(node => node.name).sort()).toEqual(['data science', 'machine', 'python']);
+        const names = new Set(result.nodes.map(node => node.name));
+        expect(result.edges.every(edge => names.has(edge.source) && names.has(edge.target))).toBe(true);
+    });
+
+    test('ranks the best connected concepts as most central', async () => {
+        const result = await engine.getCentralConcepts({ limit: 2 });
+
+        expect(result).toMatchObject({ success: true, measure: 'pagerank' });
+        expect(result.concepts).toHaveLength(2);
+        expect(result.concepts[0].concept).toBe('machine');
+        expect(result.concepts[0].score).toBeGreaterThanOrEqual(result.concepts[1].score);
+    });
+
+    test('unknown concepts are reported, not thrown', async () => {
+        expect(await engine.getConceptNeighbors('quantum')).toEqual({ success: false, error: 'Concept not found: quantum' });
+        expect((await engine.findConceptPath('quantum', 'python')).error).toMatch(/quantum/);
+        expect((await engine.expandConcept('quantum')).success).toBe(false);
+        expect((await engine.getConceptSubgraph('quantum')).success).toBe(false);
+    });
+});
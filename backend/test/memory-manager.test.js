@@ -0,0 +1,78 @@
+const ConversationManager = require('../ai-core/conversation');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('ASMFEngine memory-manager interface', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath);
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('stores typed memories and retrieves them by query', async () => {
+        const stored = await engine.storeMemory({
+            type: 'conversation_message',
+            content: 'My favourite programming language is Rust',
+            metadata: { conversationId: 'c1', messageId: 'm1' }
+        });
+        expect(stored.success).toBe(true);
+
+        const retrieval = await engine.retrieveMemory({ query: 'favourite programming language', limit: 3 });
+        expect(retrieval.success).toBe(true);
+        expect(retrieval.results.length).toBeGreaterThan(0);
+        expect(retrieval.results.length).toBeLessThanOrEqual(3);
+        expect(retrieval.results[0].text).toMatch(/Rust/);
+    });
+
+    test('rejects entries and queries without text', async () => {
+        await expect(engine.storeMemory({ type: 'note' })).rejects.toThrow(/non-empty string/);
+        await expect(engine.retrieveMemory({})).rejects.toThrow(/non-empty string/);
+    });
+
+    test('registered patterns are matched against new text', async () => {
+        await engine.registerPattern('ticket', { pattern: 'TICKET-(\\d+)', type: 'reference' });
+        expect(engine.matchPatterns('see TICKET-42 for details')).toEqual([
+            expect.objectContaining({ name: 'ticket', type: 'reference' })
+        ]);
+    });
+
+    test('knowledge extraction learns text not stored as a memory', async () => {
+        const result = await engine.storeMemory({
+            type: 'knowledge_extraction',
+            content: 'Photosynthesis converts sunlight into chemical energy',
+            metadata: { source: 'document' }
+        });
+
+        expect(result.layersUpdated).toEqual(['semantic']);
+        expect(result.concepts.length).toBeGreaterThan(0);
+        expect((await engine.getMemoryStatus()).layers.context.size).toBe(0);
+    });
+
+    test('a conversation message is learned once, not again as extracted knowledge', async () => {
+        const manager = new ConversationManager({ memoryManager: engine, persistenceEnabled: false, autoSave: false });
+        await manager.ready;
+        try {
+            const { conversationId } = await manager.createConversation('user-1');
+            await manager.addMessage(conversationId, 'Kubernetes schedules containers across a cluster of nodes', 'user');
+
+            const { semanticLayer } = engine.defaultNamespace;
+            const concepts = Array.from(semanticLayer.concepts.values());
+            expect(concepts.length).toBeGreaterThan(1);
+            for (const concept of concepts) {
+                expect(concept.frequency).toBe(1);
+                expect(concept.context).toHaveLength(1);
+            }
+            for (const weight of semanticLayer.relationships.values()) {
+                expect(weight).toBe(1);
+            }
+        } finally {
+            await manager.shutdown();
+        }
+    });
+});
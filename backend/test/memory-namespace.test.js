@@ -0,0 +1,91 @@
+const path = require('path');
+const { parseNamespace, namespaceDataPath, normalizeQuotas } = require('../asmf-engine/memory-namespace');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Namespace specs', () => {
+    test('parses strings, objects and the reserved names', () => {
+        expect(parseNamespace('acme/alice')).toEqual({ key: 'acme/alice', tenantId: 'acme', userId: 'alice', projectId: null });
+        expect(parseNamespace('acme/alice/website')).toMatchObject({ key: 'acme/alice/website', projectId: 'website' });
+        expect(parseNamespace({ userId: 'bob' })).toMatchObject({ key: 'default/bob', tenantId: 'default' });
+        expect(parseNamespace({ tenantId: 'acme', userId: 'bob', projectId: '' })).toMatchObject({ key: 'acme/bob', projectId: null });
+        expect(parseNamespace(undefined).key).toBe('default');
+        expect(parseNamespace('shared')).toEqual({ key: 'shared', tenantId: null, userId: null, projectId: null });
+    });
+
+    test('rejects malformed specs and segments that could escape the data path', () => {
+        expect(() => parseNamespace('alice')).toThrow(/expected tenant\/user/);
+        expect(() => parseNamespace('a/b/c/d')).toThrow(/expected tenant\/user/);
+        expect(() => parseNamespace('acme/..')).toThrow(/Invalid namespace userId/);
+        expect(() => parseNamespace({ tenantId: 'acme' })).toThrow(/Invalid namespace userId/);
+        expect(() => parseNamespace('acme/al ice')).toThrow(/Invalid namespace userId/);
+        expect(() => parseNamespace(42)).toThrow(/must be a string or an object/);
+    });
+
+    test('maps namespaces to storage directories', () => {
+        expect(namespaceDataPath('/data', parseNamespace())).toBe('/data');
+        expect(namespaceDataPath('/data', parseNamespace('shared'))).toBe(path.join('/data', 'shared'));
+        expect(namespaceDataPath('/data', parseNamespace('acme/alice/web')))
+            .toBe(path.join('/data', 'namespaces', 'acme', 'alice', 'projects', 'web'));
+    });
+
+    test('quotas must be positive integers', () => {
+        expect(normalizeQuotas({ maxMemories: '10', unknown: 5 })).toEqual({ maxMemories: 10 });
+        expect(() => normalizeQuotas({ maxEvents: 0 })).toThrow(/maxEvents must be a positive integer/);
+        expect(() => normalizeQuotas({ maxConcepts: 1.5 })).toThrow(/maxConcepts/);
+    });
+});
+
+describe('Namespaced memory', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    async function texts(query, namespace) {
+        const retrieval = await engine.retrieveInformation(query, { namespace, reinforce: false });
+        return retrieval.results.filter(result => result.layer === 'context').map(result => result.text);
+    }
+
+    test('memories stay in the namespace they were stored in', async () => {
+        await engine.processInformation('My locker combination is 4512', { namespace: 'acme/alice' });
+
+        expect(await texts('locker combination', 'acme/alice')).toEqual(['My locker combination is 4512']);
+        expect(await texts('locker combination', 'acme/bob')).toEqual([]);
+        expect(await texts('locker combination', 'acme/alice/side-project')).toEqual([]);
+        expect(await texts('locker combination')).toEqual([]);
+    });
+
+    test('shared knowledge is searched only by namespaces that opt in', async () => {
+        await engine.processInformation('The office wifi password is hunter2', { namespace: 'shared' });
+        await engine.configureNamespace('acme/bob', { sharedKnowledge: true });
+
+        expect(await texts('office wifi password', 'acme/bob')).toEqual(['The office wifi password is hunter2']);
+        expect(await texts('office wifi password', 'acme/alice')).toEqual([]);
+    });
+
+    test('quotas bound a namespace and are saved with it', async () => {
+        const configured = await engine.configureNamespace('acme/alice', { quotas: { maxMemories: 2 } });
+        expect(configured.namespace.quotas.maxMemories).toBe(2);
+        expect((await engine.configureNamespace('acme/alice', { quotas: { maxMemories: -1 } })).success).toBe(false);
+
+        for (const text of ['First note about apples', 'Second note about pears', 'Third note about plums']) {
+            await engine.processInformation(text, { namespace: 'acme/alice' });
+        }
+        expect((await engine.getNamespace('acme/alice')).contextLayer.memories.length).toBeLessThanOrEqual(2);
+        expect(engine.defaultNamespace.contextLayer.config.maxSize).toBeGreaterThan(2);
+
+        await engine.shutdown();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        const listed = await engine.listNamespaces();
+        expect(listed.namespaces).toContainEqual(expect.objectContaining({ key: 'acme/alice', loaded: false }));
+        expect((await engine.getNamespace('acme/alice')).quotas.maxMemories).toBe(2);
+    });
+});
@@ -0,0 +1,124 @@
+const { MemoryStrengthModel } = require('../asmf-engine/memory-strength');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const HOUR = 3600000;
+const T0 = Date.UTC(2025, 10, 5);
+
+describe('MemoryStrengthModel', () => {
+    const model = new MemoryStrengthModel();
+
+    test('importance grows with sentiment, entities and retrievals', () => {
+        const plain = { tokens: ['the', 'meeting', 'is', 'today'] };
+        const emotional = { ...plain, sentiment: { score: 3, comparative: 0.75 } };
+        const retrieved = { ...plain, accessCount: 6 };
+
+        expect(model.scoreImportance(plain)).toBe(0);
+        expect(model.scoreImportance(emotional)).toBeCloseTo(0.25);
+        expect(model.scoreImportance(retrieved)).toBeGreaterThan(0.4);
+        expect(model.scoreImportance({ ...plain, pinned: true })).toBe(1);
+    });
+
+    test('retention decays exponentially with stability', () => {
+        const memory = model.initialize({ tokens: ['note'] }, T0);
+
+        expect(memory.stability).toBe(HOUR);
+        expect(model.retention(memory, T0)).toBe(1);
+        expect(model.retention(memory, T0 + HOUR)).toBeCloseTo(Math.exp(-1));
+        expect(model.retention({ ...memory, pinned: true }, T0 + 100 * HOUR)).toBe(1);
+    });
+
+    test('important memories start more stable', () => {
+        const memory = model.initialize({ tokens: ['note'], metadata: { pinned: true } }, T0);
+
+        expect(memory.pinned).toBe(true);
+        expect(memory.stability).toBe(5 * HOUR);
+    });
+
+    test('reviews after more forgetting strengthen a memory more', () => {
+        const early = model.reinforce(model.initialize({ tokens: ['note'] }, T0), T0 + HOUR / 10);
+        const late = model.reinforce(model.initialize({ tokens: ['note'] }, T0), T0 + 3 * HOUR);
+
+        expect(early.accessCount).toBe(1);
+        expect(early.lastReinforced).toBe(T0 + HOUR / 10);
+        expect(early.stability).toBeGreaterThan(HOUR);
+        expect(late.stability).toBeGreaterThan(early.stability);
+    });
+
+    test('fades below the threshold unless pinned, and promotes important memories once', () => {
+        const memory = model.initialize({ tokens: ['note'] }, T0);
+
+        expect(model.shouldFade(memory, T0 + 2 * HOUR)).toBe(false);
+        expect(model.shouldFade(memory, T0 + 4 * HOUR)).toBe(true);
+        expect(model.shouldFade(model.pin(memory), T0 + 4 * HOUR)).toBe(false);
+        expect(model.shouldPromote(memory)).toBe(true);
+        expect(model.shouldPromote({ ...memory, promotedAt: 1 })).toBe(false);
+    });
+});
+
+describe('Context memory strength', () => {
+    let dataPath;
+    let engine;
+    let contextLayer;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        ({ contextLayer } = engine.defaultNamespace);
+        await engine.processInformation('The quarterly budget review is on Friday');
+        await engine.processInformation('Remember to water the garden plants');
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    function memoryAbout(word) {
+        return contextLayer.memories.find(memory => memory.text.includes(word));
+    }
+
+    test('retrieval reinforces the memories it returns unless told not to', async () => {
+        const memory = memoryAbout('budget');
+        const stability = memory.stability;
+
+        await engine.retrieveInformation('quarterly budget review', { reinforce: false });
+        expect(memory.accessCount || 0).toBe(0);
+
+        await engine.retrieveInformation('quarterly budget review');
+        expect(memory.accessCount).toBe(1);
+        expect(memory.stability).toBeGreaterThan(stability);
+        expect(memoryAbout('garden').accessCount || 0).toBe(0);
+    });
+
+    test('consolidation lets stale memories fade but keeps pinned ones', async () => {
+        const pinned = await engine.pinMemory(memoryAbout('garden').id);
+        expect(pinned).toMatchObject({ success: true, pinned: true, importance: 1, retention: 1 });
+        for (const memory of contextLayer.memories) {
+            memory.lastReinforced -= 100 * memory.stability;
+        }
+
+        const result = await contextLayer.consolidate();
+
+        expect(result.items).toBe(1);
+        expect(contextLayer.memories.map(memory => memory.text)).toEqual(['Remember to water the garden plants']);
+    });
+
+    test('pinned memories are promoted into the semantic layer', async () => {
+        const memory = memoryAbout('garden');
+        await engine.pinMemory(memory.id);
+
+        expect(await engine.promoteImportantMemories()).toBe(1);
+        expect(memory.promotedAt).toEqual(expect.any(Number));
+        expect(memory.promotedConcepts.length).toBeGreaterThan(0);
+        expect(await engine.promoteImportantMemories()).toBe(0);
+    });
+
+    test('unpinning and unknown memories', async () => {
+        const memory = memoryAbout('garden');
+        await engine.pinMemory(memory.id);
+
+        expect(await engine.pinMemory(memory.id, false)).toMatchObject({ success: true, pinned: false });
+        expect(memory.importance).toBeLessThan(1);
+        expect(await engine.pinMemory('missing')).toEqual({ success: false, error: 'Memory not found: missing' });
+    });
+});
@@ -0,0 +1,180 @@
+const { predictionTopic, describeCadence, projectPredictions } = require('../asmf-engine/predictions');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const T0 = Date.UTC(2025, 10, 5); // a Wednesday
+
+function occurrence(id, timestamp, metadata = {}) {
+    return { id, text: 'Leg day at the gym', concepts: ['gym', 'training'], timestamp, metadata };
+}
+
+/**
+ * A recurring pattern detected on the last of the occurrences
+ */
+function recurring(id, occurrences, interval, confidence = 1) {
+    return {
+        id,
+        type: 'recurring',
+        pattern: {
+            baseEvent: occurrences[occurrences.length - 1],
+            similarEvents: occurrences.slice(0, -1),
+            averageInterval: interval,
+            confidence
+        },
+        createdAt: T0
+    };
+}
+
+const weekly = count => Array.from({ length: count }, (_, index) => occurrence(`e${index}`, T0 + index * WEEK));
+
+describe('predictionTopic', () => {
+    test('labels occurrences by their shared concepts with a stable id', () => {
+        const topic = predictionTopic(weekly(3));
+
+        expect(topic).toMatchObject({ concepts: ['gym', 'training'], label: 'gym and training' });
+        expect(topic.id).toMatch(/^[0-9a-f]{16}$/);
+        expect(predictionTopic(weekly(4).reverse()).id).toBe(topic.id);
+    });
+
+    test('falls back to shared terms without concepts', () => {
+        const events = ['water the plants', 'water plants on the balcony', 'water the plants again']
+            .map((text, index) => ({ id: `e${index}`, text, concepts: [], timestamp: index }));
+
+        expect(predictionTopic(events).label).toMatch(/water/);
+        expect(predictionTopic(events).concepts).toEqual([]);
+    });
+});
+
+describe('describeCadence', () => {
+    const on = (interval, count, start = T0) => Array.from({ length: count }, (_, index) => start + index * interval);
+
+    test('names daily, weekly and fortnightly cadences in calendar terms', () => {
+        expect(describeCadence(DAY, on(DAY, 3), 0).label).toBe('every day');
+        expect(describeCadence(WEEK, on(WEEK, 3), 0)).toEqual({ unit: 'week', every: 1, weekday: 'Wednesday', label: 'on Wednesdays' });
+        expect(describeCadence(2 * WEEK, on(2 * WEEK, 3), 0).label).toBe('every other Wednesday');
+        expect(describeCadence(3 * WEEK, on(3 * WEEK, 3), 0).label).toBe('every 3 weeks on Wednesday');
+    });
+
+    test('uses the caller time zone for the weekday', () => {
+        const lateTuesday = T0 - 2 * HOUR;
+        expect(describeCadence(WEEK, on(WEEK, 3, lateTuesday), 0).weekday).toBe('Tuesday');
+        expect(describeCadence(WEEK, on(WEEK, 3, lateTuesday), 180).weekday).toBe('Wednesday');
+    });
+
+    test('falls back to days or hours for other intervals', () => {
+        expect(describeCadence(3 * DAY, on(3 * DAY, 3), 0).label).toBe('every 3 days');
+        expect(describeCadence(12 * HOUR, on(12 * HOUR, 3), 0).label).toBe('every 12 hours');
+    });
+});
+
+describe('projectPredictions', () => {
+    const options = { minConfidence: 0.85, timezoneOffset: 0 };
+
+    test('predicts the occurrence after the last one', () => {
+        const [prediction] = projectPredictions([recurring('p1', weekly(3), WEEK)], { ...options, now: T0 + 2 * WEEK + HOUR });
+
+        expect(prediction).toMatchObject({
+            topic: 'gym and training',
+            occurrences: 3,
+            missed: 0,
+            lastOccurrence: T0 + 2 * WEEK,
+            nextOccurrence: T0 + 3 * WEEK,
+            status: 'pending',
+            patternId: 'p1',
+            eventId: 'e2',
+            message: 'You usually talk about gym and training on Wednesdays.'
+        });
+        expect(prediction.window.end - prediction.window.start).toBeCloseTo(2 * 0.1 * WEEK);
+    });
+
+    test('rolls forward over missed occurrences until the habit looks broken', () => {
+        const pattern = recurring('p1', weekly(3), WEEK);
+
+        expect(projectPredictions([pattern], { ...options, now: T0 + 4 * WEEK + DAY })[0])
+            .toMatchObject({ missed: 2, nextOccurrence: T0 + 5 * WEEK });
+        expect(projectPredictions([pattern], { ...options, now: T0 + 5 * WEEK + DAY })).toEqual([]);
+    });
+
+    test('skips weak, short or too frequent patterns and agent messages', () => {
+        const now = T0 + 2 * WEEK;
+        const agentLast = [...weekly(2), occurrence('e2', T0 + 2 * WEEK, { messageType: 'assistant' })];
+
+        expect(projectPredictions([recurring('p1', weekly(3), WEEK, 0.8)], { ...options, now })).toEqual([]);
+        expect(projectPredictions([recurring('p1', weekly(2), WEEK)], { ...options, now })).toEqual([]);
+        expect(projectPredictions([recurring('p1', weekly(3), 6 * HOUR)], { ...options, now })).toEqual([]);
+        expect(projectPredictions([recurring('p1', agentLast, WEEK)], { ...options, now })).toEqual([]);
+    });
+
+    test('keeps the latest detection of a topic and applies feedback', () => {
+        const patterns = [recurring('p2', weekly(4), WEEK), recurring('p1', weekly(3), WEEK)];
+        const [prediction] = projectPredictions(patterns, { ...options, now: T0 + 3 * WEEK });
+
+        expect(projectPredictions(patterns, { ...options, now: T0 + 3 * WEEK })).toHaveLength(1);
+        expect(prediction.patternId).toBe('p2');
+
+        const feedback = new Map([[prediction.id, { status: 'dismissed', updatedAt: 5 }]]);
+        expect(projectPredictions(patterns, { ...options, now: T0 + 3 * WEEK, feedback })[0])
+            .toMatchObject({ status: 'dismissed', feedbackAt: 5 });
+    });
+});
+
+describe('Engine predictions', () => {
+    let dataPath;
+    let engine;
+
+    // Three weekly sessions in the past, then this week's
+    async function recordWeeklySessions() {
+        const now = Date.now();
+        for (let week = 3; week >= 1; week--) {
+            const event = await engine.defaultNamespace.temporalLayer.recordEvent(
+                { text: `Piano lesson with Anna, week ${4 - week}`, concepts: ['piano', 'lesson'] }, {});
+            event.timestamp = now - week * WEEK;
+        }
+        await engine.defaultNamespace.temporalLayer.recordEvent({ text: 'Piano lesson with Anna, week 4', concepts: ['piano', 'lesson'] }, {});
+    }
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        await recordWeeklySessions();
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('lists upcoming occurrences of recurring events within the horizon', async () => {
+        const result = await engine.getPredictions({ timezoneOffset: 0 });
+
+        expect(result.success).toBe(true);
+        expect(result.total).toBe(1);
+        expect(result.predictions[0]).toMatchObject({ topic: 'lesson and piano', occurrences: 4, status: 'pending' });
+        expect(result.predictions[0].cadence).toMatchObject({ unit: 'week', every: 1 });
+        expect((await engine.getPredictions({ horizon: DAY })).total).toBe(0);
+        expect(await engine.getPredictions({ horizon: -1 })).toEqual({ success: false, error: expect.stringMatching(/negative/) });
+    });
+
+    test('dismissed predictions are hidden and the feedback survives a restart', async () => {
+        const [prediction] = (await engine.getPredictions()).predictions;
+
+        const dismissed = await engine.updatePrediction(prediction.id, 'dismiss');
+        expect(dismissed.prediction.status).toBe('dismissed');
+        expect((await engine.getPredictions()).total).toBe(0);
+
+        await engine.shutdown();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        const listed = await engine.getPredictions({ includeDismissed: true });
+        expect(listed.predictions.map(entry => [entry.id, entry.status])).toEqual([[prediction.id, 'dismissed']]);
+
+        await engine.updatePrediction(prediction.id, 'confirm');
+        expect((await engine.getPredictions()).predictions[0].status).toBe('confirmed');
+    });
+
+    test('rejects unknown predictions and actions', async () => {
+        expect(await engine.updatePrediction('missing', 'dismiss')).toMatchObject({ success: false, notFound: true });
+        expect((await engine.updatePrediction('missing', 'snooze')).error).toMatch(/Unknown prediction action/);
+    });
+});
@@ -0,0 +1,113 @@
+const { createProvenance, normalizeProvenance, provenanceOf, buildCitations } = require('../asmf-engine/provenance');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const NOW = Date.UTC(2025, 10, 5);
+
+describe('Provenance records', () => {
+    test('derive the source from the ingestion metadata', () => {
+        expect(createProvenance({ conversationId: 'c1', messageId: 'm1' }, 'hello there', NOW)).toMatchObject({
+            sourceType: 'conversation_message',
+            sourceId: 'm1',
+            conversationId: 'c1',
+            offsets: { start: 0, end: 11 },
+            extractor: 'conversation_message',
+            confidence: 1,
+            ingestedAt: NOW
+        });
+        expect(createProvenance({ source: 'training', fileName: 'handbook.pdf', page: 4, knowledgeType: 'facts' }, 'x', NOW))
+            .toMatchObject({ sourceType: 'document', sourceId: 'handbook.pdf', documentName: 'handbook.pdf', page: 4, extractor: 'training.facts' });
+        expect(createProvenance({}, 'note', NOW)).toMatchObject({ sourceType: 'direct', sourceId: null, extractor: 'direct' });
+    });
+
+    test('explicit provenance overrides the derived fields', () => {
+        const record = createProvenance({ messageId: 'm1', provenance: { extractor: 'summary', confidence: 0.4, page: null } }, 'x', NOW);
+
+        expect(record).toMatchObject({ sourceId: 'm1', extractor: 'summary', confidence: 0.4 });
+    });
+
+    test('normalization clamps confidence and drops malformed fields', () => {
+        expect(normalizeProvenance({ sourceType: 'email', confidence: 3, offsets: { start: 'a' }, page: 1.5 })).toMatchObject({
+            sourceType: 'direct',
+            confidence: 1,
+            offsets: null,
+            page: null,
+            extractor: 'unknown'
+        });
+    });
+
+    test('items stored before provenance get a legacy record', () => {
+        const legacy = provenanceOf({ text: 'old', metadata: { conversationId: 'c1' }, createdAt: NOW });
+
+        expect(legacy).toMatchObject({ sourceType: 'conversation_message', conversationId: 'c1', extractor: 'unknown', confidence: null, ingestedAt: NOW });
+    });
+
+    test('citations are numbered once per source and linked from each result', () => {
+        const source = createProvenance({ messageId: 'm1' }, 'shared text', NOW);
+        const results = [
+            { layer: 'context', id: 'a', provenance: source },
+            { layer: 'temporal', id: 'b', provenance: source },
+            { layer: 'context', id: 'c', provenance: createProvenance({ fileName: 'notes.md' }, 'x', NOW) }
+        ];
+
+        const citations = buildCitations(results);
+
+        expect(citations.map(citation => [citation.id, citation.sourceId])).toEqual([[1, 'm1'], [2, 'notes.md']]);
+        expect(citations[0].results.map(entry => entry.id)).toEqual(['a', 'b']);
+        expect(results.map(result => result.citationIds)).toEqual([[1], [1], [2]]);
+    });
+
+    test('compressed events cite the originals they summarize', () => {
+        const results = [{
+            layer: 'temporal',
+            id: 'summary',
+            metadata: {
+                compressed: true,
+                originals: [
+                    { provenance: createProvenance({ messageId: 'm1' }, 'x', NOW) },
+                    { provenance: createProvenance({ messageId: 'm2' }, 'y', NOW) }
+                ]
+            }
+        }];
+
+        expect(buildCitations(results).map(citation => citation.sourceId)).toEqual(['m1', 'm2']);
+    });
+});
+
+describe('Retrieval citations', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('memories, events and concepts keep the source they were learned from', async () => {
+        await engine.processInformation('Our deployment pipeline runs on Jenkins', { conversationId: 'c1', messageId: 'm7' });
+        const { contextLayer, temporalLayer, semanticLayer } = engine.defaultNamespace;
+
+        expect(contextLayer.memories[0].provenance).toMatchObject({ sourceType: 'conversation_message', messageId: 'm7' });
+        expect(temporalLayer.events[0].provenance).toMatchObject({ messageId: 'm7' });
+        const concept = semanticLayer.concepts.get('jenkins');
+        expect(concept.contextSources).toEqual([expect.objectContaining({ messageId: 'm7' })]);
+    });
+
+    test('retrieval returns citations for its results', async () => {
+        await engine.processInformation('Our deployment pipeline runs on Jenkins', { conversationId: 'c1', messageId: 'm7' });
+        await engine.processInformation('The onboarding guide covers Jenkins setup', { fileName: 'onboarding.pdf', page: 2 });
+
+        const retrieval = await engine.retrieveInformation('Jenkins deployment', { reinforce: false });
+
+        expect(retrieval.citations.map(citation => citation.sourceId)).toEqual(expect.arrayContaining(['m7', 'onboarding.pdf']));
+        const ids = new Set(retrieval.citations.map(citation => citation.id));
+        for (const result of retrieval.results) {
+            expect(result.citationIds.length).toBeGreaterThan(0);
+            expect(result.citationIds.every(id => ids.has(id))).toBe(true);
+        }
+    });
+});
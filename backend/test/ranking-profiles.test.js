@@ -0,0 +1,124 @@
+const { BUILTIN_PROFILES, normalizeProfile, scoreFeatures, preferencePairs, learnProfile } = require('../asmf-engine/ranking-profiles');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+function features(layer, overrides = {}) {
+    return { layer, keywords: 1, concepts: 0, embedding: 0.5, strength: 0, ageDays: 1, ...overrides };
+}
+
+describe('Ranking profiles', () => {
+    test('custom profiles take missing weights from their base', () => {
+        const profile = normalizeProfile({ keywordMatch: 9, layerWeights: { temporal: 1 } });
+
+        expect(profile.keywordMatch).toBe(9);
+        expect(profile.layerWeights).toEqual({ context: 1, semantic: 0.8, temporal: 1 });
+        expect(profile.embedding).toBe(BUILTIN_PROFILES.balanced.embedding);
+    });
+
+    test('invalid weights are rejected', () => {
+        expect(() => normalizeProfile({ recency: -1 })).toThrow(/recency must be a non-negative number/);
+        expect(() => normalizeProfile({ layerWeights: { context: 'high' } })).toThrow(/layerWeights.context/);
+        expect(() => normalizeProfile({ recencyWindowDays: 0 })).toThrow(/must be positive/);
+        expect(() => normalizeProfile({ recencyLayers: ['archive'] })).toThrow(/Unknown ranking layer: archive/);
+    });
+
+    test('recency only counts for the profile\'s recency layers and fades over its window', () => {
+        const balanced = BUILTIN_PROFILES.balanced;
+
+        expect(scoreFeatures(features('context'), balanced).recency).toBe(0);
+        expect(scoreFeatures(features('temporal', { ageDays: 0 }), balanced).recency).toBe(10);
+        expect(scoreFeatures(features('temporal', { ageDays: 5 }), balanced).recency).toBe(5);
+        expect(scoreFeatures(features('temporal', { ageDays: 20 }), balanced).recency).toBe(0);
+        expect(scoreFeatures(features('context', { ageDays: 0 }), BUILTIN_PROFILES['recent-first']).recency).toBe(20);
+    });
+
+    test('feedback prefers relevant results over irrelevant ones and skipped ones above them', () => {
+        const retrieval = {
+            results: [
+                { id: 'a', rank: 0, features: 'A' },
+                { id: 'b', rank: 1, features: 'B' },
+                { id: 'c', rank: 2, features: 'C' },
+                { id: 'd', rank: 3, features: 'D' }
+            ],
+            relevant: ['c'],
+            irrelevant: ['d']
+        };
+
+        expect(preferencePairs([retrieval])).toEqual([['C', 'A'], ['C', 'B'], ['C', 'D']]);
+    });
+
+    test('learning moves weights towards what users found relevant', () => {
+        const retrievals = Array.from({ length: 20 }, () => ({
+            results: [
+                { id: 'memory', rank: 0, features: features('context', { keywords: 3 }) },
+                { id: 'event', rank: 1, features: features('temporal', { ageDays: 0 }) }
+            ],
+            relevant: ['event'],
+            irrelevant: []
+        }));
+
+        const { profile, stats } = learnProfile(retrievals);
+
+        expect(stats.pairs).toBe(20);
+        expect(stats.pairwiseAccuracy.before).toBe(0);
+        expect(stats.pairwiseAccuracy.after).toBe(1);
+        expect(profile.layerWeights.temporal).toBeGreaterThan(BUILTIN_PROFILES.balanced.layerWeights.temporal);
+        expect(profile.keywordMatch).toBeLessThan(BUILTIN_PROFILES.balanced.keywordMatch);
+        expect(Object.values(stats.weights).every(weight => weight.after >= 0)).toBe(true);
+    });
+});
+
+describe('Engine ranking profiles', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('custom profiles and the active profile survive a restart', async () => {
+        expect((await engine.updateRankingProfile('events', { base: 'recent-first', recency: 30 })).success).toBe(true);
+        expect((await engine.updateRankingProfile('balanced', {})).error).toMatch(/built in/);
+        expect((await engine.setDefaultRankingProfile('missing')).error).toMatch(/Unknown ranking profile "missing"/);
+        await engine.setDefaultRankingProfile('events');
+
+        await engine.shutdown();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+
+        const { active, profiles } = engine.listRankingProfiles();
+        expect(active).toBe('events');
+        expect(profiles.find(profile => profile.name === 'events')).toMatchObject({ base: 'recent-first', recency: 30, builtin: false });
+    });
+
+    test('retrievals can name a profile', async () => {
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+
+        const retrieval = await engine.retrieveInformation('Jenkins', { reinforce: false, rankingProfile: 'knowledge-first' });
+        expect(retrieval.rankingProfile).toBe('knowledge-first');
+        await expect(engine.retrieveInformation('Jenkins', { rankingProfile: 'missing' })).rejects.toThrow(/Unknown ranking profile/);
+    });
+
+    test('feedback on retrieved results trains a learned profile', async () => {
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+        await engine.processInformation('Jenkins builds are slow on Fridays');
+        const retrieval = await engine.retrieveInformation('Jenkins', { reinforce: false });
+        const [first, second] = retrieval.results;
+
+        expect((await engine.recordRankingFeedback({ retrievalId: 'nope', resultId: first.id })).error).toMatch(/Unknown or expired/);
+        expect((await engine.recordRankingFeedback({ retrievalId: retrieval.retrievalId, resultId: 'nope' })).error).toMatch(/was not returned/);
+        await engine.recordRankingFeedback({ retrievalId: retrieval.retrievalId, resultId: second.id });
+        await engine.recordRankingFeedback({ retrievalId: retrieval.retrievalId, resultId: first.id, relevant: false });
+
+        expect((await engine.learnRankingProfile()).error).toMatch(/Not enough feedback/);
+        const learned = await engine.learnRankingProfile({ name: 'tuned', minPairs: 1, activate: true });
+        expect(learned).toMatchObject({ success: true, active: 'tuned' });
+        expect(learned.profile.learned.pairs).toBe(1);
+        expect(learned.profile.base).toBe('balanced');
+        expect(engine.listRankingProfiles().profiles.map(profile => profile.name)).toContain('tuned');
+    });
+});
@@ -0,0 +1,7 @@
+// Services log their progress; keep test output to failures
+// (ASMF_TEST_VERBOSE=true shows the logs)
+if (process.env.ASMF_TEST_VERBOSE !== 'true') {
+    for (const method of ['log', 'info', 'warn']) {
+        jest.spyOn(console, method).mockImplementation(() => {});
+    }
+}
@@ -0,0 +1,133 @@
+const { diffStates, parseTime } = require('../asmf-engine/memory-snapshots');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+describe('Snapshot helpers', () => {
+    test('parse dates, timestamps and bare days', () => {
+        expect(parseTime(1700000000000)).toBe(1700000000000);
+        expect(parseTime('1700000000000')).toBe(1700000000000);
+        expect(parseTime('2025-11-05T10:00:00Z')).toBe(Date.UTC(2025, 10, 5, 10));
+        expect(parseTime('2025-11-05')).toBe(Date.UTC(2025, 10, 6) - 1);
+        expect(parseTime('not a date')).toBeNull();
+        expect(parseTime(new Date(NaN))).toBeNull();
+    });
+
+    test('diff concepts, relationship weights, events and memories', () => {
+        const before = {
+            contextLayer: { memories: [{ id: 'm1', text: 'one' }] },
+            semanticLayer: { concepts: [['apple', { frequency: 1 }], ['pear', { frequency: 2 }]], relationships: [['apple::pear', 1]] },
+            temporalLayer: { events: [{ id: 'e1', text: 'one' }] }
+        };
+        const after = {
+            contextLayer: { memories: [{ id: 'm2', text: 'two' }] },
+            semanticLayer: { concepts: [['apple', { frequency: 3 }], ['plum', { frequency: 1 }]], relationships: [['pear::apple', 1], ['apple::pear', 1]] },
+            temporalLayer: { events: [{ id: 'e1', text: 'one' }, { id: 'e2', text: 'two' }] }
+        };
+
+        const diff = diffStates(before, after);
+
+        expect(diff.summary).toMatchObject({
+            conceptsAdded: 1,
+            conceptsRemoved: 1,
+            conceptsChanged: 1,
+            relationshipsChanged: 1,
+            eventsAdded: 1,
+            eventsRemoved: 0,
+            memoriesAdded: 1,
+            memoriesRemoved: 1,
+            truncated: false
+        });
+        expect(diff.concepts.changed).toEqual([{ name: 'apple', frequency: { before: 1, after: 3 } }]);
+        expect(diffStates(null, after, { limit: 1 }).summary.truncated).toBe(true);
+    });
+});
+
+describe('Memory snapshots', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    async function contextTexts(query, options = {}) {
+        const retrieval = await engine.retrieveInformation(query, { reinforce: false, ...options });
+        return retrieval.results.filter(result => result.layer === 'context').map(result => result.text);
+    }
+
+    test('snapshots are numbered, named and listed', async () => {
+        const first = await engine.createSnapshot({ name: 'baseline' });
+        const second = await engine.createSnapshot();
+
+        expect(first.snapshot).toMatchObject({ id: 'v1', name: 'baseline', reason: 'manual' });
+        expect(second.snapshot.id).toBe('v2');
+        expect((await engine.createSnapshot({ name: 'baseline' })).error).toMatch(/already taken/);
+        expect((await engine.createSnapshot({ name: '1st' })).error).toMatch(/Invalid snapshot name/);
+        expect((await engine.listSnapshots()).snapshots.map(snapshot => snapshot.id)).toEqual(['v1', 'v2']);
+        expect((await engine.getSnapshot('baseline')).id).toBe('v1');
+        expect((await engine.getSnapshot({ asOf: Date.now() })).id).toBe('v2');
+    });
+
+    test('namespaces only on disk are snapshotted without being loaded', async () => {
+        await engine.processInformation('My locker combination is 4512', { namespace: 'acme/alice' });
+        await engine.shutdown();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+
+        const { snapshot } = await engine.createSnapshot();
+
+        expect(snapshot.namespaces.find(entry => entry.key === 'acme/alice').counts).toMatchObject({ memories: 1, events: 1 });
+        expect(engine.namespaces.has('acme/alice')).toBe(false);
+    });
+
+    test('retrieval can travel back to a snapshot without touching live memory', async () => {
+        await engine.createSnapshot({ name: 'before-migration' });
+        await engine.processInformation('We migrated the deployment pipeline to GitHub Actions');
+
+        expect(await contextTexts('deployment pipeline', { snapshot: 'before-migration' }))
+            .toEqual(['Our deployment pipeline runs on Jenkins']);
+        expect((await contextTexts('deployment pipeline')).length).toBe(2);
+        await expect(engine.retrieveInformation('pipeline', { snapshot: 'missing' })).rejects.toThrow(/Snapshot not found: missing/);
+    });
+
+    test('diffs a snapshot against the current state', async () => {
+        await engine.createSnapshot();
+        await engine.processInformation('Kubernetes schedules containers');
+
+        const diff = await engine.diffSnapshots('v1');
+
+        expect(diff.to.id).toBe('current');
+        const changes = diff.namespaces.find(entry => entry.namespace === 'default');
+        expect(changes.status).toBe('changed');
+        expect(changes.summary).toMatchObject({ memoriesAdded: 1, eventsAdded: 1, memoriesRemoved: 0 });
+        expect(changes.concepts.added.map(concept => concept.name).join(' ')).toMatch(/kubernetes/);
+    });
+
+    test('restoring brings the state back after taking a pre-restore snapshot', async () => {
+        await engine.createSnapshot({ name: 'clean' });
+        await engine.processInformation('Kubernetes schedules containers');
+
+        const restored = await engine.restoreSnapshot('clean');
+
+        expect(restored).toMatchObject({ success: true, snapshot: 'v1', preRestoreSnapshot: 'v2' });
+        expect(restored.restored).toEqual([expect.objectContaining({ namespace: 'default', memories: 1 })]);
+        expect(engine.defaultNamespace.contextLayer.memories.map(memory => memory.text)).toEqual(['Our deployment pipeline runs on Jenkins']);
+        expect((await engine.getSnapshot('v2')).reason).toBe('pre-restore');
+
+        await engine.shutdown();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        expect(engine.defaultNamespace.contextLayer.memories).toHaveLength(1);
+    });
+
+    test('deleted snapshots can no longer be used', async () => {
+        await engine.createSnapshot();
+
+        expect(await engine.deleteSnapshot('v1')).toEqual({ success: true, deleted: 'v1' });
+        expect((await engine.restoreSnapshot('v1')).error).toMatch(/Snapshot not found: v1/);
+    });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, StateSchemaError, stateVersion, migrateState, validateState } = require('../asmf-engine/state-schema');
+const { tempDir, removeDir, createEngine, startEngine } = require('./helpers');
+
+// A state as written before schema versions: concept connections saved as {}
+function legacyState() {
+    return {
+        timestamp: Date.UTC(2025, 0, 1),
+        contextLayer: { memories: [{ id: 'm1', text: 'Jenkins runs the deployment pipeline', createdAt: Date.UTC(2025, 0, 1) }] },
+        semanticLayer: {
+            concepts: [
+                ['jenkins', { frequency: 1, connections: {}, context: ['Jenkins runs the deployment pipeline'] }],
+                ['deployment pipeline', { frequency: 1, connections: {} }]
+            ],
+            relationships: [['jenkins::deployment pipeline', 1]],
+            clusters: [{ id: 'k1', concepts: ['jenkins', 'deployment pipeline'], createdAt: 5 }]
+        },
+        temporalLayer: { events: [{ id: 'e1', text: 'Jenkins runs the deployment pipeline', timestamp: Date.UTC(2025, 0, 1) }] }
+    };
+}
+
+describe('State schema', () => {
+    test('states without a version are migrated through every step', () => {
+        const input = legacyState();
+        const { state, fromVersion, toVersion, applied } = migrateState(input);
+
+        expect(stateVersion(input)).toBe(1);
+        expect([fromVersion, toVersion, applied.length]).toEqual([1, SCHEMA_VERSION, SCHEMA_VERSION - 1]);
+        expect(state.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(state.semanticLayer.concepts[0][1]).toMatchObject({ connections: ['deployment pipeline'], events: [] });
+        expect(state.semanticLayer.concepts[1][1]).toMatchObject({ connections: ['jenkins'], context: [] });
+        expect(state.semanticLayer.clusters[0]).toMatchObject({ label: 'jenkins / deployment pipeline', labelSource: 'auto', size: 2, updatedAt: 5 });
+        expect(input.schemaVersion).toBeUndefined();
+        expect(input.semanticLayer.concepts[0][1].connections).toEqual({});
+    });
+
+    test('current states pass through untouched', () => {
+        const { state } = migrateState(legacyState());
+        const again = migrateState(state);
+
+        expect(again.state).toBe(state);
+        expect(again.applied).toEqual([]);
+    });
+
+    test('states from a newer release or with a bad version are refused', () => {
+        expect(() => migrateState({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow(/newer than this release supports/);
+        expect(() => migrateState({ schemaVersion: 'two' })).toThrow(StateSchemaError);
+        expect(() => migrateState([])).toThrow(/must be a JSON object/);
+    });
+
+    test('validation names the path of each problem', () => {
+        const errors = validateState({
+            schemaVersion: SCHEMA_VERSION,
+            contextLayer: { memories: [{ text: 'no id' }] },
+            semanticLayer: { relationships: [['jenkins', 'heavy']] },
+            temporalLayer: { events: {} }
+        });
+
+        expect(errors).toEqual([
+            'contextLayer.memories[0]: must be an object with a string id',
+            'semanticLayer.relationships[0][0]: must be "concept::concept"',
+            'semanticLayer.relationships[0][1]: must be a number',
+            'temporalLayer.events: must be an array'
+        ]);
+        let refused = null;
+        try {
+            migrateState({ schemaVersion: SCHEMA_VERSION, temporalLayer: { events: {} } });
+        } catch (error) {
+            refused = error;
+        }
+        expect(refused.errors).toEqual(['temporalLayer.events: must be an array']);
+    });
+});
+
+describe('Stored state migration', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = tempDir();
+        fs.writeFileSync(path.join(dataPath, 'main.json'), JSON.stringify(legacyState()));
+    });
+
+    afterEach(async () => {
+        await removeDir(dataPath);
+    });
+
+    const savedVersion = () => stateVersion(JSON.parse(fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8')));
+
+    test('a dry run reports what would change and writes nothing', async () => {
+        const result = await createEngine(dataPath).migrateStoredState({ dryRun: true });
+
+        expect(result).toMatchObject({ success: true, dryRun: true, summary: { checked: 1, pending: 1, invalid: 0 } });
+        expect(result.files).toEqual([expect.objectContaining({ file: 'main.json', namespace: 'default', status: 'pending', fromVersion: 1 })]);
+        expect(savedVersion()).toBe(1);
+    });
+
+    test('migration rewrites old files and reports broken ones', async () => {
+        const tenantPath = path.join(dataPath, 'namespaces', 'acme', 'alice');
+        fs.mkdirSync(tenantPath, { recursive: true });
+        fs.writeFileSync(path.join(tenantPath, 'main.json'), JSON.stringify({ schemaVersion: SCHEMA_VERSION, temporalLayer: { events: {} } }));
+
+        const result = await createEngine(dataPath).migrateStoredState();
+
+        expect(result).toMatchObject({ success: false, summary: { checked: 2, migrated: 1, invalid: 1 } });
+        expect(result.files.find(file => file.namespace === 'acme/alice').error).toMatch(/temporalLayer.events: must be an array/);
+        expect(savedVersion()).toBe(SCHEMA_VERSION);
+        expect((await createEngine(dataPath).migrateStoredState()).summary).toMatchObject({ current: 1, migrated: 0 });
+    });
+
+    test('an engine loads an old state by migrating it', async () => {
+        const engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        try {
+            const neighbors = await engine.getConceptNeighbors('jenkins');
+            expect(neighbors.neighbors.map(neighbor => neighbor.concept)).toEqual(['deployment pipeline']);
+            expect(engine.defaultNamespace.contextLayer.memories.map(memory => memory.id)).toEqual(['m1']);
+        } finally {
+            await engine.shutdown();
+        }
+    });
+});
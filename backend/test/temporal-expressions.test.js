@@ -0,0 +1,49 @@
+const { parseTemporalExpressions } = require('../asmf-engine/temporal-expressions');
+
+// Wednesday 2025-11-05 15:30 UTC
+const NOW = Date.UTC(2025, 10, 5, 15, 30);
+const parse = (query, options = {}) => parseTemporalExpressions(query, { now: NOW, timezoneOffset: 0, ...options });
+const day = (month, date) => Date.UTC(2025, month, date);
+// Ranges include their last millisecond
+const span = (start, end) => ({ start, end: end - 1 });
+
+describe('parseTemporalExpressions', () => {
+    test('resolves relative days, weeks and weekdays in the asker\'s time zone', () => {
+        expect(parse('what did I eat yesterday').range).toEqual(span(day(10, 4), day(10, 5)));
+        expect(parse('notes from last week').range).toEqual(span(day(9, 27), day(10, 3)));
+        expect(parse('meetings on Tuesday').range).toEqual(span(day(10, 4), day(10, 5)));
+        expect(parse('what did I eat yesterday', { timezoneOffset: 600 }).range)
+            .toEqual(span(day(10, 5) - 10 * 3600000, day(10, 6) - 10 * 3600000));
+    });
+
+    test('narrows a day to a part of it', () => {
+        const parsed = parse('yesterday evening');
+        expect(parsed.expressions).toEqual([expect.objectContaining({ text: 'yesterday evening', type: 'part' })]);
+        expect(parsed.range).toEqual(span(day(10, 4) + 17 * 3600000, day(10, 4) + 23 * 3600000));
+    });
+
+    test('understands German, Russian and Ukrainian', () => {
+        expect(parse('was war gestern').range).toEqual(span(day(10, 4), day(10, 5)));
+        expect(parse('что было вчера').range).toEqual(span(day(10, 4), day(10, 5)));
+        expect(parse('що було вчора').range).toEqual(span(day(10, 4), day(10, 5)));
+    });
+
+    test('leaves the rest of the query as the content to match', () => {
+        expect(parse('What did Anna say yesterday about the budget?').text).toBe('What did Anna say about the budget?');
+        expect(parse('budget review').range).toBeNull();
+        expect(parse('budget review').text).toBe('budget review');
+    });
+
+    test.each([
+        ["today's agenda", "today's"],
+        ['today’s agenda', 'today’s'],
+        ['yesterday’s agenda', 'yesterday’s'],
+        ["last week's agenda", "last week's"],
+        ['Tuesday’s agenda', 'Tuesday’s'],
+        ["the last two weeks' agenda", "the last two weeks'"]
+    ])('a possessive is part of the expression: %s', (query, expression) => {
+        const parsed = parse(query);
+        expect(parsed.expressions.map(entry => entry.text)).toEqual([expression]);
+        expect(parsed.text).toBe('agenda');
+    });
+});
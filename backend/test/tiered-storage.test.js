@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { EventTiers } = require('../asmf-engine/tiered-storage');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const HOUR = 3600000;
+
+function event(index, text) {
+    return { id: `e${index}`, text, concepts: [], timestamp: index * HOUR, embeddings: [1, 0], sequence: index };
+}
+
+const TEXTS = [
+    'Replaced the kitchen faucet',
+    'Renewed the car insurance',
+    'Planted tomatoes in the garden',
+    'Fixed the garden fence',
+    'Paid the electricity bill'
+];
+
+describe('EventTiers', () => {
+    let dataPath;
+    let engine;
+    let storage;
+    let tiers;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none', tieredStorage: false });
+        storage = engine.defaultNamespace.storage;
+        tiers = new EventTiers(storage, { warmMaxEvents: 3, segmentSize: 2 });
+        await tiers.demote(TEXTS.map((text, index) => event(index, text)));
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('demoted events fill warm segments and the oldest freeze into cold ones', async () => {
+        expect(await tiers.getStatus()).toEqual({
+            warm: { events: 3, segments: 2, maxEvents: 3 },
+            cold: { events: 2, segments: 1, remoteSegments: 0 }
+        });
+        expect(fs.readdirSync(path.join(dataPath, 'tiers', 'warm'))).toEqual(['segment-000002.jsonl', 'segment-000003.jsonl']);
+        expect(fs.readdirSync(path.join(dataPath, 'tiers', 'cold'))).toEqual(['segment-000001.json.gz']);
+
+        expect(await tiers.demote([event(4, TEXTS[4])])).toBe(0);
+    });
+
+    test('searches a tier by text or time range within its budget', async () => {
+        const warm = await tiers.search('warm', ['garden'], { budgetMs: 1000 });
+        expect(warm.hits.map(hit => hit.event.id).sort()).toEqual(['e2', 'e3']);
+        expect(warm.hits[0].event.embeddings).toBeUndefined();
+
+        const cold = await tiers.search('cold', ['insurance'], { budgetMs: 1000 });
+        expect(cold.hits.map(hit => hit.event.id)).toEqual(['e1']);
+        expect(cold.segmentsSearched).toBe(1);
+
+        const window = await tiers.search('warm', [], { timeRange: { start: 3 * HOUR, end: 4 * HOUR }, budgetMs: 1000 });
+        expect(window.hits.map(hit => hit.event.id)).toEqual(['e4', 'e3']);
+
+        expect((await tiers.search('warm', ['garden'], { budgetMs: 0 })).hits).toEqual([]);
+    });
+
+    test('re-indexes segments on load when the index is missing', async () => {
+        fs.rmSync(path.join(dataPath, 'tiers', 'index.json'));
+
+        const reloaded = new EventTiers(storage, { warmMaxEvents: 3, segmentSize: 2 });
+        expect(await reloaded.getStatus()).toEqual(await tiers.getStatus());
+        expect((await reloaded.search('cold', ['faucet'], { budgetMs: 1000 })).hits.map(hit => hit.event.id)).toEqual(['e0']);
+
+        await reloaded.demote([event(5, 'Booked the flights')]);
+        expect(fs.readdirSync(path.join(dataPath, 'tiers', 'warm'))).toContain('segment-000003.jsonl');
+    });
+
+    test('rewrite keeps, changes or removes events in both tiers', async () => {
+        const rewritten = await tiers.rewrite(async stored => {
+            if (stored.id === 'e0' || stored.id === 'e3') return 'remove';
+            if (stored.id === 'e4') {
+                stored.text = '[redacted]';
+                return 'changed';
+            }
+            return 'keep';
+        });
+
+        expect(rewritten).toBe(3);
+        expect((await tiers.getStatus()).warm.events).toBe(2);
+        expect((await tiers.getStatus()).cold.events).toBe(1);
+        expect((await tiers.search('warm', ['garden'], { budgetMs: 1000 })).hits.map(hit => hit.event.id)).toEqual(['e2']);
+        expect((await tiers.search('warm', ['electricity'], { budgetMs: 1000 })).hits).toEqual([]);
+        expect((await tiers.search('cold', ['faucet'], { budgetMs: 1000 })).hits).toEqual([]);
+    });
+});
+
+describe('Tiered temporal layer', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none', temporalMaxEvents: 3, tierDemoteBatch: 1 });
+        for (const text of TEXTS) {
+            await engine.processInformation(text, { conversationId: text === TEXTS[0] ? 'c1' : 'c2' });
+        }
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('events beyond the limit move to the warm tier', async () => {
+        const { temporalLayer } = engine.defaultNamespace;
+
+        expect(temporalLayer.events.map(stored => stored.text)).toEqual(TEXTS.slice(2));
+        expect((await temporalLayer.getStatus()).tiers.warm.events).toBe(2);
+    });
+
+    test('retrieval falls through to the warm tier when memory has too few matches', async () => {
+        const retrieval = await engine.retrieveInformation('kitchen faucet', { reinforce: false });
+        const hit = retrieval.results.find(result => result.tier === 'warm');
+
+        expect(hit.text).toBe(TEXTS[0]);
+
+        const memoryOnly = await engine.retrieveInformation('kitchen faucet', { reinforce: false, tiers: false });
+        expect(memoryOnly.results.some(result => result.tier)).toBe(false);
+    });
+
+    test('digests read demoted events while timelines keep only those in memory', async () => {
+        const digest = await engine.getDigest({ period: 'day' });
+
+        expect(digest.eventCount).toBe(TEXTS.length);
+        expect(digest.timelines.reduce((total, timeline) => total + timeline.eventCount, 0)).toBe(TEXTS.length);
+
+        const listed = await engine.listTimelines();
+        expect(listed.timelines.reduce((total, timeline) => total + timeline.eventCount, 0)).toBe(3);
+    });
+
+    test('forgetting removes matching events from the tiers', async () => {
+        const report = await engine.forget({ conversationId: 'c1' });
+
+        expect(report.success).toBe(true);
+        expect((await engine.defaultNamespace.temporalLayer.getStatus()).tiers.warm.events).toBe(1);
+        const retrieval = await engine.retrieveInformation('kitchen faucet', { reinforce: false });
+        expect(retrieval.results.some(result => result.tier === 'warm')).toBe(false);
+    });
+});
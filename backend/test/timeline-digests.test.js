@@ -0,0 +1,133 @@
+const { DigestCache, summarizeEvents, eventsSignature, topConcepts } = require('../asmf-engine/timeline-digests');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+const DAY = 86400000;
+const MONDAY = Date.UTC(2025, 10, 3, 9);
+
+function event(id, text, offset, extra = {}) {
+    return { id, text, timestamp: MONDAY + offset, concepts: [], entities: [], ...extra };
+}
+
+describe('Event summaries', () => {
+    test('pick the sentences covering the most common terms, in time order, without near-duplicates', () => {
+        const events = [
+            event('e1', 'The release was delayed by failing tests. Lunch was pizza.', 0),
+            event('e2', 'Failing tests delayed the release again.', 1000),
+            event('e3', 'The team fixed the failing tests and shipped the release.', 2000)
+        ];
+
+        const summary = summarizeEvents(events, { sentences: 2 });
+
+        expect(summary.sentences).toHaveLength(2);
+        expect(summary.sentences[0].text).toBe('The release was delayed by failing tests.');
+        expect(summary.sentences.map(sentence => sentence.eventId)).not.toContain('e2');
+        expect(summary.sentences.map(sentence => sentence.timestamp)).toEqual([...summary.sentences.map(sentence => sentence.timestamp)].sort());
+        expect(summary).toMatchObject({ eventCount: 3, compressedEvents: 0, startTime: MONDAY, endTime: MONDAY + 2000 });
+        expect(summary.text).toBe(summary.sentences.map(sentence => sentence.text).join(' '));
+    });
+
+    test('compressed groups weigh as many events as they replaced', () => {
+        const events = [
+            event('e1', 'Deploy to staging', 0, { concepts: ['staging'] }),
+            event('e2', 'Deploy to staging', 1000, { concepts: ['staging'] }),
+            event('g1', '[3 similar events]', 2000, { concepts: ['production'], metadata: { compressed: true, originalCount: 3 } })
+        ];
+
+        expect(topConcepts(events)).toEqual([{ concept: 'production', count: 3 }, { concept: 'staging', count: 2 }]);
+        const summary = summarizeEvents(events);
+        expect(summary.compressedEvents).toBe(1);
+        expect(summary.sentences.map(sentence => sentence.eventId)).not.toContain('g1');
+    });
+
+    test('an empty period has an empty summary', () => {
+        expect(summarizeEvents([])).toMatchObject({ text: '', sentences: [], eventCount: 0, startTime: null, endTime: null });
+    });
+});
+
+describe('DigestCache', () => {
+    test('serves a digest only while its events are unchanged', () => {
+        const cache = new DigestCache();
+        const events = [event('e1', 'one', 0)];
+        cache.set('default', 'week', eventsSignature(events), { text: 'one' });
+
+        expect(cache.get('default', 'week', eventsSignature(events))).toEqual({ text: 'one' });
+        expect(cache.get('default', 'week', eventsSignature([...events, event('e2', 'two', 1)]))).toBeNull();
+        expect(cache.get('acme/alice', 'week', eventsSignature(events))).toBeNull();
+    });
+
+    test('evicts the oldest entries and clears per namespace', () => {
+        const cache = new DigestCache(2);
+        cache.set('a', 'x', 's', 1);
+        cache.set('b', 'x', 's', 2);
+        cache.set('b', 'y', 's', 3);
+
+        expect(cache.get('a', 'x', 's')).toBeNull();
+        cache.clear('b');
+        expect(cache.entries.size).toBe(0);
+    });
+});
+
+describe('Timelines and digests', () => {
+    let dataPath;
+    let engine;
+
+    beforeEach(async () => {
+        dataPath = tempDir();
+        engine = await startEngine(dataPath, { embeddingProvider: 'none', timezoneOffset: 0 });
+        await engine.processInformation('Kickoff meeting for the website redesign', { timeline: 'website' });
+        await engine.processInformation('Wireframes for the website redesign approved', { timeline: 'website' });
+        await engine.processInformation('Booked flights to Lisbon', { timeline: 'travel' });
+    });
+
+    afterEach(async () => {
+        await engine.shutdown();
+        await removeDir(dataPath);
+    });
+
+    test('lists timelines and pages through their events', async () => {
+        const listed = await engine.listTimelines({ type: 'named' });
+        expect(listed.timelines.map(timeline => [timeline.key, timeline.eventCount]).sort()).toEqual([['travel', 1], ['website', 2]]);
+
+        const page = await engine.getTimelineEvents('website', { limit: 1 });
+        expect(page).toMatchObject({ total: 2, nextOffset: 1 });
+        expect(page.events[0].text).toBe('Kickoff meeting for the website redesign');
+        expect((await engine.getTimelineEvents('website', { order: 'desc', limit: 1 })).events[0].text).toMatch(/Wireframes/);
+        expect(await engine.getTimelineEvents('missing')).toEqual({ success: false, error: "Timeline 'missing' not found" });
+        expect((await engine.listTimelines({ type: 'weekly' })).success).toBe(false);
+    });
+
+    test('timeline summaries are cached until the timeline changes', async () => {
+        const first = await engine.getTimelineSummary('website');
+        const second = await engine.getTimelineSummary('website');
+
+        expect(first).toMatchObject({ success: true, key: 'website', type: 'named', eventCount: 2, cached: false });
+        expect(second.cached).toBe(true);
+
+        await engine.processInformation('Website redesign launched', { timeline: 'website' });
+        expect(await engine.getTimelineSummary('website')).toMatchObject({ eventCount: 3, cached: false });
+    });
+
+    test('digests cover the events of a day, week or month', async () => {
+        const { temporalLayer } = engine.defaultNamespace;
+        temporalLayer.events.forEach((entry, index) => {
+            entry.timestamp = MONDAY + index * DAY;
+        });
+
+        const tuesday = await engine.getDigest({ period: 'day', date: '2025-11-04', timezoneOffset: 0 });
+        expect(tuesday).toMatchObject({ success: true, period: 'day', start: Date.UTC(2025, 10, 4), eventCount: 1 });
+        expect(tuesday.text).toMatch(/Wireframes/);
+
+        const week = await engine.getDigest({ period: 'week', date: '2025-11-05', timezoneOffset: 0 });
+        expect(week).toMatchObject({ start: Date.UTC(2025, 10, 3), eventCount: 3, cached: false });
+        expect(week.timelines).toEqual([{ key: 'website', eventCount: 2 }, { key: 'travel', eventCount: 1 }]);
+        expect((await engine.getDigest({ period: 'week', date: '2025-11-05', timezoneOffset: 0 })).cached).toBe(true);
+
+        const previousWeek = await engine.getDigest({ period: 'week', date: '2025-11-05', offset: -1, timezoneOffset: 0 });
+        expect(previousWeek.eventCount).toBe(0);
+    });
+
+    test('bad periods and dates are reported', async () => {
+        expect((await engine.getDigest({ period: 'year' })).error).toMatch(/Unknown digest period 'year'/);
+        expect((await engine.getDigest({ date: 'someday soon' })).error).toBe('Invalid date: someday soon');
+    });
+});
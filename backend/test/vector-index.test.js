@@ -0,0 +1,91 @@
+const { HNSWIndex } = require('../asmf-engine/vector-index');
+const { normalizeVector, dotProduct } = require('../asmf-engine/embeddings');
+const { tempDir, removeDir, startEngine } = require('./helpers');
+
+// Deterministic pseudo-random vectors (mulberry32)
+function randomVectors(count, dimensions, seed = 7) {
+    let state = seed;
+    const random = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return Array.from({ length: count }, () =>
+        normalizeVector(Array.from({ length: dimensions }, () => random() - 0.5)));
+}
+
+function exactNeighbours(vectors, query, k) {
+    return vectors
+        .map((vector, id) => ({ id, score: dotProduct(vector, query) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(result => result.id);
+}
+
+describe('HNSWIndex', () => {
+    const vectors = randomVectors(400, 24);
+    const queries = randomVectors(20, 24, 99);
+
+    function buildIndex() {
+        const index = new HNSWIndex();
+        vectors.forEach((vector, id) => index.add(id, vector));
+        return index;
+    }
+
+    test('finds nearly all exact nearest neighbours', () => {
+        const index = buildIndex();
+        let found = 0;
+        for (const query of queries) {
+            const expected = new Set(exactNeighbours(vectors, query, 10));
+            found += index.search(query, 10).filter(result => expected.has(result.id)).length;
+        }
+
+        expect(found / (queries.length * 10)).toBeGreaterThan(0.9);
+    });
+
+    test('removed vectors are no longer returned and the graph stays searchable', () => {
+        const index = buildIndex();
+        for (let id = 0; id < 200; id++) index.remove(id);
+
+        const results = index.search(queries[0], 10);
+        expect(index.size).toBe(200);
+        expect(results).toHaveLength(10);
+        expect(results.every(result => result.id >= 200)).toBe(true);
+    });
+
+    test('restores the graph from exported state and the stored vectors', () => {
+        const index = buildIndex();
+        const restored = new HNSWIndex();
+
+        expect(restored.importState(JSON.parse(JSON.stringify(index.exportState())), id => vectors[id])).toBe(true);
+        expect(restored.search(queries[0], 5)).toEqual(index.search(queries[0], 5));
+        expect(new HNSWIndex().importState(index.exportState(), () => null)).toBe(false);
+    });
+
+    test('searchScores drops neighbours below the minimum score', () => {
+        const index = buildIndex();
+        const scores = index.searchScores(vectors[3], 10, 0.99);
+
+        expect(Array.from(scores.keys())).toEqual([3]);
+    });
+});
+
+describe('Vector retrieval', () => {
+    test('finds memories worded differently from the query', async () => {
+        const dataPath = tempDir();
+        const engine = await startEngine(dataPath);
+        try {
+            await engine.processInformation('Our daughter starts kindergarten in September');
+            await engine.processInformation('The car needs new winter tyres');
+
+            const retrieval = await engine.retrieveInformation('when does kindergartens start', { reinforce: false });
+            const context = retrieval.results.filter(result => result.layer === 'context');
+            expect(context[0].text).toMatch(/kindergarten/);
+            expect(context[0].vectorSimilarity).toBeGreaterThan(0);
+        } finally {
+            await engine.shutdown();
+            await removeDir(dataPath);
+        }
+    });
+});
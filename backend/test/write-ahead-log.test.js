@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { WriteAheadLog } = require('../asmf-engine/write-ahead-log');
+const { tempDir, removeDir, startEngine, crashEngine } = require('./helpers');
+
+describe('WriteAheadLog', () => {
+    let directory;
+    let filePath;
+    let logs;
+
+    beforeEach(() => {
+        directory = tempDir();
+        filePath = path.join(directory, 'wal.log');
+        logs = [];
+    });
+
+    afterEach(async () => {
+        for (const log of logs) await log.close();
+        await removeDir(directory);
+    });
+
+    function openLog(config = {}) {
+        const log = new WriteAheadLog({ filePath, flushInterval: 0, sync: false, ...config });
+        logs.push(log);
+        return log;
+    }
+
+    test('appended records are durable after commit and read back in order', async () => {
+        const log = openLog();
+        await log.open();
+        expect(log.append({ op: 'a' })).toBe(1);
+        expect(log.append({ op: 'b' })).toBe(2);
+        await log.commit();
+
+        const records = await openLog().read();
+        expect(records.map(record => [record.seq, record.op])).toEqual([[1, 'a'], [2, 'b']]);
+        expect((await openLog().read(1)).map(record => record.op)).toEqual(['b']);
+    });
+
+    test('a reopened log continues its sequence, at least from the checkpoint', async () => {
+        const log = openLog();
+        await log.open();
+        log.append({ op: 'a' });
+        await log.close();
+
+        expect(await openLog().open()).toBe(1);
+        expect(await openLog().open(10)).toBe(10);
+    });
+
+    test('a torn last line is ignored and cut off on open', async () => {
+        fs.writeFileSync(filePath, '{"seq":1,"op":"a"}\n{"seq":2,"op":');
+
+        const log = openLog();
+        expect(await log.open()).toBe(1);
+        log.append({ op: 'b' });
+        await log.commit();
+
+        expect((await openLog().read()).map(record => record.seq)).toEqual([1, 2]);
+    });
+
+    test('a damaged line before the end is corruption', async () => {
+        fs.writeFileSync(filePath, '{"seq":1,"op":"a"}\nnot json\n{"seq":3,"op":"c"}\n');
+
+        await expect(openLog().read()).rejects.toThrow(/Corrupt write-ahead log .* at line 2/);
+    });
+
+    test('compaction keeps only the records after a checkpoint', async () => {
+        const log = openLog();
+        await log.open();
+        ['a', 'b', 'c'].forEach(op => log.append({ op }));
+
+        expect(await log.compact(2)).toBe(1);
+        expect((await openLog().read()).map(record => record.op)).toEqual(['c']);
+        expect(await log.compact(3)).toBe(0);
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('records can be encoded on disk', async () => {
+        const encode = line => Buffer.from(line).toString('base64');
+        const decode = line => Buffer.from(line, 'base64').toString('utf8');
+        const log = openLog({ encode, decode });
+        await log.open();
+        log.append({ op: 'secret' });
+        await log.commit();
+
+        expect(fs.readFileSync(filePath, 'utf8')).not.toMatch(/secret/);
+        expect((await openLog({ encode, decode }).read())[0].op).toBe('secret');
+    });
+});
+
+describe('Crash recovery', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = tempDir();
+    });
+
+    afterEach(async () => {
+        await removeDir(dataPath);
+    });
+
+    function summary(engine) {
+        const { contextLayer, semanticLayer, temporalLayer } = engine.defaultNamespace;
+        return {
+            memories: contextLayer.memories.map(memory => [memory.id, memory.text, memory.pinned, memory.accessCount || 0]),
+            concepts: Array.from(semanticLayer.concepts, ([name, concept]) => [name, concept.frequency]).sort(),
+            relationships: Array.from(semanticLayer.relationships).sort(),
+            events: temporalLayer.events.map(event => event.id)
+        };
+    }
+
+    test('changes since the last save are replayed after a crash', async () => {
+        const engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+        await engine.saveNamespace(engine.defaultNamespace);
+        await engine.processInformation('Jenkins builds are slow on Fridays');
+        const memory = engine.defaultNamespace.contextLayer.memories[1];
+        await engine.pinMemory(memory.id);
+        await engine.retrieveInformation('Jenkins builds');
+        await engine.commitChanges(engine.defaultNamespace);
+        const before = summary(engine);
+        await crashEngine(engine);
+
+        const recovered = await startEngine(dataPath, { embeddingProvider: 'none' });
+        try {
+            expect(summary(recovered)).toEqual(before);
+            expect(recovered.defaultNamespace.contextLayer.memories[1].pinned).toBe(true);
+            const retrieval = await recovered.retrieveInformation('Fridays', { reinforce: false });
+            expect(retrieval.results.some(result => result.text === 'Jenkins builds are slow on Fridays')).toBe(true);
+        } finally {
+            await recovered.shutdown();
+        }
+    });
+
+    test('a save checkpoints the state and compacts the log', async () => {
+        const engine = await startEngine(dataPath, { embeddingProvider: 'none' });
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+        await engine.commitChanges(engine.defaultNamespace);
+        expect(fs.existsSync(path.join(dataPath, 'wal.log'))).toBe(true);
+
+        await engine.saveNamespace(engine.defaultNamespace);
+
+        expect(fs.existsSync(path.join(dataPath, 'wal.log'))).toBe(false);
+        const saved = JSON.parse(fs.readFileSync(path.join(dataPath, 'main.json'), 'utf8'));
+        expect(saved.walSequence).toBe(engine.defaultNamespace.wal.sequence);
+        await engine.shutdown();
+    });
+
+    test('a long log starts a checkpoint on its own', async () => {
+        const engine = await startEngine(dataPath, { embeddingProvider: 'none', walCheckpointRecords: 5 });
+        const namespace = engine.defaultNamespace;
+        await engine.processInformation('Our deployment pipeline runs on Jenkins');
+        await engine.commitChanges(namespace);
+
+        expect(namespace.checkpoint).not.toBeNull();
+        await namespace.checkpoint;
+        expect(namespace.wal.records).toBe(0);
+
+        await engine.processInformation('Jenkins builds are slow on Fridays');
+        await engine.commitChanges(namespace);
+        const before = summary(engine);
+        await crashEngine(engine);
+
+        const recovered = await startEngine(dataPath, { embeddingProvider: 'none' });
+        expect(summary(recovered)).toEqual(before);
+        await recovered.shutdown();
+    });
+});